@@ -3,6 +3,8 @@ import { toggleAudioVisualization, updateAudioVisualization as externalUpdateAud
 import { AudioNodePool } from '../fixes/utils/node-pool.js';
 import { SoundScheduler } from './playback/scheduler.js';
 import { AudioCircuitBreaker } from './audio-circuit-breaker.js';
+import { BallEvents } from '../core/event-bus.js';
+import { registerAudioOutput } from './utils/output-taps.js';
 
 // Callbacks system for enhanced integration
 const callbacks = {
@@ -13,7 +15,11 @@ const callbacks = {
 
 // Enhanced SoundSynthesizer class for better audio
 class SoundSynthesizer {
-    constructor(audioContext) {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {Object} [app] - App whose recorder should hear this chain
+     */
+    constructor(audioContext, app) {
         // Ensure we have a valid audio context
         this.audioContext = audioContext;
 
@@ -53,6 +59,9 @@ class SoundSynthesizer {
         this.masterGain.connect(this.reverb);
         this.reverb.connect(audioContext.destination); // Reverb should also go to destination
 
+        // This chain has its own master gain; let recorders tap both branches
+        this.registerOutputs(app);
+
         // Store active note modules for management
         this.activeNotes = [];
 
@@ -277,6 +286,12 @@ class SoundSynthesizer {
     }
 }
 
+// Let an app's recorder tap both branches of a synthesizer's chain
+SoundSynthesizer.prototype.registerOutputs = function (app) {
+    registerAudioOutput(app, this.compressor);
+    registerAudioOutput(app, this.reverb);
+};
+
 // Sound manager with improved error handling
 const soundManager = {
     sounds: {},
@@ -288,22 +303,27 @@ const soundManager = {
     scheduler: null,
     circuitBreaker: null,
 
-    // Initialize all sounds - UPDATED to use THREE.js sound manager as base
-    init: function () {
-        if (this.initialized) return true;
+    // Initialize all sounds - UPDATED to use THREE.js sound manager as base.
+    // The manager is shared by the page; every app that inits it records its output
+    init: function (app) {
+        if (this.initialized) {
+            threejsSoundManager.getContext(app);
+            this.soundSynth.registerOutputs(app);
+            return true;
+        }
 
         console.log("Initializing unified sound manager...");
 
         try {
             // Initialize the THREE.js sound manager first
-            threejsSoundManager.init();
+            threejsSoundManager.init(app);
 
             // Use its audio context
             this.audioContext = threejsSoundManager.getContext();
             this.masterGain = threejsSoundManager.masterGain;
 
             // Create our enhanced synthesizer
-            this.soundSynth = new SoundSynthesizer(this.audioContext);
+            this.soundSynth = new SoundSynthesizer(this.audioContext, app);
 
             // Set up enhanced components from new architecture
             this.nodePool = new AudioNodePool(this.audioContext, 24);
@@ -502,7 +522,7 @@ function playToneForPosition(app, x, y) {
 
             // Connect and play
             osc.connect(gain);
-            gain.connect(app.audioContext.destination);
+            gain.connect(app.masterGain || app.audioContext.destination);
 
             osc.start();
             osc.stop(app.audioContext.currentTime + 0.1); // Short sound
@@ -520,44 +540,31 @@ function playToneForPosition(app, x, y) {
 // Connect audio system to ball object
 function connectAudioToBall(app, ball) {
     if (!app.soundManager) {
-        soundManager.init();
+        soundManager.init(app);
         app.soundManager = soundManager;
     }
 
-    // Make sure the ball has event handling capabilities
-    if (!ball.addEventListener) {
-        // Simple event system if not present
-        ball.events = {};
-        ball.addEventListener = function (event, callback) {
-            if (!this.events[event]) this.events[event] = [];
-            this.events[event].push(callback);
-        };
-        ball.emit = function (event, data) {
-            if (this.events[event]) {
-                this.events[event].forEach(callback => callback(data));
-            }
-        };
+    // Subscribe through the app's event bus instead of patching the ball
+    if (!app.events) {
+        console.warn('App has no event bus, ball audio not connected');
+        return ball;
     }
 
-    // Add audio event listeners to the ball
-    ball.addEventListener('facetHover', (data) => {
-        if (app.soundManager.soundSynth.continuousModeEnabled) {
-            app.soundManager.soundSynth.playFacetSound(data.facet, data.position);
+    app.events.bind('audioSystem', {
+        [BallEvents.FACET_ENTER]: (data) => {
+            // Pointer just moved onto the ball
+            if (data.previousFacet === null) {
+                app.soundManager.play('hover');
+            }
+            if (app.soundManager.soundSynth.continuousModeEnabled) {
+                app.soundManager.soundSynth.playFacetSound(data.facet, data.uv);
+            }
+        },
+        [BallEvents.BALL_PRESS]: () => {
+            app.soundManager.play('click');
         }
     });
 
-    ball.addEventListener('click', () => {
-        app.soundManager.play('click');
-    });
-
-    ball.addEventListener('hover', () => {
-        app.soundManager.play('hover');
-    });
-
-    ball.addEventListener('modeChange', () => {
-        app.soundManager.play('explosion');
-    });
-
     console.log('Audio system connected to ball');
     return ball;
 }
@@ -686,7 +693,7 @@ function playClickSound(app) {
     try {
         if (!app.soundManager) {
             if (!soundManager.initialized) {
-                soundManager.init();
+                soundManager.init(app);
             }
             app.soundManager = soundManager;
         }
@@ -702,7 +709,7 @@ function playReleaseSound(app) {
     try {
         if (!app.soundManager) {
             if (!soundManager.initialized) {
-                soundManager.init();
+                soundManager.init(app);
             }
             app.soundManager = soundManager;
         }
@@ -742,7 +749,7 @@ function playFacetSound(app, facetIndex, position = { u: 0.5, v: 0.5 }) {
 
                 // Connect and play
                 osc.connect(gain);
-                gain.connect(app.audioContext.destination);
+                gain.connect(app.masterGain || app.audioContext.destination);
 
                 osc.start();
                 osc.stop(app.audioContext.currentTime + 0.05); // Very short sound
@@ -765,7 +772,7 @@ function playEnhancedFacetSound(app, facet) {
 
     try {
         if (!app.soundManager) {
-            soundManager.init();
+            soundManager.init(app);
             app.soundManager = soundManager;
         }
 
@@ -854,13 +861,18 @@ if (typeof getAudioContext !== 'function') {
  * SoundSynthesizer fallback implementation
  */
 export class FallbackSoundSynthesizer {
-    constructor(context) {
+    /**
+     * @param {AudioContext} [context]
+     * @param {Object} [app] - App whose recorder should hear this synthesizer
+     */
+    constructor(context, app) {
         this.context = context || getAudioContext();
 
         // Create master gain
         this.masterGain = this.context.createGain();
         this.masterGain.gain.value = 0.5;
         this.masterGain.connect(this.context.destination);
+        registerAudioOutput(app, this.masterGain);
 
         // Create lookup table for tones
         this.tones = {};
@@ -973,7 +985,7 @@ export function getSynthesizer(app) {
     if (!app) app = window.app || {};
 
     if (!app.soundSynth) {
-        app.soundSynth = new SoundSynthesizer(getAudioContext());
+        app.soundSynth = new SoundSynthesizer(getAudioContext(), app);
         console.log("Created new sound synthesizer");
     }
 
@@ -7,6 +7,7 @@ import {
     registerCallbacks,
     initializeAudio
 } from './core.js';
+import { BallEvents } from '../core/event-bus.js';
 
 /**
  * Ball Audio Connector
@@ -63,7 +64,7 @@ export function connectAudioToExistingBall(ball, options = {}) {
             app.soundSynth = getSynthesizer();
             console.log("Created sound synthesizer for ball");
         } else if (window.audioSystem && typeof window.audioSystem.getSynthesizer === 'function') {
-            app.soundSynth = window.audioSystem.getSynthesizer();
+            app.soundSynth = window.audioSystem.getSynthesizer(app);
             console.log("Created sound synthesizer from audioSystem");
         }
     }
@@ -77,77 +78,40 @@ export function connectAudioToExistingBall(ball, options = {}) {
 
     // Add additional audio features specific to your advanced ball
     
-    // Ensure ball has proper event handling
-    if (!ball.addEventListener) {
-        // Simple event system if not present
-        ball.events = {};
-        ball.addEventListener = function (event, callback) {
-            if (!this.events[event]) this.events[event] = [];
-            this.events[event].push(callback);
-        };
-        ball.emit = function (event, data) {
-            if (this.events[event]) {
-                this.events[event].forEach(callback => callback(data));
-            }
-        };
-    }
-    
-    // Connect to facet interaction events for ball's userData
-    const ballGroup = ball.isGroup ? ball : (ball.parent || ball);
-    if (ballGroup.userData && ballGroup.userData.mesh) {
-        const mesh = ballGroup.userData.mesh;
-        
-        // Create raycast handler for facet detection
-        app.addEventListener = app.addEventListener || function() {};
-        app.addEventListener('update', () => {
-            if (!app.raycaster || !app.camera || !mesh) return;
-            
-            // Skip if mouse is not over the ball
-            if (!app.isHovered) return;
-            
-            // Run raycast check
-            app.raycaster.setFromCamera(app.mouse, app.camera);
-            const intersects = app.raycaster.intersectObject(mesh);
-            
-            if (intersects.length > 0) {
-                const facetIndex = intersects[0].faceIndex || 0;
-                const position = intersects[0].uv || { u: 0.5, v: 0.5 };
-                
-                // Emit facet hover event
-                ball.emit('facetHover', { 
-                    facet: facetIndex,
-                    position: position
-                });
-                
+    // Facet and press events come from the app's event bus; the pointer
+    // handlers already raycast against the ball, so no extra raycast here
+    if (app.events) {
+        app.events.bind('ballAudioConnector', {
+            [BallEvents.FACET_ENTER]: (data) => {
+                if (data.previousFacet === null) {
+                    if (app.soundSynth && typeof app.soundSynth.playTone === 'function') {
+                        app.soundSynth.playTone(330, 0.1, 0.15); // Play soft tone on hover
+                    } else if (app.soundManager) {
+                        app.soundManager.play('hover');
+                    }
+                }
+
                 // Play facet sound if continuous mode enabled
                 if (app.soundManager?.soundSynth?.continuousModeEnabled) {
                     if (typeof app.playFacetSound === 'function') {
-                        app.playFacetSound(app, facetIndex, position);
+                        app.playFacetSound(app, data.facet, data.uv);
                     } else if (app.soundSynth && typeof app.soundSynth.playFacetSound === 'function') {
-                        app.soundSynth.playFacetSound(facetIndex, position);
+                        app.soundSynth.playFacetSound(data.facet, data.uv);
                     }
                 }
+            },
+            [BallEvents.BALL_PRESS]: () => {
+                if (app.soundSynth && typeof app.soundSynth.playClickSound === 'function') {
+                    app.soundSynth.playClickSound();
+                } else if (app.soundManager) {
+                    app.soundManager.play('click');
+                }
             }
         });
+    } else {
+        console.warn('App has no event bus, ball interaction sounds not connected');
     }
 
-    // Connect to interaction events
-    ball.addEventListener('click', () => {
-        if (app.soundSynth && typeof app.soundSynth.playClickSound === 'function') {
-            app.soundSynth.playClickSound();
-        } else if (app.soundManager) {
-            app.soundManager.play('click');
-        }
-    });
-
-    ball.addEventListener('hover', () => {
-        if (app.soundSynth && typeof app.soundSynth.playTone === 'function') {
-            app.soundSynth.playTone(330, 0.1, 0.15); // Play soft tone on hover
-        } else if (app.soundManager) {
-            app.soundManager.play('hover');
-        }
-    });
-
     // Enable continuous sound mode if available
     if (app.soundManager && app.soundManager.soundSynth) {
         console.log('Enabling continuous sound mode for better audio experience');
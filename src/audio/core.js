@@ -188,23 +188,6 @@ export function connectAudioToBall(app, ball) {
             activeSound: null
         };
         
-        // Ensure ball has event handling capabilities
-        if (!ball.addEventListener) {
-            // Simple event system
-            ball.events = {};
-            ball.addEventListener = function(event, callback) {
-                if (!this.events[event]) {
-                    this.events[event] = [];
-                }
-                this.events[event].push(callback);
-            };
-            ball.emit = function(event, data) {
-                if (this.events[event]) {
-                    this.events[event].forEach(callback => callback(data));
-                }
-            };
-        }
-        
         console.log("Audio connected to ball successfully");
         return ball;
     } catch (error) {
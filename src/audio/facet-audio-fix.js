@@ -4,6 +4,8 @@
  * This module fixes issues with audio not responding to facet interactions
  * by directly connecting to ball events and ensuring proper initialization.
  */
+import { addTrackedListener } from '../core/teardown.js';
+import { BallEvents } from '../core/event-bus.js';
 
 // Track the last played facet to avoid repetition
 let lastFacetIndex = -1;
@@ -50,9 +52,9 @@ export function initFacetAudio() {
     
     // Try to resume context immediately and on any user interaction
     resumeAudioContext();
-    document.addEventListener('click', resumeAudioContext);
-    document.addEventListener('keydown', resumeAudioContext);
-    document.addEventListener('touchstart', resumeAudioContext);
+    addTrackedListener(window.app, document, 'click', resumeAudioContext);
+    addTrackedListener(window.app, document, 'keydown', resumeAudioContext);
+    addTrackedListener(window.app, document, 'touchstart', resumeAudioContext);
     
     // Create master gain if needed
     if (!window.app.masterGain) {
@@ -80,7 +82,7 @@ export function initFacetAudio() {
  */
 function addDirectEventListeners() {
     // Add direct mouse move listener for redundancy
-    document.addEventListener('mousemove', (event) => {
+    addTrackedListener(window.app, document, 'mousemove', (event) => {
         // Don't process if we recently played a sound
         if (Date.now() - lastPlayTime < MIN_TIME_BETWEEN_SOUNDS) {
             return;
@@ -91,7 +93,7 @@ function addDirectEventListeners() {
     });
     
     // Add direct click listener for clear click sounds
-    document.addEventListener('click', (event) => {
+    addTrackedListener(window.app, document, 'click', (event) => {
         if (window.app && checkBallIntersection(event, true)) {
             console.log("Direct click on ball detected");
             playClickSound();
@@ -291,6 +293,8 @@ function playSoothingFacetSound(facetIndex, position) {
         // Gradual release (250ms)
         gain.gain.linearRampToValueAtTime(0, now + 0.3);
         
+        emitNote(app, { source: 'facet', facet: facetIndex, frequency: finalFrequency, gain: volume, duration: 0.3 });
+        
         // Stop and clean up
         setTimeout(() => {
             try {
@@ -360,7 +364,7 @@ function playDirectFacetSound(facetIndex, position) {
         
         // Connect to audio context
         oscillator.connect(gain);
-        gain.connect(app.audioContext.destination); // Connect directly to destination
+        gain.connect(app.masterGain || app.audioContext.destination);
         
         // Start oscillator
         oscillator.start();
@@ -371,6 +375,8 @@ function playDirectFacetSound(facetIndex, position) {
         gain.gain.linearRampToValueAtTime(FORCE_LOUD_VOLUME ? 0.3 : 0.15, now + 0.005);
         gain.gain.linearRampToValueAtTime(0, now + 0.15);
         
+        emitNote(app, { source: 'facet', facet: facetIndex, frequency, gain: FORCE_LOUD_VOLUME ? 0.3 : 0.15, duration: 0.15 });
+        
         // Stop and clean up
         setTimeout(() => {
             try {
@@ -438,6 +444,8 @@ function playClickSound() {
         gain.gain.linearRampToValueAtTime(volume, now + 0.01);
         gain.gain.exponentialRampToValueAtTime(0.001, now + 0.15);
         
+        emitNote(app, { source: 'click', frequency: 440, gain: volume, duration: 0.15 });
+        
         // Stop and clean up
         setTimeout(() => {
             try {
@@ -455,6 +463,15 @@ function playClickSound() {
     }
 }
 
+/**
+ * Publish a played note as audio:note on the app's event bus
+ */
+function emitNote(app, note) {
+    if (app.events) {
+        app.events.emit(BallEvents.AUDIO_NOTE, note);
+    }
+}
+
 /**
  * Resume the audio context to overcome browser autoplay restrictions
  */
@@ -681,7 +698,7 @@ function showNotification(message) {
 
 // Initialize automatically but with a longer delay to ensure app is ready
 setTimeout(() => {
-    if (window.app && !document.getElementById('audio-indicator')) {
+    if (window.app && !window.app.destroyed && !document.getElementById('audio-indicator')) {
         console.log("Initializing facet audio from timeout");
         initFacetAudio();
     }
@@ -48,13 +48,13 @@ export function setupAudio(app) {
             
             // Create synthesizer if not exists
             if (!app.soundSynth) {
-                app.soundSynth = getSynthesizer();
+                app.soundSynth = getSynthesizer(app);
                 console.log("Created synthesizer during setupAudio");
             }
             
             // Init sound manager if available
             if (typeof soundManager?.init === 'function' && !soundManager.initialized) {
-                soundManager.init();
+                soundManager.init(app);
                 app.soundManager = soundManager;
             }
             
@@ -168,16 +168,20 @@ export function updateAudioVisualization(app) {
 
 // Create and export a convenient audio API for ball interactions
 
-// Singleton synthesizer instance
-let synthInstance = null;
+// One synthesizer per app, so each app's recorder hears its own sound
+const synthInstances = new WeakMap();
 
 /**
- * Get or create the global synthesizer instance
- * @returns {SoundSynthesizer} The global synthesizer instance
+ * Get or create the synthesizer of an app
+ * @param {Object} [app] - Owning app; defaults to window.app
+ * @returns {SoundSynthesizer} The app's synthesizer
  */
-export function getSynthesizer() {
+export function getSynthesizer(app = window.app) {
+    const key = app || window;
+    let synthInstance = synthInstances.get(key);
     if (!synthInstance) {
-        synthInstance = new SoundSynthesizer({ analyze: true });
+        synthInstance = new SoundSynthesizer({ analyze: true, app });
+        synthInstances.set(key, synthInstance);
         
         // Initialize the synthesizer (will not throw even if audio isn't ready)
         synthInstance.initialize().catch(error => {
@@ -381,7 +385,7 @@ export async function initAudio(app = window.app) {
         
         // Setup synthesizer
         if (!app.soundSynth) {
-            app.soundSynth = new SoundSynthesizer({ analyze: true });
+            app.soundSynth = new SoundSynthesizer({ analyze: true, app });
             await app.soundSynth.initialize();
         }
         
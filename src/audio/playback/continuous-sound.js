@@ -26,6 +26,10 @@
     // Animation frame ID for continuous updates
     let animationFrameId = null;
     
+    // Removers for the window listeners, and the controls added to the page
+    let mouseListenerRemovers = [];
+    const controlElements = [];
+    
     // Last known mouse position and facet
     let lastMouseX = 0;
     let lastMouseY = 0;
@@ -108,6 +112,14 @@
         }
     }
     
+    /**
+     * Add a window listener that cleanup() removes again
+     */
+    function listen(type, handler) {
+        window.addEventListener(type, handler);
+        mouseListenerRemovers.push(() => window.removeEventListener(type, handler));
+    }
+    
     /**
      * Set up monitoring of mouse movement for continuous sound
      */
@@ -120,7 +132,7 @@
         }
         
         // Set up mouse position tracking
-        window.addEventListener('mousemove', (event) => {
+        listen('mousemove', (event) => {
             // Calculate normalized mouse position (-1 to 1)
             lastMouseX = (event.clientX / window.innerWidth) * 2 - 1;
             lastMouseY = -((event.clientY / window.innerHeight) * 2 - 1);
@@ -165,7 +177,7 @@
         });
         
         // Handle mousedown for more expressive sound
-        window.addEventListener('mousedown', () => {
+        listen('mousedown', () => {
             if (state.isBallHovered && filterNode) {
                 // Increase filter resonance on mouse down for emphasis
                 filterNode.Q.value = 10;
@@ -174,7 +186,7 @@
         });
         
         // Handle mouseup to return to normal
-        window.addEventListener('mouseup', () => {
+        listen('mouseup', () => {
             if (filterNode) {
                 // Smoothly return filter to normal
                 filterNode.Q.linearRampToValueAtTime(1, audioContext.currentTime + 0.3);
@@ -492,6 +504,26 @@
             animationFrameId = null;
         }
         
+        // Stop listening to the mouse
+        mouseListenerRemovers.forEach(remove => remove());
+        mouseListenerRemovers = [];
+        
+        // Release the audio context itself
+        if (audioContext && audioContext.state !== 'closed') {
+            audioContext.close().catch(error => {
+                console.warn('Error closing continuous sound AudioContext:', error);
+            });
+        }
+        audioContext = null;
+        masterGain = null;
+        filterNode = null;
+        primaryOscillator = null;
+        secondaryOscillator = null;
+        primaryGain = null;
+        secondaryGain = null;
+        Object.keys(facetOscillators).forEach(facetIdx => delete facetOscillators[facetIdx]);
+        lastFacetIndex = -1;
+        
         // Reset state
         initialized = false;
         state.isActive = false;
@@ -499,6 +531,20 @@
         console.log("Continuous sound system cleaned up");
     }
     
+    /**
+     * Clean up and remove the sound controls when the app is destroyed
+     */
+    function teardown() {
+        cleanup();
+        
+        controlElements.forEach(element => {
+            if (element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+        controlElements.length = 0;
+    }
+    
     /**
      * Initialize the system when the page loads
      */
@@ -552,6 +598,12 @@
         });
         
         document.body.appendChild(initButton);
+        controlElements.push(initButton);
+        
+        // Tear down together with the ball app
+        if (typeof window.app.addDisposer === 'function') {
+            window.app.addDisposer(teardown);
+        }
         
         console.log("Continuous sound system ready. Click the button to activate.");
     }
@@ -601,6 +653,7 @@
         
         // Add to document
         document.body.appendChild(volumeControl);
+        controlElements.push(volumeControl);
         
         // Fade out volume control after 3 seconds
         setTimeout(() => {
@@ -629,6 +682,7 @@
     window.continuousAudioSystem = {
         initialize,
         cleanup,
+        teardown,
         setVolume: (volume) => {
             state.volume = volume;
             if (masterGain) masterGain.gain.value = volume;
@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { registerAudioOutput } from '../utils/output-taps.js';
 
 // Create a listener for positional audio
 let listener = null;
@@ -30,8 +31,8 @@ export const soundManager = {
     audioContext: null,
     masterGain: null,
 
-    // Get the audio context
-    getContext: function() {
+    // Get the audio context; an app passed in records this shared chain from then on
+    getContext: function(app) {
         if (!this.audioContext) {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             
@@ -42,12 +43,16 @@ export const soundManager = {
                 this.masterGain.connect(this.audioContext.destination);
             }
         }
+        registerAudioOutput(app, this.masterGain);
         return this.audioContext;
     },
 
-    // Initialize all sounds
-    init: function () {
-        if (this.initialized) return;
+    // Initialize all sounds; the manager is shared by the page, so every app that inits it records its output
+    init: function (app) {
+        if (this.initialized) {
+            this.getContext(app);
+            return;
+        }
         
         console.log("Initializing sound manager...");
         
@@ -56,7 +61,7 @@ export const soundManager = {
             if (!listener) getListener();
             
             // Get audio context
-            this.getContext();
+            this.getContext(app);
             
             // Resume audio context if suspended
             if (this.audioContext.state === 'suspended') {
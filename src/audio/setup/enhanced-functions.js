@@ -3,6 +3,19 @@
  * Improved sound playback functions for the Three.js Interactive Ball
  */
 
+import { BallEvents } from '../../core/event-bus.js';
+
+/**
+ * Report a played note on the app's event bus
+ * @param {Object} app - Application context
+ * @param {Object} note - audio:note payload
+ */
+function emitNote(app, note) {
+    if (app.events) {
+        app.events.emit(BallEvents.AUDIO_NOTE, note);
+    }
+}
+
 /**
  * Enhanced version of playFacetSound function
  * Provides more consistent sound experience
@@ -112,6 +125,8 @@ export function playFacetSound(app, facetIndex, position = null) {
         if (soundScheduler && typeof soundScheduler.recordSoundPlayed === 'function') {
             soundScheduler.recordSoundPlayed(facetIndex, 'facet');
         }
+
+        emitNote(app, { source: 'facet', facet: facetIndex, frequency, gain: 0.3, duration: 0.25 });
     } catch (error) {
         console.error('Error playing facet sound:', error);
         // Record failure if circuit breaker exists
@@ -226,6 +241,8 @@ export function playToneForPosition(app, x, y) {
         if (soundScheduler && typeof soundScheduler.recordSoundPlayed === 'function') {
             soundScheduler.recordSoundPlayed(undefined, 'positional');
         }
+
+        emitNote(app, { source: 'tone', frequency, gain: volume, duration: 0.15 });
     } catch (error) {
         console.error('Error playing tone for position:', error);
         
@@ -370,6 +387,8 @@ export function playClickSound(app) {
         if (soundScheduler && typeof soundScheduler.recordSoundPlayed === 'function') {
             soundScheduler.recordSoundPlayed(undefined, 'click');
         }
+
+        emitNote(app, { source: 'click', frequency: 80, gain: 0.5, duration: 0.1 });
     } catch (error) {
         console.error('Error playing click sound:', error);
         
@@ -464,6 +483,8 @@ export function playReleaseSound(app) {
         if (soundScheduler && typeof soundScheduler.recordSoundPlayed === 'function') {
             soundScheduler.recordSoundPlayed(undefined, 'release');
         }
+
+        emitNote(app, { source: 'release', frequency: 440, gain: 0.15, duration: 0.08 });
     } catch (error) {
         console.error('Error playing release sound:', error);
         
@@ -473,3 +494,126 @@ export function playReleaseSound(app) {
         }
     }
 }
+
+/**
+ * Play a thud for the ball landing on the floor or hitting the edge of the view
+ * Harder impacts are louder, lower and brighter.
+ * @param {Object} app - Application context
+ * @param {number} [intensity] - Impact strength, 0-1
+ */
+export function playCollisionSound(app, intensity = 1) {
+    if (!app.audioContext || !app.audioContext.state || app.audioContext.state !== 'running') {
+        return;
+    }
+
+    try {
+        // Get sound scheduler
+        const soundScheduler = app.soundScheduler ||
+            (window.audioSystem && window.audioSystem.soundScheduler);
+
+        if (!soundScheduler) {
+            console.warn('Sound scheduler not available');
+            return;
+        }
+
+        // Check if we should allow this sound
+        if (!soundScheduler.shouldAllowSound(undefined, 'collision')) {
+            return; // Skip due to throttling
+        }
+
+        // Get nodePool from app or global audio system
+        const nodePool = app.nodePool ||
+            (window.audioSystem && window.audioSystem.nodePool);
+
+        if (!nodePool) {
+            console.warn('Node pool not available');
+            return;
+        }
+
+        const level = Math.min(Math.max(intensity, 0), 1);
+        const duration = 0.08 + level * 0.22;
+        const peak = 0.15 + level * 0.45;
+        const frequency = 150 - level * 60;
+
+        // Body of the thud: a sine dropping in pitch, plus a burst of noise for the slap
+        const oscillatorNode = app.audioContext.createOscillator();
+        const noiseNode = app.audioContext.createBufferSource();
+        const filterNode = nodePool.acquire('biquadFilter');
+        const gainNode = nodePool.acquire('gain');
+
+        if (!filterNode || !gainNode) {
+            console.warn('Could not acquire audio nodes for collision sound');
+            return;
+        }
+
+        const noiseLength = Math.floor(app.audioContext.sampleRate * 0.05);
+        const noise = app.audioContext.createBuffer(1, noiseLength, app.audioContext.sampleRate);
+        const samples = noise.getChannelData(0);
+        for (let i = 0; i < noiseLength; i++) {
+            samples[i] = (Math.random() * 2 - 1) * (1 - i / noiseLength);
+        }
+        noiseNode.buffer = noise;
+
+        // Configure nodes
+        oscillatorNode.type = 'sine';
+        oscillatorNode.frequency.value = frequency;
+
+        filterNode.type = 'lowpass';
+        filterNode.frequency.value = 400 + level * 3000;
+        filterNode.Q.value = 1;
+
+        gainNode.gain.value = 0;
+
+        // Get master gain if available
+        const masterGain = app.masterGain ||
+            (window.audioSystem && window.audioSystem.masterGain) ||
+            app.audioContext.destination;
+
+        // Connect nodes
+        oscillatorNode.connect(filterNode);
+        noiseNode.connect(filterNode);
+        filterNode.connect(gainNode);
+        gainNode.connect(masterGain);
+
+        // Start sources
+        oscillatorNode.start();
+        noiseNode.start();
+
+        // Fast attack, decay that lengthens with the impact
+        const now = app.audioContext.currentTime;
+        gainNode.gain.linearRampToValueAtTime(peak, now + 0.003);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+        // Pitch drop for weight
+        oscillatorNode.frequency.exponentialRampToValueAtTime(frequency * 0.4, now + duration);
+
+        // Schedule cleanup
+        setTimeout(() => {
+            try {
+                oscillatorNode.stop();
+                oscillatorNode.disconnect();
+                noiseNode.disconnect();
+                filterNode.disconnect();
+                gainNode.disconnect();
+                nodePool.release(filterNode);
+                nodePool.release(gainNode);
+            } catch (e) {
+                console.warn('Error in audio cleanup:', e);
+            }
+        }, duration * 1000 + 50);
+
+        // Record successful sound trigger
+        if (soundScheduler && typeof soundScheduler.recordSoundPlayed === 'function') {
+            soundScheduler.recordSoundPlayed(undefined, 'collision');
+        }
+
+        emitNote(app, { source: 'collision', frequency, gain: peak, duration });
+    } catch (error) {
+        console.error('Error playing collision sound:', error);
+
+        // Record failure if circuit breaker exists
+        if (app.circuitBreaker && typeof app.circuitBreaker.recordFailure === 'function') {
+            app.circuitBreaker.recordFailure();
+        }
+    }
+}
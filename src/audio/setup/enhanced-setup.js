@@ -22,6 +22,7 @@ import {
 } from './enhanced-functions.js';
 import { AudioNodePool } from '../utils/node-pool.js';
 import { AudioCircuitBreaker } from '../utils/circuit-breaker.js';
+import { whenModuleReady } from '../../core/lifecycle.js';
 
 /**
  * Set up enhanced audio system
@@ -113,45 +114,41 @@ export function setupEnhancedAudio(app) {
 }
 
 /**
- * Set up enhanced audio on module load
+ * Set up enhanced audio once the app's audio module has started
  */
-try {
-    // Create event listener for automatic setup
-    document.addEventListener('DOMContentLoaded', function() {
-        // Wait for app to be available
-        const setupInterval = setInterval(() => {
-            if (window.app && window.app.audioContext) {
-                clearInterval(setupInterval);
-                
-                // Patch existing functions to use enhanced versions
-                const originalPlayFacetSound = window.app.playFacetSound || 
-                    (window.app.audio && window.app.audio.playFacetSound);
-                    
-                const originalPlayToneForPosition = window.app.playToneForPosition || 
-                    (window.app.audio && window.app.audio.playToneForPosition);
-                
-                // Only replace if not already using enhanced version
-                if (originalPlayFacetSound && originalPlayFacetSound !== playFacetSound) {
-                    console.log("Patching existing audio functions with enhanced versions");
-                    
-                    // Replace with enhanced versions if not already enhanced
-                    window.app.playFacetSound = playFacetSound;
-                    window.app.playToneForPosition = playToneForPosition;
-                    
-                    // Set up enhanced audio system
-                    setupEnhancedAudio(window.app);
-                    
-                    console.log("Audio system enhanced automatically");
-                }
-            }
-        }, 500);
+whenModuleReady('audio').then(() => {
+    try {
+        if (!window.app.audioContext) {
+            console.warn("Audio module is ready but has no AudioContext, skipping enhanced audio");
+            return;
+        }
+
+        // Patch existing functions to use enhanced versions
+        const originalPlayFacetSound = window.app.playFacetSound || 
+            (window.app.audio && window.app.audio.playFacetSound);
+            
+        const originalPlayToneForPosition = window.app.playToneForPosition || 
+            (window.app.audio && window.app.audio.playToneForPosition);
         
-        // Stop checking after 10 seconds to avoid memory leaks
-        setTimeout(() => clearInterval(setupInterval), 10000);
-    });
-} catch (error) {
-    console.error("Error in enhanced audio setup:", error);
-}
+        // Only replace if not already using enhanced version
+        if (originalPlayFacetSound && originalPlayFacetSound !== playFacetSound) {
+            console.log("Patching existing audio functions with enhanced versions");
+            
+            // Replace with enhanced versions if not already enhanced
+            window.app.playFacetSound = playFacetSound;
+            window.app.playToneForPosition = playToneForPosition;
+            
+            // Set up enhanced audio system
+            setupEnhancedAudio(window.app);
+            
+            console.log("Audio system enhanced automatically");
+        }
+    } catch (error) {
+        console.error("Error in enhanced audio setup:", error);
+    }
+}, (error) => {
+    console.warn("Enhanced audio not set up, audio module failed:", error.message);
+});
 
 /**
  * Toggle between standard and continuous audio modes
@@ -4,6 +4,7 @@
  * Uses pooled audio nodes and manages sound lifecycles
  */
 
+import { registerAudioOutput } from '../utils/output-taps.js';
 
 
 // Utility functions to interact with soundManager
@@ -75,6 +76,8 @@ export class SoundSynthesizer {
     /**
      * Create a new SoundSynthesizer
      * @param {Object} options - Configuration options
+     * @param {boolean} [options.analyze] - Feed an analyser from the master gain
+     * @param {Object} [options.app] - App that owns the synthesizer; defaults to window.app
      */
     constructor(options = {}) {
         this.options = {
@@ -96,7 +99,8 @@ export class SoundSynthesizer {
     async initialize() {
         try {
             // Check if we already have an audio context from the app
-            const app = window.app || {};
+            const owner = this.options.app || window.app;
+            const app = owner || {};
             if (app.audioContext) {
                 // Use existing audio context
                 this.audioContext = app.audioContext;
@@ -106,8 +110,8 @@ export class SoundSynthesizer {
                 this.audioContext = new AudioContext();
                 
                 // Store for later use
-                if (window.app) {
-                    window.app.audioContext = this.audioContext;
+                if (owner) {
+                    owner.audioContext = this.audioContext;
                 }
             }
             
@@ -117,8 +121,13 @@ export class SoundSynthesizer {
             this.masterGain.connect(this.audioContext.destination);
             
             // If used in app, store reference
-            if (window.app) {
-                window.app.masterGain = window.app.masterGain || this.masterGain;
+            if (owner) {
+                owner.masterGain = owner.masterGain || this.masterGain;
+
+                // A second master gain still reaches the speakers; make sure the owner's recorder hears it
+                if (owner.masterGain !== this.masterGain) {
+                    registerAudioOutput(owner, this.masterGain);
+                }
             }
             
             // Set up analyzer if requested
@@ -471,16 +480,20 @@ export class SoundSynthesizer {
     }
 }
 
-// Single instance for the module
-let synthesizer = null;
+// One synthesizer per app, so each app's recorder hears its own sound
+const synthesizers = new WeakMap();
 
 /**
- * Get the synthesizer instance
+ * Get the synthesizer of an app, creating it on first use
+ * @param {Object} [app] - Owning app; defaults to window.app
  * @returns {SoundSynthesizer} The synthesizer object
  */
-export function getSynthesizer() {
+export function getSynthesizer(app = window.app) {
+    const key = app || window;
+    let synthesizer = synthesizers.get(key);
     if (!synthesizer) {
-        synthesizer = new SoundSynthesizer({ analyze: true });
+        synthesizer = new SoundSynthesizer({ analyze: true, app });
+        synthesizers.set(key, synthesizer);
         synthesizer.initialize().catch(err => {
             console.error("Error initializing synthesizer:", err);
         });
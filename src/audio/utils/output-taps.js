@@ -0,0 +1,77 @@
+/**
+ * output-taps.js
+ * Keeps track of every node that feeds the speakers without going through
+ * app.masterGain, so a recorder can hear all of the app's sound
+ */
+
+// app -> { nodes: Set<AudioNode>, listeners: Set<Function> }
+const registries = new WeakMap();
+
+function getRegistry(app) {
+    let registry = registries.get(app);
+    if (!registry) {
+        registry = { nodes: new Set(), listeners: new Set() };
+        registries.set(app, registry);
+    }
+    return registry;
+}
+
+/**
+ * Declare a node whose output goes straight to an AudioContext's destination
+ * Synthesis paths with their own master gain (or their own AudioContext) call this.
+ * @param {Object} app - Application context
+ * @param {AudioNode} node - Last node before the destination
+ */
+export function registerAudioOutput(app, node) {
+    if (!app || !node) return;
+
+    const registry = getRegistry(app);
+    if (registry.nodes.has(node)) return;
+
+    registry.nodes.add(node);
+    registry.listeners.forEach(listener => {
+        try {
+            listener(node);
+        } catch (error) {
+            console.error('Error in audio output listener:', error);
+        }
+    });
+}
+
+/**
+ * Forget a node registered with registerAudioOutput
+ * @param {Object} app - Application context
+ * @param {AudioNode} node
+ */
+export function unregisterAudioOutput(app, node) {
+    if (app && registries.has(app)) {
+        registries.get(app).nodes.delete(node);
+    }
+}
+
+/**
+ * Every node the app's sound leaves through: app.masterGain first, then registered ones
+ * @param {Object} app - Application context
+ * @returns {AudioNode[]}
+ */
+export function getAudioOutputs(app) {
+    const outputs = app && app.masterGain ? [app.masterGain] : [];
+    if (app && registries.has(app)) {
+        registries.get(app).nodes.forEach(node => {
+            if (!outputs.includes(node)) outputs.push(node);
+        });
+    }
+    return outputs;
+}
+
+/**
+ * Be told about outputs registered from now on (synthesizers are created lazily)
+ * @param {Object} app - Application context
+ * @param {Function} listener - Called with each new node
+ * @returns {Function} Unsubscribe function
+ */
+export function onAudioOutput(app, listener) {
+    const registry = getRegistry(app);
+    registry.listeners.add(listener);
+    return () => registry.listeners.delete(listener);
+}
@@ -1,33 +1,43 @@
 // visualization-default-off.js
 // Makes sure the audio visualizations are OFF by default and only enabled when toggled
 
+// Switch off the visualizers the audio module created
+function disableAudioVisualizations(app) {
+  if (app && app.visualization) {
+    app.visualization.active = false;
+  }
+
+  // And for the enhanced visualization too
+  if (app && app.enhancedVisualization) {
+    app.enhancedVisualization.active = false;
+  }
+
+  console.log('Audio visualization set to disabled by default');
+}
+
 document.addEventListener('DOMContentLoaded', function() {
-  // Wait a short moment to ensure everything is loaded
-  setTimeout(() => {
-    // Make sure visualization container is hidden by default
-    const visualizationContainer = document.getElementById('visualization-container');
-    if (visualizationContainer) {
-      visualizationContainer.style.display = 'none';
-      console.log('Visualization container hidden by default');
-    }
-    
-    // Make sure checkbox is unchecked by default
-    const toggleVisualizationInput = document.getElementById('toggle-visualization');
-    if (toggleVisualizationInput) {
-      toggleVisualizationInput.checked = false;
-      console.log('Visualization toggle unchecked by default');
-    }
-    
-    // Also ensure the app.visualization active property is set to false
-    if (window.app && window.app.visualization) {
-      window.app.visualization.active = false;
-    }
-    
-    // And for the enhanced visualization too
-    if (window.app && window.app.enhancedVisualization) {
-      window.app.enhancedVisualization.active = false;
-    }
-    
-    console.log('Audio visualization set to disabled by default');
-  }, 200);
-});
\ No newline at end of file
+  // The DOM is parsed, so the controls can be reset right away
+  const visualizationContainer = document.getElementById('visualization-container');
+  if (visualizationContainer) {
+    visualizationContainer.style.display = 'none';
+    console.log('Visualization container hidden by default');
+  }
+
+  // Make sure checkbox is unchecked by default
+  const toggleVisualizationInput = document.getElementById('toggle-visualization');
+  if (toggleVisualizationInput) {
+    toggleVisualizationInput.checked = false;
+    console.log('Visualization toggle unchecked by default');
+  }
+});
+
+// The visualization objects only exist once the audio module has started
+if (window.app && window.app.lifecycle && window.app.lifecycle.isReady('audio')) {
+  disableAudioVisualizations(window.app);
+} else {
+  window.addEventListener('ball:module-ready', function onAudioReady(event) {
+    if (event.detail.name !== 'audio' || event.detail.app !== window.app) return;
+    window.removeEventListener('ball:module-ready', onAudioReady);
+    disableAudioVisualizations(window.app);
+  });
+}
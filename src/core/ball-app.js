@@ -0,0 +1,1361 @@
+// ball-app.js - Per-instance scene, ball, interaction and animation loop
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { updateEffects, getEffectState } from '../effects/effectManager.js';
+import { SoundScheduler } from '../audio/playback/enhanced-scheduler.js';
+import { AudioNodePool } from '../audio/utils/node-pool.js';
+import { AudioCircuitBreaker } from '../audio/utils/circuit-breaker.js';
+import {
+    playFacetSound,
+    playToneForPosition,
+    playClickSound,
+    playReleaseSound
+} from '../audio/setup/enhanced-functions.js';
+import { addDisposer, addTrackedListener, destroyApp } from './teardown.js';
+import { LifecycleManager } from './lifecycle.js';
+import { EventBus, BallEvents } from './event-bus.js';
+import { updatePointerVelocity, updateHoveredFacet, getHitUV } from '../input/pointer-tracking.js';
+import { exportState, importState } from './state.js';
+import { PresetManager } from './presets.js';
+import { createBallGeometry, setBallShape } from './ball-shapes.js';
+import { FramePhase, getFrameScheduler, getFrameTime, getFrameDelta, frameDamping } from './frame-scheduler.js';
+import { RenderQualityGovernor } from './render-quality.js';
+import { PostProcessingStack } from './post-processing.js';
+import { CanvasRenderer } from './canvas-renderer.js';
+import { ContextLossGuard } from './context-loss.js';
+import { EnvironmentManager } from './environments.js';
+import { LightingRig, DEFAULT_LIGHTING_RIG } from './lights.js';
+import { GroundManager } from './ground.js';
+import { CameraDirector } from './camera-director.js';
+import { InteriorMode, isCameraInside } from './interior.js';
+import { BallPhysics } from './physics.js';
+import { SoftBody } from './soft-body.js';
+import { Deformer, pressDent, releaseDent } from './deformer.js';
+import { SculptMode } from './sculpt.js';
+import { getRecorder } from './recorder.js';
+import { captureStill, exportStill } from './still-export.js';
+
+// Initial gradient colors
+const DEFAULT_GRADIENT = ['#FF00FF', '#8800FF', '#00FFFF'];
+
+/**
+ * Build the context object that every per-instance function works on
+ * @param {HTMLElement} container - Element hosting the canvas
+ * @param {Object} options - Instance options (see createBallApp)
+ * @returns {Object} Fresh app context
+ */
+export function createAppContext(container, options = {}) {
+    const app = {
+        container,
+        options,
+        eventTarget: options.eventTarget || container,
+        debug: !!options.debug,
+        meta: {},
+        gradientColors: (options.colors || DEFAULT_GRADIENT).slice(0, 3),
+        blackholeActivated: false,
+        disposers: [],
+        destroyed: false,
+        events: new EventBus()
+    };
+
+    // Each instance owns its own effect state
+    app.effectState = getEffectState(app);
+
+    // ...and its own frame loop and clock (app.clock: pause, time scale, stepping)
+    getFrameScheduler(app);
+
+    return app;
+}
+
+// Get the drawing size for an app, falling back to the window
+function getViewportSize(app) {
+    const container = app.container;
+    if (container && container !== document.body && container.clientWidth > 0 && container.clientHeight > 0) {
+        return { width: container.clientWidth, height: container.clientHeight };
+    }
+    return { width: window.innerWidth, height: window.innerHeight };
+}
+
+// Lighter version of the app's gradient for hover/press highlights
+function lightenGradient(app, amount) {
+    const white = new THREE.Color(0xFFFFFF);
+    return (app.gradientColors || DEFAULT_GRADIENT).map(color =>
+        '#' + new THREE.Color(color).lerp(white, amount).getHexString()
+    );
+}
+
+// Convert a pointer event to normalized device coordinates relative to the canvas
+function setPointerFromEvent(app, event) {
+    const rect = app.renderer?.domElement?.getBoundingClientRect?.();
+    if (rect && rect.width > 0 && rect.height > 0) {
+        app.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        app.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    } else {
+        app.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        app.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    }
+}
+
+// options.quality is 'auto', a fixed tier name, or governor options
+function getQualityOptions(quality) {
+    if (typeof quality === 'string') {
+        return quality === 'auto' ? {} : { tier: quality, auto: false };
+    }
+    return quality || {};
+}
+
+/**
+ * Declare the core subsystems of an app on a lifecycle manager
+ * renderer -> scene -> ball -> controls/loop/audio, loop -> quality/contextLoss/physics/softBody/deformer/cameraDirector -> interior, renderer/scene -> postProcessing
+ * @param {LifecycleManager} lifecycle - Manager for the app
+ */
+export function registerCoreModules(lifecycle) {
+    lifecycle.register('renderer', {
+        start: (app) => initRenderer(app)
+    });
+
+    lifecycle.register('scene', {
+        start: (app) => {
+            initScene(app);
+            initCamera(app);
+            initLighting(app);
+            if (!app.scene || !app.camera) {
+                throw new Error('scene or camera could not be created');
+            }
+
+            // Backgrounds and reflections; presets and options.environment pick one
+            app.environment = new EnvironmentManager(app);
+            app.environment.start();
+            if (app.options?.environment) {
+                app.environment.set(app.options.environment);
+            }
+
+            // Floor, shadows and mirror; hidden unless a preset or options.ground shows it
+            app.ground = new GroundManager(app);
+            app.ground.start();
+            if (app.options?.ground) {
+                app.ground.configure(app.options.ground);
+            }
+        }
+    });
+
+    lifecycle.register('ball', {
+        deps: ['scene'],
+        start: (app) => {
+            createFancyBall(app);
+            if (!app.ballGroup) {
+                throw new Error('ball mesh could not be created');
+            }
+
+            app.presets = new PresetManager(app);
+            if (app.options?.preset) {
+                app.presets.apply(app.options.preset, { duration: 0 });
+            }
+        }
+    });
+
+    lifecycle.register('controls', {
+        deps: ['renderer', 'scene'],
+        start: (app) => {
+            initControls(app);
+            if (!app.controls) {
+                throw new Error('OrbitControls could not be created');
+            }
+        }
+    });
+
+    lifecycle.register('loop', {
+        deps: ['renderer', 'ball'],
+        start: (app) => animate(app)
+    });
+
+    lifecycle.register('quality', {
+        deps: ['loop'],
+        start: (app) => {
+            app.quality = new RenderQualityGovernor(app, getQualityOptions(app.options?.quality));
+            app.quality.start();
+        }
+    });
+
+    lifecycle.register('postProcessing', {
+        deps: ['renderer', 'scene'],
+        start: (app) => {
+            // Passes are WebGL shaders; the canvas renderer draws without them
+            if (app.options?.postProcessing === false || app.renderer.isCanvasRenderer) return;
+
+            // The render hook draws through this; passes are only built once one is enabled
+            const stack = new PostProcessingStack(app, app.options?.postProcessing);
+            app.postProcessing = stack;
+            addDisposer(app, () => stack.dispose());
+        }
+    });
+
+    lifecycle.register('contextLoss', {
+        deps: ['renderer', 'loop'],
+        start: (app) => {
+            // Only WebGL contexts get lost
+            if (app.renderer.isCanvasRenderer) return;
+
+            app.contextLoss = new ContextLossGuard(app);
+            app.contextLoss.start();
+        }
+    });
+
+    lifecycle.register('cameraDirector', {
+        deps: ['loop'],
+        start: (app) => {
+            // After the loop so its input hook runs after OrbitControls have updated
+            app.cameraDirector = new CameraDirector(app);
+            app.cameraDirector.start();
+        }
+    });
+
+    lifecycle.register('interior', {
+        deps: ['loop', 'cameraDirector'],
+        start: (app) => {
+            // Its input hook looks around after the controls and the director have moved the camera
+            app.interior = new InteriorMode(app);
+            app.interior.start();
+            if (app.options?.interior) {
+                app.interior.configure(app.options.interior);
+            }
+        }
+    });
+
+    lifecycle.register('physics', {
+        deps: ['loop'],
+        start: (app) => {
+            // After the loop, so its simulation hook runs after the idle motion has stood aside
+            app.physics = new BallPhysics(app);
+            app.physics.start();
+            if (app.options?.physics) {
+                app.physics.configure(app.options.physics);
+            }
+        }
+    });
+
+    lifecycle.register('softBody', {
+        deps: ['loop', 'physics'],
+        start: (app) => {
+            // After physics, so its simulation hook sees where the ball was thrown this frame
+            app.softBody = new SoftBody(app);
+            app.softBody.start();
+            if (app.options?.softBody) {
+                app.softBody.configure(app.options.softBody);
+            }
+        }
+    });
+
+    lifecycle.register('deformer', {
+        deps: ['loop', 'softBody'],
+        start: (app) => {
+            // Its effects hook displaces whatever shape the soft body left this frame
+            app.deformer = new Deformer(app);
+            app.deformer.start();
+            if (app.options?.deformer) {
+                app.deformer.configure(app.options.deformer);
+            }
+        }
+    });
+
+    lifecycle.register('sculpt', {
+        deps: ['loop'],
+        start: (app) => {
+            // Strokes write the rest shape the soft body and the deformer pick up later in the frame
+            app.sculpt = new SculptMode(app);
+            app.sculpt.start();
+            if (app.options?.sculpt) {
+                app.sculpt.configure(app.options.sculpt);
+            }
+        }
+    });
+
+    lifecycle.register('audio', {
+        deps: ['ball'],
+        start: async (app) => {
+            await initializeAudio(app);
+            if (app.options?.audio !== false && !app.audioContext) {
+                throw new Error('no AudioContext could be created');
+            }
+        }
+    });
+}
+
+/**
+ * Boot an app: renderer, scene, camera, lights, ball, controls, loop and audio
+ * Subsystems start in dependency order; see app.lifecycle for ready/failed events.
+ * @param {Object} app - Application context
+ * @param {Function} [registerExtra] - Called with the lifecycle to add more modules before boot
+ * @returns {Promise<Object>} Boot report
+ */
+export function init(app, registerExtra) {
+    console.log('Initializing application...');
+
+    const lifecycle = new LifecycleManager(app);
+    app.lifecycle = lifecycle;
+    app.getBootReport = () => lifecycle.getReport();
+
+    registerCoreModules(lifecycle);
+    if (typeof registerExtra === 'function') {
+        registerExtra(lifecycle);
+    }
+
+    app.ready = lifecycle.start().then(report => {
+        console.log('Core application initialized');
+
+        // Mark initial load as complete
+        app.initialLoadComplete = true;
+        return report;
+    });
+
+    return app.ready;
+}
+
+// WebGL, or the 2D canvas renderer when options.renderer is 'canvas' or ('auto', the default) WebGL fails
+function createAppRenderer(app) {
+    const preference = app.options?.renderer ?? 'auto';
+
+    if (preference !== 'canvas') {
+        try {
+            // alpha lets still exports (still-export.js) clear to transparent; the clear color stays opaque on screen
+            const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+            app.rendererType = 'webgl';
+            return renderer;
+        } catch (error) {
+            if (preference === 'webgl') throw error;
+            console.warn('WebGL is unavailable, falling back to the 2D canvas renderer:', error.message);
+        }
+    }
+
+    app.rendererType = 'canvas';
+    return new CanvasRenderer({ alpha: true });
+}
+
+// Initialize renderer
+function initRenderer(app) {
+    try {
+        console.log('Initializing renderer...');
+        const { width, height } = getViewportSize(app);
+        app.renderer = createAppRenderer(app);
+        app.renderer.setSize(width, height);
+        app.renderer.setPixelRatio(window.devicePixelRatio);
+        app.renderer.setClearColor(app.options?.backgroundColor ?? 0x000000);
+
+        // Append to container
+        const container = app.container;
+        if (container) {
+            container.appendChild(app.renderer.domElement);
+            console.log('Renderer attached to container');
+        } else {
+            console.error('Container element not found, attaching to body');
+            document.body.appendChild(app.renderer.domElement);
+        }
+    } catch (error) {
+        console.error('Error initializing renderer:', error);
+        showError('Failed to initialize renderer');
+
+        // Let the lifecycle record why the renderer failed
+        throw error;
+    }
+};
+
+// Initialize scene
+function initScene(app) {
+    try {
+        console.log('Initializing scene...');
+        app.scene = new THREE.Scene();
+
+        // Add a debug grid to help with orientation
+        if (app.debug) {
+            const gridHelper = new THREE.GridHelper(10, 10);
+            gridHelper.visible = app.showGrid || false; // Only show if explicitly enabled
+            gridHelper.userData.debugHelper = true;
+            app.scene.add(gridHelper);
+            app.gridHelper = gridHelper;
+            console.log('Debug grid added to scene (visibility: ' + gridHelper.visible + ')');
+        }
+    } catch (error) {
+        console.error('Error initializing scene:', error);
+    }
+};
+
+// Initialize camera
+function initCamera(app) {
+    try {
+        console.log('Initializing camera...');
+        const { width, height } = getViewportSize(app);
+        app.camera = new THREE.PerspectiveCamera(
+            75,                                         // Field of view
+            width / height,                             // Aspect ratio
+            0.1,                                        // Near plane
+            1000                                        // Far plane
+        );
+        app.camera.position.z = app.options?.cameraDistance ?? 2; // Position camera 2 units away from origin
+    } catch (error) {
+        console.error('Error initializing camera:', error);
+    }
+};
+
+// Initialize lighting
+function initLighting(app) {
+    try {
+        console.log('Initializing lighting...');
+
+        // The rig publishes app.lights (presets fade these) and app.pointLight; see lights.js
+        app.lighting = new LightingRig(app);
+        app.lighting.start();
+        if (!app.lighting.set(app.options?.lighting || DEFAULT_LIGHTING_RIG, app.options?.lightingParams)) {
+            app.lighting.set(DEFAULT_LIGHTING_RIG);
+        }
+    } catch (error) {
+        console.error('Error initializing lighting:', error);
+    }
+};
+
+// Create the fancy interactive ball
+function createFancyBall(app) {
+    try {
+        console.log('Creating fancy interactive ball...');
+
+        // Icosahedron with subdivision level 4 for smooth deformation, unless another shape was asked for
+        const built = createBallGeometry(app.options?.shape, app.options?.detail);
+        const geo = built.geometry;
+        app.ballShape = { shape: built.shape, detail: built.detail };
+        app.renderedDetail = built.detail;
+
+        // Store original vertices for resetting the shape
+        const originalPositions = geo.attributes.position.array.slice();
+
+        // Create a gradient texture for the faces
+        const createGradientTexture = (colorStart, colorMid, colorEnd) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 512;
+            canvas.height = 512;
+
+            const context = canvas.getContext('2d');
+
+            // Create gradient
+            const gradient = context.createRadialGradient(
+                canvas.width / 2, canvas.height / 2, 0,
+                canvas.width / 2, canvas.height / 2, canvas.width / 2
+            );
+
+            // Add gradient colors
+            gradient.addColorStop(0, colorStart);
+            gradient.addColorStop(0.5, colorMid);
+            gradient.addColorStop(1, colorEnd);
+
+            // Fill with gradient
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.needsUpdate = true;
+
+            return texture;
+        };
+
+        // Initial gradient colors (neon pink, purple, cyan unless configured)
+        const [colorStart, colorMid, colorEnd] = app.gradientColors || DEFAULT_GRADIENT;
+
+        let gradientTexture = createGradientTexture(colorStart, colorMid, colorEnd);
+        // Colors on screen right now (hover and press lighten them); context-loss.js redraws from these
+        app.currentGradient = [colorStart, colorMid, colorEnd];
+
+        // Create a material for the main mesh with physically based rendering
+        const mat = new THREE.MeshPhysicalMaterial({
+            color: 0xFFFFFF,
+            map: gradientTexture,
+            transparent: true,
+            opacity: 0.8,
+            metalness: 0.2,
+            roughness: 0.3,
+            clearcoat: 0.5,
+            clearcoatRoughness: 0.3,
+            side: THREE.DoubleSide
+        });
+
+        // Create a second material specifically for wireframe effect
+        const wireMat = new THREE.MeshBasicMaterial({
+            color: app.options?.wireframeColor ?? 0x00FFFF,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide
+        });
+
+        // Resting wireframe color, restored after hover highlights
+        app.wireframeColor = wireMat.color.clone();
+
+        // Create a wireframe geometry based on the edges of the icosahedron
+        const wireGeo = new THREE.EdgesGeometry(geo);
+        // Create a line segments mesh using the wireframe geometry and material
+        const wireMesh = new THREE.LineSegments(wireGeo, wireMat);
+
+        // Create the main mesh using the icosahedron geometry and material
+        const mesh = new THREE.Mesh(geo, mat);
+
+        // Group both meshes for easier interaction
+        const ballGroup = new THREE.Group();
+        ballGroup.add(mesh);
+        ballGroup.add(wireMesh);
+        app.scene.add(ballGroup);
+
+        // Store references for later use
+        app.ballGroup = ballGroup;
+        app.ballMesh = mesh;
+        app.wireMesh = wireMesh;
+
+        // Store wireMesh in userData for consistent access via uiBridge
+        app.ballGroup.userData.wireMesh = wireMesh;
+        // Store materials in userData for rainbow effect
+        app.ballGroup.userData.mat = mat;
+        app.ballGroup.userData.wireMat = wireMat;
+
+        // Effect manager helpers look for these in userData
+        app.ballGroup.userData.mesh = mesh;
+        app.ballGroup.userData.geo = geo;
+        app.ballGroup.userData.wireGeo = wireGeo;
+        app.ballGroup.userData.originalPositions = originalPositions;
+
+        app.ballGeometry = geo;
+        app.originalPositions = originalPositions;
+        app.updateGradientTexture = function (newColorStart, newColorMid, newColorEnd) {
+            // Create a new texture with updated colors, freeing the one it replaces
+            const previousTexture = gradientTexture;
+            gradientTexture = createGradientTexture(newColorStart, newColorMid, newColorEnd);
+            app.currentGradient = [newColorStart, newColorMid, newColorEnd];
+            previousTexture.dispose();
+
+            // Apply it to the material
+            mat.map = gradientTexture;
+            mat.needsUpdate = true;
+        };
+
+        // Create a sphere to visualize the touch point
+        const touchSphere = new THREE.Mesh(
+            new THREE.SphereGeometry(0.05, 16, 16),
+            new THREE.MeshBasicMaterial({ color: 0xFFFFFF, transparent: true, opacity: 0.5 })
+        );
+        touchSphere.visible = false;
+        app.scene.add(touchSphere);
+        app.touchSphere = touchSphere;
+
+        // Set up interaction variables
+        app.mouse = new THREE.Vector2();
+        app.mouseWorld = new THREE.Vector3();
+        app.raycaster = new THREE.Raycaster();
+        app.isDragging = false;
+        app.previousMousePosition = { x: 0, y: 0 };
+        app.isHovered = false;
+        app.touchPoint = null;
+        app.targetScale = 1.0;
+        app.currentScale = 1.0;
+
+        // Mark ball as created
+        app.ballCreated = true;
+
+        // Initialize audio connection with the ball
+        initializeAudioForBall(app);
+
+        // Set up interaction listeners
+        setupInteraction(app);
+
+        console.log('Ball created successfully');
+    } catch (error) {
+        console.error('Error creating ball:', error);
+        showError('Failed to create ball');
+    }
+};
+
+// Initialize audio connection with the ball
+function initializeAudioForBall(app) {
+    // Wait a moment to ensure ball is fully created
+    const timer = setTimeout(() => {
+        if (app.destroyed) return;
+
+        try {
+            // Global audio helpers only know about window.app
+            if (app.isGlobalInstance) {
+                if (window.audioSystem && typeof window.audioSystem.setupEnhancedAudio === 'function') {
+                    console.log('Setting up enhanced audio for ball...');
+                    window.audioSystem.setupEnhancedAudio(app);
+                }
+
+                // Connect to ball using the ball-audio-connector
+                if (typeof window.autoConnectBallAudio === 'function') {
+                    console.log('Auto-connecting ball audio...');
+                    window.autoConnectBallAudio();
+                } else if (app.ballGroup && typeof window.connectAudioToExistingBall === 'function') {
+                    console.log('Manually connecting ball audio...');
+                    window.connectAudioToExistingBall(app.ballGroup);
+                }
+            }
+
+            // Initialize positional audio listener
+            if (app.camera && !app.camera.children.find(child => child instanceof THREE.AudioListener)) {
+                console.log('Adding audio listener to camera...');
+                const listener = new THREE.AudioListener();
+                app.camera.add(listener);
+                app.audioListener = listener;
+            }
+
+            console.log('Audio initialization for ball complete');
+        } catch (error) {
+            console.error('Error initializing audio for ball:', error);
+        }
+    }, 500);
+    addDisposer(app, () => clearTimeout(timer));
+};
+
+// Enhanced setupInteraction function with improved audio integration
+function setupInteraction(app) {
+    // Function to handle mouse/touch movement for interaction
+    function onPointerMove(event) {
+        updatePointerVelocity(app, event);
+
+        // CRITICAL: Only block hover during blackhole cleanup phase, not during active blackhole
+        if (app.blackholeActivated === true &&
+            app.effectState &&
+            app.effectState.isBlackholeActive === true) {
+            // During active blackhole, allow normal pointer tracking for blackhole deformation
+            // but skip hover-specific effects like wireframe color changes
+            setPointerFromEvent(app, event);
+            app.raycaster.setFromCamera(app.mouse, app.camera);
+
+            // Skip hover effects but allow blackhole to work
+            return;
+        }
+
+        // Block hover effects briefly after cleanup (much shorter period)
+        if (Date.now() - (app._lastBlackholeCleanup || 0) < 50) {
+            return; // Very brief 50ms protection instead of 100ms
+        }
+
+        // Calculate mouse position in normalized device coordinates
+        // (-1 to +1) for both components
+        setPointerFromEvent(app, event);
+
+        // Update the raycaster with the new mouse position
+        app.raycaster.setFromCamera(app.mouse, app.camera);
+
+        // The point light follows the cursor through its rig behaviour (lights.js)
+
+        // Calculate objects intersecting the ray
+        const intersects = app.raycaster.intersectObject(app.ballMesh);
+
+        // Change appearance when hovered or touched
+        if (intersects.length > 0) {
+            if (!app.isHovered) {
+                document.body.style.cursor = 'pointer';
+
+                // Change wireframe color smoothly
+                gsapFade(app.wireMesh.material.color, { r: 1, g: 0, b: 1 }, 0.3);
+
+                // Smoothly change gradient colors
+                app.updateGradientTexture(...lightenGradient(app, 0.35));
+
+                app.isHovered = true;
+
+                // Play hover sound if available
+                if (app.audioContext && typeof app.soundSynth?.playTone === 'function') {
+                    app.soundSynth.playTone(330, 0.05, 0.1);
+                }
+            }
+
+            // Store the intersection point for deformation
+            app.touchPoint = intersects[0].point.clone();
+            app.touchSphere.position.copy(app.touchPoint);
+            app.touchSphere.visible = true;
+
+            // Apply deformation when hovering
+            applyDeformation(app.touchPoint, 0.2, 0.3);
+
+            // Emit facet:leave / facet:enter when the pointer crosses a facet edge
+            updateHoveredFacet(app, intersects[0]);
+        } else {
+            if (app.isHovered) {
+                document.body.style.cursor = 'default';
+
+                // Reset wireframe color smoothly
+                gsapFade(app.wireMesh.material.color, app.wireframeColor, 0.3);
+
+                // Reset gradient colors
+                app.updateGradientTexture(...app.gradientColors);
+
+                app.isHovered = false;
+            }
+
+            app.touchPoint = null;
+            app.touchSphere.visible = false;
+
+            updateHoveredFacet(app, null);
+
+            // Gradually restore the original shape
+            resetDeformation(0.1);
+        }
+
+        // Handle dragging; inside the ball a drag turns the view instead (interior.js),
+        // a ball grabbed in physics mode is carried rather than rotated (physics.js)
+        // and a sculpt stroke holds the ball still under the brush (sculpt.js)
+        if (app.isDragging && !isCameraInside(app) && !(app.physics && app.physics.grabbed) &&
+            !(app.sculpt && app.sculpt.stroking)) {
+            const deltaMove = {
+                x: event.clientX - app.previousMousePosition.x,
+                y: event.clientY - app.previousMousePosition.y
+            };
+
+            // Rotate the ball based on mouse movement
+            app.ballGroup.rotation.y += deltaMove.x * 0.01;
+            app.ballGroup.rotation.x += deltaMove.y * 0.01;
+
+            app.previousMousePosition = {
+                x: event.clientX,
+                y: event.clientY
+            };
+
+            app.events.emit(BallEvents.BALL_DRAG, {
+                deltaX: deltaMove.x,
+                deltaY: deltaMove.y,
+                velocity: app.pointerVelocity,
+                rotation: app.ballGroup.rotation.clone()
+            });
+        }
+
+        // Add audio feedback for hovering/moving over facets
+        if (intersects.length > 0 && app.audioContext && app.isHovered) {
+            // Get the facet index
+            const facetIndex = intersects[0].faceIndex || 0;
+
+            // Try different methods to play facet sound
+            if (typeof app.playFacetSound === 'function') {
+                app.playFacetSound(app, facetIndex, app.touchPoint);
+            } else if (window.audioSystem && typeof window.audioSystem.playFacetSound === 'function') {
+                window.audioSystem.playFacetSound(app, facetIndex, app.touchPoint);
+            }
+        }
+    }
+
+    function onPointerDown(event) {
+        app.isDragging = true;
+        updatePointerVelocity(app, event);
+
+        app.previousMousePosition = {
+            x: event.clientX,
+            y: event.clientY
+        };
+
+        // Check if we're clicking on the ball
+        app.raycaster.setFromCamera(app.mouse, app.camera);
+        const intersects = app.raycaster.intersectObject(app.ballMesh);
+
+        if (intersects.length > 0) {
+            // Set target scale for smooth animation; in sculpt mode the ball keeps its size under the brush
+            app.targetScale = app.sculpt && app.sculpt.active ? 1.0 : 1.1;
+
+            // Change color more dramatically on click
+            app.updateGradientTexture(...lightenGradient(app, 0.6));
+
+            app.pressStartTime = performance.now();
+            app.events.emit(BallEvents.BALL_PRESS, {
+                facet: intersects[0].faceIndex,
+                uv: getHitUV(intersects[0]),
+                point: intersects[0].point.clone(),
+                velocity: app.pointerVelocity
+            });
+
+            // Play click sound directly if available
+            if (app.audioContext) {
+                // Try global function first
+                if (typeof window.playClickSound === 'function') {
+                    window.playClickSound(app);
+                }
+                // Then try app method
+                else if (typeof app.playClickSound === 'function') {
+                    app.playClickSound(app);
+                }
+                // Then try synthesizer
+                else if (app.soundSynth && typeof app.soundSynth.playClickSound === 'function') {
+                    app.soundSynth.playClickSound();
+                }
+            }
+        }
+    }
+
+    function onPointerUp() {
+        app.isDragging = false;
+
+        // Only presses that started on the ball get a release
+        if (app.pressStartTime) {
+            app.events.emit(BallEvents.BALL_RELEASE, {
+                duration: performance.now() - app.pressStartTime,
+                velocity: app.pointerVelocity
+            });
+            app.pressStartTime = null;
+        }
+
+        // Reset target scale for smooth animation
+        app.targetScale = 1.0;
+
+        // Reset colors if not hovering
+        if (!app.isHovered) {
+            app.updateGradientTexture(...app.gradientColors);
+        }
+    }
+
+    // Smooth color transitions, GSAP-like; advanced by the app clock so they pause and slow with it.
+    // A new fade on the same color replaces the running one
+    const colorFades = new Map();
+
+    function gsapFade(colorObj, targetColor, duration) {
+        colorFades.set(colorObj, {
+            start: { r: colorObj.r, g: colorObj.g, b: colorObj.b },
+            target: { r: targetColor.r, g: targetColor.g, b: targetColor.b },
+            duration,
+            elapsed: 0
+        });
+        getFrameScheduler(app).add(FramePhase.EFFECTS, 'colorFades', updateColorFades);
+    }
+
+    function updateColorFades(clock) {
+        colorFades.forEach((fade, colorObj) => {
+            fade.elapsed += clock.delta;
+            const progress = fade.duration > 0 ? Math.min(fade.elapsed / fade.duration, 1) : 1;
+
+            // Simple easing function
+            const eased = progress * (2 - progress);
+
+            // Interpolate colors
+            colorObj.r = fade.start.r + (fade.target.r - fade.start.r) * eased;
+            colorObj.g = fade.start.g + (fade.target.g - fade.start.g) * eased;
+            colorObj.b = fade.start.b + (fade.target.b - fade.start.b) * eased;
+
+            if (progress >= 1) colorFades.delete(colorObj);
+        });
+    }
+
+    // Function to apply deformation to the mesh at a specific point
+    function applyDeformation(point, intensity, radius) {
+        // The soft body (soft-body.js) or the deformer (deformer.js) holds the dent instead
+        if (pressDent(app, point, intensity, radius)) return;
+
+        // Get position attribute for direct manipulation
+        const positions = app.ballGeometry.attributes.position;
+
+        // Apply deformation to each vertex based on distance from touch point
+        for (let i = 0; i < positions.count; i++) {
+            const vertexPosition = new THREE.Vector3(
+                positions.array[i * 3],
+                positions.array[i * 3 + 1],
+                positions.array[i * 3 + 2]
+            );
+
+            // Calculate world position of the vertex
+            const worldPosition = vertexPosition.clone()
+                .applyMatrix4(app.ballMesh.matrixWorld);
+
+            // Calculate distance from touch point
+            const distance = worldPosition.distanceTo(point);
+
+            // Only affect vertices within radius
+            if (distance < radius) {
+                // Calculate direction vector from touch point to vertex
+                const direction = worldPosition.clone().sub(point).normalize();
+
+                // Calculate deformation factor based on distance (closer = more deformation)
+                const factor = (1 - (distance / radius)) * intensity;
+
+                // Move vertex in the direction from touch point (inward deformation)
+                const deformation = direction.multiplyScalar(-factor);
+
+                // Apply deformation (in local space)
+                const localDeformation = deformation.clone()
+                    .applyMatrix4(app.ballMesh.matrixWorld.clone().invert());
+
+                // Get original position (pre-deformation)
+                const originalX = app.originalPositions[i * 3];
+                const originalY = app.originalPositions[i * 3 + 1];
+                const originalZ = app.originalPositions[i * 3 + 2];
+
+                // Apply deformation and blend with original position
+                positions.array[i * 3] = originalX + localDeformation.x;
+                positions.array[i * 3 + 1] = originalY + localDeformation.y;
+                positions.array[i * 3 + 2] = originalZ + localDeformation.z;
+            }
+        }
+
+        // Update wireframe to match the deformed shape
+        updateWireframe();
+
+        // Mark attributes as needing update
+        positions.needsUpdate = true;
+        app.ballGeometry.computeVertexNormals();
+    }
+
+    // Function to gradually reset deformation
+    function resetDeformation(speed) {
+        // A full-speed reset snaps back; anything slower lets the surface spring back by itself
+        if (releaseDent(app, speed)) return;
+
+        const positions = app.ballGeometry.attributes.position;
+        let needsUpdate = false;
+
+        for (let i = 0; i < positions.count; i++) {
+            const currentX = positions.array[i * 3];
+            const currentY = positions.array[i * 3 + 1];
+            const currentZ = positions.array[i * 3 + 2];
+
+            const originalX = app.originalPositions[i * 3];
+            const originalY = app.originalPositions[i * 3 + 1];
+            const originalZ = app.originalPositions[i * 3 + 2];
+
+            // Move vertices gradually back to their original positions
+            positions.array[i * 3] = currentX + (originalX - currentX) * speed;
+            positions.array[i * 3 + 1] = currentY + (originalY - currentY) * speed;
+            positions.array[i * 3 + 2] = currentZ + (originalZ - currentZ) * speed;
+
+            // Check if there's still significant deformation
+            if (Math.abs(positions.array[i * 3] - originalX) > 0.001 ||
+                Math.abs(positions.array[i * 3 + 1] - originalY) > 0.001 ||
+                Math.abs(positions.array[i * 3 + 2] - originalZ) > 0.001) {
+                needsUpdate = true;
+            }
+        }
+
+        if (needsUpdate) {
+            // Update wireframe to match the deformed shape
+            updateWireframe();
+
+            positions.needsUpdate = true;
+            app.ballGeometry.computeVertexNormals();
+        }
+    }
+
+    // Rebuild the wireframe edges from the ball, freeing the previous edges (they run every frame)
+    function updateWireframe() {
+        const oldWireGeo = app.wireMesh.geometry;
+        app.wireMesh.geometry = new THREE.EdgesGeometry(app.ballGeometry);
+        oldWireGeo.dispose();
+    }
+
+    // Add event listeners for mouse/touch
+    const target = app.eventTarget || window;
+    addTrackedListener(app, target, 'mousemove', onPointerMove);
+    addTrackedListener(app, target, 'mousedown', onPointerDown);
+    addTrackedListener(app, window, 'mouseup', onPointerUp);
+    addTrackedListener(app, target, 'touchmove', (e) => onPointerMove(e.touches[0]));
+    addTrackedListener(app, target, 'touchstart', (e) => onPointerDown(e.touches[0]));
+    addTrackedListener(app, window, 'touchend', onPointerUp);
+
+    // Make these functions available
+    app.onPointerMove = onPointerMove;
+    app.onPointerDown = onPointerDown;
+    app.onPointerUp = onPointerUp;
+    app.applyDeformation = applyDeformation;
+    app.resetDeformation = resetDeformation;
+};
+
+// Initialize orbit controls
+function initControls(app) {
+    try {
+        console.log('Initializing controls...');
+        app.controls = new OrbitControls(app.camera, app.renderer.domElement);
+        app.controls.enableDamping = true;
+        app.controls.dampingFactor = 0.05;
+
+        // Disable controls when interacting with ball
+        app.controls.enabled = false;
+    } catch (error) {
+        console.error('Error initializing controls:', error);
+    }
+};
+
+// Animation function to make the mesh scale pulse based on time
+function updateMeshScale(app) {
+    if (!app.ballGroup) return;
+
+    // Smoothly transition to target scale
+    app.currentScale += (app.targetScale - app.currentScale) * frameDamping(0.1, getFrameDelta(app));
+
+    // Only apply automated scale changes if not being interacted with
+    if (!app.isDragging && !app.isHovered) {
+        // Add subtle breathing animation
+        const breathingScale = Math.sin(getFrameTime(app)) * 0.05 + 1;
+        app.ballGroup.scale.set(
+            breathingScale * app.currentScale,
+            breathingScale * app.currentScale,
+            breathingScale * app.currentScale
+        );
+    } else {
+        // Just apply the target scale
+        app.ballGroup.scale.set(
+            app.currentScale,
+            app.currentScale,
+            app.currentScale
+        );
+    }
+};
+
+// Animation function to make the mesh continuously rotate when not interacted with
+function updateMeshRotation(app) {
+    if (!app.ballGroup) return;
+
+    // Only auto-rotate if enabled and not being dragged
+    if (app.autoRotate !== false && !app.isDragging) {
+        const delta = getFrameDelta(app);
+        app.ballGroup.rotation.x += 0.18 * delta;
+        app.ballGroup.rotation.y += 0.24 * delta;
+    }
+};
+
+// Animation function to make the mesh move in a circular path
+function updateMeshPosition(app) {
+    if (!app.ballGroup) return;
+
+    // Only apply automatic position changes if not being interacted with
+    if (!app.isDragging && !app.isHovered) {
+        // Calculate new position with smooth sine wave movement
+        const time = getFrameTime(app) * 0.5;
+        const newX = Math.sin(time) * 0.3;
+        const newY = Math.cos(time * 1.3) * 0.2;
+
+        // Apply position with smoothing
+        const smoothing = frameDamping(0.05, getFrameDelta(app));
+        app.ballGroup.position.x += (newX - app.ballGroup.position.x) * smoothing;
+        app.ballGroup.position.y += (newY - app.ballGroup.position.y) * smoothing;
+    }
+};
+
+// Ball motion, interior sway and blackhole pull; runs in the simulation phase
+function updateBallMotion(clock, app) {
+    // Interior mode (interior.js) takes over the look of the ball while the camera is inside
+    const cameraIsInside = isCameraInside(app);
+
+    // Thrown and bouncing, the ball's position and spin belong to physics.js
+    const physicsDriving = !!(app.physics && app.physics.driving && !app.blackholeActivated);
+
+    // FIXED: Only do auto-movement when camera is outside AND no blackhole effects are active AND not paused
+    if (!cameraIsInside && 
+        !physicsDriving &&
+        !app.blackholeActivated && 
+        !app.isBlackholeActive && 
+        !app._autoMovementPaused) {  // Added this check
+        
+        updateMeshScale(app);
+        updateMeshRotation(app);
+        updateMeshPosition(app);
+    } else if (cameraIsInside) {
+        // Add subtle camera motion for immersive feel
+        const time = clock.time * 0.5;
+        const frames = clock.delta * 60;
+        app.camera.position.x += Math.sin(time) * 0.0005 * frames;
+        app.camera.position.y += Math.cos(time) * 0.0003 * frames;
+    } else if (physicsDriving) {
+        // Press and breathing scale still apply
+        updateMeshScale(app);
+    }
+
+    // The blackhole effect pulls the ball itself (see updateBlackholeEffect);
+    // otherwise FORCE ball to stay at origin
+    const blackholePulling = app.effectState &&
+        app.effectState.blackholeEffect &&
+        app.effectState.isBlackholeActive === true &&
+        app.isBlackholeActive === true &&
+        app.blackholeActivated === true;
+
+    if (!blackholePulling && !physicsDriving && app.ballGroup &&
+        (app.isBlackholeActive === false || !app.blackholeActivated)) {
+        const pos = app.ballGroup.position;
+        if (pos.length() > 0.01) {
+            app.ballGroup.position.set(0, 0, 0);
+            app.ballGroup.rotation.set(0, 0, 0);
+        }
+    }
+}
+
+// Scratch vector for the ball's screen position, reused every frame
+const _tonePosition = new THREE.Vector3();
+
+// Feed the analyser and position-based sound; runs in the audio-sync phase
+function updateAudioSync(clock, app) {
+    if (app.analyser && app.analyserData) {
+        app.analyser.getByteFrequencyData(app.analyserData);
+    }
+
+    // Update position-based sound, about three times a second whatever the frame rate.
+    // The tone comes from this app's own audio graph (initInstanceAudio or setupEnhancedAudio)
+    if (app.audioContext && app.isHovered && typeof app.playToneForPosition === 'function') {
+        app.ballGroup.getWorldPosition(_tonePosition);
+        _tonePosition.project(app.camera);
+
+        if (Math.random() < 3 * clock.delta) {
+            app.playToneForPosition(app, _tonePosition.x, _tonePosition.y);
+        }
+    }
+}
+
+/**
+ * Register the core frame hooks and start the app's frame loop
+ * Safe to call again; hooks are keyed by name so nothing runs twice.
+ * Add more per-frame work with app.addFrameHook(phase, name, fn) (see frame-scheduler.js).
+ * @param {Object} app - Application context
+ * @returns {FrameScheduler} The app's scheduler
+ */
+function animate(app) {
+    const scheduler = getFrameScheduler(app);
+
+    scheduler.add(FramePhase.INPUT, 'controls', () => {
+        if (app.controls) {
+            app.controls.update();
+        }
+    });
+    scheduler.add(FramePhase.SIMULATION, 'ballMotion', updateBallMotion);
+    // Every registered effect (rainbow, blackhole, magnetic, explosion, visualization) updates here once
+    scheduler.add(FramePhase.EFFECTS, 'effects', () => updateEffects(app));
+    scheduler.add(FramePhase.AUDIO_SYNC, 'audio', updateAudioSync);
+    scheduler.add(FramePhase.RENDER, 'render', (clock) => {
+        if (!app.renderer || !app.scene || !app.camera) return;
+
+        // The post-processing stack falls back to a plain render when no pass applies
+        if (app.postProcessing) {
+            app.postProcessing.render(clock.delta);
+        } else {
+            app.renderer.render(app.scene, app.camera);
+        }
+    });
+
+    scheduler.start();
+    return scheduler;
+};
+
+// Handle window resize
+function onWindowResize(app) {
+    if (!app.camera || !app.renderer) return;
+
+    const { width, height } = getViewportSize(app);
+    app.camera.aspect = width / height;
+    app.camera.updateProjectionMatrix();
+
+    app.renderer.setSize(width, height);
+};
+
+// Show error message
+function showError(message) {
+    const errorElement = document.getElementById('error-message');
+    if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.style.display = 'block';
+    } else {
+        console.error(message);
+    }
+};
+
+// Initialize audio when document is ready
+function initializeAudio(app) {
+    console.log('Initializing audio for ball...');
+
+    if (app.options?.audio === false) {
+        console.log('Audio disabled for this instance');
+        return;
+    }
+
+    // Independent instances build their own graph instead of sharing the global one
+    if (!app.isGlobalInstance) {
+        initInstanceAudio(app);
+        return;
+    }
+
+    // Try multiple methods to ensure audio initialization happens
+    if (typeof window.initializeAudio === 'function') {
+        return window.initializeAudio().then(audioContext => {
+            if (audioContext) {
+                app.audioContext = audioContext;
+                console.log('Audio system initialized via global initializeAudio');
+
+                // Ensure facet audio is initialized
+                if (typeof window.initFacetAudio === 'function') {
+                    window.initFacetAudio();
+                }
+            }
+        }).catch(error => {
+            console.error('Failed to initialize audio:', error);
+
+            // Try facet audio as fallback
+            if (typeof window.initFacetAudio === 'function') {
+                window.initFacetAudio();
+            }
+        });
+    } else {
+        // Fall back to creating audio context directly
+        try {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            app.audioContext = new AudioContext();
+
+            // Create master gain node
+            app.masterGain = app.audioContext.createGain();
+            app.masterGain.gain.value = 0.5;
+            app.masterGain.connect(app.audioContext.destination);
+
+            console.log('Audio context created directly');
+
+            // Ensure facet audio is initialized
+            if (typeof window.initFacetAudio === 'function') {
+                window.initFacetAudio();
+            }
+        } catch (e) {
+            console.error('Could not create audio context:', e);
+        }
+    }
+};
+
+/**
+ * Create an audio graph owned by a single instance
+ * Mirrors setupEnhancedAudio without touching window.audioSystem
+ * @param {Object} app - Application context
+ * @returns {boolean} Whether the graph was created
+ */
+function initInstanceAudio(app) {
+    try {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        app.audioContext = new AudioContext();
+
+        // Create master gain node
+        app.masterGain = app.audioContext.createGain();
+        app.masterGain.gain.value = app.options?.volume ?? 0.5;
+        app.masterGain.connect(app.audioContext.destination);
+
+        app.nodePool = new AudioNodePool(app.audioContext, 32);
+        app.soundScheduler = new SoundScheduler(30);
+        app.soundScheduler.initialize();
+        app.circuitBreaker = new AudioCircuitBreaker();
+        app.circuitBreaker.initialize();
+
+        app.playFacetSound = playFacetSound;
+        app.playToneForPosition = playToneForPosition;
+        app.playClickSound = playClickSound;
+        app.playReleaseSound = playReleaseSound;
+
+        console.log('Instance audio graph created');
+        return true;
+    } catch (e) {
+        console.error('Could not create audio context:', e);
+        return false;
+    }
+}
+
+/**
+ * Recreate or reveal the ball of an app if it went missing
+ * @param {Object} app - Application context
+ * @returns {string} What was done
+ */
+export function recoverBall(app) {
+    console.log('Attempting to recover missing ball...');
+
+    // Nothing can be drawn until the browser gives the context back; context-loss.js rebuilds then
+    if (app.contextLoss && app.contextLoss.lost) {
+        return 'Graphics context lost, waiting for the browser to restore it';
+    }
+
+    // Clean up any lingering explosion particles
+    if (app.explosionParticles) {
+        app.scene.remove(app.explosionParticles);
+        app.explosionParticles.geometry.dispose();
+        app.explosionParticles.material.dispose();
+        app.explosionParticles = null;
+        app.isExploded = false;
+        console.log('Explosion particles cleaned up');
+    }
+
+    // Check if ball exists
+    if (!app.ballGroup || !app.ballMesh) {
+        console.log('Ball missing, recreating...');
+        createFancyBall(app);
+        return 'Ball recreated';
+    }
+
+    // Make ball visible if it exists but is hidden
+    if (app.ballGroup && !app.ballGroup.visible) {
+        app.ballGroup.visible = true;
+        console.log('Ball was invisible, now visible');
+        return 'Ball visibility restored';
+    }
+
+    return 'Ball seems to be OK';
+}
+
+/**
+ * Create an independent ball inside a container element
+ * Every instance owns its own scene, renderer, audio graph and effect state,
+ * so several differently configured balls can share one page.
+ * @param {HTMLElement|string} container - Host element or its id
+ * @param {Object} options - Instance options
+ * @param {string[]} [options.colors] - Gradient colors [center, middle, edge]
+ * @param {number} [options.wireframeColor] - Wireframe color
+ * @param {number} [options.backgroundColor] - Renderer clear color
+ * @param {number} [options.cameraDistance] - Initial camera distance
+ * @param {boolean} [options.audio] - Set to false to skip creating an audio graph
+ * @param {number} [options.volume] - Initial master volume (0-1)
+ * @param {string} [options.preset] - Look to start with (see presets.js)
+ * @param {string} [options.shape] - Ball solid (see ball-shapes.js), default 'icosahedron'
+ * @param {number} [options.detail] - Detail level for the shape
+ * @param {number} [options.fixedStep] - Seconds per simulation step; default steps once per frame
+ * @param {string|Object} [options.quality] - 'auto' (default), a fixed tier name, or governor options (see render-quality.js)
+ * @param {Object|boolean} [options.postProcessing] - Per-pass settings (see post-processing.js), or false for plain rendering
+ * @param {string} [options.renderer] - 'auto' (default: WebGL, else the 2D canvas renderer), 'webgl' or 'canvas'
+ * @param {string} [options.environment] - Background and reflections (see environments.js), default 'none'
+ * @param {string} [options.lighting] - Lighting rig (see lights.js), default 'classic'
+ * @param {Object} [options.lightingParams] - Rig parameters: intensity, speed, accent
+ * @param {Object} [options.ground] - Floor settings (see ground.js), hidden by default
+ * @param {boolean} [options.debug] - Add the debug grid helper
+ * @returns {Object|null} The app context, or null if the container is missing.
+ *   Boot finishes asynchronously; `app.ready` resolves with the boot report.
+ */
+export function createBallApp(container, options = {}) {
+    const element = typeof container === 'string' ? document.getElementById(container) : container;
+    if (!element) {
+        console.error('createBallApp: container element not found');
+        return null;
+    }
+
+    const app = createAppContext(element, options);
+
+    init(app);
+
+    app.onWindowResize = () => onWindowResize(app);
+    addTrackedListener(app, window, 'resize', app.onWindowResize);
+
+    // Instance methods so callers never need the module functions
+    app.createFancyBall = () => createFancyBall(app);
+    app.recoverBall = () => recoverBall(app);
+    app.resize = app.onWindowResize;
+    app.destroy = () => destroyApp(app);
+    app.addDisposer = (fn) => addDisposer(app, fn);
+    app.setShape = (shape, detail) => setBallShape(app, shape, detail);
+    app.exportState = () => exportState(app);
+    app.importState = (json) => importState(app, json);
+    app.addFrameHook = (phase, name, fn) => getFrameScheduler(app).add(phase, name, fn);
+    app.removeFrameHook = (phase, name) => getFrameScheduler(app).remove(phase, name);
+    app.startRecording = (options) => getRecorder(app).start(options);
+    app.stopRecording = () => getRecorder(app).stop();
+    app.captureStill = (options) => captureStill(app, options);
+    app.exportStill = (options, filename) => exportStill(app, options, filename);
+    app.simulateContextLoss = (seconds) => (app.contextLoss ? app.contextLoss.simulate(seconds) : false);
+
+    return app;
+}
+
+export {
+    initRenderer,
+    initScene,
+    initCamera,
+    initLighting,
+    createFancyBall,
+    setupInteraction,
+    initControls,
+    updateMeshScale,
+    updateMeshRotation,
+    updateMeshPosition,
+    animate,
+    onWindowResize,
+    initializeAudio
+};
@@ -0,0 +1,229 @@
+// ball-shapes.js - Selectable ball solids and detail levels, swappable at runtime
+import * as THREE from 'three';
+import { getEffectState, applySpikyEffect } from '../effects/effectManager.js';
+import { clearFacetHighlights } from '../effects/deformation/facet.js';
+
+export const DEFAULT_SHAPE = 'icosahedron';
+
+/**
+ * Geodesic sphere built on the kis of a solid's dual: every face of the dual is split into
+ * triangles around its center, then PolyhedronGeometry subdivides each triangle and pushes
+ * the new vertices out onto the sphere. The octahedron gives 24 base triangles (tetrakis
+ * hexahedron), the icosahedron 60 (pentakis dodecahedron), so the facets are far more even
+ * than subdividing the raw octahedron or the fan-triangulated dodecahedron.
+ * @param {THREE.BufferGeometry} base - Triangulated solid, radius 1, detail 0
+ * @param {number} detail - Subdivisions per base triangle edge minus one
+ * @returns {THREE.PolyhedronGeometry}
+ */
+function createGeodesicGeometry(base, detail) {
+    const position = base.attributes.position;
+    const corners = [];
+    const cornerIndex = new Map();
+    const faces = [];
+
+    // The base geometries are not indexed; merge their repeated corners
+    for (let i = 0; i < position.count; i += 3) {
+        const face = [];
+        for (let j = i; j < i + 3; j++) {
+            const corner = new THREE.Vector3().fromBufferAttribute(position, j).normalize();
+            const key = corner.toArray().map(value => value.toFixed(4)).join(',');
+            if (!cornerIndex.has(key)) {
+                cornerIndex.set(key, corners.length);
+                corners.push(corner);
+            }
+            face.push(cornerIndex.get(key));
+        }
+        faces.push(face);
+    }
+    base.dispose();
+
+    // Face centers become the dual's corners; each base edge joins the centers of its two faces
+    const vertices = corners.slice();
+    const edges = new Map();
+    faces.forEach(face => {
+        const centerIndex = vertices.length;
+        vertices.push(face.reduce((sum, i) => sum.add(corners[i]), new THREE.Vector3()).normalize());
+        for (let k = 0; k < 3; k++) {
+            const a = face[k];
+            const b = face[(k + 1) % 3];
+            const key = Math.min(a, b) + '-' + Math.max(a, b);
+            if (!edges.has(key)) edges.set(key, { a, b, centers: [] });
+            edges.get(key).centers.push(centerIndex);
+        }
+    });
+
+    // Two triangles per edge, wound to face outwards
+    const indices = [];
+    const ab = new THREE.Vector3();
+    const ac = new THREE.Vector3();
+    const addTriangle = (a, b, c) => {
+        ab.subVectors(vertices[b], vertices[a]);
+        ac.subVectors(vertices[c], vertices[a]);
+        if (ab.cross(ac).dot(vertices[a]) < 0) {
+            indices.push(a, c, b);
+        } else {
+            indices.push(a, b, c);
+        }
+    };
+    edges.forEach(({ a, b, centers: [left, right] }) => {
+        addTriangle(a, left, right);
+        addTriangle(b, right, left);
+    });
+
+    const flat = [];
+    vertices.forEach(vertex => flat.push(vertex.x, vertex.y, vertex.z));
+    return new THREE.PolyhedronGeometry(flat, indices, 1.0, detail);
+}
+
+/**
+ * Available solids. Each builds a geometry of radius ~1 for a detail level;
+ * higher detail means more facets.
+ * @readonly
+ */
+export const BALL_SHAPES = Object.freeze({
+    icosahedron: {
+        label: 'Icosahedron',
+        minDetail: 0, maxDetail: 6, defaultDetail: 4,
+        create: (detail) => new THREE.IcosahedronGeometry(1.0, detail)
+    },
+    octahedron: {
+        label: 'Octahedron',
+        minDetail: 0, maxDetail: 6, defaultDetail: 0,
+        create: (detail) => new THREE.OctahedronGeometry(1.0, detail)
+    },
+    dodecahedron: {
+        label: 'Dodecahedron',
+        minDetail: 0, maxDetail: 5, defaultDetail: 0,
+        create: (detail) => new THREE.DodecahedronGeometry(1.0, detail)
+    },
+    geodesicOcta: {
+        label: 'Geodesic (octahedral)',
+        minDetail: 0, maxDetail: 6, defaultDetail: 3,
+        create: (detail) => createGeodesicGeometry(new THREE.OctahedronGeometry(1.0, 0), detail)
+    },
+    geodesicDodeca: {
+        label: 'Geodesic (dodecahedral)',
+        minDetail: 0, maxDetail: 5, defaultDetail: 2,
+        create: (detail) => createGeodesicGeometry(new THREE.IcosahedronGeometry(1.0, 0), detail)
+    },
+    sphere: {
+        label: 'UV Sphere',
+        minDetail: 0, maxDetail: 6, defaultDetail: 3,
+        create: (detail) => new THREE.SphereGeometry(1.0, 8 * (detail + 1), 4 * (detail + 1))
+    },
+    torusKnot: {
+        label: 'Torus Knot',
+        minDetail: 0, maxDetail: 6, defaultDetail: 3,
+        create: (detail) => new THREE.TorusKnotGeometry(0.6, 0.22, 32 * (detail + 1), 4 * (detail + 1))
+    }
+});
+
+/**
+ * Number of triangles (facets) in a geometry
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {number}
+ */
+export function getFacetCount(geometry) {
+    if (!geometry) return 0;
+    return geometry.index ? geometry.index.count / 3 : geometry.attributes.position.count / 3;
+}
+
+// Fall back to the default shape and clamp the detail level to the shape's range
+function resolveShape(shape = DEFAULT_SHAPE, detail) {
+    let definition = BALL_SHAPES[shape];
+    if (!definition) {
+        console.warn(`Unknown ball shape "${shape}", using ${DEFAULT_SHAPE}`);
+        shape = DEFAULT_SHAPE;
+        definition = BALL_SHAPES[shape];
+    }
+
+    const level = Number.isFinite(detail)
+        ? Math.round(Math.min(Math.max(detail, definition.minDetail), definition.maxDetail))
+        : definition.defaultDetail;
+
+    return { shape, detail: level, definition };
+}
+
+/**
+ * Build the geometry for a shape, clamping the detail level to its range
+ * @param {string} shape - Key of BALL_SHAPES
+ * @param {number} [detail] - Detail level, defaults to the shape's default
+ * @returns {{geometry: THREE.BufferGeometry, shape: string, detail: number}}
+ */
+export function createBallGeometry(shape = DEFAULT_SHAPE, detail) {
+    const resolved = resolveShape(shape, detail);
+    return { geometry: resolved.definition.create(resolved.detail), shape: resolved.shape, detail: resolved.detail };
+}
+
+/**
+ * Detail level actually built for a requested one; the render quality
+ * governor (render-quality.js) may trade facets for frame rate
+ * @param {Object} app - Application context
+ * @param {string} shape - Key of BALL_SHAPES
+ * @param {number} detail - Requested detail level
+ * @returns {number}
+ */
+export function getRenderedDetail(app, shape, detail) {
+    const resolved = resolveShape(shape, detail);
+    const offset = app.quality?.tier?.detailOffset || 0;
+    return Math.max(resolved.definition.minDetail, resolved.detail + offset);
+}
+
+/**
+ * Replace the ball's geometry, keeping deformation, spiky mode and facet audio working
+ * @param {Object} app - Application context
+ * @param {string} shape - Key of BALL_SHAPES
+ * @param {number} [detail] - Detail level
+ * @returns {boolean} True if the geometry was swapped
+ */
+export function setBallShape(app, shape, detail) {
+    const ballGroup = app.ballGroup;
+    if (!ballGroup || !app.ballMesh || !app.wireMesh) {
+        console.error('Cannot change ball shape before the ball is created');
+        return false;
+    }
+
+    try {
+        // app.ballShape keeps what was asked for; the built detail may be lower
+        const requested = resolveShape(shape, detail);
+        const built = createBallGeometry(requested.shape, getRenderedDetail(app, requested.shape, requested.detail));
+        const geo = built.geometry;
+        const wireGeo = new THREE.EdgesGeometry(geo);
+        const originalPositions = geo.attributes.position.array.slice();
+
+        const oldGeo = app.ballMesh.geometry;
+        const oldWireGeo = app.wireMesh.geometry;
+
+        app.ballMesh.geometry = geo;
+        app.wireMesh.geometry = wireGeo;
+        oldGeo.dispose();
+        oldWireGeo.dispose();
+
+        // Everything that deformation and spiky mode read the rest shape from
+        app.ballGeometry = geo;
+        app.originalPositions = originalPositions;
+        ballGroup.userData.geo = geo;
+        ballGroup.userData.wireGeo = wireGeo;
+        ballGroup.userData.originalPositions = originalPositions;
+
+        // Old face indices mean nothing on the new mesh
+        clearFacetHighlights(app);
+        app.hoveredFacet = null;
+        app.lastFacetIndex = undefined;
+
+        // Spike directions are per vertex; rebuild them for the new vertex count
+        const effectState = getEffectState(app);
+        effectState.spikes = [];
+        if (effectState.spikiness > 0) {
+            applySpikyEffect(app, effectState.spikiness);
+        }
+
+        app.ballShape = { shape: requested.shape, detail: requested.detail };
+        app.renderedDetail = built.detail;
+        console.log(`Ball shape set to ${built.shape} (detail ${built.detail}, ${getFacetCount(geo)} facets)`);
+        return true;
+    } catch (error) {
+        console.error('Error changing ball shape:', error);
+        return false;
+    }
+}
@@ -0,0 +1,562 @@
+// camera-director.js - Keyframed camera paths: built-in tours, recording from the live camera,
+// and playback with pause, seek and looping
+import * as THREE from 'three';
+import { FramePhase, getFrameScheduler } from './frame-scheduler.js';
+import { BallEvents } from './event-bus.js';
+import { addDisposer } from './teardown.js';
+
+const CUSTOM_PATHS_KEY = 'ballCameraPaths';
+
+// Recorded paths keep one keyframe per interval; the curve smooths between them
+const RECORD_INTERVAL = 0.5; // seconds
+const MAX_RECORDED_KEYFRAMES = 600;
+
+const MIN_FOV = 10;
+const MAX_FOV = 120;
+const DEFAULT_FOV = 75;
+
+/**
+ * Easing applied to the segment that ends at a keyframe
+ * @readonly
+ */
+export const CAMERA_EASINGS = Object.freeze({
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+});
+
+/**
+ * @typedef {Object} CameraKeyframe
+ * @property {number} time - Seconds from the start of the path
+ * @property {number[]} position - Camera position [x, y, z]
+ * @property {number[]} target - Point the camera looks at [x, y, z]
+ * @property {number} [fov] - Vertical field of view in degrees, default 75
+ * @property {string} [ease] - Key of CAMERA_EASINGS for the segment ending here, default 'easeInOut'
+ */
+
+/**
+ * @typedef {Object} CameraPath
+ * @property {string} label - Name shown in the menu
+ * @property {boolean} [loop] - Start over at the end; the last keyframe should match the first
+ * @property {CameraKeyframe[]} keyframes - At least two, in time order
+ */
+
+// Keyframes around the ball at a fixed radius, one every `step` seconds
+function circleKeyframes({ radius, height, count, step, bob = 0 }) {
+    const keyframes = [];
+    for (let i = 0; i <= count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        keyframes.push({
+            time: i * step,
+            position: [Math.sin(angle) * radius, height + Math.sin(angle * 2) * bob, Math.cos(angle) * radius],
+            target: [0, 0, 0],
+            fov: DEFAULT_FOV,
+            ease: 'linear'
+        });
+    }
+    return keyframes;
+}
+
+// Close pass over the front of the ball, looking a little ahead of the camera
+function sweepKeyframes() {
+    const keyframes = [];
+    const count = 6;
+    for (let i = 0; i <= count; i++) {
+        const t = i / count;
+        const angle = THREE.MathUtils.degToRad(-70 + 140 * t);
+        const elevation = 0.35 * Math.sin(t * Math.PI * 2);
+        const ahead = angle + THREE.MathUtils.degToRad(20);
+        keyframes.push({
+            time: t * 14,
+            position: [Math.sin(angle) * 1.45, elevation, Math.cos(angle) * 1.45],
+            target: [Math.sin(ahead) * 0.6, elevation * 0.5, Math.cos(ahead) * 0.6],
+            fov: 40,
+            ease: i === 1 || i === count ? 'easeInOut' : 'linear'
+        });
+    }
+    // Pull back out to the usual framing
+    keyframes.push({ time: 17, position: [0, 0, 2], target: [0, 0, 0], fov: DEFAULT_FOV, ease: 'easeInOut' });
+    return keyframes;
+}
+
+/**
+ * Tours that ship with the ball
+ * @readonly
+ */
+export const CAMERA_TOURS = Object.freeze({
+    orbit: {
+        label: 'Orbit',
+        loop: true,
+        keyframes: circleKeyframes({ radius: 2.6, height: 0.5, count: 8, step: 2, bob: 0.3 })
+    },
+    flyThrough: {
+        label: 'Fly-through',
+        keyframes: [
+            { time: 0, position: [0, 0.6, 3.2], target: [0, 0, 0], fov: DEFAULT_FOV },
+            { time: 3, position: [0.3, 0.2, 1.6], target: [0, 0, 0], fov: 70 },
+            // Through the shell; the ball turns see-through once the camera is inside
+            { time: 5.5, position: [0, 0, 0.45], target: [0, 0, -1], fov: 85 },
+            { time: 9, position: [0, 0, 0.3], target: [-1, 0.3, 0], fov: 85 },
+            { time: 12, position: [0, 0.05, 0.3], target: [0.2, -0.4, 1], fov: 85 },
+            { time: 15, position: [0, 0.4, 2.6], target: [0, 0, 0], fov: DEFAULT_FOV }
+        ]
+    },
+    facetSweep: {
+        label: 'Facet Close-up',
+        keyframes: sweepKeyframes()
+    }
+});
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+/**
+ * Check a camera path
+ * @param {Object} path - Candidate CameraPath
+ * @returns {string[]} Problems found; empty when the path is valid
+ */
+export function validateCameraPath(path) {
+    if (!path || typeof path !== 'object' || !Array.isArray(path.keyframes)) {
+        return ['path must have a keyframes array'];
+    }
+    if (path.keyframes.length < 2) {
+        return ['path needs at least two keyframes'];
+    }
+
+    const errors = [];
+    path.keyframes.forEach((keyframe, i) => {
+        if (!keyframe || !Number.isFinite(keyframe.time) || (i > 0 && !(keyframe.time > path.keyframes[i - 1].time))) {
+            errors.push(`keyframe ${i}: time must be a number after the previous keyframe's`);
+            return;
+        }
+        if (!isVector(keyframe.position) || !isVector(keyframe.target)) {
+            errors.push(`keyframe ${i}: position and target must be [x, y, z]`);
+        }
+        if (keyframe.fov !== undefined && !(Number.isFinite(keyframe.fov) && keyframe.fov >= MIN_FOV && keyframe.fov <= MAX_FOV)) {
+            errors.push(`keyframe ${i}: fov must be between ${MIN_FOV} and ${MAX_FOV}`);
+        }
+        if (keyframe.ease !== undefined && !CAMERA_EASINGS[keyframe.ease]) {
+            errors.push(`keyframe ${i}: unknown ease "${keyframe.ease}"`);
+        }
+    });
+    return errors;
+}
+
+function loadCustomPaths() {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_PATHS_KEY)) || {};
+    } catch (e) {
+        console.warn('Could not read camera paths from localStorage');
+        return {};
+    }
+}
+
+// Round so saved paths stay readable
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function toArray(vector) {
+    return [round(vector.x), round(vector.y), round(vector.z)];
+}
+
+// Uniform Catmull-Rom through p1..p2, written into out
+function catmullRom(out, p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    for (let axis = 0; axis < 3; axis++) {
+        const a = p0[axis];
+        const b = p1[axis];
+        const c = p2[axis];
+        const d = p3[axis];
+        out.setComponent(axis, 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3));
+    }
+    return out;
+}
+
+const _position = new THREE.Vector3();
+const _target = new THREE.Vector3();
+
+/**
+ * Plays and records camera paths for one app
+ * Playback runs in the input phase, on real time (it holds while the clock is
+ * paused but ignores slow motion), and moves both the camera and the
+ * OrbitControls target, so the user can take over where a path ends. Orbit
+ * controls are switched off while a path plays. Recorded and saved paths are
+ * shared by every ball on the page through localStorage.
+ */
+export class CameraDirector {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        /** 'idle', 'playing', 'paused' or 'recording' */
+        this.state = 'idle';
+        this.path = null;
+        this.pathName = null;
+        this.time = 0;
+        this.speed = 1;
+        this.loop = false;
+        this.onComplete = null;
+        this.controlsWereEnabled = null;
+        this.recording = null;
+        this.sinceSample = 0;
+        this.custom = loadCustomPaths();
+    }
+
+    /** Start the frame hook; call once the camera exists */
+    start() {
+        const app = this.app;
+        const removeHook = getFrameScheduler(app).add(FramePhase.INPUT, 'cameraDirector', (clock) => this.update(clock));
+        addDisposer(app, () => {
+            removeHook();
+            this.onComplete = null;
+        });
+    }
+
+    /**
+     * Built-in tours first, then saved paths
+     * @returns {{name: string, label: string, builtIn: boolean}[]}
+     */
+    list() {
+        const builtIn = Object.keys(CAMERA_TOURS).map(name => ({ name, label: CAMERA_TOURS[name].label, builtIn: true }));
+        const custom = Object.keys(this.custom).map(name => ({ name, label: this.custom[name].label, builtIn: false }));
+        return builtIn.concat(custom);
+    }
+
+    /**
+     * @param {string} name - Tour or saved path name
+     * @returns {CameraPath|null}
+     */
+    get(name) {
+        return CAMERA_TOURS[name] || this.custom[name] || null;
+    }
+
+    /** @returns {number} Length of the current path in seconds, 0 when none */
+    get duration() {
+        return this.path ? this.path.keyframes[this.path.keyframes.length - 1].time : 0;
+    }
+
+    /**
+     * Play a tour, a saved path or a path object
+     * @param {string|CameraPath} pathOrName - Path to play
+     * @param {Object} [options]
+     * @param {boolean} [options.loop] - Loop; defaults to the path's own setting
+     * @param {number} [options.speed] - Playback speed, default 1
+     * @param {Function} [options.onComplete] - Called when a non-looping path reaches its end
+     * @returns {boolean} True if playback started
+     */
+    play(pathOrName, { loop, speed = 1, onComplete = null } = {}) {
+        const path = typeof pathOrName === 'string' ? this.get(pathOrName) : pathOrName;
+        if (!path) {
+            console.error(`Unknown camera path: ${pathOrName}`);
+            return false;
+        }
+        const errors = validateCameraPath(path);
+        if (errors.length > 0) {
+            console.error('Invalid camera path: ' + errors.join('; '));
+            return false;
+        }
+        if (!this.app.camera) {
+            console.error('Cannot play a camera path before the camera exists');
+            return false;
+        }
+
+        if (this.state === 'recording') {
+            this.stopRecording();
+        }
+        this.releaseControls();
+
+        this.path = path;
+        this.pathName = typeof pathOrName === 'string' ? pathOrName : null;
+        this.time = 0;
+        this.speed = Number.isFinite(speed) && speed > 0 ? speed : 1;
+        this.loop = loop ?? !!path.loop;
+        this.onComplete = onComplete;
+
+        // Orbit controls would fight the path; they come back when it ends
+        const controls = this.app.controls;
+        if (controls) {
+            this.controlsWereEnabled = controls.enabled;
+            controls.enabled = false;
+        }
+
+        this.state = 'playing';
+        this.applyAt(0);
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Fly from where the camera is now to another view
+     * @param {{position: number[], target?: number[], fov?: number}} view - Where to end up
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Seconds, default 1
+     * @param {string} [options.ease] - Key of CAMERA_EASINGS, default 'easeInOut'
+     * @param {Function} [options.onComplete] - Called on arrival
+     * @returns {boolean}
+     */
+    flyTo(view, { duration = 1, ease = 'easeInOut', onComplete = null } = {}) {
+        const from = this.captureKeyframe(0);
+        const to = {
+            time: Math.max(duration, 0.01),
+            position: view.position,
+            target: view.target || from.target,
+            fov: view.fov ?? from.fov,
+            ease
+        };
+        return this.play({ label: 'Fly to', keyframes: [from, to] }, { loop: false, onComplete });
+    }
+
+    /** Pause or resume playback */
+    togglePause() {
+        if (this.state === 'playing') {
+            this.state = 'paused';
+        } else if (this.state === 'paused') {
+            this.state = 'playing';
+        } else {
+            return;
+        }
+        this.emitChange();
+    }
+
+    /**
+     * Jump to a time on the current path
+     * @param {number} seconds - Time from the start of the path
+     */
+    seek(seconds) {
+        if (!this.path || !Number.isFinite(seconds)) return;
+        this.time = THREE.MathUtils.clamp(seconds, 0, this.duration);
+        this.applyAt(this.time);
+        this.emitChange();
+    }
+
+    /** Stop playback (or recording); the camera stays where it is */
+    stop() {
+        if (this.state === 'recording') {
+            this.stopRecording();
+            return;
+        }
+        if (this.state === 'idle') return;
+        this.finish(false);
+    }
+
+    update(clock) {
+        // Real time, so slow motion does not drag the camera; a paused clock holds it
+        const delta = clock.paused ? 0 : clock.realDelta;
+
+        if (this.state === 'recording') {
+            this.recording.elapsed += delta;
+            this.sinceSample += delta;
+            if (this.sinceSample >= RECORD_INTERVAL) {
+                this.sinceSample = 0;
+                this.recordKeyframe();
+            }
+            return;
+        }
+
+        if (this.state !== 'playing') return;
+
+        this.time += delta * this.speed;
+        const duration = this.duration;
+        if (this.time >= duration) {
+            if (this.loop) {
+                this.time %= duration;
+            } else {
+                this.applyAt(duration);
+                this.finish(true);
+                return;
+            }
+        }
+        this.applyAt(this.time);
+    }
+
+    // Put the camera where the path is at `time`
+    applyAt(time) {
+        const app = this.app;
+        const camera = app.camera;
+        const keyframes = this.path.keyframes;
+        const last = keyframes.length - 1;
+
+        let i = 0;
+        while (i < last - 1 && time >= keyframes[i + 1].time) {
+            i++;
+        }
+        const from = keyframes[i];
+        const to = keyframes[i + 1];
+        const span = to.time - from.time;
+        const ease = CAMERA_EASINGS[to.ease || 'easeInOut'];
+        const t = ease(THREE.MathUtils.clamp((time - from.time) / span, 0, 1));
+
+        // Neighbours for the curve; looping paths wrap around (their last keyframe repeats the first)
+        const before = i > 0 ? keyframes[i - 1] : (this.loop ? keyframes[last - 1] : from);
+        const after = i + 2 <= last ? keyframes[i + 2] : (this.loop ? keyframes[1] : to);
+
+        catmullRom(_position, before.position, from.position, to.position, after.position, t);
+        catmullRom(_target, before.target, from.target, to.target, after.target, t);
+
+        camera.position.copy(_position);
+        camera.lookAt(_target);
+        if (app.controls) {
+            app.controls.target.copy(_target);
+        }
+
+        const fov = THREE.MathUtils.lerp(from.fov ?? DEFAULT_FOV, to.fov ?? DEFAULT_FOV, t);
+        if (camera.isPerspectiveCamera && camera.fov !== fov) {
+            camera.fov = fov;
+            camera.updateProjectionMatrix();
+        }
+    }
+
+    finish(completed) {
+        const onComplete = this.onComplete;
+        this.state = 'idle';
+        this.onComplete = null;
+        this.releaseControls();
+        this.emitChange();
+        if (completed && onComplete) {
+            onComplete();
+        }
+    }
+
+    // Give the orbit controls back as they were before playback
+    releaseControls() {
+        if (this.controlsWereEnabled !== null && this.app.controls) {
+            this.app.controls.enabled = this.controlsWereEnabled;
+        }
+        this.controlsWereEnabled = null;
+    }
+
+    /**
+     * Record the camera as it is moved (orbit controls, tours, code) until stopRecording()
+     * @returns {boolean} True if recording started
+     */
+    startRecording() {
+        if (!this.app.camera) {
+            console.error('Cannot record a camera path before the camera exists');
+            return false;
+        }
+        if (this.state === 'playing' || this.state === 'paused') {
+            this.finish(false);
+        }
+
+        this.recording = { elapsed: 0, keyframes: [] };
+        this.sinceSample = 0;
+        this.state = 'recording';
+        this.recordKeyframe();
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Stop recording
+     * @returns {CameraPath|null} The recorded path, or null if the camera was not followed long enough
+     */
+    stopRecording() {
+        if (this.state !== 'recording') return null;
+
+        // Always end on where the camera stopped
+        if (this.sinceSample > 0.05) {
+            this.recordKeyframe();
+        }
+        const keyframes = this.recording.keyframes;
+        this.recording = null;
+        this.state = 'idle';
+        this.emitChange();
+
+        if (keyframes.length < 2) {
+            console.warn('Camera recording too short to make a path');
+            return null;
+        }
+        return { label: 'Recorded', keyframes };
+    }
+
+    // A keyframe of where the camera is now
+    captureKeyframe(time) {
+        const { camera, controls } = this.app;
+        const target = controls
+            ? controls.target.clone()
+            : camera.getWorldDirection(new THREE.Vector3()).add(camera.position);
+        return {
+            time: round(time),
+            position: toArray(camera.position),
+            target: toArray(target),
+            fov: round(camera.fov ?? DEFAULT_FOV),
+            ease: 'linear'
+        };
+    }
+
+    recordKeyframe() {
+        const keyframes = this.recording.keyframes;
+        if (keyframes.length >= MAX_RECORDED_KEYFRAMES) {
+            console.warn('Camera recording reached its length limit');
+            this.stopRecording();
+            return;
+        }
+
+        const keyframe = this.captureKeyframe(this.recording.elapsed);
+        // Times must keep increasing even if two samples land in the same frame
+        if (keyframes.length > 0 && keyframe.time <= keyframes[keyframes.length - 1].time) return;
+        keyframes.push(keyframe);
+    }
+
+    /**
+     * Keep a path (usually a recording) under a name, in localStorage
+     * @param {string} label - Name to show in the menu
+     * @param {CameraPath} path - Path to keep
+     * @returns {string|null} Key it was saved under, or null if the path is invalid
+     */
+    save(label, path) {
+        const errors = validateCameraPath(path);
+        if (!label || errors.length > 0) {
+            console.error('Cannot save camera path: ' + (label ? errors.join('; ') : 'no name given'));
+            return null;
+        }
+
+        const name = 'path-' + label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        this.custom[name] = { ...path, label: label.trim() };
+        try {
+            localStorage.setItem(CUSTOM_PATHS_KEY, JSON.stringify(this.custom));
+        } catch (e) {
+            console.warn('Could not save camera paths to localStorage');
+        }
+        return name;
+    }
+
+    /**
+     * Forget a saved path; tours cannot be removed
+     * @param {string} name - Saved path key
+     * @returns {boolean} True if a path was removed
+     */
+    remove(name) {
+        if (!this.custom[name]) return false;
+        delete this.custom[name];
+        try {
+            localStorage.setItem(CUSTOM_PATHS_KEY, JSON.stringify(this.custom));
+        } catch (e) {
+            console.warn('Could not save camera paths to localStorage');
+        }
+        return true;
+    }
+
+    /**
+     * @returns {{state: string, path: string|null, time: number, duration: number}}
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            path: this.pathName,
+            time: this.state === 'recording' ? this.recording.elapsed : this.time,
+            duration: this.state === 'recording' ? 0 : this.duration
+        };
+    }
+
+    emitChange() {
+        if (this.app.events) {
+            this.app.events.emit(BallEvents.CAMERA_PATH_CHANGE, this.getStatus());
+        }
+    }
+}
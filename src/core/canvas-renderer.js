@@ -0,0 +1,602 @@
+// canvas-renderer.js - Software renderer on the 2D canvas API, used when WebGL is unavailable
+import * as THREE from 'three';
+
+// Textures are read back at most this size per side for per-face sampling
+const TEXTURE_SAMPLE_SIZE = 128;
+
+// Scratch objects reused every frame
+const _viewProjection = new THREE.Matrix4();
+const _cameraPosition = new THREE.Vector3();
+const _cameraDirection = new THREE.Vector3();
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _ab = new THREE.Vector3();
+const _ac = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _centroid = new THREE.Vector3();
+const _toLight = new THREE.Vector3();
+const _clip = new THREE.Vector4();
+const _uv = new THREE.Vector2();
+const _uvSum = new THREE.Vector2();
+const _color = new THREE.Color();
+const _vertexColor = new THREE.Color();
+const _irradiance = new THREE.Color();
+const _lightColor = new THREE.Color();
+
+// Project a world-space point to drawing-buffer pixels; false when it is behind the camera
+function projectPoint(point, width, height, out) {
+    _clip.set(point.x, point.y, point.z, 1).applyMatrix4(_viewProjection);
+    if (_clip.w <= 1e-5) return false;
+
+    out.x = (_clip.x / _clip.w * 0.5 + 0.5) * width;
+    out.y = (0.5 - _clip.y / _clip.w * 0.5) * height;
+    out.z = _clip.z / _clip.w;
+    out.w = _clip.w;
+    return true;
+}
+
+// Linear color -> CSS string, clamped the way the GPU would
+function toStyle(color) {
+    return _color.setRGB(
+        Math.min(1, Math.max(0, color.r)),
+        Math.min(1, Math.max(0, color.g)),
+        Math.min(1, Math.max(0, color.b))
+    ).getStyle();
+}
+
+function getOpacity(material) {
+    return material.transparent ? material.opacity : 1;
+}
+
+/**
+ * Stand-in for THREE.WebGLRenderer that draws with the 2D canvas API
+ * Meshes become flat-shaded triangles sorted back to front (painter's
+ * algorithm), lines become strokes and points small squares. It implements
+ * the part of the WebGLRenderer API the app calls, so picking, deformation,
+ * controls, recording and audio run unchanged on top of it. Shading is
+ * Lambert from ambient, hemisphere, directional and point lights; textures
+ * are sampled once per face, which is all a faceted ball needs. Custom
+ * shaders (ShaderMaterial) cannot run here and are skipped.
+ */
+export class CanvasRenderer {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLCanvasElement} [options.canvas] - Canvas to draw into; one is created otherwise
+     * @param {boolean} [options.alpha] - Let the clear alpha show the page through, default true
+     */
+    constructor({ canvas, alpha = true } = {}) {
+        this.isCanvasRenderer = true;
+        this.domElement = canvas || document.createElement('canvas');
+        this.context = this.domElement.getContext('2d', { alpha });
+        if (!this.context) {
+            throw new Error('2D canvas context could not be created');
+        }
+
+        this.width = this.domElement.width;
+        this.height = this.domElement.height;
+        this.pixelRatio = 1;
+        this.clearColor = new THREE.Color(0x000000);
+        this.clearAlpha = alpha ? 0 : 1;
+
+        // Read by code written against WebGLRenderer; nothing here uses them
+        this.outputColorSpace = THREE.SRGBColorSpace;
+        this.toneMapping = THREE.NoToneMapping;
+        this.shadowMap = { enabled: false, type: THREE.PCFShadowMap };
+        this.capabilities = { isWebGL2: false, maxTextureSize: 16384, precision: 'highp' };
+        this.info = {
+            render: { frame: 0, calls: 0, triangles: 0, lines: 0, points: 0 },
+            memory: { geometries: 0, textures: 0 }
+        };
+
+        this.primitives = [];
+        this.lights = { ambient: new THREE.Color(), hemisphere: [], directional: [], point: [] };
+        this.texturePixels = new WeakMap();
+    }
+
+    /** @returns {CanvasRenderingContext2D} */
+    getContext() {
+        return this.context;
+    }
+
+    /**
+     * @param {number} width - CSS pixels
+     * @param {number} height - CSS pixels
+     * @param {boolean} [updateStyle] - Also size the canvas element, default true
+     */
+    setSize(width, height, updateStyle = true) {
+        this.width = width;
+        this.height = height;
+        this.domElement.width = Math.floor(width * this.pixelRatio);
+        this.domElement.height = Math.floor(height * this.pixelRatio);
+
+        if (updateStyle) {
+            this.domElement.style.width = width + 'px';
+            this.domElement.style.height = height + 'px';
+        }
+    }
+
+    getSize(target) {
+        return target.set(this.width, this.height);
+    }
+
+    setPixelRatio(value) {
+        if (value === undefined) return;
+        this.pixelRatio = value;
+        this.setSize(this.width, this.height, false);
+    }
+
+    getPixelRatio() {
+        return this.pixelRatio;
+    }
+
+    getDrawingBufferSize(target) {
+        return target.set(this.domElement.width, this.domElement.height);
+    }
+
+    setClearColor(color, alpha = 1) {
+        this.clearColor.set(color);
+        this.clearAlpha = alpha;
+    }
+
+    getClearColor(target) {
+        return target.copy(this.clearColor);
+    }
+
+    getClearAlpha() {
+        return this.clearAlpha;
+    }
+
+    /** Fill the canvas with the clear color */
+    clear() {
+        const context = this.context;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.globalAlpha = 1;
+        context.globalCompositeOperation = 'source-over';
+        context.clearRect(0, 0, this.domElement.width, this.domElement.height);
+
+        if (this.clearAlpha > 0) {
+            context.globalAlpha = this.clearAlpha;
+            context.fillStyle = this.clearColor.getStyle();
+            context.fillRect(0, 0, this.domElement.width, this.domElement.height);
+            context.globalAlpha = 1;
+        }
+    }
+
+    /**
+     * Draw a scene
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     */
+    render(scene, camera) {
+        if (scene.matrixWorldAutoUpdate !== false) scene.updateMatrixWorld();
+        if (camera.parent === null && camera.matrixWorldAutoUpdate !== false) camera.updateMatrixWorld();
+
+        this.clear();
+        if (scene.background && scene.background.isColor) {
+            this.context.fillStyle = scene.background.getStyle();
+            this.context.fillRect(0, 0, this.domElement.width, this.domElement.height);
+        }
+
+        _viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        _cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+        camera.getWorldDirection(_cameraDirection);
+        this.orthographic = !!camera.isOrthographicCamera;
+
+        const info = this.info.render;
+        info.calls = 0;
+        info.triangles = 0;
+        info.lines = 0;
+        info.points = 0;
+
+        this.collectLights(scene);
+        this.primitives.length = 0;
+
+        scene.traverseVisible(object => {
+            if (object.isMesh) {
+                this.projectMesh(object);
+            } else if (object.isLine) {
+                this.projectLine(object);
+            } else if (object.isPoints) {
+                this.projectPoints(object);
+            }
+        });
+
+        // Painter's algorithm: farthest first
+        this.primitives.sort((p, q) => q.depth - p.depth);
+        this.drawPrimitives();
+
+        info.frame++;
+    }
+
+    // Gather the scene's lights into world-space terms for shading
+    collectLights(scene) {
+        const lights = this.lights;
+        lights.ambient.setRGB(0, 0, 0);
+        lights.hemisphere.length = 0;
+        lights.directional.length = 0;
+        lights.point.length = 0;
+
+        scene.traverseVisible(object => {
+            if (!object.isLight) return;
+
+            const color = object.color.clone().multiplyScalar(object.intensity);
+            if (object.isAmbientLight) {
+                lights.ambient.add(color);
+            } else if (object.isHemisphereLight) {
+                lights.hemisphere.push({
+                    sky: color,
+                    ground: object.groundColor.clone().multiplyScalar(object.intensity),
+                    up: new THREE.Vector3().setFromMatrixPosition(object.matrixWorld).normalize()
+                });
+            } else if (object.isDirectionalLight) {
+                const target = new THREE.Vector3().setFromMatrixPosition(object.target.matrixWorld);
+                lights.directional.push({
+                    color,
+                    direction: new THREE.Vector3().setFromMatrixPosition(object.matrixWorld).sub(target).normalize()
+                });
+            } else if (object.isPointLight || object.isSpotLight) {
+                // Spot cones are ignored; a spot lights like a point light
+                lights.point.push({
+                    color,
+                    position: new THREE.Vector3().setFromMatrixPosition(object.matrixWorld),
+                    distance: object.distance,
+                    decay: object.decay
+                });
+            }
+        });
+    }
+
+    // Irradiance reaching a surface point, from every collected light
+    getIrradiance(normal, point, target) {
+        const lights = this.lights;
+        target.copy(lights.ambient);
+
+        lights.hemisphere.forEach(light => {
+            const weight = normal.dot(light.up) * 0.5 + 0.5;
+            target.add(_lightColor.copy(light.ground).lerp(light.sky, weight));
+        });
+
+        lights.directional.forEach(light => {
+            const dot = normal.dot(light.direction);
+            if (dot > 0) target.add(_lightColor.copy(light.color).multiplyScalar(dot));
+        });
+
+        lights.point.forEach(light => {
+            _toLight.subVectors(light.position, point);
+            const distance = _toLight.length();
+            const dot = distance > 0 ? normal.dot(_toLight) / distance : 0;
+            if (dot <= 0) return;
+
+            // Same falloff as three.js's getDistanceAttenuation
+            let attenuation = 1 / Math.max(Math.pow(distance, light.decay), 0.01);
+            if (light.distance > 0) {
+                attenuation *= Math.pow(Math.max(0, 1 - Math.pow(distance / light.distance, 4)), 2);
+            }
+            target.add(_lightColor.copy(light.color).multiplyScalar(dot * attenuation));
+        });
+
+        return target;
+    }
+
+    // Flat color of one face: material color x texture x vertex colors, lit unless the material is unlit
+    shadeFace(material, geometry, indices, normal, point) {
+        const base = new THREE.Color(1, 1, 1);
+        if (material.color) base.copy(material.color);
+
+        const uv = geometry.attributes.uv;
+        if (material.map && uv) {
+            _uvSum.set(0, 0);
+            indices.forEach(i => _uvSum.add(_uv.fromBufferAttribute(uv, i)));
+            _uvSum.divideScalar(3);
+            if (this.sampleTexture(material.map, _uvSum, _vertexColor)) {
+                base.multiply(_vertexColor);
+            }
+        }
+
+        const colors = material.vertexColors && geometry.attributes.color;
+        if (colors) {
+            _color.setRGB(0, 0, 0);
+            indices.forEach(i => _color.add(_vertexColor.fromBufferAttribute(colors, i)));
+            base.multiply(_color.multiplyScalar(1 / 3));
+        }
+
+        if (material.isMeshBasicMaterial || !this.isLit(material)) {
+            return base;
+        }
+
+        // Lambert diffuse, with metals reflecting less of it as in the physical materials
+        const diffuse = (1 - (material.metalness || 0)) / Math.PI;
+        base.multiply(this.getIrradiance(normal, point, _irradiance)).multiplyScalar(diffuse);
+
+        if (material.emissive) {
+            base.add(_color.copy(material.emissive).multiplyScalar(material.emissiveIntensity ?? 1));
+        }
+        return base;
+    }
+
+    isLit(material) {
+        return material.isMeshStandardMaterial || material.isMeshLambertMaterial ||
+            material.isMeshPhongMaterial || material.isMeshToonMaterial;
+    }
+
+    // Read a texture's pixels once per texture version, scaled down for sampling
+    getTexturePixels(texture) {
+        const cached = this.texturePixels.get(texture);
+        if (cached && cached.version === texture.version) return cached;
+
+        const entry = { version: texture.version, data: null, width: 0, height: 0 };
+        this.texturePixels.set(texture, entry);
+
+        const image = texture.image;
+        if (!image || !image.width || !image.height) return entry;
+
+        try {
+            const scale = Math.min(1, TEXTURE_SAMPLE_SIZE / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            entry.data = context.getImageData(0, 0, canvas.width, canvas.height).data;
+            entry.width = canvas.width;
+            entry.height = canvas.height;
+        } catch (error) {
+            // Cross-origin images can't be read back; the material color is used alone
+            console.warn('Canvas renderer cannot sample texture:', error.message);
+        }
+        return entry;
+    }
+
+    sampleTexture(texture, uv, target) {
+        const pixels = this.getTexturePixels(texture);
+        if (!pixels.data) return false;
+
+        // Applies offset/repeat, wrapping and flipY, giving image coordinates
+        _uv.copy(uv);
+        texture.transformUv(_uv);
+
+        const x = Math.min(pixels.width - 1, Math.max(0, Math.floor(_uv.x * pixels.width)));
+        const y = Math.min(pixels.height - 1, Math.max(0, Math.floor(_uv.y * pixels.height)));
+        const offset = (y * pixels.width + x) * 4;
+        const colorSpace = texture.colorSpace === THREE.SRGBColorSpace ? THREE.SRGBColorSpace : THREE.LinearSRGBColorSpace;
+
+        target.setRGB(
+            pixels.data[offset] / 255,
+            pixels.data[offset + 1] / 255,
+            pixels.data[offset + 2] / 255,
+            colorSpace
+        );
+        return true;
+    }
+
+    projectMesh(mesh) {
+        const geometry = mesh.geometry;
+        const position = geometry && geometry.attributes.position;
+        const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+        if (!position || !material || !material.visible || material.isShaderMaterial) return;
+
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        const start = Math.max(0, geometry.drawRange.start);
+        const end = Math.min(count, start + geometry.drawRange.count);
+
+        const { width, height } = this.domElement;
+        const mirrored = mesh.matrixWorld.determinant() < 0;
+        const style = {
+            alpha: getOpacity(material),
+            additive: material.blending === THREE.AdditiveBlending
+        };
+        const indices = [0, 0, 0];
+
+        for (let i = start; i + 2 < end; i += 3) {
+            indices[0] = index ? index.getX(i) : i;
+            indices[1] = index ? index.getX(i + 1) : i + 1;
+            indices[2] = index ? index.getX(i + 2) : i + 2;
+
+            _a.fromBufferAttribute(position, indices[0]).applyMatrix4(mesh.matrixWorld);
+            _b.fromBufferAttribute(position, indices[1]).applyMatrix4(mesh.matrixWorld);
+            _c.fromBufferAttribute(position, indices[2]).applyMatrix4(mesh.matrixWorld);
+
+            _normal.crossVectors(_ab.subVectors(_b, _a), _ac.subVectors(_c, _a));
+            if (_normal.lengthSq() === 0) continue;
+            _normal.normalize();
+            if (mirrored) _normal.negate();
+
+            _centroid.copy(_a).add(_b).add(_c).divideScalar(3);
+
+            // Counter-clockwise faces (seen from the camera) are front faces, as in WebGL
+            const facing = this.orthographic
+                ? _normal.dot(_cameraDirection) < 0
+                : _normal.dot(_toLight.subVectors(_cameraPosition, _centroid)) > 0;
+            if (material.side === THREE.FrontSide && !facing) continue;
+            if (material.side === THREE.BackSide && facing) continue;
+            if (!facing) _normal.negate();
+
+            const pa = {};
+            const pb = {};
+            const pc = {};
+            if (!projectPoint(_a, width, height, pa) ||
+                !projectPoint(_b, width, height, pb) ||
+                !projectPoint(_c, width, height, pc)) {
+                continue;
+            }
+
+            const color = toStyle(this.shadeFace(material, geometry, indices, _normal, _centroid));
+            this.primitives.push({
+                type: material.wireframe ? 'outline' : 'triangle',
+                points: [pa.x, pa.y, pb.x, pb.y, pc.x, pc.y],
+                depth: (pa.z + pb.z + pc.z) / 3,
+                color,
+                lineWidth: (material.wireframeLinewidth || 1) * this.pixelRatio,
+                ...style
+            });
+            this.info.render.triangles++;
+        }
+        this.info.render.calls++;
+    }
+
+    projectLine(line) {
+        const geometry = line.geometry;
+        const position = geometry && geometry.attributes.position;
+        const material = Array.isArray(line.material) ? line.material[0] : line.material;
+        if (!position || !material || !material.visible || material.isShaderMaterial) return;
+
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        const start = Math.max(0, geometry.drawRange.start);
+        const end = Math.min(count, start + geometry.drawRange.count);
+        const step = line.isLineSegments ? 2 : 1;
+        const colors = material.vertexColors && geometry.attributes.color;
+
+        const { width, height } = this.domElement;
+        const alpha = getOpacity(material);
+        const additive = material.blending === THREE.AdditiveBlending;
+        const lineWidth = (material.linewidth || 1) * this.pixelRatio;
+        const flatColor = material.color ? toStyle(material.color) : '#fff';
+
+        for (let i = start; i + 1 < end; i += step) {
+            const ia = index ? index.getX(i) : i;
+            const ib = index ? index.getX(i + 1) : i + 1;
+
+            _a.fromBufferAttribute(position, ia).applyMatrix4(line.matrixWorld);
+            _b.fromBufferAttribute(position, ib).applyMatrix4(line.matrixWorld);
+
+            const pa = {};
+            const pb = {};
+            if (!projectPoint(_a, width, height, pa) || !projectPoint(_b, width, height, pb)) continue;
+
+            let color = flatColor;
+            if (colors) {
+                _color.fromBufferAttribute(colors, ia).add(_vertexColor.fromBufferAttribute(colors, ib)).multiplyScalar(0.5);
+                color = toStyle(_color.multiply(material.color));
+            }
+
+            this.primitives.push({
+                type: 'line',
+                points: [pa.x, pa.y, pb.x, pb.y],
+                depth: (pa.z + pb.z) / 2,
+                color,
+                lineWidth,
+                alpha,
+                additive
+            });
+            this.info.render.lines++;
+        }
+        this.info.render.calls++;
+    }
+
+    projectPoints(points) {
+        const geometry = points.geometry;
+        const position = geometry && geometry.attributes.position;
+        const material = Array.isArray(points.material) ? points.material[0] : points.material;
+        if (!position || !material || !material.visible || material.isShaderMaterial) return;
+
+        const { width, height } = this.domElement;
+        const colors = material.vertexColors && geometry.attributes.color;
+        const alpha = getOpacity(material);
+        const additive = material.blending === THREE.AdditiveBlending;
+        const flatColor = material.color ? toStyle(material.color) : '#fff';
+        const size = (material.size ?? 1) * this.pixelRatio;
+        const attenuate = material.sizeAttenuation !== false && !this.orthographic;
+
+        const start = Math.max(0, geometry.drawRange.start);
+        const end = Math.min(position.count, start + geometry.drawRange.count);
+
+        for (let i = start; i < end; i++) {
+            _a.fromBufferAttribute(position, i).applyMatrix4(points.matrixWorld);
+
+            const p = {};
+            if (!projectPoint(_a, width, height, p)) continue;
+
+            // Same screen size as three.js's points shader
+            const pointSize = attenuate ? size * (this.height * 0.5) / p.w : size;
+            this.primitives.push({
+                type: 'point',
+                points: [p.x, p.y],
+                depth: p.z,
+                size: Math.max(1, pointSize),
+                color: colors ? toStyle(_color.fromBufferAttribute(colors, i).multiply(material.color)) : flatColor,
+                alpha,
+                additive
+            });
+            this.info.render.points++;
+        }
+        this.info.render.calls++;
+    }
+
+    // Draw the sorted primitives; runs of lines with the same style share one path
+    drawPrimitives() {
+        const context = this.context;
+        let batch = null;
+
+        const flush = () => {
+            if (batch) {
+                context.stroke();
+                batch = null;
+            }
+        };
+
+        this.primitives.forEach(primitive => {
+            const { type, points, color, alpha, additive } = primitive;
+
+            if (type === 'line') {
+                const key = `${color}|${alpha}|${additive}|${primitive.lineWidth}`;
+                if (key !== batch) {
+                    flush();
+                    this.applyStyle(alpha, additive);
+                    context.strokeStyle = color;
+                    context.lineWidth = primitive.lineWidth;
+                    context.beginPath();
+                    batch = key;
+                }
+                context.moveTo(points[0], points[1]);
+                context.lineTo(points[2], points[3]);
+                return;
+            }
+
+            flush();
+            this.applyStyle(alpha, additive);
+
+            if (type === 'point') {
+                const half = primitive.size / 2;
+                context.fillStyle = color;
+                context.fillRect(points[0] - half, points[1] - half, primitive.size, primitive.size);
+                return;
+            }
+
+            context.beginPath();
+            context.moveTo(points[0], points[1]);
+            context.lineTo(points[2], points[3]);
+            context.lineTo(points[4], points[5]);
+            context.closePath();
+
+            if (type === 'outline') {
+                context.strokeStyle = color;
+                context.lineWidth = primitive.lineWidth;
+                context.stroke();
+            } else {
+                context.fillStyle = color;
+                context.fill();
+            }
+        });
+
+        flush();
+        this.applyStyle(1, false);
+    }
+
+    applyStyle(alpha, additive) {
+        this.context.globalAlpha = alpha;
+        this.context.globalCompositeOperation = additive ? 'lighter' : 'source-over';
+    }
+
+    /** Drop cached texture reads and queued primitives */
+    dispose() {
+        this.primitives.length = 0;
+        this.texturePixels = new WeakMap();
+    }
+
+    /** Nothing to lose; present so teardown code can treat both renderers alike */
+    forceContextLoss() {}
+}
@@ -0,0 +1,55 @@
+// config-validation.js - Checks for the (partial) settings objects that managers accept in
+// configure() and that state.js restores (ground, interior, physics, softBody, deformer, sculpt)
+
+/** Colors in settings and saved state are #RRGGBB */
+export const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Rule that accepts only the listed values
+ * @param {string[]} values - Allowed values
+ * @returns {Function} Rule for validateConfig
+ */
+export function oneOf(values) {
+    return (value, path) => values.includes(value) ? null : `${path} must be one of ${values.join(', ')}`;
+}
+
+/** Rule for #RRGGBB colors */
+export function hexColor(value, path) {
+    return typeof value === 'string' && HEX_COLOR.test(value) ? null : `${path} must be #RRGGBB`;
+}
+
+/**
+ * Check a (partial) settings object field by field
+ * A rule is 'boolean', a numeric [min, max] range, or a function (value, path) that returns
+ * a problem, a list of problems or null. Fields without a rule are reported as unknown.
+ * @param {string} name - Settings name used in messages, e.g. 'physics'
+ * @param {Object} config - Fields to check
+ * @param {Object<string, string|number[]|Function>} rules - Rule for every known field
+ * @returns {string[]} Problems found; empty when the config is valid
+ */
+export function validateConfig(name, config, rules) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return [`${name} must be an object`];
+    }
+
+    const errors = [];
+    Object.keys(config).forEach(key => {
+        const rule = rules[key];
+        const value = config[key];
+        const path = `${name}.${key}`;
+
+        if (!rule) {
+            errors.push(`unknown ${name} setting "${key}"`);
+        } else if (rule === 'boolean') {
+            if (typeof value !== 'boolean') errors.push(`${path} must be a boolean`);
+        } else if (Array.isArray(rule)) {
+            if (!(Number.isFinite(value) && value >= rule[0] && value <= rule[1])) {
+                errors.push(`${path} must be between ${rule[0]} and ${rule[1]}`);
+            }
+        } else {
+            const problems = rule(value, path);
+            if (problems) errors.push(...[].concat(problems));
+        }
+    });
+    return errors;
+}
@@ -0,0 +1,182 @@
+// context-loss.js - Survive a lost WebGL context: stop drawing, tell the user, rebuild GPU state on restore
+import * as THREE from 'three';
+import { BallEvents } from './event-bus.js';
+import { getFrameScheduler } from './frame-scheduler.js';
+import { addDisposer, addTrackedListener } from './teardown.js';
+
+const LOST_MESSAGE = 'Graphics were interrupted. Waiting for the GPU to come back...';
+const FAILED_MESSAGE = 'Graphics could not be restored. Reload the page to continue.';
+
+// Flag every texture a material uses for upload; render-target textures are filled by rendering instead
+function refreshMaterial(material) {
+    material.needsUpdate = true;
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture && value.image && !value.isRenderTargetTexture) {
+            value.needsUpdate = true;
+        }
+    });
+}
+
+/**
+ * Watches an app's canvas for webglcontextlost / webglcontextrestored
+ * While the context is gone the frame loop is stopped and a message covers
+ * the ball; the scene, the deformed geometry, effects and the clock all live
+ * in memory and are left alone. three.js resets its own GL state when the
+ * context returns; this then re-applies the renderer settings, redraws the
+ * canvas gradient texture, re-uploads every other texture, recompiles every
+ * material, rebuilds the post-processing composer and restarts the loop.
+ * Modules holding other GPU-only data can listen for BallEvents.CONTEXT_RESTORED.
+ */
+export class ContextLossGuard {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        /** True between webglcontextlost and webglcontextrestored */
+        this.lost = false;
+        this.lostAt = 0;
+        this.resumeRecording = false;
+        this.message = null;
+        this.restoreTimer = null;
+    }
+
+    /** Start listening on the renderer's canvas */
+    start() {
+        const canvas = this.app.renderer.domElement;
+        addTrackedListener(this.app, canvas, 'webglcontextlost', (event) => this.onLost(event));
+        addTrackedListener(this.app, canvas, 'webglcontextrestored', () => this.onRestored());
+        addDisposer(this.app, () => {
+            clearTimeout(this.restoreTimer);
+            this.hideMessage();
+        });
+    }
+
+    onLost(event) {
+        // Without this the browser never hands the context back
+        event.preventDefault();
+        if (this.lost) return;
+
+        const app = this.app;
+        this.lost = true;
+        this.lostAt = performance.now();
+        console.warn('WebGL context lost; rendering paused until it is restored');
+
+        getFrameScheduler(app).stop();
+
+        // A clip would otherwise fill up with frozen frames
+        if (app.recorder && app.recorder.state === 'recording') {
+            app.recorder.pause();
+            this.resumeRecording = true;
+        }
+
+        this.showMessage(LOST_MESSAGE);
+
+        if (app.events) {
+            app.events.emit(BallEvents.CONTEXT_LOST, {});
+        }
+    }
+
+    onRestored() {
+        if (!this.lost) return;
+
+        const app = this.app;
+        try {
+            this.rebuild();
+        } catch (error) {
+            console.error('Error rebuilding after WebGL context restore:', error);
+            this.showMessage(FAILED_MESSAGE);
+            return;
+        }
+
+        this.lost = false;
+        this.hideMessage();
+
+        // start() resets the clock's timestamp, so the outage is not simulated as one long frame
+        getFrameScheduler(app).start();
+
+        if (this.resumeRecording) {
+            this.resumeRecording = false;
+            if (app.recorder) app.recorder.resume();
+        }
+
+        const lostFor = (performance.now() - this.lostAt) / 1000;
+        console.log(`WebGL context restored after ${lostFor.toFixed(1)}s`);
+
+        if (app.events) {
+            app.events.emit(BallEvents.CONTEXT_RESTORED, { lostFor });
+        }
+    }
+
+    // Put back everything that only existed on the GPU
+    rebuild() {
+        const app = this.app;
+        const renderer = app.renderer;
+
+        // Size, pixel ratio and shadow settings, as the quality tier wants them
+        const size = renderer.getSize(new THREE.Vector2());
+        renderer.setSize(size.x, size.y, false);
+        if (app.quality) {
+            app.quality.apply();
+        }
+
+        // The gradient's 2D canvas can be dropped along with the GPU; draw it again
+        if (app.updateGradientTexture && app.currentGradient) {
+            app.updateGradientTexture(...app.currentGradient);
+        }
+
+        // Ball, wireframe and effect materials (including hidden ones) and their textures
+        if (app.scene) {
+            app.scene.traverse(object => {
+                if (object.material) {
+                    [].concat(object.material).forEach(refreshMaterial);
+                }
+            });
+            [app.scene.background, app.scene.environment].forEach(texture => {
+                if (texture && texture.isTexture && texture.image && !texture.isRenderTargetTexture) {
+                    texture.needsUpdate = true;
+                }
+            });
+        }
+
+        // Render targets are rebuilt lazily by the next frame that uses a pass
+        if (app.postProcessing) {
+            app.postProcessing.resetComposer();
+            app.postProcessing.luts.forEach(texture => { texture.needsUpdate = true; });
+        }
+    }
+
+    /**
+     * Lose and restore the context on purpose, to try out recovery
+     * @param {number} [seconds] - How long the context stays lost, default 2
+     * @returns {boolean} False if the browser cannot simulate a loss
+     */
+    simulate(seconds = 2) {
+        const extension = this.app.renderer.getContext().getExtension('WEBGL_lose_context');
+        if (!extension) {
+            console.error('WEBGL_lose_context is not available; cannot simulate a context loss');
+            return false;
+        }
+
+        extension.loseContext();
+        clearTimeout(this.restoreTimer);
+        this.restoreTimer = setTimeout(() => extension.restoreContext(), seconds * 1000);
+        return true;
+    }
+
+    showMessage(text) {
+        if (!this.message) {
+            this.message = document.createElement('div');
+            this.message.className = 'context-lost-message';
+            (this.app.container || document.body).appendChild(this.message);
+        }
+        this.message.textContent = text;
+    }
+
+    hideMessage() {
+        if (this.message) {
+            this.message.remove();
+            this.message = null;
+        }
+    }
+}
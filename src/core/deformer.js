@@ -0,0 +1,704 @@
+// deformer.js - Spikes, the hover dent, surface noise and the blackhole's pull as one displacement,
+// run in the vertex shader with a CPU fallback that moves the same vertices the same way
+import * as THREE from 'three';
+import { FramePhase, getFrameScheduler } from './frame-scheduler.js';
+import { addDisposer } from './teardown.js';
+import { validateConfig } from './config-validation.js';
+
+// Spikes wobble by this share of their length, at twice the clock's speed
+const SPIKE_WOBBLE = 0.1;
+// Hash for each spike's wobble phase. The gain is kept low so float32 sin() on the GPU and the
+// CPU's double agree to a small part of a turn, and the raycast copy stays on the drawn spikes
+const SPIKE_HASH = [12.9898, 78.233, 37.719];
+const SPIKE_HASH_GAIN = 43.7585;
+// Blackhole pull: strength * PULL_GAIN / distance^2, for vertices closer than PULL_RANGE (world units)
+const PULL_GAIN = 0.1;
+const PULL_RANGE = 3;
+// Closer than this the pull stops growing, so a vertex cannot be flung to infinity
+const PULL_MIN_DISTANCE = 0.25;
+// A dent shallower than this is gone
+const DENT_EPSILON = 1e-3;
+// Step used for the shader's normals, in ball units
+const NORMAL_STEP = 0.01;
+
+/**
+ * @typedef {Object} DeformerConfig
+ * @property {boolean} gpu - Displace in the vertex shader; off (or on the canvas renderer) the CPU moves the vertices
+ * @property {number} noise - Height of the rolling surface noise in ball units, 0-0.5
+ * @property {number} noiseScale - Bumps per unit across the surface, 0.5-10
+ * @property {number} noiseSpeed - How fast the noise rolls, 0-5
+ */
+
+/** @type {DeformerConfig} */
+export const DEFAULT_DEFORMER = Object.freeze({
+    gpu: true,
+    noise: 0,
+    noiseScale: 3,
+    noiseSpeed: 1
+});
+
+const DEFORMER_RULES = Object.freeze({
+    gpu: 'boolean',
+    noise: [0, 0.5],
+    noiseScale: [0.5, 10],
+    noiseSpeed: [0, 5]
+});
+
+/**
+ * Check a (partial) deformer config
+ * @param {Object} config - Fields of DeformerConfig
+ * @returns {string[]} Problems found; empty when the config is valid
+ */
+export function validateDeformer(config) {
+    return validateConfig('deformer', config, DEFORMER_RULES);
+}
+
+// The displacement, kept line for line in step with displace() below so both paths agree
+const DEFORM_GLSL = /* glsl */`
+uniform float deformActive;
+uniform float deformTime;
+uniform float deformSpikiness;
+uniform vec4 deformDent;
+uniform float deformDentRadius;
+uniform vec4 deformPull;
+uniform float deformScale;
+uniform vec3 deformNoise;
+
+vec3 deformDirection( vec3 p ) {
+    float len = length( p );
+    return len > 1e-6 ? p / len : vec3( 0.0, 1.0, 0.0 );
+}
+
+// Wobble phase of the spike through a rest vertex: a hash of its direction, so neighbours wobble apart
+float deformSpikePhase( vec3 p ) {
+    return 6.2831853 * fract( sin( dot( deformDirection( p ), vec3( ${SPIKE_HASH.join(', ')} ) ) ) * ${SPIKE_HASH_GAIN} );
+}
+
+vec3 deformPosition( vec3 p, float phase ) {
+    if ( deformActive < 0.5 ) return p;
+    vec3 dir = deformDirection( p );
+    vec3 q = p;
+
+    if ( deformSpikiness > 0.0 ) {
+        q += dir * ( 1.0 + ${SPIKE_WOBBLE.toFixed(2)} * sin( 2.0 * deformTime + phase ) ) * deformSpikiness;
+    }
+
+    if ( deformNoise.x > 0.0 ) {
+        vec3 f = p * deformNoise.y;
+        float t = deformTime * deformNoise.z;
+        float n = sin( f.x + 1.7 * t ) * sin( 1.3 * f.y - 1.1 * t ) * sin( 0.7 * f.z + f.x + 0.9 * t );
+        q += dir * deformNoise.x * n;
+    }
+
+    if ( deformDent.w != 0.0 ) {
+        float d = distance( p, deformDent.xyz );
+        if ( d < deformDentRadius ) q -= dir * deformDent.w * ( 1.0 - d / deformDentRadius );
+    }
+
+    if ( deformPull.w > 0.0 ) {
+        vec3 v = deformPull.xyz - p;
+        float vl = length( v );
+        float d = max( vl * deformScale, ${PULL_MIN_DISTANCE.toFixed(2)} );
+        if ( d < ${PULL_RANGE.toFixed(1)} && vl > 1e-6 ) q += v / vl * ( ${PULL_GAIN.toFixed(2)} * deformPull.w / ( d * d ) ) / deformScale;
+    }
+
+    return q;
+}
+
+// The samples share the vertex's spike phase, so the normal follows its spike and not the hash
+vec3 deformNormal( vec3 p, vec3 n ) {
+    if ( deformActive < 0.5 ) return n;
+    vec3 t = normalize( abs( n.y ) < 0.99 ? cross( n, vec3( 0.0, 1.0, 0.0 ) ) : cross( n, vec3( 1.0, 0.0, 0.0 ) ) );
+    vec3 b = cross( n, t );
+    float phase = deformSpikePhase( p );
+    vec3 c = deformPosition( p, phase );
+    vec3 m = cross( deformPosition( p + t * ${NORMAL_STEP.toFixed(2)}, phase ) - c, deformPosition( p + b * ${NORMAL_STEP.toFixed(2)}, phase ) - c );
+    float ml = length( m );
+    if ( ml < 1e-12 ) return n;
+    m /= ml;
+    return dot( m, n ) < 0.0 ? -m : m;
+}
+`;
+
+// CPU twin of deformSpikePhase() above
+function spikePhase(dx, dy, dz) {
+    const h = Math.sin(dx * SPIKE_HASH[0] + dy * SPIKE_HASH[1] + dz * SPIKE_HASH[2]) * SPIKE_HASH_GAIN;
+    return 6.2831853 * (h - Math.floor(h));
+}
+
+// Displace one point by the current uniforms; the CPU twin of deformPosition() above
+function displace(u, source, offset, target) {
+    const px = source[offset], py = source[offset + 1], pz = source[offset + 2];
+    const len = Math.sqrt(px * px + py * py + pz * pz);
+    let dx = 0, dy = 1, dz = 0;
+    if (len > 1e-6) {
+        dx = px / len;
+        dy = py / len;
+        dz = pz / len;
+    }
+    let qx = px, qy = py, qz = pz;
+    const time = u.deformTime.value;
+
+    const spikiness = u.deformSpikiness.value;
+    if (spikiness > 0) {
+        const phase = spikePhase(dx, dy, dz);
+        const extension = (1 + SPIKE_WOBBLE * Math.sin(2 * time + phase)) * spikiness;
+        qx += dx * extension;
+        qy += dy * extension;
+        qz += dz * extension;
+    }
+
+    const noise = u.deformNoise.value;
+    if (noise.x > 0) {
+        const fx = px * noise.y, fy = py * noise.y, fz = pz * noise.y;
+        const t = time * noise.z;
+        const n = Math.sin(fx + 1.7 * t) * Math.sin(1.3 * fy - 1.1 * t) * Math.sin(0.7 * fz + fx + 0.9 * t);
+        qx += dx * noise.x * n;
+        qy += dy * noise.x * n;
+        qz += dz * noise.x * n;
+    }
+
+    const dent = u.deformDent.value;
+    if (dent.w !== 0) {
+        const radius = u.deformDentRadius.value;
+        const d = Math.hypot(px - dent.x, py - dent.y, pz - dent.z);
+        if (d < radius) {
+            const depth = dent.w * (1 - d / radius);
+            qx -= dx * depth;
+            qy -= dy * depth;
+            qz -= dz * depth;
+        }
+    }
+
+    const pull = u.deformPull.value;
+    if (pull.w > 0) {
+        const scale = u.deformScale.value;
+        const vx = pull.x - px, vy = pull.y - py, vz = pull.z - pz;
+        const vl = Math.sqrt(vx * vx + vy * vy + vz * vz);
+        const d = Math.max(vl * scale, PULL_MIN_DISTANCE);
+        if (d < PULL_RANGE && vl > 1e-6) {
+            const amount = (PULL_GAIN * pull.w / (d * d)) / scale / vl;
+            qx += vx * amount;
+            qy += vy * amount;
+            qz += vz * amount;
+        }
+    }
+
+    target[offset] = qx;
+    target[offset + 1] = qy;
+    target[offset + 2] = qz;
+}
+
+/**
+ * Hand a hover dent to whichever system shapes the surface: the soft body
+ * (soft-body.js) first, then the deformer. In sculpt mode (sculpt.js) there
+ * is no hover dent, so it does not fight the brush.
+ * @param {Object} app - Application context
+ * @param {THREE.Vector3} point - World-space point on the ball
+ * @param {number} intensity - Depth of the dent in the middle
+ * @param {number} radius - World-space radius of the dent
+ * @returns {boolean} True if handled; otherwise the caller moves the vertices itself
+ */
+export function pressDent(app, point, intensity, radius) {
+    if (app.sculpt && app.sculpt.active) {
+        return true;
+    }
+    if (app.softBody && app.softBody.active) {
+        app.softBody.press(point, intensity, radius);
+        return true;
+    }
+    if (app.deformer) {
+        app.deformer.setDent(point, intensity, radius);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Let the hover dent go back; a speed of 1 snaps the surface straight to rest
+ * @param {Object} app - Application context
+ * @param {number} speed - Share of the dent removed, 0-1
+ * @returns {boolean} True if handled; otherwise the caller moves the vertices itself
+ */
+export function releaseDent(app, speed) {
+    if (app.softBody && app.softBody.active) {
+        if (speed >= 1) {
+            app.softBody.reset();
+        } else {
+            app.softBody.release();
+        }
+        return true;
+    }
+    if (app.deformer) {
+        app.deformer.relaxDent(speed);
+        return true;
+    }
+    return false;
+}
+
+const _point = new THREE.Vector3();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _inverse = new THREE.Matrix4();
+
+/**
+ * Shape deformation for one app's ball
+ * Every frame the spikiness (effectState.spikiness), the blackhole's pull
+ * (effectState.gravitationalPull), the hover dent and the surface noise are
+ * turned into uniforms. On WebGL the ball's, wireframe's and shadow materials
+ * displace their vertices with them in the vertex shader and work out new
+ * normals there, so the position buffer keeps whatever shape the soft body or
+ * a physics squash gave it and nothing is uploaded. On the canvas renderer,
+ * or with gpu off, the same displacement runs on the CPU over that shape.
+ * Raycasts against the ball hit the displaced surface either way: on the GPU
+ * path they test a copy displaced on the CPU, refreshed at most once a frame.
+ */
+export class Deformer {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.settings = { ...DEFAULT_DEFORMER };
+        this.mode = null;
+        this.deforming = false;
+        this.frame = 0;
+
+        // Hover dent, in world space as given
+        this.dentPoint = new THREE.Vector3();
+        this.dentDepth = 0;
+        this.dentRadius = 0;
+
+        this.uniforms = {
+            deformActive: { value: 0 },
+            deformTime: { value: 0 },
+            deformSpikiness: { value: 0 },
+            deformDent: { value: new THREE.Vector4() },
+            deformDentRadius: { value: 1 },
+            deformPull: { value: new THREE.Vector4() },
+            deformScale: { value: 1 },
+            deformNoise: { value: new THREE.Vector3() }
+        };
+
+        // GPU path: patched materials and the raycast copy
+        this.patched = [];
+        this.proxy = null;
+        this.proxyFrame = -1;
+        // Mesh and geometry the raycast override was installed for
+        this.raycastMesh = null;
+        this.raycastGeometry = null;
+        this.proxyVersion = -1;
+
+        // CPU path: the undisplaced shape of the ball and its wireframe, and the buffer versions we last wrote
+        this.cpu = null;
+    }
+
+    /** Start deforming; call once the ball and the loop exist */
+    start() {
+        const app = this.app;
+        const removeHook = getFrameScheduler(app).add(FramePhase.EFFECTS, 'deformer', (clock) => this.update(clock));
+
+        this.adoptMesh();
+
+        addDisposer(app, () => {
+            removeHook();
+            this.dispose();
+        });
+    }
+
+    /** @returns {DeformerConfig} Copy of the current settings */
+    get config() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change some or all of the deformer settings
+     * @param {Object} changes - Fields of DeformerConfig
+     * @returns {boolean} False if the changes are invalid
+     */
+    configure(changes) {
+        const errors = validateDeformer(changes);
+        if (errors.length > 0) {
+            console.error('Invalid deformer settings: ' + errors.join('; '));
+            return false;
+        }
+        this.settings = { ...this.settings, ...changes };
+        return true;
+    }
+
+    /**
+     * Hold a dent under a point on the surface (hover)
+     * @param {THREE.Vector3} point - World-space point on the ball
+     * @param {number} depth - Depth in the middle; negative raises a bump
+     * @param {number} radius - World-space radius
+     */
+    setDent(point, depth, radius) {
+        this.dentPoint.copy(point);
+        this.dentDepth = depth;
+        this.dentRadius = radius;
+    }
+
+    /**
+     * Shrink the dent towards nothing
+     * @param {number} speed - Share removed, 0-1
+     */
+    relaxDent(speed) {
+        this.dentDepth *= 1 - Math.min(Math.max(speed, 0), 1);
+        if (Math.abs(this.dentDepth) < DENT_EPSILON) {
+            this.dentDepth = 0;
+        }
+    }
+
+    /**
+     * Displaced copy of the ball's vertices as they are drawn right now
+     * @param {Float32Array} [target] - Array to fill; a new one when omitted
+     * @returns {Float32Array|null} Positions in ball space, or null before the ball exists
+     */
+    getDisplacedPositions(target) {
+        const geometry = this.app.ballGeometry;
+        if (!geometry) return null;
+
+        const source = this.getSourcePositions();
+        const out = target || new Float32Array(source.length);
+        this.displaceAll(source, out);
+        return out;
+    }
+
+    /** @returns {string} 'gpu' when the shader path can run with the current settings and renderer, else 'cpu' */
+    resolveMode() {
+        const renderer = this.app.renderer;
+        return this.settings.gpu && renderer && !renderer.isCanvasRenderer ? 'gpu' : 'cpu';
+    }
+
+    update(clock) {
+        const app = this.app;
+        if (!app.ballMesh || !app.ballGeometry) return;
+        this.frame++;
+
+        if (app.ballMesh !== this.raycastMesh || app.ballGeometry !== this.raycastGeometry) {
+            this.adoptMesh();
+        }
+
+        this.updateUniforms(clock);
+
+        const mode = this.resolveMode();
+        if (mode !== this.mode) {
+            this.switchMode(mode);
+        }
+
+        if (this.mode === 'gpu') {
+            this.updateGpu();
+        } else {
+            this.updateCpu();
+        }
+    }
+
+    updateUniforms(clock) {
+        const app = this.app;
+        const u = this.uniforms;
+        const effectState = app.effectState;
+
+        const mesh = app.ballMesh;
+        mesh.updateWorldMatrix(true, false);
+        mesh.matrixWorld.decompose(_position, _quaternion, _scale);
+        const scale = _scale.x || 1;
+        _inverse.copy(mesh.matrixWorld).invert();
+
+        u.deformTime.value = clock.time;
+        u.deformScale.value = scale;
+        u.deformSpikiness.value = effectState && effectState.spikiness > 0 ? effectState.spikiness : 0;
+
+        const { noise, noiseScale, noiseSpeed } = this.settings;
+        u.deformNoise.value.set(noise, noiseScale, noiseSpeed);
+
+        // Dent: point and radius into ball space
+        if (this.dentDepth !== 0) {
+            _point.copy(this.dentPoint).applyMatrix4(_inverse);
+            u.deformDent.value.set(_point.x, _point.y, _point.z, this.dentDepth / scale);
+            u.deformDentRadius.value = Math.max(this.dentRadius / scale, 1e-6);
+        } else {
+            u.deformDent.value.w = 0;
+        }
+
+        // Blackhole pull, from wherever the blackhole is in the world
+        const blackhole = effectState && effectState.blackholeEffect;
+        const pull = effectState ? effectState.gravitationalPull : 0;
+        if (blackhole && pull > 0) {
+            blackhole.getWorldPosition(_point).applyMatrix4(_inverse);
+            u.deformPull.value.set(_point.x, _point.y, _point.z, pull);
+        } else {
+            u.deformPull.value.w = 0;
+        }
+
+        this.deforming = u.deformSpikiness.value > 0 || noise > 0 || u.deformDent.value.w !== 0 || u.deformPull.value.w > 0;
+        u.deformActive.value = this.deforming ? 1 : 0;
+    }
+
+    switchMode(mode) {
+        if (this.mode === 'gpu') {
+            this.unpatchMaterials();
+        } else if (this.mode === 'cpu') {
+            this.restoreCpu();
+        }
+        this.mode = mode;
+        console.log(`Deformation runs on the ${mode.toUpperCase()}`);
+    }
+
+    // ---- GPU path ----
+
+    updateGpu() {
+        const app = this.app;
+        // Materials can be swapped (presets, context restore); patch whatever the ball wears now
+        const wanted = [app.ballMesh.material, app.wireMesh && app.wireMesh.material];
+        if (wanted.some((material, i) => material && (!this.patched[i] || this.patched[i].material !== material))) {
+            this.patchMaterials();
+        }
+    }
+
+    patchMaterials() {
+        this.unpatchMaterials();
+        const app = this.app;
+        const mesh = app.ballMesh;
+
+        // Shadows are drawn with these, so they take the displaced shape too
+        if (!mesh.customDepthMaterial) {
+            mesh.customDepthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking, side: THREE.DoubleSide });
+            mesh.customDistanceMaterial = new THREE.MeshDistanceMaterial({ side: THREE.DoubleSide });
+            this.ownsShadowMaterials = true;
+        }
+
+        const targets = [mesh.material, app.wireMesh && app.wireMesh.material, mesh.customDepthMaterial, mesh.customDistanceMaterial];
+        this.patched = targets.map(material => (material ? this.patchMaterial(material) : null));
+
+        // Displaced vertices can leave the rest bounds
+        this.frustumCulled = [mesh.frustumCulled, app.wireMesh ? app.wireMesh.frustumCulled : true];
+        mesh.frustumCulled = false;
+        if (app.wireMesh) app.wireMesh.frustumCulled = false;
+    }
+
+    patchMaterial(material) {
+        const uniforms = this.uniforms;
+        const previous = {
+            material,
+            onBeforeCompile: material.onBeforeCompile,
+            customProgramCacheKey: material.customProgramCacheKey
+        };
+
+        material.onBeforeCompile = function (shader, renderer) {
+            previous.onBeforeCompile.call(this, shader, renderer);
+            Object.assign(shader.uniforms, uniforms);
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\n' + DEFORM_GLSL)
+                .replace('#include <beginnormal_vertex>', '#include <beginnormal_vertex>\nobjectNormal = deformNormal( vec3( position ), objectNormal );')
+                .replace('#include <begin_vertex>', '#include <begin_vertex>\ntransformed = deformPosition( transformed, deformSpikePhase( vec3( position ) ) );');
+        };
+        material.customProgramCacheKey = function () {
+            return previous.customProgramCacheKey.call(this) + '|deform';
+        };
+        material.needsUpdate = true;
+        return previous;
+    }
+
+    unpatchMaterials() {
+        const app = this.app;
+        this.patched.forEach(previous => {
+            if (!previous) return;
+            previous.material.onBeforeCompile = previous.onBeforeCompile;
+            previous.material.customProgramCacheKey = previous.customProgramCacheKey;
+            previous.material.needsUpdate = true;
+        });
+        this.patched = [];
+
+        if (this.ownsShadowMaterials && app.ballMesh) {
+            app.ballMesh.customDepthMaterial.dispose();
+            app.ballMesh.customDistanceMaterial.dispose();
+            app.ballMesh.customDepthMaterial = undefined;
+            app.ballMesh.customDistanceMaterial = undefined;
+            this.ownsShadowMaterials = false;
+        }
+        if (this.frustumCulled && app.ballMesh) {
+            app.ballMesh.frustumCulled = this.frustumCulled[0];
+            if (app.wireMesh) app.wireMesh.frustumCulled = this.frustumCulled[1];
+            this.frustumCulled = null;
+        }
+    }
+
+    // Pick on the displaced surface. Runs again whenever the ball was rebuilt (recoverBall,
+    // context loss) or its geometry replaced (shape or detail change)
+    adoptMesh() {
+        const app = this.app;
+        if (this.raycastMesh && this.raycastMesh !== app.ballMesh) {
+            delete this.raycastMesh.raycast;
+        }
+        this.raycastMesh = app.ballMesh || null;
+        this.raycastGeometry = app.ballGeometry || null;
+        if (this.raycastMesh) {
+            this.raycastMesh.raycast = (raycaster, intersects) => this.raycast(raycaster, intersects);
+        }
+    }
+
+    raycast(raycaster, intersects) {
+        const mesh = this.app.ballMesh;
+        if (this.mode !== 'gpu' || !this.deforming) {
+            THREE.Mesh.prototype.raycast.call(mesh, raycaster, intersects);
+            return;
+        }
+
+        // Test a copy displaced like the shader does, so hits land where the surface is drawn
+        const proxy = this.updateProxy();
+        const geometry = mesh.geometry;
+        mesh.geometry = proxy;
+        try {
+            THREE.Mesh.prototype.raycast.call(mesh, raycaster, intersects);
+        } finally {
+            mesh.geometry = geometry;
+        }
+    }
+
+    updateProxy() {
+        const geometry = this.app.ballGeometry;
+        const position = geometry.attributes.position;
+        let proxy = this.proxy;
+
+        if (!proxy || proxy.userData.source !== geometry || proxy.attributes.position.count !== position.count) {
+            if (proxy) proxy.dispose();
+            proxy = new THREE.BufferGeometry();
+            proxy.setAttribute('position', new THREE.BufferAttribute(new Float32Array(position.array.length), 3));
+            if (geometry.index) proxy.setIndex(geometry.index);
+            proxy.userData.source = geometry;
+            this.proxy = proxy;
+            this.proxyFrame = -1;
+        }
+
+        if (this.proxyFrame !== this.frame || this.proxyVersion !== position.version) {
+            this.displaceAll(position.array, proxy.attributes.position.array);
+            proxy.computeBoundingSphere();
+            this.proxyFrame = this.frame;
+            this.proxyVersion = position.version;
+        }
+        return proxy;
+    }
+
+    // ---- CPU path ----
+
+    updateCpu() {
+        const cpu = this.trackCpuSources();
+
+        if (!this.deforming) {
+            // Put back the undisplaced shape once, then leave the buffers alone
+            if (cpu.dirty) this.restoreCpu();
+            return;
+        }
+
+        const position = cpu.geometry.attributes.position;
+        this.displaceAll(cpu.base, position.array);
+        position.needsUpdate = true;
+        cpu.geometry.computeVertexNormals();
+        cpu.version = position.version;
+
+        if (cpu.wire) {
+            const wirePosition = cpu.wire.attributes.position;
+            this.displaceAll(cpu.wireBase, wirePosition.array);
+            wirePosition.needsUpdate = true;
+            cpu.wireVersion = wirePosition.version;
+        }
+        cpu.dirty = true;
+    }
+
+    // Pick up the shape others wrote (soft body, squash, a new geometry) as the base to displace
+    trackCpuSources() {
+        const app = this.app;
+        const geometry = app.ballGeometry;
+        const wire = app.wireMesh ? app.wireMesh.geometry : null;
+        let cpu = this.cpu;
+
+        if (!cpu || cpu.geometry !== geometry) {
+            cpu = this.cpu = { geometry, base: null, version: -1, wire: null, wireBase: null, wireVersion: -1, dirty: false };
+        }
+
+        const position = geometry.attributes.position;
+        if (!cpu.base || cpu.base.length !== position.array.length) {
+            cpu.base = new Float32Array(position.array.length);
+            cpu.version = -1;
+        }
+        if (position.version !== cpu.version) {
+            cpu.base.set(position.array);
+            cpu.version = position.version;
+        }
+
+        if (cpu.wire !== wire) {
+            cpu.wire = wire;
+            cpu.wireBase = wire ? new Float32Array(wire.attributes.position.array) : null;
+            cpu.wireVersion = wire ? wire.attributes.position.version : -1;
+        } else if (wire && wire.attributes.position.version !== cpu.wireVersion) {
+            if (cpu.wireBase.length !== wire.attributes.position.array.length) {
+                cpu.wireBase = new Float32Array(wire.attributes.position.array.length);
+            }
+            cpu.wireBase.set(wire.attributes.position.array);
+            cpu.wireVersion = wire.attributes.position.version;
+        }
+        return cpu;
+    }
+
+    restoreCpu() {
+        const cpu = this.cpu;
+        if (!cpu || !cpu.dirty) return;
+
+        const position = cpu.geometry.attributes.position;
+        if (position.array.length === cpu.base.length) {
+            position.array.set(cpu.base);
+            position.needsUpdate = true;
+            cpu.geometry.computeVertexNormals();
+            cpu.version = position.version;
+        }
+        if (cpu.wire && cpu.wireBase.length === cpu.wire.attributes.position.array.length) {
+            const wirePosition = cpu.wire.attributes.position;
+            wirePosition.array.set(cpu.wireBase);
+            wirePosition.needsUpdate = true;
+            cpu.wireVersion = wirePosition.version;
+        }
+        cpu.dirty = false;
+    }
+
+    // Positions as they were before this class displaced them
+    getSourcePositions() {
+        const cpu = this.cpu;
+        const position = this.app.ballGeometry.attributes.position;
+        if (this.mode === 'cpu' && cpu && cpu.geometry === this.app.ballGeometry && cpu.dirty && cpu.version === position.version) {
+            return cpu.base;
+        }
+        return position.array;
+    }
+
+    displaceAll(source, target) {
+        const u = this.uniforms;
+        if (!this.deforming) {
+            target.set(source);
+            return;
+        }
+        for (let offset = 0; offset < source.length; offset += 3) {
+            displace(u, source, offset, target);
+        }
+    }
+
+    /** Take the shader code out of the materials and put the vertices back */
+    dispose() {
+        const app = this.app;
+        if (this.mode === 'gpu') {
+            this.unpatchMaterials();
+        } else {
+            this.restoreCpu();
+        }
+        this.mode = null;
+        if (this.proxy) {
+            this.proxy.dispose();
+            this.proxy = null;
+        }
+        if (this.raycastMesh) {
+            delete this.raycastMesh.raycast;
+            this.raycastMesh = null;
+            this.raycastGeometry = null;
+        }
+    }
+}
@@ -0,0 +1,496 @@
+// environments.js - Procedural backgrounds (starfield, skydome, nebula, grid floor, fog) that also
+// light the ball through a PMREM environment map, so the clearcoat has something to reflect
+import * as THREE from 'three';
+import { FramePhase, getFrameScheduler } from './frame-scheduler.js';
+import { BallEvents } from './event-bus.js';
+import { addDisposer } from './teardown.js';
+import { getParticleBudget } from './render-quality.js';
+
+export const DEFAULT_ENVIRONMENT = 'none';
+
+// Backdrops sit far outside the ball but well inside the camera's far plane
+const DOME_RADIUS = 400;
+const FLOOR_Y = -1.5;
+
+// Blur of the generated environment map; higher is softer reflections
+const PMREM_SIGMA = 0.04;
+
+const DOME_VERTEX = /* glsl */`
+varying vec3 vDirection;
+
+void main() {
+    vDirection = normalize(position);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const SKY_FRAGMENT = /* glsl */`
+uniform vec3 topColor;
+uniform vec3 horizonColor;
+uniform vec3 bottomColor;
+uniform float exponent;
+varying vec3 vDirection;
+
+void main() {
+    float h = normalize(vDirection).y;
+    vec3 color = h > 0.0
+        ? mix(horizonColor, topColor, pow(h, exponent))
+        : mix(horizonColor, bottomColor, sqrt(-h));
+    gl_FragColor = vec4(color, 1.0);
+    #include <colorspace_fragment>
+}
+`;
+
+const NEBULA_FRAGMENT = /* glsl */`
+uniform float time;
+uniform vec3 deepColor;
+uniform vec3 cloudColor;
+uniform vec3 glowColor;
+varying vec3 vDirection;
+
+float hash(vec3 p) {
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+float noise(vec3 x) {
+    vec3 i = floor(x);
+    vec3 f = fract(x);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+        mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+            mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+        mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+            mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+        f.z);
+}
+
+float fbm(vec3 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < 5; i++) {
+        value += amplitude * noise(p);
+        p *= 2.02;
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+void main() {
+    vec3 direction = normalize(vDirection);
+    vec3 p = direction * 2.5 + vec3(time * 0.02, time * 0.015, 0.0);
+    float n = fbm(p + fbm(p * 1.5));
+
+    float clouds = smoothstep(0.35, 0.85, n);
+    vec3 color = mix(deepColor, cloudColor, clouds);
+    color = mix(color, glowColor, smoothstep(0.7, 1.0, n) * 0.8);
+
+    // Sparse background stars where the clouds are thin
+    float star = step(0.9985, hash(floor(direction * 300.0)));
+    color += vec3(star) * (1.0 - clouds);
+
+    gl_FragColor = vec4(color, 1.0);
+    #include <colorspace_fragment>
+}
+`;
+
+const STAR_VERTEX = /* glsl */`
+attribute float size;
+attribute float phase;
+attribute vec3 starColor;
+uniform float time;
+uniform float pixelRatio;
+varying vec3 vColor;
+varying float vTwinkle;
+
+void main() {
+    vTwinkle = 0.65 + 0.35 * sin(time * (0.8 + phase) + phase * 6.2832);
+    vColor = starColor;
+    gl_PointSize = size * pixelRatio * vTwinkle;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const STAR_FRAGMENT = /* glsl */`
+varying vec3 vColor;
+varying float vTwinkle;
+
+void main() {
+    float alpha = smoothstep(0.5, 0.0, length(gl_PointCoord - 0.5));
+    gl_FragColor = vec4(vColor * vTwinkle, alpha);
+    #include <colorspace_fragment>
+}
+`;
+
+const GRID_VERTEX = /* glsl */`
+varying vec3 vWorld;
+
+void main() {
+    vec4 world = modelMatrix * vec4(position, 1.0);
+    vWorld = world.xyz;
+    gl_Position = projectionMatrix * viewMatrix * world;
+}
+`;
+
+const GRID_FRAGMENT = /* glsl */`
+uniform vec3 lineColor;
+uniform float time;
+uniform float fadeDistance;
+varying vec3 vWorld;
+
+void main() {
+    // Lines scroll towards the viewer
+    vec2 coord = vWorld.xz + vec2(0.0, time * 0.3);
+    vec2 grid = abs(fract(coord - 0.5) - 0.5) / fwidth(coord);
+    float line = 1.0 - min(min(grid.x, grid.y), 1.0);
+    float fade = 1.0 - smoothstep(fadeDistance * 0.3, fadeDistance, length(vWorld.xz));
+
+    gl_FragColor = vec4(lineColor, line * fade);
+    #include <colorspace_fragment>
+}
+`;
+
+function createDome(fragmentShader, uniforms) {
+    return new THREE.Mesh(
+        new THREE.SphereGeometry(DOME_RADIUS, 48, 24),
+        new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: DOME_VERTEX,
+            fragmentShader,
+            side: THREE.BackSide,
+            depthWrite: false
+        })
+    );
+}
+
+function createSky(top, horizon, bottom, exponent = 0.6) {
+    return createDome(SKY_FRAGMENT, {
+        topColor: { value: new THREE.Color(top) },
+        horizonColor: { value: new THREE.Color(horizon) },
+        bottomColor: { value: new THREE.Color(bottom) },
+        exponent: { value: exponent }
+    });
+}
+
+function createStarfield(app) {
+    const count = getParticleBudget(app, 4000);
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+    const phases = new Float32Array(count);
+    const palette = [new THREE.Color('#FFFFFF'), new THREE.Color('#AACCFF'), new THREE.Color('#FFE6C0')];
+    const direction = new THREE.Vector3();
+
+    for (let i = 0; i < count; i++) {
+        direction.randomDirection().multiplyScalar(DOME_RADIUS * (0.6 + Math.random() * 0.35));
+        direction.toArray(positions, i * 3);
+        palette[i % palette.length].toArray(colors, i * 3);
+        sizes[i] = 1 + Math.random() * Math.random() * 3;
+        phases[i] = Math.random();
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('starColor', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('phase', new THREE.BufferAttribute(phases, 1));
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: { time: { value: 0 }, pixelRatio: { value: 1 } },
+        vertexShader: STAR_VERTEX,
+        fragmentShader: STAR_FRAGMENT,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+
+    const stars = new THREE.Points(geometry, material);
+    return {
+        object: stars,
+        update: (clock, app) => {
+            material.uniforms.time.value = clock.time;
+            material.uniforms.pixelRatio.value = app.renderer ? app.renderer.getPixelRatio() : 1;
+            stars.rotation.y += clock.delta * 0.005;
+        }
+    };
+}
+
+function createGridFloor(lineColor, fadeDistance = 40) {
+    const floor = new THREE.Mesh(
+        new THREE.PlaneGeometry(fadeDistance * 2.5, fadeDistance * 2.5),
+        new THREE.ShaderMaterial({
+            uniforms: {
+                lineColor: { value: new THREE.Color(lineColor) },
+                time: { value: 0 },
+                fadeDistance: { value: fadeDistance }
+            },
+            vertexShader: GRID_VERTEX,
+            fragmentShader: GRID_FRAGMENT,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        })
+    );
+    floor.rotation.x = -Math.PI / 2;
+    floor.position.y = FLOOR_Y;
+    return floor;
+}
+
+/**
+ * Environments offered in the menu and used by presets. Each one has a
+ * background color (shown while nothing is drawn over it, by the 2D canvas
+ * renderer, and behind the environment map capture), how strongly its
+ * environment map lights the ball, optional fog, and a create(app) that returns
+ * { object, update(clock, app) } - the object is added to the scene.
+ * @readonly
+ */
+export const ENVIRONMENTS = Object.freeze({
+    none: {
+        label: 'Plain',
+        background: null,
+        intensity: 0
+    },
+    starfield: {
+        label: 'Starfield',
+        background: '#02030A',
+        intensity: 0.3,
+        create: (app) => createStarfield(app)
+    },
+    skydome: {
+        label: 'Gradient Sky',
+        background: '#6A7FDB',
+        intensity: 0.8,
+        create: () => ({ object: createSky('#0B1A3A', '#6A7FDB', '#1A1022') })
+    },
+    nebula: {
+        label: 'Nebula',
+        background: '#0B0420',
+        intensity: 0.6,
+        create: () => {
+            const dome = createDome(NEBULA_FRAGMENT, {
+                time: { value: 0 },
+                deepColor: { value: new THREE.Color('#05010F') },
+                cloudColor: { value: new THREE.Color('#5B1E7A') },
+                glowColor: { value: new THREE.Color('#FF5FA8') }
+            });
+            return {
+                object: dome,
+                update: (clock) => { dome.material.uniforms.time.value = clock.time; }
+            };
+        }
+    },
+    grid: {
+        label: 'Grid Floor',
+        background: '#05010F',
+        intensity: 0.5,
+        create: () => {
+            const group = new THREE.Group();
+            const floor = createGridFloor('#00FFFF');
+            group.add(createSky('#05010F', '#3A0C5A', '#05010F', 0.4), floor);
+            return {
+                object: group,
+                update: (clock) => { floor.material.uniforms.time.value = clock.time; }
+            };
+        }
+    },
+    fog: {
+        label: 'Fog',
+        background: '#8A96A8',
+        intensity: 0.7,
+        fog: { color: '#8A96A8', density: 0.09 },
+        create: () => {
+            const group = new THREE.Group();
+            const ground = new THREE.Mesh(
+                new THREE.PlaneGeometry(200, 200),
+                new THREE.MeshBasicMaterial({ color: '#4A5260' })
+            );
+            ground.rotation.x = -Math.PI / 2;
+            ground.position.y = FLOOR_Y;
+            group.add(createSky('#B8C4D4', '#8A96A8', '#8A96A8', 0.8), ground);
+            return { object: group };
+        }
+    }
+});
+
+function disposeContent(object) {
+    object.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) [].concat(child.material).forEach(material => material.dispose());
+    });
+}
+
+/**
+ * Switches an app between ENVIRONMENTS
+ * The environment's objects are tagged userData.backdrop so still exports can
+ * leave them out. Its environment map is a PMREM capture of the environment
+ * alone (the ball is not in it), taken on the first frame after a switch;
+ * animated environments keep moving on screen while reflections show that
+ * snapshot. Maps are recaptured after a WebGL context loss, and never made
+ * with the 2D canvas renderer, which only shows the background color.
+ */
+export class EnvironmentManager {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.current = DEFAULT_ENVIRONMENT;
+        this.content = null;
+        this.pmrem = null;
+        this.target = null;
+        this.dirty = false;
+    }
+
+    /** Start animating and capturing; call once the scene exists */
+    start() {
+        const app = this.app;
+        const removeHook = getFrameScheduler(app).add(FramePhase.EFFECTS, 'environment', (clock) => this.update(clock));
+        const offRestored = app.events
+            ? app.events.on(BallEvents.CONTEXT_RESTORED, () => this.invalidate())
+            : () => {};
+
+        addDisposer(app, () => {
+            removeHook();
+            offRestored();
+            this.dispose();
+        });
+    }
+
+    /**
+     * Available environments
+     * @returns {{name: string, label: string}[]}
+     */
+    list() {
+        return Object.keys(ENVIRONMENTS).map(name => ({ name, label: ENVIRONMENTS[name].label }));
+    }
+
+    /**
+     * Switch environment
+     * @param {string} name - Key of ENVIRONMENTS
+     * @returns {boolean} True if the environment exists
+     */
+    set(name) {
+        const definition = ENVIRONMENTS[name];
+        if (!definition) {
+            console.error(`Unknown environment: ${name}`);
+            return false;
+        }
+        if (name === this.current && (this.content || !definition.create)) return true;
+
+        const scene = this.app.scene;
+        if (!scene) {
+            console.error('Cannot set an environment before the scene exists');
+            return false;
+        }
+
+        try {
+            this.removeContent();
+
+            if (definition.create) {
+                this.content = definition.create(this.app);
+                this.content.object.userData.backdrop = true;
+                scene.add(this.content.object);
+            }
+
+            scene.background = definition.background ? new THREE.Color(definition.background) : null;
+            scene.fog = definition.fog ? new THREE.FogExp2(definition.fog.color, definition.fog.density) : null;
+
+            this.current = name;
+            this.invalidate();
+            return true;
+        } catch (error) {
+            console.error(`Error creating environment "${name}":`, error);
+            this.removeContent();
+            return false;
+        }
+    }
+
+    /** Recapture the environment map on the next frame */
+    invalidate() {
+        // The old map may live in a lost context; never reuse it
+        if (this.pmrem) {
+            this.pmrem.dispose();
+            this.pmrem = null;
+        }
+        this.dirty = true;
+    }
+
+    update(clock) {
+        if (this.content && this.content.update) {
+            this.content.update(clock, this.app);
+        }
+
+        const renderer = this.app.renderer;
+        if (this.dirty && renderer && !renderer.isCanvasRenderer) {
+            this.dirty = false;
+            this.capture();
+        }
+    }
+
+    // Render the environment alone into a PMREM cube map and light the scene with it
+    capture() {
+        const { renderer, scene } = this.app;
+        const definition = ENVIRONMENTS[this.current];
+
+        if (!this.content || !definition.intensity) {
+            this.setEnvironmentMap(null);
+            return;
+        }
+
+        try {
+            if (!this.pmrem) {
+                this.pmrem = new THREE.PMREMGenerator(renderer);
+            }
+
+            const captureScene = new THREE.Scene();
+            captureScene.background = scene.background;
+            captureScene.fog = scene.fog;
+
+            // Borrow the backdrop; an object can only have one parent
+            const object = this.content.object;
+            captureScene.add(object);
+            let target;
+            try {
+                target = this.pmrem.fromScene(captureScene, PMREM_SIGMA);
+            } finally {
+                scene.add(object);
+            }
+
+            this.setEnvironmentMap(target);
+            scene.environmentIntensity = definition.intensity;
+        } catch (error) {
+            console.error('Error capturing the environment map:', error);
+            this.setEnvironmentMap(null);
+        }
+    }
+
+    setEnvironmentMap(target) {
+        if (this.target) {
+            this.target.dispose();
+        }
+        this.target = target;
+        if (this.app.scene) {
+            this.app.scene.environment = target ? target.texture : null;
+        }
+    }
+
+    removeContent() {
+        if (!this.content) return;
+
+        const object = this.content.object;
+        if (object.parent) object.parent.remove(object);
+        disposeContent(object);
+        this.content = null;
+    }
+
+    /** Remove the environment's objects and free the map */
+    dispose() {
+        this.removeContent();
+        this.setEnvironmentMap(null);
+        if (this.pmrem) {
+            this.pmrem.dispose();
+            this.pmrem = null;
+        }
+    }
+}
@@ -0,0 +1,300 @@
+// event-bus.js - Typed events for ball interactions, effects and audio
+
+/**
+ * Every event the bus accepts. Subscribe with app.events.on(BallEvents.X, handler).
+ * @readonly
+ * @enum {string}
+ */
+export const BallEvents = Object.freeze({
+    /** Pointer moved onto a facet. Payload: FacetPayload */
+    FACET_ENTER: 'facet:enter',
+    /** Pointer left a facet (for another facet or off the ball). Payload: FacetLeavePayload */
+    FACET_LEAVE: 'facet:leave',
+    /** Ball pressed. Payload: PressPayload */
+    BALL_PRESS: 'ball:press',
+    /** Press on the ball released. Payload: ReleasePayload */
+    BALL_RELEASE: 'ball:release',
+    /** Ball rotated by dragging. Payload: DragPayload */
+    BALL_DRAG: 'ball:drag',
+    /** An effect was switched on. Payload: EffectPayload */
+    EFFECT_START: 'effect:start',
+    /** An effect was switched off or finished. Payload: EffectPayload */
+    EFFECT_END: 'effect:end',
+    /** A sound was played. Payload: NotePayload */
+    AUDIO_NOTE: 'audio:note',
+    /** The app clock was paused, resumed or rescaled. Payload: ClockPayload */
+    CLOCK_CHANGE: 'clock:change',
+    /** Rendering moved to another quality tier. Payload: QualityPayload */
+    QUALITY_CHANGE: 'quality:change',
+    /** A recording started, paused, resumed or finished. Payload: RecordingPayload */
+    RECORDING_CHANGE: 'recording:change',
+    /** The WebGL context was lost; rendering is paused. Payload: {} */
+    CONTEXT_LOST: 'context:lost',
+    /** The WebGL context came back and GPU resources were rebuilt. Payload: ContextRestoredPayload */
+    CONTEXT_RESTORED: 'context:restored',
+    /** A camera path started, paused, resumed, stopped, or recording started or stopped. Payload: CameraPathPayload */
+    CAMERA_PATH_CHANGE: 'camera:path',
+    /** The thrown ball hit the floor or the edge of the view (physics.js). Payload: ImpactPayload */
+    BALL_IMPACT: 'ball:impact',
+    /** The camera went inside the ball or came back out. Payload: InteriorPayload */
+    INTERIOR_CHANGE: 'interior:change',
+    /** Sculpt mode, its brush or its undo history changed (sculpt.js). Payload: SculptPayload */
+    SCULPT_CHANGE: 'sculpt:change',
+    /** A frame hook threw (frame-scheduler.js). Payload: FrameHookErrorPayload */
+    FRAME_HOOK_ERROR: 'frame:hook-error'
+});
+
+/**
+ * @typedef {Object} PointerVelocity
+ * @property {number} x - Horizontal speed in CSS pixels per second
+ * @property {number} y - Vertical speed in CSS pixels per second
+ * @property {number} speed - Magnitude of the velocity
+ */
+
+/**
+ * @typedef {Object} FacetPayload
+ * @property {number} facet - Facet (triangle) index
+ * @property {number|null} previousFacet - Facet left for this one, null when entering the ball
+ * @property {{u: number, v: number}} uv - Texture coordinates of the hit point
+ * @property {THREE.Vector3} point - World-space hit point
+ * @property {PointerVelocity} velocity - Pointer velocity
+ */
+
+/**
+ * @typedef {Object} FacetLeavePayload
+ * @property {number} facet - Facet that was left
+ * @property {number|null} nextFacet - Facet entered instead, null when leaving the ball
+ * @property {PointerVelocity} velocity - Pointer velocity
+ */
+
+/**
+ * @typedef {Object} PressPayload
+ * @property {number} facet - Pressed facet index
+ * @property {{u: number, v: number}} uv - Texture coordinates of the hit point
+ * @property {THREE.Vector3} point - World-space hit point
+ * @property {PointerVelocity} velocity - Pointer velocity
+ */
+
+/**
+ * @typedef {Object} ReleasePayload
+ * @property {number} duration - Milliseconds the ball was held
+ * @property {PointerVelocity} velocity - Pointer velocity at release
+ */
+
+/**
+ * @typedef {Object} DragPayload
+ * @property {number} deltaX - Horizontal movement since the last drag event, in pixels
+ * @property {number} deltaY - Vertical movement since the last drag event, in pixels
+ * @property {PointerVelocity} velocity - Pointer velocity
+ * @property {THREE.Euler} rotation - Ball rotation after the drag step
+ */
+
+/**
+ * @typedef {Object} EffectPayload
+ * @property {string} effect - Effect name ('blackhole', 'magnetic', 'explosion', 'rainbow', ...)
+ */
+
+/**
+ * @typedef {Object} NotePayload
+ * @property {string} source - What played it ('facet', 'tone', 'click', 'release')
+ * @property {number} frequency - Start frequency in Hz
+ * @property {number} gain - Peak gain (0-1)
+ * @property {number} duration - Length of the envelope in seconds
+ * @property {number} [facet] - Facet index for facet notes
+ */
+
+/**
+ * @typedef {Object} ClockPayload
+ * @property {boolean} paused - Whether animation time is frozen
+ * @property {number} timeScale - Animation speed relative to real time
+ */
+
+/**
+ * @typedef {Object} QualityPayload
+ * @property {string} tier - New tier name ('minimal', 'low', 'medium', 'high')
+ * @property {string} previous - Tier before the change
+ * @property {string} reason - 'auto' (frame times) or 'manual'
+ * @property {number} fps - Average frame rate that led to the change, 0 if not measured yet
+ */
+
+/**
+ * @typedef {Object} RecordingPayload
+ * @property {string} state - 'recording', 'paused' or 'inactive'
+ * @property {number} elapsed - Seconds recorded so far, not counting pauses
+ * @property {Blob|null} [blob] - The finished WebM clip; only set when a recording ends (null if discarded)
+ * @property {number} [duration] - Length of the finished clip in seconds
+ */
+
+/**
+ * @typedef {Object} ContextRestoredPayload
+ * @property {number} lostFor - Seconds the context was gone
+ */
+
+/**
+ * @typedef {Object} CameraPathPayload
+ * @property {string} state - 'idle', 'playing', 'paused' or 'recording'
+ * @property {string|null} path - Name of the tour or saved path, null for ad-hoc paths
+ * @property {number} time - Seconds into the path (or recorded so far)
+ * @property {number} duration - Length of the path in seconds, 0 while recording
+ */
+
+/**
+ * @typedef {Object} ImpactPayload
+ * @property {number} speed - Speed into the surface, in units per second
+ * @property {number} intensity - Impact strength 0-1, as used for the sound and the squash
+ * @property {THREE.Vector3} normal - Outward normal of the surface that was hit
+ * @property {THREE.Vector3} point - World-space contact point
+ */
+
+/**
+ * @typedef {Object} InteriorPayload
+ * @property {boolean} inside - True while the camera is inside the ball
+ */
+
+/**
+ * @typedef {Object} SculptPayload
+ * @property {boolean} enabled - True while sculpt mode is on
+ * @property {string} brush - Brush in use ('inflate', 'pinch', 'smooth', 'flatten', 'twist', 'noise')
+ * @property {boolean} canUndo - True if there is a stroke to undo
+ * @property {boolean} canRedo - True if there is an undone step to apply again
+ */
+
+/**
+ * @typedef {Object} FrameHookErrorPayload
+ * @property {string} phase - Phase of the hook (FramePhase)
+ * @property {string} name - Hook name
+ * @property {Error} error - What the hook threw
+ * @property {number} failures - Frames in a row the hook has thrown
+ * @property {boolean} removed - True if the hook was dropped after this failure
+ */
+
+const KNOWN_EVENTS = new Set(Object.values(BallEvents));
+
+/**
+ * Small synchronous pub/sub bus with a fixed set of event types
+ * Handlers run in subscription order; an error in one handler is logged
+ * and does not stop the others.
+ */
+export class EventBus {
+    constructor() {
+        this.handlers = new Map();
+        this.bindings = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - One of BallEvents, or '*' for every event (handler gets type, payload)
+     * @param {Function} handler - Called with the payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        if (type !== '*' && !KNOWN_EVENTS.has(type)) {
+            console.error(`EventBus: unknown event "${type}"`);
+            return () => {};
+        }
+        if (typeof handler !== 'function') {
+            console.error(`EventBus: handler for "${type}" is not a function`);
+            return () => {};
+        }
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - One of BallEvents
+     * @param {Function} handler - Called with the payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(type, handler) {
+        const unsubscribe = this.on(type, (...args) => {
+            unsubscribe();
+            handler(...args);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Remove a handler
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        const list = this.handlers.get(type);
+        if (!list) return;
+
+        const index = list.indexOf(handler);
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+    }
+
+    /**
+     * Subscribe a named group of handlers, replacing any earlier group with
+     * the same owner. Lets connectors be called repeatedly without stacking handlers.
+     * @param {string} owner - Name of the subscriber
+     * @param {Object<string, Function>} handlers - Map of event type to handler
+     * @returns {Function} Function that removes the whole group
+     */
+    bind(owner, handlers) {
+        this.unbind(owner);
+
+        const unsubscribers = Object.keys(handlers).map(type => this.on(type, handlers[type]));
+        this.bindings.set(owner, unsubscribers);
+
+        return () => this.unbind(owner);
+    }
+
+    /**
+     * Remove a group subscribed with bind()
+     * @param {string} owner - Name of the subscriber
+     */
+    unbind(owner) {
+        const unsubscribers = this.bindings.get(owner);
+        if (!unsubscribers) return;
+
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.bindings.delete(owner);
+    }
+
+    /**
+     * Publish an event
+     * @param {string} type - One of BallEvents
+     * @param {Object} payload - Event payload (see the typedefs above)
+     */
+    emit(type, payload = {}) {
+        if (!KNOWN_EVENTS.has(type)) {
+            console.error(`EventBus: cannot emit unknown event "${type}"`);
+            return;
+        }
+
+        // Copy the lists so handlers may unsubscribe while being called
+        const handlers = (this.handlers.get(type) || []).slice();
+        const wildcards = (this.handlers.get('*') || []).slice();
+
+        handlers.forEach(handler => this.invoke(type, handler, payload));
+        wildcards.forEach(handler => this.invoke(type, handler, type, payload));
+    }
+
+    // Run one handler, keeping the others alive if it throws
+    invoke(type, handler, ...args) {
+        try {
+            handler(...args);
+        } catch (error) {
+            console.error(`EventBus: error in "${type}" handler:`, error);
+        }
+    }
+
+    /**
+     * Remove every handler
+     */
+    clear() {
+        this.handlers.clear();
+        this.bindings.clear();
+    }
+}
@@ -0,0 +1,385 @@
+// frame-scheduler.js - One frame loop per app with ordered phases and a shared clock
+import { BallEvents } from './event-bus.js';
+
+/**
+ * Phases every frame runs through, in this order
+ * @readonly
+ * @enum {string}
+ */
+export const FramePhase = Object.freeze({
+    /** Read controls and pointer state */
+    INPUT: 'input',
+    /** Move things: ball motion, physics. Stepped at fixedStep when one is set */
+    SIMULATION: 'simulation',
+    /** Animate visual effects */
+    EFFECTS: 'effects',
+    /** Read analysers, drive audio-reactive visuals and positional sound */
+    AUDIO_SYNC: 'audio-sync',
+    /** Draw the frame */
+    RENDER: 'render'
+});
+
+const PHASE_ORDER = [
+    FramePhase.INPUT,
+    FramePhase.SIMULATION,
+    FramePhase.EFFECTS,
+    FramePhase.AUDIO_SYNC,
+    FramePhase.RENDER
+];
+
+// Longest frame we simulate; after a hidden tab we resume instead of jumping
+const DEFAULT_MAX_DELTA = 0.1;
+
+// Fixed-step catch-up limit so a slow frame cannot snowball
+const MAX_SUBSTEPS = 5;
+
+/** Slowest and fastest time scale the clock accepts */
+export const MIN_TIME_SCALE = 0.1;
+export const MAX_TIME_SCALE = 4;
+
+// Animation time one stepFrame() advances, before time scaling
+const STEP_SECONDS = 1 / 60;
+
+// Frames in a row a hook may throw before it is removed
+const MAX_HOOK_FAILURES = 3;
+
+// Hooks the ball cannot run without; they are kept however often they throw
+const CORE_HOOKS = new Set(['controls', 'render']);
+
+/**
+ * Time shared by every hook of an app. All values are in seconds.
+ * Pausing and time scaling only affect animation time; the real frame
+ * time stays available as realDelta for things like camera controls.
+ */
+export class FrameClock {
+    constructor({ maxDelta = DEFAULT_MAX_DELTA } = {}) {
+        this.maxDelta = maxDelta;
+        /** Seconds of animation since the loop started */
+        this.time = 0;
+        /** Animation seconds since the previous frame (or the fixed step inside SIMULATION) */
+        this.delta = 0;
+        /** Wall-clock seconds since the previous frame, ignoring pause and time scale */
+        this.realDelta = 0;
+        /** Frames run so far */
+        this.frame = 0;
+        /** Fraction of a fixed step left over, for interpolating between steps */
+        this.alpha = 0;
+        /** True while animation time is frozen */
+        this.paused = false;
+        /** Animation speed relative to real time */
+        this.timeScale = 1;
+        /** Called with the clock after pause or time scale changes */
+        this.onChange = null;
+        this.pendingSteps = 0;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * Advance to a new frame
+     * @param {number} timestamp - requestAnimationFrame timestamp in milliseconds
+     * @returns {number} Animation delta in seconds
+     */
+    tick(timestamp) {
+        const elapsed = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = timestamp;
+        this.realDelta = Math.min(Math.max(elapsed, 0), this.maxDelta);
+
+        if (!this.paused) {
+            this.delta = this.realDelta * this.timeScale;
+        } else if (this.pendingSteps > 0) {
+            this.pendingSteps--;
+            this.delta = STEP_SECONDS * this.timeScale;
+        } else {
+            this.delta = 0;
+        }
+
+        this.time += this.delta;
+        this.frame++;
+        return this.delta;
+    }
+
+    /** Freeze animation time; rendering and camera controls keep running */
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.pendingSteps = 0;
+        this.notify();
+    }
+
+    /** Continue animation time from where it was paused */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.pendingSteps = 0;
+        this.notify();
+    }
+
+    /**
+     * Pause or resume
+     * @returns {boolean} True if the clock is now paused
+     */
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.paused;
+    }
+
+    /**
+     * Set the animation speed, clamped to MIN_TIME_SCALE-MAX_TIME_SCALE
+     * @param {number} scale - 1 is real time, 0.5 half speed, 2 double speed
+     * @returns {number} The scale applied
+     */
+    setTimeScale(scale) {
+        if (!Number.isFinite(scale)) {
+            console.error(`Invalid time scale: ${scale}`);
+            return this.timeScale;
+        }
+
+        this.timeScale = Math.min(Math.max(scale, MIN_TIME_SCALE), MAX_TIME_SCALE);
+        this.notify();
+        return this.timeScale;
+    }
+
+    /**
+     * Advance one 60fps frame of animation (scaled) on the next frame; pauses first if needed
+     */
+    stepFrame() {
+        this.pause();
+        this.pendingSteps++;
+    }
+
+    notify() {
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+
+    /** Forget the last timestamp so the next frame starts with a zero delta */
+    resetTimestamp() {
+        this.lastTimestamp = null;
+    }
+}
+
+/**
+ * Runs an app's per-frame hooks phase by phase from a single requestAnimationFrame loop
+ */
+export class FrameScheduler {
+    /**
+     * @param {Object} app - Application context
+     * @param {Object} [options]
+     * @param {number} [options.fixedStep] - Seconds per simulation step; 0 steps once per frame
+     * @param {number} [options.maxDelta] - Longest frame delta in seconds
+     */
+    constructor(app, { fixedStep = 0, maxDelta = DEFAULT_MAX_DELTA } = {}) {
+        this.app = app;
+        this.clock = new FrameClock({ maxDelta });
+        this.clock.onChange = (clock) => {
+            if (app.events) {
+                app.events.emit(BallEvents.CLOCK_CHANGE, { paused: clock.paused, timeScale: clock.timeScale });
+            }
+        };
+        this.fixedStep = fixedStep;
+        this.accumulator = 0;
+        this.frameId = null;
+        this.hooks = new Map(PHASE_ORDER.map(phase => [phase, new Map()]));
+        // Frames in a row each hook has thrown, by "phase/name"
+        this.failures = new Map();
+        this.frame = (timestamp) => this.runFrame(timestamp);
+    }
+
+    /**
+     * Register a per-frame hook. Registering a name again replaces the old hook,
+     * so modules can re-run their setup without doubling their updates.
+     * @param {string} phase - One of FramePhase
+     * @param {string} name - Unique name within the phase
+     * @param {Function} fn - Called with (clock, app) every frame
+     * @returns {Function} Function that removes the hook
+     */
+    add(phase, name, fn) {
+        const hooks = this.hooks.get(phase);
+        if (!hooks) {
+            console.error(`Unknown frame phase "${phase}"`);
+            return () => {};
+        }
+
+        hooks.set(name, fn);
+        this.failures.delete(`${phase}/${name}`);
+        return () => {
+            if (hooks.get(name) === fn) {
+                hooks.delete(name);
+            }
+        };
+    }
+
+    /**
+     * Remove a hook by name
+     * @param {string} phase - One of FramePhase
+     * @param {string} name - Hook name
+     * @returns {boolean} True if a hook was removed
+     */
+    remove(phase, name) {
+        const hooks = this.hooks.get(phase);
+        return hooks ? hooks.delete(name) : false;
+    }
+
+    /**
+     * @param {string} phase - One of FramePhase
+     * @param {string} name - Hook name
+     * @returns {boolean} True if the hook is registered
+     */
+    has(phase, name) {
+        const hooks = this.hooks.get(phase);
+        return hooks ? hooks.has(name) : false;
+    }
+
+    /**
+     * Switch between per-frame and fixed-step simulation
+     * @param {number} step - Seconds per step, or 0 for one step per frame
+     */
+    setFixedStep(step) {
+        this.fixedStep = Number.isFinite(step) && step > 0 ? step : 0;
+        this.accumulator = 0;
+    }
+
+    /** @returns {boolean} True while the loop is scheduled */
+    get running() {
+        return this.frameId !== null;
+    }
+
+    /** Start the loop; does nothing if it is already running */
+    start() {
+        if (this.running || this.app.destroyed) return;
+
+        this.clock.resetTimestamp();
+        this.frameId = requestAnimationFrame(this.frame);
+    }
+
+    /** Stop the loop; hooks stay registered */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    // One animation frame: tick the clock, then every phase in order
+    runFrame(timestamp) {
+        if (this.app.destroyed) {
+            this.frameId = null;
+            return;
+        }
+
+        this.frameId = requestAnimationFrame(this.frame);
+        this.step(timestamp);
+    }
+
+    /**
+     * Run every phase once for the given timestamp
+     * Called by the loop; also usable to drive frames by hand.
+     * @param {number} timestamp - Time in milliseconds
+     */
+    step(timestamp) {
+        const clock = this.clock;
+        const frameDelta = clock.tick(timestamp);
+
+        this.runPhase(FramePhase.INPUT);
+
+        if (this.fixedStep > 0) {
+            this.accumulator = Math.min(this.accumulator + frameDelta, this.fixedStep * MAX_SUBSTEPS);
+            clock.delta = this.fixedStep;
+            while (this.accumulator >= this.fixedStep) {
+                this.runPhase(FramePhase.SIMULATION);
+                this.accumulator -= this.fixedStep;
+            }
+            clock.alpha = this.accumulator / this.fixedStep;
+            clock.delta = frameDelta;
+        } else {
+            clock.alpha = 0;
+            this.runPhase(FramePhase.SIMULATION);
+        }
+
+        this.runPhase(FramePhase.EFFECTS);
+        this.runPhase(FramePhase.AUDIO_SYNC);
+        this.runPhase(FramePhase.RENDER);
+    }
+
+    // Call the hooks of one phase; a hook that keeps throwing is dropped so it cannot break
+    // every frame, unless the ball needs it (CORE_HOOKS)
+    runPhase(phase) {
+        const hooks = this.hooks.get(phase);
+        for (const [name, fn] of hooks) {
+            const key = `${phase}/${name}`;
+            try {
+                fn(this.clock, this.app);
+                if (this.failures.size > 0) this.failures.delete(key);
+            } catch (error) {
+                this.hookFailed(phase, name, key, error);
+            }
+        }
+    }
+
+    // Count a throw, drop the hook once it has failed too often and tell the app
+    hookFailed(phase, name, key, error) {
+        const failures = (this.failures.get(key) || 0) + 1;
+        const removed = failures >= MAX_HOOK_FAILURES && !CORE_HOOKS.has(name);
+
+        if (removed) {
+            console.error(`Frame hook "${name}" (${phase}) failed ${failures} frames in a row and was removed:`, error);
+            this.hooks.get(phase).delete(name);
+            this.failures.delete(key);
+        } else {
+            // Log the first failure only; a core hook could otherwise flood the console every frame
+            if (failures === 1) console.error(`Frame hook "${name}" (${phase}) failed:`, error);
+            this.failures.set(key, failures);
+        }
+
+        if (this.app.events) {
+            this.app.events.emit(BallEvents.FRAME_HOOK_ERROR, { phase, name, error, failures, removed });
+        }
+    }
+}
+
+/**
+ * Get the app's scheduler, creating it on first use
+ * @param {Object} app - Application context
+ * @returns {FrameScheduler}
+ */
+export function getFrameScheduler(app) {
+    if (!app.scheduler) {
+        app.scheduler = new FrameScheduler(app, { fixedStep: app.options?.fixedStep });
+        app.clock = app.scheduler.clock;
+    }
+    return app.scheduler;
+}
+
+/**
+ * Animation time in seconds for effects, from the app's clock
+ * @param {Object} app - Application context
+ * @returns {number}
+ */
+export function getFrameTime(app) {
+    return app && app.clock ? app.clock.time : performance.now() / 1000;
+}
+
+/**
+ * Seconds since the previous frame, from the app's clock
+ * @param {Object} app - Application context
+ * @returns {number}
+ */
+export function getFrameDelta(app) {
+    return app && app.clock ? app.clock.delta : 1 / 60;
+}
+
+/**
+ * Convert a per-frame smoothing factor tuned at 60fps into one for this delta,
+ * so `value += (target - value) * factor` eases at the same speed at any frame rate
+ * @param {number} factor - Fraction moved per 60fps frame (0-1)
+ * @param {number} delta - Frame delta in seconds
+ * @returns {number}
+ */
+export function frameDamping(factor, delta) {
+    return 1 - Math.pow(1 - factor, delta * 60);
+}
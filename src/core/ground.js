@@ -0,0 +1,411 @@
+// ground.js - Floor under the ball: shadow catcher, contact shadow, optional planar mirror
+// and a choice of surface (grid, checker, matte)
+import * as THREE from 'three';
+import { Reflector } from 'three/addons/objects/Reflector.js';
+import { FramePhase, getFrameScheduler } from './frame-scheduler.js';
+import { addDisposer } from './teardown.js';
+import { validateConfig, hexColor } from './config-validation.js';
+
+// The ball has a radius of about 1; the floor has to stay below it
+export const MIN_GROUND_HEIGHT = -4;
+export const MAX_GROUND_HEIGHT = -1;
+
+const GROUND_SIZE = 30;
+// The 2D canvas renderer drops triangles that reach behind the camera, so the floor is tiled
+const GROUND_SEGMENTS = 24;
+const TEXTURE_REPEAT = GROUND_SIZE / 2;
+
+const SHADOW_OPACITY = 0.35;
+const CONTACT_OPACITY = 0.6;
+const MIRROR_RESOLUTION = 1024;
+// Opacity of a surface lying over the mirror, so the reflection shows through
+const MIRRORED_SURFACE_OPACITY = 0.55;
+
+/**
+ * Surfaces the floor can have. 'shadow' draws nothing but the shadows, so the
+ * environment (or the mirror) shows through.
+ * @readonly
+ */
+export const GROUND_STYLES = Object.freeze({
+    shadow: { label: 'Shadows only' },
+    grid: { label: 'Grid' },
+    checker: { label: 'Checker' },
+    matte: { label: 'Matte' }
+});
+
+/**
+ * @typedef {Object} GroundConfig
+ * @property {boolean} visible - Floor shown at all
+ * @property {string} style - Key of GROUND_STYLES
+ * @property {number} height - Floor height, MIN_GROUND_HEIGHT to MAX_GROUND_HEIGHT
+ * @property {boolean} mirror - Planar reflection under the surface (WebGL only)
+ * @property {boolean} contactShadow - Soft dark spot under the ball that follows it
+ * @property {string} color - Surface color as #RRGGBB
+ */
+
+/** @type {GroundConfig} */
+export const DEFAULT_GROUND = Object.freeze({
+    visible: false,
+    style: 'shadow',
+    height: -1.5,
+    mirror: false,
+    contactShadow: true,
+    color: '#1A1A24'
+});
+
+const GROUND_RULES = Object.freeze({
+    visible: 'boolean',
+    style: (value) => GROUND_STYLES[value] ? null : `unknown ground style "${value}"`,
+    height: [MIN_GROUND_HEIGHT, MAX_GROUND_HEIGHT],
+    mirror: 'boolean',
+    contactShadow: 'boolean',
+    color: hexColor
+});
+
+/**
+ * Check a (partial) ground config
+ * @param {Object} config - Fields of GroundConfig
+ * @returns {string[]} Problems found; empty when the config is valid
+ */
+export function validateGround(config) {
+    return validateConfig('ground', config, GROUND_RULES);
+}
+
+// Repeating texture drawn on a 2D canvas
+function createPatternTexture(draw) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    draw(canvas.getContext('2d'), 128);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(TEXTURE_REPEAT, TEXTURE_REPEAT);
+    texture.anisotropy = 4;
+    return texture;
+}
+
+// Layers lying on the same plane; each one is pulled a little further towards the camera
+function floorMaterialOptions(layer) {
+    return { polygonOffset: true, polygonOffsetFactor: -layer, polygonOffsetUnits: -layer };
+}
+
+function createSurface(style, color, mirrored) {
+    const opacity = mirrored ? MIRRORED_SURFACE_OPACITY : 1;
+    let material;
+
+    switch (style) {
+        case 'grid':
+            // Lines only; what lies below (mirror or environment) shows between them
+            material = new THREE.MeshBasicMaterial({
+                map: createPatternTexture((ctx, size) => {
+                    ctx.strokeStyle = '#FFFFFF';
+                    ctx.lineWidth = 3;
+                    ctx.strokeRect(0, 0, size, size);
+                }),
+                color,
+                transparent: true,
+                depthWrite: false,
+                ...floorMaterialOptions(1)
+            });
+            break;
+        case 'checker':
+            material = new THREE.MeshStandardMaterial({
+                map: createPatternTexture((ctx, size) => {
+                    ctx.fillStyle = '#FFFFFF';
+                    ctx.fillRect(0, 0, size, size);
+                    ctx.fillStyle = '#777777';
+                    ctx.fillRect(0, 0, size / 2, size / 2);
+                    ctx.fillRect(size / 2, size / 2, size / 2, size / 2);
+                }),
+                color,
+                roughness: 0.8,
+                transparent: opacity < 1,
+                opacity,
+                ...floorMaterialOptions(1)
+            });
+            break;
+        case 'matte':
+            material = new THREE.MeshStandardMaterial({
+                color,
+                roughness: 0.9,
+                transparent: opacity < 1,
+                opacity,
+                ...floorMaterialOptions(1)
+            });
+            break;
+        default:
+            return null;
+    }
+
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE, GROUND_SEGMENTS, GROUND_SEGMENTS), material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.name = 'ground:surface';
+    return mesh;
+}
+
+// Receives the shadow maps of the rig's shadow-casting lights; invisible everywhere else
+function createShadowCatcher() {
+    const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE),
+        new THREE.ShadowMaterial({ opacity: SHADOW_OPACITY, depthWrite: false, ...floorMaterialOptions(2) })
+    );
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.receiveShadow = true;
+    mesh.renderOrder = 1;
+    mesh.name = 'ground:shadow';
+    return mesh;
+}
+
+// Soft blob right under the ball; grounds it even where no light casts a shadow
+function createContactShadow() {
+    const map = createPatternTexture((ctx, size) => {
+        const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        gradient.addColorStop(0, 'rgba(0,0,0,1)');
+        gradient.addColorStop(0.5, 'rgba(0,0,0,0.5)');
+        gradient.addColorStop(1, 'rgba(0,0,0,0)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, size);
+    });
+    map.wrapS = THREE.ClampToEdgeWrapping;
+    map.wrapT = THREE.ClampToEdgeWrapping;
+    map.repeat.set(1, 1);
+
+    const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(1, 1),
+        new THREE.MeshBasicMaterial({
+            map,
+            color: 0x000000,
+            transparent: true,
+            opacity: CONTACT_OPACITY,
+            depthWrite: false,
+            ...floorMaterialOptions(3)
+        })
+    );
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.renderOrder = 2;
+    mesh.name = 'ground:contact';
+    return mesh;
+}
+
+function createMirror() {
+    const mirror = new Reflector(new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE), {
+        color: 0x889999,
+        textureWidth: MIRROR_RESOLUTION,
+        textureHeight: MIRROR_RESOLUTION,
+        clipBias: 0.003
+    });
+    mirror.rotation.x = -Math.PI / 2;
+    mirror.name = 'ground:mirror';
+    return mirror;
+}
+
+function disposeLayer(object) {
+    object.removeFromParent();
+    if (object.isReflector) {
+        object.dispose();
+        object.geometry.dispose();
+        return;
+    }
+    object.geometry.dispose();
+    if (object.material.map) object.material.map.dispose();
+    object.material.dispose();
+}
+
+const _ballPosition = new THREE.Vector3();
+const _ballScale = new THREE.Vector3();
+
+/**
+ * Builds and updates an app's floor
+ * The floor is a stack of layers at one height: an optional Reflector, the
+ * surface, a ShadowMaterial that catches the shadow maps of the lighting rig
+ * (lights.js, lights with shadow: true) and a contact shadow that follows the
+ * ball's idle motion and the blackhole pull every frame. While the floor is
+ * visible the ball casts shadows and the renderer's shadow map is switched on,
+ * unless the quality tier has no shadows. The 2D canvas renderer draws only
+ * the surface.
+ */
+export class GroundManager {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.settings = { ...DEFAULT_GROUND };
+        this.group = new THREE.Group();
+        this.group.name = 'ground';
+        this.layers = {};
+    }
+
+    /** Add the floor group and start following the ball; call once the scene exists */
+    start() {
+        const app = this.app;
+        this.group.position.y = this.settings.height;
+        this.group.visible = false;
+        app.scene.add(this.group);
+
+        const removeHook = getFrameScheduler(app).add(FramePhase.EFFECTS, 'ground', () => this.update());
+        addDisposer(app, () => {
+            removeHook();
+            this.dispose();
+        });
+    }
+
+    /** @returns {GroundConfig} Copy of the current settings */
+    get config() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change some or all of the floor settings
+     * Height and color are applied in place; other changes rebuild the layers.
+     * @param {Object} changes - Fields of GroundConfig
+     * @returns {boolean} False if the changes are invalid
+     */
+    configure(changes) {
+        const errors = validateGround(changes);
+        if (errors.length > 0) {
+            console.error('Invalid ground settings: ' + errors.join('; '));
+            return false;
+        }
+
+        const previous = this.settings;
+        const next = { ...previous, ...changes };
+        this.settings = next;
+
+        try {
+            const rebuild = ['visible', 'style', 'mirror', 'contactShadow'].some(key => next[key] !== previous[key]) ||
+                (next.visible && !this.layers.built);
+            if (rebuild) {
+                this.build();
+            } else if (next.color !== previous.color && this.layers.surface) {
+                this.layers.surface.material.color.set(next.color);
+            }
+            this.group.position.y = next.height;
+            return true;
+        } catch (error) {
+            console.error('Error building ground:', error);
+            this.clear();
+            return false;
+        }
+    }
+
+    // Recreate the layers for the current settings
+    build() {
+        const app = this.app;
+        const settings = this.settings;
+        const webgl = app.renderer && !app.renderer.isCanvasRenderer;
+
+        this.clear();
+        this.group.visible = settings.visible;
+        this.setBallShadows(settings.visible);
+        if (!settings.visible) return;
+
+        const mirrored = settings.mirror && webgl;
+        const layers = { built: true };
+
+        if (mirrored) {
+            layers.mirror = createMirror();
+            this.group.add(layers.mirror);
+        }
+
+        layers.surface = createSurface(settings.style, settings.color, mirrored);
+        if (layers.surface) {
+            this.group.add(layers.surface);
+        }
+
+        if (webgl) {
+            layers.shadow = createShadowCatcher();
+            this.group.add(layers.shadow);
+            this.enableShadowMap();
+        }
+
+        if (settings.contactShadow && webgl) {
+            layers.contact = createContactShadow();
+            this.group.add(layers.contact);
+        }
+
+        if (layers.mirror) {
+            // The mirror renders the scene from below the floor; the floor's own layers would cover it
+            const renderReflection = layers.mirror.onBeforeRender;
+            const covering = [layers.surface, layers.shadow, layers.contact].filter(Boolean);
+            layers.mirror.onBeforeRender = (...args) => {
+                const shown = covering.map(layer => layer.visible);
+                covering.forEach(layer => { layer.visible = false; });
+                renderReflection(...args);
+                covering.forEach((layer, i) => { layer.visible = shown[i]; });
+            };
+        }
+
+        this.layers = layers;
+    }
+
+    // Turn the renderer's shadow map on, unless the quality governor has shadows off
+    enableShadowMap() {
+        const app = this.app;
+        const shadowMap = app.renderer.shadowMap;
+        if (shadowMap.enabled) return;
+        if (app.quality && app.quality.tier.shadowMapSize <= 0) return;
+
+        shadowMap.enabled = true;
+        shadowMap.type = THREE.PCFSoftShadowMap;
+
+        // Materials compile shadow support in; make them recompile
+        app.scene.traverse(object => {
+            if (object.material) {
+                [].concat(object.material).forEach(material => { material.needsUpdate = true; });
+            }
+        });
+    }
+
+    setBallShadows(enabled) {
+        if (this.app.ballMesh) {
+            this.app.ballMesh.castShadow = enabled;
+        }
+    }
+
+    // Keep the contact shadow under the ball; it spreads and fades as the ball rises
+    update() {
+        const app = this.app;
+        if (!this.settings.visible || !app.ballMesh) return;
+
+        // Shape swaps and boot order can hand us a new mesh
+        if (!app.ballMesh.castShadow) {
+            app.ballMesh.castShadow = true;
+        }
+
+        const contact = this.layers.contact;
+        if (!contact) return;
+
+        const geometry = app.ballMesh.geometry;
+        if (!geometry.boundingSphere) {
+            geometry.computeBoundingSphere();
+        }
+        app.ballMesh.getWorldPosition(_ballPosition);
+        app.ballMesh.getWorldScale(_ballScale);
+
+        const radius = geometry.boundingSphere.radius * _ballScale.x;
+        const gap = Math.max(0, _ballPosition.y - radius - this.settings.height);
+        const fade = THREE.MathUtils.clamp(1 - gap / (radius * 3), 0, 1);
+
+        contact.position.set(_ballPosition.x, 0, _ballPosition.z);
+        contact.scale.setScalar(radius * 2.4 * (1 + gap * 0.6));
+        contact.material.opacity = CONTACT_OPACITY * fade;
+        contact.visible = fade > 0;
+    }
+
+    clear() {
+        Object.values(this.layers).forEach(layer => {
+            if (layer && layer.isObject3D) disposeLayer(layer);
+        });
+        this.layers = {};
+    }
+
+    dispose() {
+        this.clear();
+        this.setBallShadows(false);
+        this.group.removeFromParent();
+    }
+}
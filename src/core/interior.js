@@ -0,0 +1,585 @@
+// interior.js - Interior mode: what the ball looks, sounds and steers like with the camera inside it
+import * as THREE from 'three';
+import { FramePhase, getFrameScheduler, frameDamping } from './frame-scheduler.js';
+import { BallEvents } from './event-bus.js';
+import { addDisposer, addTrackedListener } from './teardown.js';
+import { validateConfig } from './config-validation.js';
+import { getAudioLevel } from './lights.js';
+import { getAudioOutputs, registerAudioOutput, unregisterAudioOutput } from '../audio/utils/output-taps.js';
+
+// The ball has a radius of about 1; a little slack on the way out stops flicker at the wall
+export const INTERIOR_ENTER_DISTANCE = 0.9;
+const INTERIOR_LEAVE_DISTANCE = 0.95;
+
+// Radians of view per pixel dragged, and how far up or down the view can tilt
+const LOOK_SPEED = 0.005;
+const MAX_PITCH = 1.4;
+
+// Reverb: a long, dark hall; the tail is left to ring out before the taps come off
+const REVERB_SECONDS = 4;
+const REVERB_DECAY = 2.5;
+const REVERB_TONE = 5000; // Hz, lowpass on the wet signal
+const REVERB_FADE = 0.4; // seconds, time constant of the wet gain
+
+/**
+ * @typedef {Object} InteriorConfig
+ * @property {number} glow - Brightness of the facet edges, 0-2
+ * @property {number} pulse - How strongly the cells pulse, 0-1
+ * @property {number} reverb - Wet level of the interior reverb, 0-1
+ */
+
+/** @type {InteriorConfig} */
+export const DEFAULT_INTERIOR = Object.freeze({
+    glow: 1,
+    pulse: 0.6,
+    reverb: 0.5
+});
+
+const INTERIOR_RULES = Object.freeze({
+    glow: [0, 2],
+    pulse: [0, 1],
+    reverb: [0, 1]
+});
+
+/**
+ * Check a (partial) interior config
+ * @param {Object} config - Fields of InteriorConfig
+ * @returns {string[]} Problems found; empty when the config is valid
+ */
+export function validateInterior(config) {
+    return validateConfig('interior', config, INTERIOR_RULES);
+}
+
+/**
+ * Whether the camera is inside the ball
+ * Follows the interior mode once it runs, the camera distance before that.
+ * @param {Object} app - Application context
+ * @returns {boolean}
+ */
+export function isCameraInside(app) {
+    if (app.interior) return app.interior.active;
+    return !!app.camera && app.camera.position.length() < INTERIOR_ENTER_DISTANCE;
+}
+
+const shellVertexShader = /* glsl */`
+attribute vec3 barycentric;
+attribute float facet;
+
+varying vec3 vBarycentric;
+varying float vFacet;
+varying vec3 vViewPosition;
+
+void main() {
+    vBarycentric = barycentric;
+    vFacet = facet;
+
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vViewPosition = -mvPosition.xyz;
+    gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const shellFragmentShader = /* glsl */`
+uniform float time;
+uniform float glow;
+uniform float pulse;
+uniform float level;
+uniform float hovered;
+uniform vec3 edgeColor;
+uniform vec3 cellColorA;
+uniform vec3 cellColorB;
+
+varying vec3 vBarycentric;
+varying float vFacet;
+varying vec3 vViewPosition;
+
+float hash(float n) {
+    return fract(sin(n * 12.9898) * 43758.5453);
+}
+
+// 1 on a triangle's edges, falling to 0 over width pixels
+float edgeFactor(float width) {
+    vec3 d = fwidth(vBarycentric);
+    vec3 a = smoothstep(vec3(0.0), d * width, vBarycentric);
+    return 1.0 - min(min(a.x, a.y), a.z);
+}
+
+void main() {
+    float seed = hash(vFacet);
+
+    // Every cell breathes at its own rate and phase, harder with the music
+    float beat = 0.5 + 0.5 * sin(time * (0.8 + seed * 1.6) + seed * 6.2832);
+    vec3 cell = mix(cellColorA, cellColorB, seed) * (0.15 + pulse * beat * (0.4 + level));
+
+    // Sharp line plus a soft halo along the facet edges
+    float edge = edgeFactor(1.5) + edgeFactor(10.0) * 0.35;
+    vec3 color = cell + edgeColor * glow * edge * (1.0 + level);
+
+    // The facet under the pointer lights up
+    if (abs(vFacet - hovered) < 0.5) {
+        color += mix(cellColorA, vec3(1.0), 0.5) * 0.6;
+    }
+
+    // Walls further away fade into the dark
+    float distanceFade = clamp(1.4 - length(vViewPosition) * 0.5, 0.35, 1.0);
+
+    gl_FragColor = vec4(color * distanceFade, 0.9);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+// Triangle soup of the ball geometry with per-corner barycentrics and a facet number per triangle.
+// Non-indexed balls share their position attribute, so deformation shows up for free.
+function createShellGeometry(source) {
+    const index = source.index;
+    const position = source.attributes.position;
+    const count = index ? index.count : position.count;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', index
+        ? new THREE.BufferAttribute(new Float32Array(count * 3), 3)
+        : position);
+
+    const barycentric = new Float32Array(count * 3);
+    const facet = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        barycentric[i * 3 + (i % 3)] = 1;
+        facet[i] = Math.floor(i / 3);
+    }
+    geometry.setAttribute('barycentric', new THREE.BufferAttribute(barycentric, 3));
+    geometry.setAttribute('facet', new THREE.BufferAttribute(facet, 1));
+
+    geometry.userData.source = source;
+    geometry.userData.version = -1;
+    return geometry;
+}
+
+// Indexed balls (sphere, torus knot) are copied out again whenever their vertices move
+function syncShellGeometry(geometry) {
+    const source = geometry.userData.source;
+    if (!source.index) return;
+
+    const from = source.attributes.position;
+    if (geometry.userData.version === from.version) return;
+
+    const index = source.index.array;
+    const to = geometry.attributes.position;
+    for (let i = 0; i < index.length; i++) {
+        const v = index[i] * 3;
+        to.array[i * 3] = from.array[v];
+        to.array[i * 3 + 1] = from.array[v + 1];
+        to.array[i * 3 + 2] = from.array[v + 2];
+    }
+    to.needsUpdate = true;
+    geometry.userData.version = from.version;
+}
+
+function createShellMaterial() {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            glow: { value: DEFAULT_INTERIOR.glow },
+            pulse: { value: DEFAULT_INTERIOR.pulse },
+            level: { value: 0 },
+            hovered: { value: -1 },
+            edgeColor: { value: new THREE.Color(0x00FFFF) },
+            cellColorA: { value: new THREE.Color(0xFF00FF) },
+            cellColorB: { value: new THREE.Color(0x00FFFF) }
+        },
+        vertexShader: shellVertexShader,
+        fragmentShader: shellFragmentShader,
+        side: THREE.BackSide,
+        transparent: true,
+        depthWrite: false
+    });
+}
+
+// Stereo noise with an exponential tail
+function createImpulse(context) {
+    const length = Math.floor(context.sampleRate * REVERB_SECONDS);
+    const impulse = context.createBuffer(2, length, context.sampleRate);
+    for (let channel = 0; channel < 2; channel++) {
+        const data = impulse.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, REVERB_DECAY);
+        }
+    }
+    return impulse;
+}
+
+const _direction = new THREE.Vector3();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+/**
+ * Interior mode for one app
+ * When the camera goes inside the ball (zooming, the Inside View button, a
+ * tour) the ball's own materials are hidden and a shell with glowing facet
+ * edges and pulsing cells is drawn on the inner surface instead. OrbitControls
+ * make no sense from the centre of a sphere, so they are switched off and
+ * dragging turns the view in place. Every audio output (output-taps.js) is
+ * also fed into a long convolution reverb that fades in while inside. Facet
+ * hover keeps working: the ball mesh is hidden, not removed, so the pointer
+ * raycast in setupInteraction still finds its faces. The 2D canvas renderer
+ * keeps drawing the ball itself and gets no shell.
+ */
+export class InteriorMode {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.settings = { ...DEFAULT_INTERIOR };
+        this.active = false;
+        this.shell = null;
+        this.hidden = [];
+        this.controlsWereEnabled = null;
+        this.look = { yaw: 0, pitch: 0, targetYaw: 0, targetPitch: 0, drag: null };
+        this.level = 0;
+        this.reverb = null;
+        this.taps = new Set();
+        this.detachTimer = null;
+    }
+
+    /** Start watching the camera; call once the loop and camera director run */
+    start() {
+        const app = this.app;
+
+        // Input phase, after OrbitControls and the camera director have placed the camera
+        const removeHook = getFrameScheduler(app).add(FramePhase.INPUT, 'interior', (clock) => this.update(clock));
+
+        // Drags start on the canvas only, so the menu stays usable
+        const canvas = app.renderer.domElement;
+        addTrackedListener(app, canvas, 'pointerdown', (event) => this.onPointerDown(event));
+        addTrackedListener(app, window, 'pointermove', (event) => this.onPointerMove(event));
+        addTrackedListener(app, window, 'pointerup', () => { this.look.drag = null; });
+
+        addDisposer(app, () => {
+            removeHook();
+            this.dispose();
+        });
+    }
+
+    /** @returns {InteriorConfig} Copy of the current settings */
+    get config() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change some or all of the interior settings; they apply immediately when inside
+     * @param {Object} changes - Fields of InteriorConfig
+     * @returns {boolean} False if the changes are invalid
+     */
+    configure(changes) {
+        const errors = validateInterior(changes);
+        if (errors.length > 0) {
+            console.error('Invalid interior settings: ' + errors.join('; '));
+            return false;
+        }
+
+        this.settings = { ...this.settings, ...changes };
+        if (this.shell) {
+            this.shell.material.uniforms.glow.value = this.settings.glow;
+            this.shell.material.uniforms.pulse.value = this.settings.pulse;
+        }
+        if (this.active) {
+            this.setWet(this.settings.reverb);
+        }
+        return true;
+    }
+
+    update(clock) {
+        const app = this.app;
+        if (!app.camera || !app.ballMesh) return;
+
+        const distance = app.camera.position.length();
+        if (!this.active && distance < INTERIOR_ENTER_DISTANCE) {
+            this.enter();
+        } else if (this.active && distance > INTERIOR_LEAVE_DISTANCE) {
+            this.leave();
+        }
+        if (!this.active) return;
+
+        // Explosions, presets and shape changes bring the ball back or swap its parts
+        this.hideBall();
+        this.holdControls();
+        this.attachReverb();
+
+        this.level += (getAudioLevel(app) - this.level) * frameDamping(0.3, clock.realDelta);
+        if (this.shell) {
+            this.updateShell(clock);
+        }
+        this.updateLook(clock);
+    }
+
+    enter() {
+        const app = this.app;
+        this.active = true;
+        clearTimeout(this.detachTimer);
+        this.detachTimer = null;
+
+        // Drags look around from here on
+        const controls = app.controls;
+        const director = app.cameraDirector;
+        if (director && director.controlsWereEnabled !== null) {
+            // A path is flying the camera in; take over what it will hand back
+            this.controlsWereEnabled = director.controlsWereEnabled;
+            director.controlsWereEnabled = false;
+        } else if (controls) {
+            this.controlsWereEnabled = controls.enabled;
+        }
+        if (controls) controls.enabled = false;
+        this.syncLook();
+
+        if (app.renderer && !app.renderer.isCanvasRenderer) {
+            try {
+                this.buildShell();
+            } catch (error) {
+                console.error('Error building interior shell:', error);
+                this.removeShell();
+            }
+        }
+
+        this.attachReverb();
+        this.setWet(this.settings.reverb);
+
+        // Pushing on the walls from inside pulls them in
+        app.insidePullMode = true;
+        console.log('Camera inside the ball - interior mode on');
+        this.emitChange();
+    }
+
+    leave() {
+        const app = this.app;
+        this.active = false;
+        this.look.drag = null;
+
+        this.removeShell();
+        this.showBall();
+        this.releaseControls();
+
+        // Let the tail ring out, then stop feeding the reverb
+        this.setWet(0);
+        clearTimeout(this.detachTimer);
+        this.detachTimer = setTimeout(() => this.detachReverb(), REVERB_SECONDS * 1000);
+
+        app.insidePullMode = false;
+        console.log('Camera outside the ball - interior mode off');
+        this.emitChange();
+    }
+
+    // Ball materials are hidden rather than the meshes, so hover raycasts still reach the faces
+    hideBall() {
+        if (!this.shell) return;
+        [this.app.ballMesh, this.app.wireMesh].forEach(mesh => {
+            if (mesh && mesh.material.visible) {
+                mesh.material.visible = false;
+                this.hidden.push(mesh.material);
+            }
+        });
+    }
+
+    showBall() {
+        this.hidden.forEach(material => { material.visible = true; });
+        this.hidden = [];
+    }
+
+    buildShell() {
+        const app = this.app;
+        const shell = new THREE.Mesh(createShellGeometry(app.ballGeometry), createShellMaterial());
+        shell.name = 'interior:shell';
+        // Deformation moves the vertices past any bounding sphere, and the camera is inside anyway
+        shell.frustumCulled = false;
+        shell.material.uniforms.glow.value = this.settings.glow;
+        shell.material.uniforms.pulse.value = this.settings.pulse;
+        app.ballGroup.add(shell);
+        this.shell = shell;
+        this.hideBall();
+    }
+
+    removeShell() {
+        if (!this.shell) return;
+        this.shell.removeFromParent();
+        this.shell.geometry.dispose();
+        this.shell.material.dispose();
+        this.shell = null;
+    }
+
+    updateShell(clock) {
+        const app = this.app;
+        let geometry = this.shell.geometry;
+        if (geometry.userData.source !== app.ballGeometry) {
+            // The ball changed shape
+            geometry.dispose();
+            geometry = createShellGeometry(app.ballGeometry);
+            this.shell.geometry = geometry;
+        }
+        syncShellGeometry(geometry);
+
+        const uniforms = this.shell.material.uniforms;
+        uniforms.time.value = clock.time;
+        uniforms.level.value = this.level;
+        uniforms.hovered.value = app.hoveredFacet ?? -1;
+        if (app.wireframeColor) {
+            uniforms.edgeColor.value.copy(app.wireframeColor);
+        }
+        const gradient = app.currentGradient;
+        if (gradient) {
+            uniforms.cellColorA.value.set(gradient[0]);
+            uniforms.cellColorB.value.set(gradient[2]);
+        }
+    }
+
+    // Keep OrbitControls off; if something switches them on, honour that once outside again
+    holdControls() {
+        const controls = this.app.controls;
+        if (controls && controls.enabled) {
+            this.controlsWereEnabled = true;
+            controls.enabled = false;
+        }
+    }
+
+    releaseControls() {
+        const app = this.app;
+        const director = app.cameraDirector;
+        if (this.controlsWereEnabled !== null) {
+            if (director && director.controlsWereEnabled !== null) {
+                // A path is flying the camera out; it gives the controls back on arrival
+                director.controlsWereEnabled = this.controlsWereEnabled;
+            } else if (app.controls) {
+                app.controls.enabled = this.controlsWereEnabled;
+            }
+        }
+        this.controlsWereEnabled = null;
+    }
+
+    onPointerDown(event) {
+        if (!this.active || event.button !== 0) return;
+        this.look.drag = { x: event.clientX, y: event.clientY };
+    }
+
+    onPointerMove(event) {
+        const look = this.look;
+        if (!this.active || !look.drag) return;
+
+        // Grab the walls: dragging right turns the view left
+        look.targetYaw += (event.clientX - look.drag.x) * LOOK_SPEED;
+        look.targetPitch = THREE.MathUtils.clamp(
+            look.targetPitch + (event.clientY - look.drag.y) * LOOK_SPEED,
+            -MAX_PITCH,
+            MAX_PITCH
+        );
+        look.drag = { x: event.clientX, y: event.clientY };
+    }
+
+    // Yaw and pitch of wherever the camera faces now
+    syncLook() {
+        const look = this.look;
+        this.app.camera.getWorldDirection(_direction);
+        look.yaw = look.targetYaw = Math.atan2(-_direction.x, -_direction.z);
+        look.pitch = look.targetPitch = Math.asin(THREE.MathUtils.clamp(_direction.y, -1, 1));
+    }
+
+    updateLook(clock) {
+        // Tours and fly-ins steer the camera themselves; pick up from where they leave it
+        const director = this.app.cameraDirector;
+        if (director && director.state !== 'idle' && director.state !== 'recording') {
+            this.syncLook();
+            return;
+        }
+
+        const look = this.look;
+        const damping = frameDamping(0.25, clock.realDelta);
+        look.yaw += (look.targetYaw - look.yaw) * damping;
+        look.pitch += (look.targetPitch - look.pitch) * damping;
+        this.app.camera.quaternion.setFromEuler(_euler.set(look.pitch, look.yaw, 0));
+    }
+
+    setWet(value) {
+        if (!this.reverb) return;
+        const context = this.reverb.context;
+        this.reverb.wet.gain.setTargetAtTime(value, context.currentTime, REVERB_FADE);
+    }
+
+    // Build the reverb once there is audio, and feed it every output not yet tapped
+    attachReverb() {
+        const app = this.app;
+        const outputs = getAudioOutputs(app);
+        const context = app.audioContext || (outputs[0] && outputs[0].context);
+        if (!context) return;
+
+        try {
+            if (!this.reverb) {
+                this.reverb = this.createReverb(context);
+                this.setWet(this.active ? this.settings.reverb : 0);
+            }
+
+            // Outputs on another AudioContext stay dry
+            outputs.forEach(node => {
+                if (node === this.reverb.wet || this.taps.has(node) || node.context !== this.reverb.context) return;
+                node.connect(this.reverb.input);
+                this.taps.add(node);
+            });
+        } catch (error) {
+            console.error('Error setting up interior reverb:', error);
+        }
+    }
+
+    createReverb(context) {
+        const input = context.createGain();
+        const convolver = context.createConvolver();
+        convolver.buffer = createImpulse(context);
+        const tone = context.createBiquadFilter();
+        tone.type = 'lowpass';
+        tone.frequency.value = REVERB_TONE;
+        const wet = context.createGain();
+        wet.gain.value = 0;
+
+        input.connect(convolver);
+        convolver.connect(tone);
+        tone.connect(wet);
+        wet.connect(context.destination);
+
+        // Recordings made inside should sound like it
+        registerAudioOutput(this.app, wet);
+        return { context, input, convolver, tone, wet };
+    }
+
+    detachReverb() {
+        this.detachTimer = null;
+        if (!this.reverb) return;
+        this.taps.forEach(node => {
+            try {
+                node.disconnect(this.reverb.input);
+            } catch (e) {
+                // Already disconnected
+            }
+        });
+        this.taps.clear();
+    }
+
+    emitChange() {
+        if (this.app.events) {
+            this.app.events.emit(BallEvents.INTERIOR_CHANGE, { inside: this.active });
+        }
+    }
+
+    /** Leave interior mode and free the shell and the reverb */
+    dispose() {
+        if (this.active) {
+            this.active = false;
+            this.removeShell();
+            this.showBall();
+            this.releaseControls();
+        }
+        clearTimeout(this.detachTimer);
+        this.detachReverb();
+        if (this.reverb) {
+            const { input, convolver, tone, wet } = this.reverb;
+            [input, convolver, tone, wet].forEach(node => node.disconnect());
+            unregisterAudioOutput(this.app, wet);
+            this.reverb = null;
+        }
+    }
+}
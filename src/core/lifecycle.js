@@ -0,0 +1,340 @@
+// lifecycle.js - Ordered subsystem startup with ready/failed events and a boot report
+
+// Window event names, so classic scripts can wait without importing this module
+export const MODULE_READY_EVENT = 'ball:module-ready';
+export const MODULE_FAILED_EVENT = 'ball:module-failed';
+export const BOOT_COMPLETE_EVENT = 'ball:boot-complete';
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Starts app subsystems in dependency order
+ * Each module declares the modules it needs; a module only starts once all
+ * of them are ready, and fails (with the reason) if any of them failed.
+ */
+export class LifecycleManager {
+    /**
+     * @param {Object} app - Application context the modules start for
+     */
+    constructor(app) {
+        this.app = app;
+        this.modules = new Map();
+        this.listeners = { ready: [], failed: [], complete: [] };
+        this.waiters = new Map();
+        this.started = false;
+        this.startTime = 0;
+        this.endTime = 0;
+    }
+
+    /**
+     * Declare a subsystem
+     * @param {string} name - Module name (e.g. 'renderer', 'audio')
+     * @param {Object} definition - Module definition
+     * @param {string[]} [definition.deps] - Modules that must be ready first
+     * @param {Function} definition.start - Called with the app; may return a promise.
+     *   Throw (or reject) to mark the module as failed.
+     * @param {number} [definition.timeout] - Milliseconds before an async start counts as failed
+     * @returns {LifecycleManager} This manager, for chaining
+     */
+    register(name, { deps = [], start, timeout = DEFAULT_TIMEOUT } = {}) {
+        if (this.started) {
+            console.error(`Lifecycle: cannot register "${name}" after boot has started`);
+            return this;
+        }
+        if (typeof start !== 'function') {
+            console.error(`Lifecycle: module "${name}" has no start function`);
+            return this;
+        }
+
+        this.modules.set(name, {
+            name,
+            deps,
+            start,
+            timeout,
+            status: 'pending',
+            error: null,
+            duration: 0
+        });
+        return this;
+    }
+
+    /**
+     * Subscribe to lifecycle events
+     * @param {string} event - 'ready' (name), 'failed' (name, error) or 'complete' (report)
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            console.warn(`Lifecycle: unknown event "${event}"`);
+            return () => {};
+        }
+
+        this.listeners[event].push(handler);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+        };
+    }
+
+    // Call listeners and mirror the event on window
+    emit(event, ...args) {
+        this.listeners[event].forEach(handler => {
+            try {
+                handler(...args);
+            } catch (error) {
+                console.error(`Lifecycle: error in "${event}" handler:`, error);
+            }
+        });
+
+        const windowEvent = {
+            ready: MODULE_READY_EVENT,
+            failed: MODULE_FAILED_EVENT,
+            complete: BOOT_COMPLETE_EVENT
+        }[event];
+
+        const detail = event === 'complete'
+            ? { app: this.app, report: args[0] }
+            : { app: this.app, name: args[0], error: args[1] || null };
+
+        window.dispatchEvent(new CustomEvent(windowEvent, { detail }));
+    }
+
+    /**
+     * Get the status of a module
+     * @param {string} name - Module name
+     * @returns {string|null} 'pending', 'starting', 'ready', 'failed' or null if unknown
+     */
+    getStatus(name) {
+        const module = this.modules.get(name);
+        return module ? module.status : null;
+    }
+
+    /**
+     * Check whether a module has started successfully
+     * @param {string} name - Module name
+     * @returns {boolean}
+     */
+    isReady(name) {
+        return this.getStatus(name) === 'ready';
+    }
+
+    /**
+     * Wait for a module to be ready
+     * @param {string} name - Module name
+     * @returns {Promise<void>} Resolves when ready, rejects with the failure reason
+     */
+    whenReady(name) {
+        const module = this.modules.get(name);
+        if (!module) {
+            return Promise.reject(new Error(`Unknown module "${name}"`));
+        }
+        if (module.status === 'ready') {
+            return Promise.resolve();
+        }
+        if (module.status === 'failed') {
+            return Promise.reject(module.error);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (!this.waiters.has(name)) {
+                this.waiters.set(name, []);
+            }
+            this.waiters.get(name).push({ resolve, reject });
+        });
+    }
+
+    // Settle a module and everything waiting on it
+    settle(module, error) {
+        module.status = error ? 'failed' : 'ready';
+        module.error = error || null;
+
+        const waiters = this.waiters.get(module.name) || [];
+        this.waiters.delete(module.name);
+        waiters.forEach(waiter => (error ? waiter.reject(error) : waiter.resolve()));
+
+        if (error) {
+            console.error(`Lifecycle: "${module.name}" failed:`, error.message);
+            this.emit('failed', module.name, error);
+        } else {
+            console.log(`Lifecycle: "${module.name}" ready (${Math.round(module.duration)}ms)`);
+            this.emit('ready', module.name);
+        }
+    }
+
+    // Order modules so dependencies come first; returns modules left in a cycle separately
+    resolveOrder() {
+        const order = [];
+        const visiting = new Set();
+        const visited = new Set();
+        const cyclic = new Set();
+
+        const visit = (name) => {
+            if (visited.has(name)) return;
+            if (visiting.has(name)) {
+                cyclic.add(name);
+                return;
+            }
+
+            visiting.add(name);
+            const module = this.modules.get(name);
+            module.deps.forEach(dep => {
+                if (this.modules.has(dep)) visit(dep);
+            });
+            visiting.delete(name);
+            visited.add(name);
+            order.push(module);
+        };
+
+        this.modules.forEach((module, name) => visit(name));
+        return { order, cyclic };
+    }
+
+    // Run a start function, failing it if it takes longer than its timeout
+    runStart(module) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error(`timed out after ${module.timeout}ms`));
+            }, module.timeout);
+
+            Promise.resolve()
+                .then(() => module.start(this.app))
+                .then(resolve, reject)
+                .finally(() => clearTimeout(timer));
+        });
+    }
+
+    /**
+     * Start every registered module in dependency order
+     * @returns {Promise<Object>} Boot report (see getReport)
+     */
+    async start() {
+        if (this.started) {
+            console.warn('Lifecycle: boot already started');
+            return this.getReport();
+        }
+
+        this.started = true;
+        this.startTime = performance.now();
+
+        const { order, cyclic } = this.resolveOrder();
+
+        for (const module of order) {
+            // Fail what is left instead of leaving it pending, so nothing waits forever on a destroyed app
+            if (this.app.destroyed) {
+                this.settle(module, new Error('app destroyed before it started'));
+                continue;
+            }
+
+            const missing = module.deps.find(dep => !this.modules.has(dep));
+            const failedDep = module.deps.find(dep => this.getStatus(dep) === 'failed');
+
+            if (missing) {
+                this.settle(module, new Error(`unknown dependency "${missing}"`));
+                continue;
+            }
+            if (cyclic.has(module.name)) {
+                this.settle(module, new Error('dependency cycle'));
+                continue;
+            }
+            if (failedDep) {
+                this.settle(module, new Error(`dependency "${failedDep}" failed`));
+                continue;
+            }
+
+            module.status = 'starting';
+            const moduleStart = performance.now();
+
+            try {
+                await this.runStart(module);
+                module.duration = performance.now() - moduleStart;
+                this.settle(module);
+            } catch (error) {
+                module.duration = performance.now() - moduleStart;
+                this.settle(module, error instanceof Error ? error : new Error(String(error)));
+            }
+        }
+
+        this.endTime = performance.now();
+
+        const report = this.getReport();
+        this.printReport(report);
+        this.emit('complete', report);
+        return report;
+    }
+
+    /**
+     * Summarize what started, what failed and why
+     * @returns {Object} Report with overall status, duration and per-module entries
+     */
+    getReport() {
+        const modules = Array.from(this.modules.values()).map(module => ({
+            name: module.name,
+            deps: module.deps.slice(),
+            status: module.status,
+            duration: Math.round(module.duration),
+            error: module.error ? module.error.message : null
+        }));
+
+        const failed = modules.filter(m => m.status === 'failed').map(m => m.name);
+        const pending = modules.some(m => m.status === 'pending' || m.status === 'starting');
+
+        return {
+            status: pending ? 'booting' : (failed.length ? 'degraded' : 'ready'),
+            duration: Math.round((this.endTime || performance.now()) - this.startTime),
+            failed,
+            modules
+        };
+    }
+
+    /**
+     * Log the boot report to the console
+     * @param {Object} [report] - Report to print, defaults to the current one
+     */
+    printReport(report = this.getReport()) {
+        const title = `Boot ${report.status} in ${report.duration}ms`;
+
+        console.groupCollapsed(report.failed.length ? `⚠️ ${title} (${report.failed.join(', ')} failed)` : `✅ ${title}`);
+        console.table(report.modules.map(m => ({
+            module: m.name,
+            status: m.status,
+            'time (ms)': m.duration,
+            'depends on': m.deps.join(', '),
+            reason: m.error || ''
+        })));
+        console.groupEnd();
+    }
+}
+
+/**
+ * Wait for a module of the page's app, even if the app has not booted yet
+ * @param {string} name - Module name
+ * @returns {Promise<void>} Resolves when ready, rejects with the failure reason
+ */
+export function whenModuleReady(name) {
+    const lifecycle = window.app && window.app.lifecycle;
+    if (lifecycle && lifecycle.modules.has(name)) {
+        return lifecycle.whenReady(name);
+    }
+
+    return new Promise((resolve, reject) => {
+        function onReady(event) {
+            if (event.detail.name !== name || event.detail.app !== window.app) return;
+            cleanup();
+            resolve();
+        }
+
+        function onFailed(event) {
+            if (event.detail.name !== name || event.detail.app !== window.app) return;
+            cleanup();
+            reject(event.detail.error);
+        }
+
+        function cleanup() {
+            window.removeEventListener(MODULE_READY_EVENT, onReady);
+            window.removeEventListener(MODULE_FAILED_EVENT, onFailed);
+        }
+
+        window.addEventListener(MODULE_READY_EVENT, onReady);
+        window.addEventListener(MODULE_FAILED_EVENT, onFailed);
+    });
+}
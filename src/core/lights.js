@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { FramePhase, getFrameScheduler, frameDamping } from './frame-scheduler.js';
+import { addDisposer } from './teardown.js';
 
 // src/core/lights.js
 
@@ -53,4 +55,379 @@ export function addDefaultLights(scene) {
 
     const ambientLight = createAmbientLight(0xffffff, 0.3);
     scene.add(ambientLight);
-}
\ No newline at end of file
+}
+
+/**
+ * Creates and returns a hemisphere light.
+ * @param {number} skyColor - The color from above.
+ * @param {number} groundColor - The color from below.
+ * @param {number} intensity - The intensity of the light.
+ * @returns {THREE.HemisphereLight} The hemisphere light.
+ */
+export function createHemisphereLight(skyColor = 0xffffff, groundColor = 0x000000, intensity = 1) {
+    return new THREE.HemisphereLight(skyColor, groundColor, intensity);
+}
+
+/**
+ * Creates and returns a spot light aimed at the origin.
+ * @param {number} color - The color of the light.
+ * @param {number} intensity - The intensity of the light in candela.
+ * @param {number} angle - Half-angle of the cone in radians.
+ * @param {number} penumbra - Soft edge of the cone (0-1).
+ * @returns {THREE.SpotLight} The spot light.
+ */
+export function createSpotLight(color = 0xffffff, intensity = 1, angle = Math.PI / 6, penumbra = 0.3) {
+    const light = new THREE.SpotLight(color, intensity, 0, angle, penumbra, 2);
+    light.castShadow = true;
+    light.shadow.mapSize.width = 1024;
+    light.shadow.mapSize.height = 1024;
+    return light;
+}
+
+export const DEFAULT_LIGHTING_RIG = 'classic';
+
+// Where shadow-casting directional lights sit, and half the width of the area they shadow
+const SHADOW_LIGHT_DISTANCE = 6;
+const SHADOW_EXTENT = 4;
+
+/**
+ * How a rig light moves. Every behaviour starts from the light's own
+ * position and intensity, so presets can still fade intensities underneath.
+ * @readonly
+ */
+export const LIGHT_BEHAVIOURS = Object.freeze({
+    static: { label: 'Still' },
+    cursor: { label: 'Follow cursor', params: { distance: 2 } },
+    orbit: { label: 'Orbit', params: { speed: 0.5 } },
+    flicker: { label: 'Flicker', params: { speed: 1, depth: 0.5 } },
+    pulse: { label: 'Pulse', params: { rate: 0.5, depth: 0.6 } },
+    audio: { label: 'Pulse to audio', params: { floor: 0.2, gain: 2.5 } }
+});
+
+/**
+ * Named lighting setups. Each light has a role, a type, a color, an
+ * intensity, a position and a behaviour from LIGHT_BEHAVIOURS. Every rig has
+ * a 'point' light; that is the one the menu's motion picker drives. Looks
+ * (presets.js) fade the hemisphere, key, fill, top and point lights only on
+ * rigs with followsLooks; the others are balanced on their own.
+ * @readonly
+ */
+export const LIGHTING_RIGS = Object.freeze({
+    classic: {
+        label: 'Classic',
+        followsLooks: true,
+        lights: [
+            { role: 'hemisphere', type: 'hemisphere', color: '#FFFFFF', groundColor: '#000000', intensity: 1, position: [0, 1, 0] },
+            { role: 'key', type: 'directional', color: '#FFFFFF', intensity: 1, position: [1, 1, 1], shadow: true },
+            { role: 'fill', type: 'directional', color: '#FFFFFF', intensity: 1, position: [-1, -1, -1] },
+            { role: 'top', type: 'directional', color: '#FFFFFF', intensity: 0.5, position: [0, 1, 0] },
+            { role: 'point', type: 'point', color: '#FFFFFF', intensity: 1, distance: 5, position: [0, 0, 2], behaviour: 'cursor' }
+        ]
+    },
+    studio: {
+        label: 'Studio Three-Point',
+        lights: [
+            { role: 'hemisphere', type: 'hemisphere', color: '#FFFFFF', groundColor: '#202028', intensity: 0.3, position: [0, 1, 0] },
+            { role: 'key', type: 'directional', color: '#FFF1E0', intensity: 1.6, position: [-2, 2, 3], shadow: true },
+            { role: 'fill', type: 'directional', color: '#DDE8FF', intensity: 0.5, position: [3, 0.5, 2] },
+            { role: 'rim', type: 'directional', color: '#FFFFFF', intensity: 1.4, position: [0.5, 2, -3] },
+            { role: 'point', type: 'point', color: '#FFFFFF', intensity: 0.6, distance: 5, position: [0, 0, 2], behaviour: 'cursor' }
+        ]
+    },
+    neonRim: {
+        label: 'Neon Rim',
+        lights: [
+            { role: 'hemisphere', type: 'hemisphere', color: '#220033', groundColor: '#000000', intensity: 0.4, position: [0, 1, 0] },
+            { role: 'rimMagenta', type: 'point', color: '#FF00FF', intensity: 6, distance: 8, position: [2.2, 0.6, -1.4], behaviour: 'orbit' },
+            { role: 'rimCyan', type: 'point', color: '#00FFFF', intensity: 6, distance: 8, position: [-2.2, -0.6, 1.4], behaviour: 'orbit' },
+            { role: 'point', type: 'point', color: '#FFFFFF', intensity: 0.8, distance: 5, position: [0, 0, 2], behaviour: 'cursor' }
+        ]
+    },
+    spotlight: {
+        label: 'Dramatic Spotlight',
+        lights: [
+            { role: 'hemisphere', type: 'hemisphere', color: '#FFFFFF', groundColor: '#000000', intensity: 0.05, position: [0, 1, 0] },
+            { role: 'key', type: 'spot', color: '#FFF6E8', intensity: 40, angle: Math.PI / 9, penumbra: 0.5, position: [0.6, 4, 1.2], shadow: true },
+            { role: 'point', type: 'point', color: '#FFFFFF', intensity: 0.4, distance: 4, position: [0, 0, 2], behaviour: 'cursor' }
+        ]
+    },
+    underlit: {
+        label: 'Underlit',
+        lights: [
+            { role: 'hemisphere', type: 'hemisphere', color: '#100800', groundColor: '#FF6A00', intensity: 0.5, position: [0, 1, 0] },
+            { role: 'key', type: 'point', color: '#FF7A1A', intensity: 8, distance: 0, position: [0, -2, 0.8], behaviour: 'flicker' },
+            { role: 'fill', type: 'directional', color: '#3040FF', intensity: 0.2, position: [0, 1, -1] },
+            { role: 'point', type: 'point', color: '#FFB070', intensity: 0.5, distance: 5, position: [0, 0, 2], behaviour: 'cursor' }
+        ]
+    }
+});
+
+// Build one light from a rig entry; directional lights point at the origin from their position
+function createRigLight(spec) {
+    let light;
+    switch (spec.type) {
+        case 'hemisphere':
+            light = createHemisphereLight(spec.color, spec.groundColor, spec.intensity);
+            light.position.fromArray(spec.position).normalize();
+            return light;
+        case 'directional':
+            light = createDirectionalLight(spec.color, spec.intensity);
+            light.position.fromArray(spec.position).normalize();
+            if (spec.shadow) {
+                // Only the direction lights the ball, but the shadow camera starts at the
+                // light: move it clear of the ball and fit its box to the floor around it
+                light.position.multiplyScalar(SHADOW_LIGHT_DISTANCE);
+                const camera = light.shadow.camera;
+                camera.left = camera.bottom = -SHADOW_EXTENT;
+                camera.right = camera.top = SHADOW_EXTENT;
+                camera.updateProjectionMatrix();
+            }
+            break;
+        case 'spot':
+            light = createSpotLight(spec.color, spec.intensity, spec.angle, spec.penumbra);
+            light.position.fromArray(spec.position);
+            break;
+        case 'point':
+            light = createPointLight(spec.color, spec.intensity, spec.distance ?? 0);
+            light.position.fromArray(spec.position);
+            break;
+        default:
+            throw new Error(`unknown light type "${spec.type}"`);
+    }
+    light.castShadow = !!spec.shadow;
+    return light;
+}
+
+// Presets write intensities straight onto the lights; pick those up as the new base
+function baseIntensity(entry) {
+    if (entry.light.intensity !== entry.applied) {
+        entry.base = entry.light.intensity;
+    }
+    return entry.base;
+}
+
+function setIntensity(entry, value) {
+    entry.light.intensity = value;
+    entry.applied = value;
+}
+
+/**
+ * Average of the lower half of the analyser's bins
+ * @param {Object} app - Application context
+ * @returns {number} 0-1, 0 before audio is set up
+ */
+export function getAudioLevel(app) {
+    const data = app.analyserData;
+    if (!app.analyser || !data || data.length === 0) return 0;
+
+    const count = Math.max(1, Math.floor(data.length / 2));
+    let sum = 0;
+    for (let i = 0; i < count; i++) {
+        sum += data[i];
+    }
+    return sum / (count * 255);
+}
+
+const raycaster = new THREE.Raycaster();
+
+// Per-frame updates, called with (entry, params, clock, rig)
+const BEHAVIOUR_UPDATES = {
+    static: () => {},
+
+    cursor: (entry, params, clock, rig) => {
+        const app = rig.app;
+        // Stay at home until the pointer first moves over the canvas
+        if (!app.lastPointerSample || !app.mouse || !app.camera) return;
+        raycaster.setFromCamera(app.mouse, app.camera);
+        entry.light.position.copy(raycaster.ray.direction).multiplyScalar(params.distance).add(app.camera.position);
+    },
+
+    orbit: (entry, params, clock, rig) => {
+        const home = entry.home;
+        const radius = Math.hypot(home.x, home.z) || 2;
+        const angle = Math.atan2(home.z, home.x) + clock.time * params.speed * rig.params.speed;
+        entry.light.position.set(Math.cos(angle) * radius, home.y, Math.sin(angle) * radius);
+    },
+
+    flicker: (entry, params, clock, rig) => {
+        const t = clock.time * params.speed * rig.params.speed + entry.seed;
+        // Two beating waves for the unsteady glow, plus a short dip now and then
+        let level = 1 - params.depth * 0.5 * (1 + Math.sin(t * 11.3) * Math.sin(t * 17.9));
+        if (Math.sin(t * 2.3) > 0.97) {
+            level *= 0.3;
+        }
+        setIntensity(entry, baseIntensity(entry) * level);
+    },
+
+    pulse: (entry, params, clock, rig) => {
+        const wave = 0.5 + 0.5 * Math.sin(clock.time * params.rate * rig.params.speed * Math.PI * 2 + entry.seed);
+        setIntensity(entry, baseIntensity(entry) * (1 - params.depth * wave));
+    },
+
+    audio: (entry, params, clock, rig) => {
+        entry.level += (getAudioLevel(rig.app) - entry.level) * frameDamping(0.3, clock.realDelta);
+        setIntensity(entry, baseIntensity(entry) * (params.floor + params.gain * entry.level));
+    }
+};
+
+/**
+ * Builds, swaps and animates an app's lighting rig
+ * The rig's lights are published as app.lights, keyed by role, and the
+ * 'point' light as app.pointLight. Behaviours run in the audio-sync phase
+ * so the audio pulse reads the analyser of the same frame as the visualizer.
+ */
+export class LightingRig {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.current = null;
+        /** Rig parameters: intensity scales every light, speed every behaviour */
+        this.params = { intensity: 1, speed: 1 };
+        this.entries = new Map();
+    }
+
+    /** Start animating; call once the scene exists */
+    start() {
+        const app = this.app;
+        const removeHook = getFrameScheduler(app).add(FramePhase.AUDIO_SYNC, 'lighting', (clock) => this.update(clock));
+        addDisposer(app, () => {
+            removeHook();
+            this.removeLights();
+        });
+    }
+
+    /**
+     * Available rigs
+     * @returns {{name: string, label: string}[]}
+     */
+    list() {
+        return Object.keys(LIGHTING_RIGS).map(name => ({ name, label: LIGHTING_RIGS[name].label }));
+    }
+
+    /**
+     * Switch rig; every light returns to the rig's own behaviour
+     * @param {string} name - Key of LIGHTING_RIGS
+     * @param {Object} [params] - intensity (multiplier), speed (multiplier), accent (#RRGGBB for the point light)
+     * @returns {boolean} True if the rig was built
+     */
+    set(name, params = {}) {
+        const rig = LIGHTING_RIGS[name];
+        if (!rig) {
+            console.error(`Unknown lighting rig: ${name}`);
+            return false;
+        }
+
+        const scene = this.app.scene;
+        if (!scene) {
+            console.error('Cannot set a lighting rig before the scene exists');
+            return false;
+        }
+
+        try {
+            this.removeLights();
+            this.params = { ...this.params, ...params };
+
+            rig.lights.forEach((spec, index) => {
+                const light = createRigLight(spec);
+                light.intensity *= this.params.intensity;
+                if (spec.role === 'point' && this.params.accent) {
+                    light.color.set(this.params.accent);
+                }
+                light.name = `light:${spec.role}`;
+                scene.add(light);
+
+                this.entries.set(spec.role, {
+                    light,
+                    home: light.position.clone(),
+                    base: light.intensity,
+                    applied: light.intensity,
+                    seed: index * 1.7,
+                    level: 0,
+                    behaviour: 'static',
+                    behaviourParams: {}
+                });
+                this.setBehaviour(spec.role, spec.behaviour || 'static');
+            });
+
+            this.current = name;
+            this.publish();
+            return true;
+        } catch (error) {
+            console.error(`Error creating lighting rig "${name}":`, error);
+            this.removeLights();
+            this.publish();
+            return false;
+        }
+    }
+
+    /** @returns {boolean} True if looks may fade this rig's lights */
+    get followsLooks() {
+        return !!LIGHTING_RIGS[this.current]?.followsLooks;
+    }
+
+    /**
+     * Change the parameters of the current rig; rebuilds it
+     * @param {Object} params - See set()
+     * @returns {boolean}
+     */
+    setParams(params) {
+        return this.set(this.current || DEFAULT_LIGHTING_RIG, params);
+    }
+
+    /**
+     * Give one light of the rig a different behaviour
+     * @param {string} role - Light role, e.g. 'point' or 'key'
+     * @param {string} behaviour - Key of LIGHT_BEHAVIOURS
+     * @param {Object} [params] - Overrides for the behaviour's parameters
+     * @returns {boolean} True if the light and behaviour exist
+     */
+    setBehaviour(role, behaviour, params = {}) {
+        const entry = this.entries.get(role);
+        const definition = LIGHT_BEHAVIOURS[behaviour];
+        if (!entry || !definition) {
+            console.error(`Cannot set behaviour "${behaviour}" on light "${role}"`);
+            return false;
+        }
+
+        // Start the new behaviour from where the light was designed to be
+        setIntensity(entry, baseIntensity(entry));
+        entry.light.position.copy(entry.home);
+        entry.level = 0;
+        entry.behaviour = behaviour;
+        entry.behaviourParams = { ...definition.params, ...params };
+        return true;
+    }
+
+    /**
+     * @param {string} role - Light role
+     * @returns {string|null} Behaviour name, or null if the rig has no such light
+     */
+    getBehaviour(role) {
+        const entry = this.entries.get(role);
+        return entry ? entry.behaviour : null;
+    }
+
+    update(clock) {
+        this.entries.forEach(entry => {
+            BEHAVIOUR_UPDATES[entry.behaviour](entry, entry.behaviourParams, clock, this);
+        });
+    }
+
+    // app.lights for presets, app.pointLight for older code
+    publish() {
+        const lights = {};
+        this.entries.forEach((entry, role) => { lights[role] = entry.light; });
+        this.app.lights = lights;
+        this.app.pointLight = lights.point || null;
+    }
+
+    removeLights() {
+        this.entries.forEach(entry => {
+            entry.light.removeFromParent();
+            entry.light.dispose();
+        });
+        this.entries.clear();
+    }
+}
@@ -1,9 +1,8 @@
 // Import Three.js properly - using the import map from index.html
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { threeVersionInfo, logThreeVersion } from '../utils/versioning.js';
-import { updateRainbowMode, toggleRainbowMode } from '../effects/visual/rainbow.js';
-import { callEffect } from '../effects/effectManager.js';
+import { toggleRainbowMode } from '../effects/visual/rainbow.js';
+import { callEffect, getEffectState } from '../effects/effectManager.js';
 import {
     updateEffects,
     createBlackholeEffect,
@@ -11,12 +10,106 @@ import {
     updateBlackholeEffect,
     removeBlackholeEffect
 } from '../effects/effectManager.js';
+import {
+    init as initApp,
+    createFancyBall,
+    animate,
+    onWindowResize,
+    recoverBall,
+    createBallApp
+} from './ball-app.js';
+import { addDisposer, addTrackedListener, destroyApp } from './teardown.js';
+import { EventBus, BallEvents } from './event-bus.js';
+import { exportState, importState } from './state.js';
+import { createShareLink, copyShareLink, applyStateFromHash } from './share-link.js';
+import { BALL_SHAPES, setBallShape, getFacetCount } from './ball-shapes.js';
+import { FramePhase, getFrameScheduler, getFrameTime, getFrameDelta } from './frame-scheduler.js';
+import { QUALITY_TIERS, getParticleBudget } from './render-quality.js';
+import { POST_PASSES, COLOR_GRADES, pushPassOverride } from './post-processing.js';
+import { BallRecorder, RECORDING_RESOLUTIONS, getRecorder, downloadRecording } from './recorder.js';
+import { STILL_SIZES, captureStill, exportStill } from './still-export.js';
+import { ENVIRONMENTS } from './environments.js';
+import { LIGHTING_RIGS, LIGHT_BEHAVIOURS } from './lights.js';
+import { GROUND_STYLES } from './ground.js';
+import { isCameraInside } from './interior.js';
+import { releaseDent } from './deformer.js';
+
+// Classic scripts (mouse controls, ui connections) read THREE from window
+window.THREE = THREE;
 
 // Define window.app and uiBridge as early as possible
 window.app = window.app || {};
 window.app.meta = window.app.meta || {};
 window.app.meta.threeVersion = threeVersionInfo;
 
+// window.app is the page's default instance; other balls come from createBallApp()
+window.app.isGlobalInstance = true;
+
+// ?renderer=canvas forces the 2D canvas renderer (canvas-renderer.js), e.g. to try it or for headless CI
+window.app.options = window.app.options || {};
+const rendererParam = new URLSearchParams(window.location.search).get('renderer');
+if (rendererParam) {
+    window.app.options.renderer = rendererParam;
+}
+window.app.eventTarget = window;
+window.app.gradientColors = ['#FF00FF', '#8800FF', '#00FFFF'];
+window.app.effectState = getEffectState(window.app);
+window.effectState = window.app.effectState;
+
+// Legacy scripts register their listeners here so destroy() can remove them
+window.app.disposers = window.app.disposers || [];
+window.app.addDisposer = (fn) => addDisposer(window.app, fn);
+window.app.destroy = () => destroyApp(window.app);
+
+// Save and restore everything the user has set up (see state.js for the schema)
+window.app.exportState = () => exportState(window.app);
+window.app.importState = (json) => importState(window.app, json);
+window.app.createShareLink = () => createShareLink(window.app);
+
+// Interaction, effect and audio events for overlays and analytics
+window.app.events = window.app.events || new EventBus();
+window.BallEvents = BallEvents;
+
+// Swap the ball's solid and detail level at runtime
+window.app.setShape = (shape, detail) => setBallShape(window.app, shape, detail);
+window.BallShapes = BALL_SHAPES;
+
+// Per-frame work runs in ordered phases on one loop (see frame-scheduler.js)
+window.app.addFrameHook = (phase, name, fn) => getFrameScheduler(window.app).add(phase, name, fn);
+window.app.removeFrameHook = (phase, name) => getFrameScheduler(window.app).remove(phase, name);
+window.FramePhase = FramePhase;
+window.QualityTiers = QUALITY_TIERS;
+window.PostPasses = POST_PASSES;
+window.ColorGrades = COLOR_GRADES;
+window.RecordingResolutions = RECORDING_RESOLUTIONS;
+window.StillSizes = STILL_SIZES;
+window.Environments = ENVIRONMENTS;
+window.LightingRigs = LIGHTING_RIGS;
+window.LightBehaviours = LIGHT_BEHAVIOURS;
+window.GroundStyles = GROUND_STYLES;
+getFrameScheduler(window.app);
+
+// Record the canvas and all audio to WebM (see recorder.js); finished clips are downloaded
+window.app.startRecording = (options) => getRecorder(window.app).start(options);
+window.app.stopRecording = () => getRecorder(window.app).stop();
+window.app.events.on(BallEvents.RECORDING_CHANGE, ({ blob }) => {
+    if (blob) downloadRecording(blob);
+});
+
+// Poster-size PNG stills of the current frame (see still-export.js)
+window.app.captureStill = (options) => captureStill(window.app, options);
+window.app.exportStill = (options, filename) => exportStill(window.app, options, filename);
+
+// Lose the WebGL context for a moment to try out recovery (context-loss.js)
+window.app.simulateContextLoss = (seconds) => (window.app.contextLoss ? window.app.contextLoss.simulate(seconds) : false);
+
+// GSAP tweens (hover, reset) follow the page clock as well
+window.app.events.on(BallEvents.CLOCK_CHANGE, ({ paused, timeScale }) => {
+    if (!window.gsap) return;
+    window.gsap.globalTimeline.paused(paused);
+    window.gsap.globalTimeline.timeScale(timeScale);
+});
+
 try {
     logThreeVersion();
 } catch (error) {
@@ -26,6 +119,18 @@ try {
 // Make it accessible to other scripts
 window.blackholeActivated = false;
 
+// Legacy scripts flip these globals; instance code reads them from the app
+Object.defineProperty(window.app, 'blackholeActivated', {
+    get: () => window.blackholeActivated,
+    set: (value) => { window.blackholeActivated = value; },
+    configurable: true
+});
+Object.defineProperty(window.app, '_lastBlackholeCleanup', {
+    get: () => window._lastBlackholeCleanup,
+    set: (value) => { window._lastBlackholeCleanup = value; },
+    configurable: true
+});
+
 // Attach uiBridge with all control bridges before DOMContentLoaded
 window.app.uiBridge = {
     // Getters for current state
@@ -42,6 +147,7 @@ window.app.uiBridge = {
     setVolume: (level) => {
         if (window.app?.audioContext && window.app?.masterGain) {
             window.app.masterGain.gain.value = level;
+            window.app.volume = level;
             console.log(`Volume set to ${(level * 100).toFixed(0)}%`);
             // Store volume in localStorage for persistence
             try { localStorage.setItem('ballVolume', level); } catch (e) { }
@@ -224,8 +330,327 @@ window.app.uiBridge = {
         }
     },
 
+    copyShareLink: () => copyShareLink(window.app),
+
+    // Ball geometry
+    setBallShape: (shape, detail) => {
+        if (!setBallShape(window.app, shape, detail)) {
+            return false;
+        }
+        try {
+            localStorage.setItem('ballShape', window.app.ballShape.shape);
+            localStorage.setItem('ballDetail', window.app.ballShape.detail);
+        } catch (e) { }
+        return true;
+    },
+
+    getFacetCount: () => getFacetCount(window.app.ballGeometry),
+
+    // Background and reflections (see environments.js)
+    setEnvironment: (name) => {
+        if (!window.app.environment || !window.app.environment.set(name)) {
+            return false;
+        }
+        try { localStorage.setItem('ballEnvironment', name); } catch (e) { }
+        return true;
+    },
+
+    getEnvironment: () => (window.app.environment ? window.app.environment.current : null),
+
+    // Lighting rigs and how the rig's point light moves (see lights.js)
+    setLightingRig: (name) => {
+        if (!window.app.lighting || !window.app.lighting.set(name)) {
+            return false;
+        }
+        try {
+            localStorage.setItem('ballLightingRig', name);
+            // A new rig brings its own point light behaviour
+            localStorage.removeItem('ballLightMotion');
+        } catch (e) { }
+        return true;
+    },
+
+    getLightingRig: () => (window.app.lighting ? window.app.lighting.current : null),
+
+    setLightMotion: (behaviour) => {
+        if (!window.app.lighting || !window.app.lighting.setBehaviour('point', behaviour)) {
+            return false;
+        }
+        try { localStorage.setItem('ballLightMotion', behaviour); } catch (e) { }
+        return true;
+    },
+
+    getLightMotion: () => (window.app.lighting ? window.app.lighting.getBehaviour('point') : null),
+
+    // Floor: visible, style, height, mirror, contactShadow, color (see ground.js)
+    setGround: (changes) => {
+        if (!window.app.ground || !window.app.ground.configure(changes)) {
+            return false;
+        }
+        try { localStorage.setItem('ballGround', JSON.stringify(window.app.ground.config)); } catch (e) { }
+        return true;
+    },
+
+    getGround: () => (window.app.ground ? window.app.ground.config : null),
+
+    // Inside the ball: glow, pulse, reverb (see interior.js)
+    setInterior: (changes) => {
+        if (!window.app.interior || !window.app.interior.configure(changes)) {
+            return false;
+        }
+        try { localStorage.setItem('ballInterior', JSON.stringify(window.app.interior.config)); } catch (e) { }
+        return true;
+    },
+
+    getInterior: () => (window.app.interior ? window.app.interior.config : null),
+
+    isCameraInside: () => isCameraInside(window.app),
+
+    // Throw-and-bounce mode: enabled, gravity, damping, restitution (see physics.js)
+    setPhysics: (changes) => {
+        if (!window.app.physics || !window.app.physics.configure(changes)) {
+            return false;
+        }
+        try { localStorage.setItem('ballPhysics', JSON.stringify(window.app.physics.config)); } catch (e) { }
+        return true;
+    },
+
+    getPhysics: () => (window.app.physics ? window.app.physics.config : null),
+
+    togglePhysics: (enabled) => {
+        const physics = window.app.physics;
+        if (!physics) return false;
+        const next = typeof enabled === 'boolean' ? enabled : !physics.config.enabled;
+        return window.app.uiBridge.setPhysics({ enabled: next }) && next;
+    },
+
+    // Spring-mass surface: enabled, stiffness, damping, pressure (see soft-body.js)
+    setSoftBody: (changes) => {
+        if (!window.app.softBody || !window.app.softBody.configure(changes)) {
+            return false;
+        }
+        try { localStorage.setItem('ballSoftBody', JSON.stringify(window.app.softBody.config)); } catch (e) { }
+        return true;
+    },
+
+    getSoftBody: () => (window.app.softBody ? window.app.softBody.config : null),
+
+    toggleSoftBody: (enabled) => {
+        const softBody = window.app.softBody;
+        if (!softBody) return false;
+        const next = typeof enabled === 'boolean' ? enabled : !softBody.config.enabled;
+        return window.app.uiBridge.setSoftBody({ enabled: next }) && next;
+    },
+
+    // Shape deformation: gpu (shader path), noise, noiseScale, noiseSpeed (see deformer.js)
+    setDeformer: (changes) => {
+        if (!window.app.deformer || !window.app.deformer.configure(changes)) {
+            return false;
+        }
+        try { localStorage.setItem('ballDeformer', JSON.stringify(window.app.deformer.config)); } catch (e) { }
+        return true;
+    },
+
+    getDeformer: () => (window.app.deformer ? { ...window.app.deformer.config, mode: window.app.deformer.resolveMode() } : null),
+
+    // Sculpt mode: enabled, brush, symmetry, brushes (radius, strength, falloff per brush; see sculpt.js)
+    setSculpt: (changes) => {
+        if (!window.app.sculpt || !window.app.sculpt.configure(changes)) {
+            return false;
+        }
+        try { localStorage.setItem('ballSculpt', JSON.stringify(window.app.sculpt.config)); } catch (e) { }
+        return true;
+    },
+
+    getSculpt: () => {
+        const sculpt = window.app.sculpt;
+        return sculpt ? { ...sculpt.config, canUndo: sculpt.canUndo, canRedo: sculpt.canRedo } : null;
+    },
+
+    undoSculpt: () => !!window.app.sculpt && window.app.sculpt.undo(),
+
+    redoSculpt: () => !!window.app.sculpt && window.app.sculpt.redo(),
+
+    resetSculpt: () => !!window.app.sculpt && window.app.sculpt.reset(),
+
+    // Camera tours and recorded paths (see camera-director.js)
+    playCameraPath: (name, options) => !!window.app.cameraDirector && window.app.cameraDirector.play(name, options),
+
+    pauseCameraPath: () => {
+        if (window.app.cameraDirector) window.app.cameraDirector.togglePause();
+    },
+
+    stopCameraPath: () => {
+        if (window.app.cameraDirector) window.app.cameraDirector.stop();
+    },
+
+    // Starts recording (returns true), or stops and returns the recorded path (null if too short)
+    toggleCameraRecording: () => {
+        const director = window.app.cameraDirector;
+        if (!director) return false;
+        return director.state === 'recording' ? director.stopRecording() : director.startRecording();
+    },
+
+    saveCameraPath: (label, path) => (window.app.cameraDirector ? window.app.cameraDirector.save(label, path) : null),
+
+    deleteCameraPath: (name) => !!window.app.cameraDirector && window.app.cameraDirector.remove(name),
+
+    getCameraPaths: () => (window.app.cameraDirector ? window.app.cameraDirector.list() : []),
+
+    getCameraStatus: () => (window.app.cameraDirector ? window.app.cameraDirector.getStatus() : null),
+
+    togglePlaneVisibility: (visible) => window.app.uiBridge.setGround({ visible: !!visible }),
+
+    // Render quality: 'auto' adapts to frame times, a tier name pins it (see render-quality.js)
+    setQuality: (quality) => {
+        const governor = window.app.quality;
+        if (!governor) {
+            console.warn('Render quality governor not running');
+            return false;
+        }
+
+        if (quality === 'auto') {
+            governor.setAuto(true);
+        } else if (governor.setTier(quality)) {
+            governor.setAuto(false);
+        } else {
+            return false;
+        }
+
+        try { localStorage.setItem('ballQuality', quality); } catch (e) { }
+        return true;
+    },
+
+    getQualityStatus: () => (window.app.quality ? window.app.quality.getStatus() : null),
+
+    // Post-processing passes (see post-processing.js); settings are saved as one JSON blob
+    setPostPass: (name, enabled) => {
+        const stack = window.app.postProcessing;
+        if (!stack || !stack.setPassEnabled(name, enabled)) {
+            return false;
+        }
+        window.app.uiBridge.savePostProcessing();
+        return true;
+    },
+
+    // 'none' switches grading off; any other name is a colour grade to switch to
+    setColorGrade: (name) => {
+        const stack = window.app.postProcessing;
+        if (!stack) return false;
+
+        if (name === 'none') {
+            stack.setPassEnabled('colorGrading', false);
+        } else if (stack.setParams('colorGrading', { lut: name })) {
+            stack.setPassEnabled('colorGrading', true);
+        } else {
+            return false;
+        }
+        window.app.uiBridge.savePostProcessing();
+        return true;
+    },
+
+    // Start a recording, or stop the running one (the clip is downloaded when it finishes)
+    // resolution is a key of RECORDING_RESOLUTIONS, duration is seconds (0 = until stopped)
+    toggleRecording: ({ resolution = 'screen', duration = 0 } = {}) => {
+        const recorder = getRecorder(window.app);
+        if (recorder.state !== 'inactive') {
+            recorder.stop();
+            return false;
+        }
+
+        const size = RECORDING_RESOLUTIONS[resolution] || RECORDING_RESOLUTIONS.screen;
+        return recorder.start({ width: size.width, height: size.height, duration });
+    },
+
+    pauseRecording: () => getRecorder(window.app).togglePause(),
+
+    getRecordingStatus: () => {
+        const recorder = getRecorder(window.app);
+        return { state: recorder.state, elapsed: recorder.elapsed, supported: BallRecorder.isSupported() };
+    },
+
+    // Save a PNG of the current frame; size is a key of STILL_SIZES
+    exportStill: ({ size = 'screen', background = 'scene', hideHelpers = true } = {}) => {
+        const dimensions = STILL_SIZES[size] || STILL_SIZES.screen;
+        return exportStill(window.app, {
+            width: dimensions.width,
+            height: dimensions.height,
+            background,
+            hideHelpers
+        });
+    },
+
+    getPostProcessingConfig: () => (window.app.postProcessing ? window.app.postProcessing.getConfig() : null),
+
+    savePostProcessing: () => {
+        if (!window.app.postProcessing) return;
+        try {
+            localStorage.setItem('ballPostProcessing', JSON.stringify(window.app.postProcessing.getConfig()));
+        } catch (e) { }
+    },
+
+    // Look presets
+    applyPreset: (name) => {
+        if (!window.app.presets || !window.app.presets.apply(name)) {
+            return false;
+        }
+
+        try {
+            localStorage.setItem('ballPreset', name);
+            // The preset brings its own gradient, environment and floor; drop those saved for the previous look
+            localStorage.removeItem('ballInnerColor');
+            localStorage.removeItem('ballMiddleColor');
+            localStorage.removeItem('ballOuterColor');
+            localStorage.removeItem('ballEnvironment');
+            localStorage.removeItem('ballGround');
+        } catch (e) { }
+        return true;
+    },
+
+    saveCustomPreset: (label) => {
+        const name = window.app.presets ? window.app.presets.saveCustom(label) : null;
+        if (name) {
+            try { localStorage.setItem('ballPreset', name); } catch (e) { }
+        }
+        return name;
+    },
+
+    deleteCustomPreset: (name) => {
+        return window.app.presets ? window.app.presets.deleteCustom(name) : false;
+    },
+
+    toggleRotation: (enabled = window.app.autoRotate === false) => {
+        window.app.autoRotate = !!enabled;
+        try { localStorage.setItem('ballAutoRotate', window.app.autoRotate); } catch (e) { }
+        console.log(`Auto-rotation ${window.app.autoRotate ? 'enabled' : 'disabled'}`);
+        return window.app.autoRotate;
+    },
+
+    // Pause, slow down or step every animation (see frame-scheduler.js)
+    togglePause: (paused = !window.app.clock?.paused) => {
+        const clock = getFrameScheduler(window.app).clock;
+        if (paused) {
+            clock.pause();
+        } else {
+            clock.resume();
+        }
+        console.log(`Animation ${clock.paused ? 'paused' : 'resumed'}`);
+        return clock.paused;
+    },
+
+    stepFrame: () => {
+        getFrameScheduler(window.app).clock.stepFrame();
+        return true;
+    },
+
+    setTimeScale: (scale) => getFrameScheduler(window.app).clock.setTimeScale(scale),
+
     toggleRainbowMode: (enabled) => {
+        const changed = !!window.app.isRainbowMode !== !!enabled;
         window.app.isRainbowMode = enabled;
+        if (changed) {
+            window.app.events.emit(enabled ? BallEvents.EFFECT_START : BallEvents.EFFECT_END, { effect: 'rainbow' });
+        }
         // Store rainbow state in localStorage for persistence
         try { localStorage.setItem('ballRainbowEnabled', enabled); } catch (e) { }
         console.log(`Rainbow mode ${enabled ? 'enabled' : 'disabled'}`);
@@ -273,7 +698,8 @@ window.app.uiBridge = {
 
         // Create orbiting particles around the ball
         window.app.magneticParticles = [];
-        for (let i = 0; i < 30; i++) {
+        const particleCount = getParticleBudget(window.app, 30);
+        for (let i = 0; i < particleCount; i++) {
             const size = Math.random() * 0.08 + 0.04;
             const particleGeometry = new THREE.SphereGeometry(size, 8, 8);
 
@@ -358,7 +784,7 @@ window.app.uiBridge = {
 
         // Update orbiting particles around the ball
         if (window.app.magneticParticles && window.app.magneticParticles.length > 0) {
-            const time = Date.now() * 0.001;
+            const time = getFrameTime(window.app);
             const ballPos = new THREE.Vector3();
             window.app.ballGroup.getWorldPosition(ballPos);
 
@@ -542,14 +968,12 @@ window.app.uiBridge = {
             }
         };
 
-        // Add the update function to the animation loop
-        const originalAnimate = window.app.animate;
-        window.app.animate = function () {
-            originalAnimate();
+        // Update the bars once per frame with the other audio-reactive visuals
+        getFrameScheduler(window.app).add(FramePhase.AUDIO_SYNC, 'audioVisualizationBars', () => {
             if (window.app.audioVisualization && window.app.audioVisualization.enabled) {
                 window.app.updateAudioVisualization();
             }
-        };
+        });
 
         window.app.audioVisualization = {
             enabled: true,
@@ -597,6 +1021,7 @@ window.app.uiBridge = {
         try {
             if (typeof window.app.updateGradientTexture === 'function') {
                 window.app.updateGradientTexture(innerColor, middleColor, outerColor);
+                window.app.gradientColors = [innerColor, middleColor, outerColor];
 
                 // Store colors in localStorage for persistence
                 try {
@@ -650,6 +1075,12 @@ window.app.uiBridge = {
     // Load persisted settings from localStorage
     loadPersistedSettings: () => {
         try {
+            // Load look preset first; the settings below refine it
+            const preset = localStorage.getItem('ballPreset');
+            if (preset !== null && window.app.presets) {
+                window.app.presets.apply(preset, { duration: 0, effects: false });
+            }
+
             // Load volume
             const volume = localStorage.getItem('ballVolume');
             if (volume !== null && window.app.masterGain) {
@@ -680,6 +1111,110 @@ window.app.uiBridge = {
                 window.app.uiBridge.toggleAudioVisualization(visualizationEnabled === 'true');
             }
 
+            // Load ball shape
+            const shape = localStorage.getItem('ballShape');
+            if (shape !== null && BALL_SHAPES[shape]) {
+                setBallShape(window.app, shape, parseInt(localStorage.getItem('ballDetail'), 10));
+            }
+
+            // Load environment
+            const environment = localStorage.getItem('ballEnvironment');
+            if (environment !== null && ENVIRONMENTS[environment] && window.app.environment) {
+                window.app.environment.set(environment);
+            }
+
+            // Load lighting rig, then its point light's motion
+            const lightingRig = localStorage.getItem('ballLightingRig');
+            if (lightingRig !== null && LIGHTING_RIGS[lightingRig] && window.app.lighting) {
+                window.app.lighting.set(lightingRig);
+            }
+            const lightMotion = localStorage.getItem('ballLightMotion');
+            if (lightMotion !== null && LIGHT_BEHAVIOURS[lightMotion] && window.app.lighting) {
+                window.app.lighting.setBehaviour('point', lightMotion);
+            }
+
+            // Load floor
+            const ground = localStorage.getItem('ballGround');
+            if (ground !== null && window.app.ground) {
+                try {
+                    window.app.ground.configure(JSON.parse(ground));
+                } catch (e) {
+                    console.warn('Ignoring saved ground settings:', e.message);
+                }
+            }
+
+            // Load interior settings
+            const interior = localStorage.getItem('ballInterior');
+            if (interior !== null && window.app.interior) {
+                try {
+                    window.app.interior.configure(JSON.parse(interior));
+                } catch (e) {
+                    console.warn('Ignoring saved interior settings:', e.message);
+                }
+            }
+
+            // Load physics settings
+            const physics = localStorage.getItem('ballPhysics');
+            if (physics !== null && window.app.physics) {
+                try {
+                    window.app.physics.configure(JSON.parse(physics));
+                } catch (e) {
+                    console.warn('Ignoring saved physics settings:', e.message);
+                }
+            }
+
+            // Load soft body settings
+            const softBody = localStorage.getItem('ballSoftBody');
+            if (softBody !== null && window.app.softBody) {
+                try {
+                    window.app.softBody.configure(JSON.parse(softBody));
+                } catch (e) {
+                    console.warn('Ignoring saved soft body settings:', e.message);
+                }
+            }
+
+            // Load deformer settings
+            const deformer = localStorage.getItem('ballDeformer');
+            if (deformer !== null && window.app.deformer) {
+                try {
+                    window.app.deformer.configure(JSON.parse(deformer));
+                } catch (e) {
+                    console.warn('Ignoring saved deformer settings:', e.message);
+                }
+            }
+
+            // Load sculpt settings
+            const sculpt = localStorage.getItem('ballSculpt');
+            if (sculpt !== null && window.app.sculpt) {
+                try {
+                    window.app.sculpt.configure(JSON.parse(sculpt));
+                } catch (e) {
+                    console.warn('Ignoring saved sculpt settings:', e.message);
+                }
+            }
+
+            // Load render quality
+            const quality = localStorage.getItem('ballQuality');
+            if (quality !== null && window.app.quality) {
+                window.app.uiBridge.setQuality(quality);
+            }
+
+            // Load post-processing passes
+            const postProcessing = localStorage.getItem('ballPostProcessing');
+            if (postProcessing !== null && window.app.postProcessing) {
+                try {
+                    window.app.postProcessing.setConfig(JSON.parse(postProcessing));
+                } catch (e) {
+                    console.warn('Ignoring saved post-processing settings:', e.message);
+                }
+            }
+
+            // Load auto-rotation
+            const autoRotate = localStorage.getItem('ballAutoRotate');
+            if (autoRotate !== null) {
+                window.app.autoRotate = autoRotate === 'true';
+            }
+
             // Load spikiness
             const spikiness = localStorage.getItem('ballSpikiness');
             if (spikiness !== null) {
@@ -743,995 +1278,176 @@ window.updateBlackholeEffect = updateBlackholeEffect;
 
 // Function to initialize the application
 function init() {
-    console.log('Initializing application...');
-
-    // Create renderer first
-    initRenderer();
-
-    // Create scene
-    initScene();
-
-    // Create camera
-    initCamera();
-
-    // Create lighting
-    initLighting();
-
-    // Create fancy ball
-    createFancyBall();
-
-    // Add OrbitControls for camera manipulation
-    initControls();
-
-    // Start animation loop
-    animate();
-
-    // Initialize audio system
-    initializeAudio();
-
-    console.log('Core application initialized');
-
-    // Mark initial load as complete
-    window.app.initialLoadComplete = true;
-
-    // Fix the script loading timing
-    setTimeout(() => {
-        // Make sure THREE is available to the loaded scripts
-        window.THREE = THREE;
-
-        // Add basic functions before loading scripts
-        if (!window.app.applyBasicSpikyEffect) {
-            window.app.applyBasicSpikyEffect = function (intensity) {
-                // Implementation from above...
-                // (Copy the function implementation here if needed)
-            };
-        }
-
-        // Now load the scripts
-        const mouseControlsScript = document.createElement('script');
-        mouseControlsScript.src = './src/core/mouse-controls.js';
-        mouseControlsScript.onload = function () {
-            console.log("Mouse controls script loaded successfully");
-
-            // Also load our emergency fix script
-            const fixScript = document.createElement('script');
-            fixScript.src = './src/core/mouse-controls-fix.js';
-            document.head.appendChild(fixScript);
-
-            // Use a delay to ensure the app is fully initialized before calling setup
-            setTimeout(() => {
-                if (typeof window.setupMouseButtonEffects === 'function') {
-                    window.setupMouseButtonEffects();
-                } else if (window.setupMouseButtonEffects) {
-                    window.setupMouseButtonEffects();
-                } else {
-                    console.warn("setupMouseButtonEffects function not found after script load");
-
-                    // Create simplified version as fallback
-                    const fallbackSetup = function () {
-                        // Prevent context menu
-                        window.addEventListener('contextmenu', e => {
-                            // Only prevent default if in a special mode
-                            if (window.app && window.app.mouseControls &&
-                                (window.app.mouseControls.isBlackholeModeActive ||
-                                    window.app.mouseControls.isSpikinessModeActive)) {
-                                e.preventDefault();
-                            }
-                        });
-
-                        // Mouse button handling
-                        window.addEventListener('mousedown', e => {
-                            // Handle different mouse buttons
-                            switch (e.button) {
-                                case 1: // Middle click - toggle camera inside/outside
-                                    e.preventDefault();
-                                    if (window.app && window.app.uiBridge && window.app.uiBridge.toggleCameraPosition) {
-                                        window.app.uiBridge.toggleCameraPosition();
-                                    }
-                                    break;
-
-                                case 2: // Right click - handled by mouse-controls-fix.js
-                                    // Do nothing - let the long-press system handle this
-                                    break;
-
-                                case 3: // First side button - explosion
-                                    if (window.app && window.app.uiBridge && window.app.uiBridge.createExplosion) {
-                                        console.log("Side button - creating explosion via fallback");
-                                        window.app.uiBridge.createExplosion();
-                                    }
-                                    break;
-
-                                case 4: // Second side button - magnetic effect
-                                    if (window.app && window.app.uiBridge && window.app.uiBridge.createMagneticEffect) {
-                                        console.log("Side button - toggling magnetic effect via fallback");
-                                        window.app.uiBridge.createMagneticEffect();
-                                    }
-                                    break;
-                            }
-                        });
-
-                        // Add wheel handler for zooming in/out
-                        window.addEventListener('wheel', function (e) {
-                            e.preventDefault();
-
-                            // Get current camera position
-                            if (window.app && window.app.camera) {
-                                const cameraPos = window.app.camera.position.clone();
-                                const distance = cameraPos.length();
-
-                                // Determine zoom direction
-                                const zoomDirection = Math.sign(e.deltaY);
-
-                                // Calculate new distance
-                                let newDistance = distance + zoomDirection * 0.1;
-                                newDistance = Math.max(0.5, Math.min(4.0, newDistance));
-
-                                // Set new camera position
-                                const newPos = cameraPos.normalize().multiplyScalar(newDistance);
-                                window.app.camera.position.copy(newPos);
-
-                                // Handle inside/outside transition
-                                if (newDistance < 0.9) {
-                                    // Make material translucent
-                                    if (window.app.ballMesh && window.app.ballMesh.material) {
-                                        window.app.ballMesh.material.opacity = 0.4;
-                                        window.app.ballMesh.material.side = THREE.BackSide;
-                                        window.app.insidePullMode = true;
-                                    }
-                                } else {
-                                    // Restore normal material
-                                    if (window.app.ballMesh && window.app.ballMesh.material) {
-                                        window.app.ballMesh.material.opacity = 0.8;
-                                        window.app.ballMesh.material.side = THREE.DoubleSide;
-                                        window.app.insidePullMode = false;
-                                    }
-                                }
-                            }
-                        }, { passive: false });
-
-                        console.log("Fallback mouse controls set up");
-                    };
-
-                    fallbackSetup();
-                }
-            }, 1000); // Use a longer delay to ensure app is fully initialized
-        };
-        document.head.appendChild(mouseControlsScript);
-
-        // Load ui-connections.js with correct path
-        const uiConnectionsScript = document.createElement('script');
-        uiConnectionsScript.src = './src/core/ui-connections.js';
-        document.head.appendChild(uiConnectionsScript);
-
-        console.log('Additional scripts loaded');
-    }, 500);
-};
-
-// Initialize renderer
-function initRenderer() {
-    try {
-        console.log('Initializing renderer...');
-        window.app.renderer = new THREE.WebGLRenderer({ antialias: true });
-        window.app.renderer.setSize(window.innerWidth, window.innerHeight);
-        window.app.renderer.setPixelRatio(window.devicePixelRatio);
-        window.app.renderer.setClearColor(0x000000);
-
-        // Append to container
-        const container = document.getElementById('container');
-        if (container) {
-            container.appendChild(window.app.renderer.domElement);
-            console.log('Renderer attached to container');
-        } else {
-            console.error('Container element not found, attaching to body');
-            document.body.appendChild(window.app.renderer.domElement);
-        }
-    } catch (error) {
-        console.error('Error initializing renderer:', error);
-        showError('Failed to initialize renderer');
-    }
-};
-
-// Initialize scene
-function initScene() {
-    try {
-        console.log('Initializing scene...');
-        window.app.scene = new THREE.Scene();
-
-        // Add a debug grid to help with orientation
-        if (window.app.debug) {
-            const gridHelper = new THREE.GridHelper(10, 10);
-            gridHelper.visible = window.app.showGrid || false; // Only show if explicitly enabled
-            window.app.scene.add(gridHelper);
-            window.app.gridHelper = gridHelper;
-            console.log('Debug grid added to scene (visibility: ' + gridHelper.visible + ')');
-        }
-    } catch (error) {
-        console.error('Error initializing scene:', error);
-    }
-};
-
-// Initialize camera
-function initCamera() {
-    try {
-        console.log('Initializing camera...');
-        window.app.camera = new THREE.PerspectiveCamera(
-            75,                                         // Field of view
-            window.innerWidth / window.innerHeight,     // Aspect ratio
-            0.1,                                        // Near plane
-            1000                                        // Far plane
-        );
-        window.app.camera.position.z = 2; // Position camera 2 units away from origin
-    } catch (error) {
-        console.error('Error initializing camera:', error);
-    }
-};
-
-// Initialize lighting
-function initLighting() {
-    try {
-        console.log('Initializing lighting...');
-
-        // Create lighting as per your fancy ball implementation
-        const hemilight = new THREE.HemisphereLight(0xffffff, 0x000000, 1);
-        hemilight.position.set(0, 1, 0).normalize();
-        window.app.scene.add(hemilight);
-
-        const light = new THREE.DirectionalLight(0xffffff, 1);
-        light.position.set(1, 1, 1).normalize();
-        window.app.scene.add(light);
-
-        const light2 = new THREE.DirectionalLight(0xffffff, 1);
-        light2.position.set(-1, -1, -1).normalize();
-        window.app.scene.add(light2);
-
-        const light3 = new THREE.DirectionalLight(0xffffff, 0.5);
-        light3.position.set(0, 1, 0).normalize();
-        window.app.scene.add(light3);
-
-        // Add a point light that follows the mouse for interactive lighting
-        const pointLight = new THREE.PointLight(0xFFFFFF, 1, 5);
-        pointLight.position.set(0, 0, 2);
-        window.app.scene.add(pointLight);
-        window.app.pointLight = pointLight;
-    } catch (error) {
-        console.error('Error initializing lighting:', error);
-    }
-};
-
-// Create the fancy interactive ball
-function createFancyBall() {
-    try {
-        console.log('Creating fancy interactive ball...');
-
-        // Create an icosahedron geometry with subdivision level 4 for smoother deformation
-        const geo = new THREE.IcosahedronGeometry(1.0, 4);
-
-        // Store original vertices for resetting the shape
-        const originalPositions = geo.attributes.position.array.slice();
-
-        // Create a gradient texture for the faces
-        const createGradientTexture = (colorStart, colorMid, colorEnd) => {
-            const canvas = document.createElement('canvas');
-            canvas.width = 512;
-            canvas.height = 512;
-
-            const context = canvas.getContext('2d');
-
-            // Create gradient
-            const gradient = context.createRadialGradient(
-                canvas.width / 2, canvas.height / 2, 0,
-                canvas.width / 2, canvas.height / 2, canvas.width / 2
-            );
-
-            // Add gradient colors
-            gradient.addColorStop(0, colorStart);
-            gradient.addColorStop(0.5, colorMid);
-            gradient.addColorStop(1, colorEnd);
-
-            // Fill with gradient
-            context.fillStyle = gradient;
-            context.fillRect(0, 0, canvas.width, canvas.height);
-
-            const texture = new THREE.CanvasTexture(canvas);
-            texture.needsUpdate = true;
-
-            return texture;
-        };
-
-        // Initial gradient colors
-        let colorStart = '#FF00FF'; // Neon pink at center
-        let colorMid = '#8800FF';   // Purple in middle
-        let colorEnd = '#00FFFF';   // Cyan at edges
-
-        let gradientTexture = createGradientTexture(colorStart, colorMid, colorEnd);
-
-        // Create a material for the main mesh with physically based rendering
-        const mat = new THREE.MeshPhysicalMaterial({
-            color: 0xFFFFFF,
-            map: gradientTexture,
-            transparent: true,
-            opacity: 0.8,
-            metalness: 0.2,
-            roughness: 0.3,
-            clearcoat: 0.5,
-            clearcoatRoughness: 0.3,
-            side: THREE.DoubleSide
-        });
-
-        // Create a second material specifically for wireframe effect
-        const wireMat = new THREE.MeshBasicMaterial({
-            color: 0x00FFFF,
-            wireframe: true,
-            transparent: true,
-            opacity: 0.5,
-            side: THREE.DoubleSide
-        });
-
-        // Create a wireframe geometry based on the edges of the icosahedron
-        const wireGeo = new THREE.EdgesGeometry(geo);
-        // Create a line segments mesh using the wireframe geometry and material
-        const wireMesh = new THREE.LineSegments(wireGeo, wireMat);
-
-        // Create the main mesh using the icosahedron geometry and material
-        const mesh = new THREE.Mesh(geo, mat);
-
-        // Group both meshes for easier interaction
-        const ballGroup = new THREE.Group();
-        ballGroup.add(mesh);
-        ballGroup.add(wireMesh);
-        window.app.scene.add(ballGroup);
-
-        // Store references for later use
-        window.app.ballGroup = ballGroup;
-        window.app.ballMesh = mesh;
-        window.app.wireMesh = wireMesh;
-
-        // Store wireMesh in userData for consistent access via uiBridge
-        window.app.ballGroup.userData.wireMesh = wireMesh;
-        // Store materials in userData for rainbow effect
-        window.app.ballGroup.userData.mat = mat;
-        window.app.ballGroup.userData.wireMat = wireMat;
-
-        window.app.ballGeometry = geo;
-        window.app.originalPositions = originalPositions;
-        window.app.updateGradientTexture = function (newColorStart, newColorMid, newColorEnd) {
-            // Create a new texture with updated colors
-            gradientTexture = createGradientTexture(newColorStart, newColorMid, newColorEnd);
-
-            // Apply it to the material
-            mat.map = gradientTexture;
-            mat.needsUpdate = true;
-        };
-
-        // Create a sphere to visualize the touch point
-        const touchSphere = new THREE.Mesh(
-            new THREE.SphereGeometry(0.05, 16, 16),
-            new THREE.MeshBasicMaterial({ color: 0xFFFFFF, transparent: true, opacity: 0.5 })
-        );
-        touchSphere.visible = false;
-        window.app.scene.add(touchSphere);
-        window.app.touchSphere = touchSphere;
-
-        // Set up interaction variables
-        window.app.mouse = new THREE.Vector2();
-        window.app.mouseWorld = new THREE.Vector3();
-        window.app.raycaster = new THREE.Raycaster();
-        window.app.isDragging = false;
-        window.app.previousMousePosition = { x: 0, y: 0 };
-        window.app.isHovered = false;
-        window.app.touchPoint = null;
-        window.app.targetScale = 1.0;
-        window.app.currentScale = 1.0;
-
-        // Mark ball as created
-        window.app.ballCreated = true;
-
-        // Initialize audio connection with the ball
-        initializeAudioForBall();
-
-        // Set up interaction listeners
-        setupInteraction();
-
-        console.log('Ball created successfully');
-    } catch (error) {
-        console.error('Error creating ball:', error);
-        showError('Failed to create ball');
-    }
-};
-
-// Initialize audio connection with the ball
-function initializeAudioForBall() {
-    // Wait a moment to ensure ball is fully created
-    setTimeout(() => {
-        try {
-            if (window.audioSystem && typeof window.audioSystem.setupEnhancedAudio === 'function') {
-                console.log('Setting up enhanced audio for ball...');
-                window.audioSystem.setupEnhancedAudio(window.app);
-            }
-
-            // Connect to ball using the ball-audio-connector
-            if (typeof window.autoConnectBallAudio === 'function') {
-                console.log('Auto-connecting ball audio...');
-                window.autoConnectBallAudio();
-            } else if (window.app.ballGroup && typeof window.connectAudioToExistingBall === 'function') {
-                console.log('Manually connecting ball audio...');
-                window.connectAudioToExistingBall(window.app.ballGroup);
-            }
+    // Renderer, scene, ball, controls, loop and audio are built per instance
+    window.app.container = document.getElementById('container');
+    return initApp(window.app, registerPageModules);
+}
 
-            // Initialize positional audio listener
-            if (window.app.camera && !window.app.camera.children.find(child => child instanceof THREE.AudioListener)) {
-                console.log('Adding audio listener to camera...');
-                const listener = new THREE.AudioListener();
-                window.app.camera.add(listener);
-                window.app.audioListener = listener;
+// Subsystems only the page's own app has, started after the core ones
+function registerPageModules(lifecycle) {
+    lifecycle.register('effects', {
+        deps: ['ball'],
+        start: (app) => {
+            // Deformation effects pull vertices back to these positions
+            if (!app.ballGroup.userData.originalPositions) {
+                throw new Error('ball has no original positions for deformation effects');
             }
-
-            console.log('Audio initialization for ball complete');
-        } catch (error) {
-            console.error('Error initializing audio for ball:', error);
+            window.effectState = app.effectState;
         }
-    }, 500);
-};
-
-// Enhanced setupInteraction function with improved audio integration
-function setupInteraction() {
-    // Function to handle mouse/touch movement for interaction
-    function onPointerMove(event) {
-        // CRITICAL: Only block hover during blackhole cleanup phase, not during active blackhole
-        if (window.blackholeActivated === true &&
-            window.effectState &&
-            window.effectState.isBlackholeActive === true) {
-            // During active blackhole, allow normal pointer tracking for blackhole deformation
-            // but skip hover-specific effects like wireframe color changes
-            window.app.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-            window.app.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-            window.app.raycaster.setFromCamera(window.app.mouse, window.app.camera);
-
-            // Update point light position
-            window.app.pointLight.position.copy(window.app.raycaster.ray.direction).multiplyScalar(2).add(window.app.camera.position);
-
-            // Skip hover effects but allow blackhole to work
-            return;
-        }
-
-        // Block hover effects briefly after cleanup (much shorter period)
-        if (Date.now() - (window._lastBlackholeCleanup || 0) < 50) {
-            return; // Very brief 50ms protection instead of 100ms
-        }
-
-        // Calculate mouse position in normalized device coordinates
-        // (-1 to +1) for both components
-        window.app.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        window.app.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-        // Update the raycaster with the new mouse position
-        window.app.raycaster.setFromCamera(window.app.mouse, window.app.camera);
-
-        // Move the point light to follow the mouse
-        window.app.pointLight.position.copy(window.app.raycaster.ray.direction).multiplyScalar(2).add(window.app.camera.position);
-
-        // Calculate objects intersecting the ray
-        const intersects = window.app.raycaster.intersectObject(window.app.ballMesh);
-
-        // Change appearance when hovered or touched
-        if (intersects.length > 0) {
-            if (!window.app.isHovered) {
-                document.body.style.cursor = 'pointer';
-
-                // Change wireframe color smoothly
-                gsapFade(window.app.wireMesh.material.color, { r: 1, g: 0, b: 1 }, 0.3);
-
-                // Smoothly change gradient colors
-                window.app.updateGradientTexture('#FF77FF', '#AA55FF', '#55FFFF');
-
-                window.app.isHovered = true;
-
-                // Play hover sound if available
-                if (window.app.audioContext && typeof window.app.soundSynth?.playTone === 'function') {
-                    window.app.soundSynth.playTone(330, 0.05, 0.1);
-                }
-            }
-
-            // Store the intersection point for deformation
-            window.app.touchPoint = intersects[0].point.clone();
-            window.app.touchSphere.position.copy(window.app.touchPoint);
-            window.app.touchSphere.visible = true;
-
-            // Apply deformation when hovering
-            applyDeformation(window.app.touchPoint, 0.2, 0.3);
-
-            // Get facet information for audio
-            const facetIndex = intersects[0].faceIndex;
-            const position = intersects[0].uv || { u: 0.5, v: 0.5 };
-
-            // Emit facet event for audio system to pick up
-            if (window.app.ballGroup && typeof window.app.ballGroup.emit === 'function') {
-                window.app.ballGroup.emit('facetHover', {
-                    facet: facetIndex,
-                    position: position
-                });
-            }
-        } else {
-            if (window.app.isHovered) {
-                document.body.style.cursor = 'default';
-
-                // Reset wireframe color smoothly
-                gsapFade(window.app.wireMesh.material.color, { r: 0, g: 1, b: 1 }, 0.3);
+    });
 
-                // Reset gradient colors
-                window.app.updateGradientTexture('#FF00FF', '#8800FF', '#00FFFF');
+    lifecycle.register('ui', {
+        deps: ['ball', 'effects'],
+        start: (app) => {
+            // Let other components know the scene is ready
+            window.dispatchEvent(new Event('sceneReady'));
 
-                window.app.isHovered = false;
+            // Ensure menu system is connected to app/uiBridge
+            if (window.menuSystem && typeof window.menuSystem.setApp === 'function') {
+                window.menuSystem.setApp(app);
+            } else if (window.MenuSystem) {
+                window.menuSystem = new window.MenuSystem(app);
+            } else {
+                throw new Error('menu script did not load');
             }
 
-            window.app.touchPoint = null;
-            window.app.touchSphere.visible = false;
+            app.uiBridge.loadPersistedSettings();
+            app.uiBridge.syncToggleStates();
 
-            // Gradually restore the original shape
-            resetDeformation(0.1);
+            // A share link in the hash wins over persisted settings
+            addTrackedListener(app, window, 'hashchange', () => applySharedState(app));
+            return applySharedState(app);
         }
+    });
 
-        // Handle dragging
-        if (window.app.isDragging) {
-            const deltaMove = {
-                x: event.clientX - window.app.previousMousePosition.x,
-                y: event.clientY - window.app.previousMousePosition.y
-            };
-
-            // Rotate the ball based on mouse movement
-            window.app.ballGroup.rotation.y += deltaMove.x * 0.01;
-            window.app.ballGroup.rotation.x += deltaMove.y * 0.01;
+    lifecycle.register('input', {
+        deps: ['ui'],
+        start: loadInputScripts
+    });
+}
 
-            window.app.previousMousePosition = {
-                x: event.clientX,
-                y: event.clientY
-            };
+// Apply the state encoded in the URL hash, if any, and refresh the menu
+function applySharedState(app) {
+    return applyStateFromHash(app).then(applied => {
+        if (applied) {
+            console.log('Restored ball state from share link');
+            app.uiBridge.syncToggleStates();
         }
+        return applied;
+    });
+}
 
-        // Add audio feedback for hovering/moving over facets
-        if (intersects.length > 0 && window.app.audioContext && window.app.isHovered) {
-            // Get the facet index
-            const facetIndex = intersects[0].faceIndex || 0;
-
-            // Try different methods to play facet sound
-            if (typeof window.app.playFacetSound === 'function') {
-                window.app.playFacetSound(window.app, facetIndex, ballData.touchPoint);
-            } else if (window.audioSystem && typeof window.audioSystem.playFacetSound === 'function') {
-                window.audioSystem.playFacetSound(window.app, facetIndex, ballData.touchPoint);
-            }
-        }
+// Load a classic script once; resolves after it has run
+function loadScript(src) {
+    if (document.querySelector(`script[src="${src}"]`)) {
+        return Promise.resolve();
     }
 
-    function onPointerDown(event) {
-        window.app.isDragging = true;
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
 
-        window.app.previousMousePosition = {
-            x: event.clientX,
-            y: event.clientY
+// Mouse button, wheel and UI wiring that still lives in classic scripts
+async function loadInputScripts() {
+    // Add basic functions before loading scripts
+    if (!window.app.applyBasicSpikyEffect) {
+        window.app.applyBasicSpikyEffect = function (intensity) {
+            // Implementation from above...
+            // (Copy the function implementation here if needed)
         };
-
-        // Check if we're clicking on the ball
-        window.app.raycaster.setFromCamera(window.app.mouse, window.app.camera);
-        const intersects = window.app.raycaster.intersectObject(window.app.ballMesh);
-
-        if (intersects.length > 0) {
-            // Set target scale for smooth animation
-            window.app.targetScale = 1.1;
-
-            // Change color more dramatically on click
-            window.app.updateGradientTexture('#FFAAFF', '#CC66FF', '#66FFFF');
-
-            // Emit click event for audio system
-            if (window.app.ballGroup && typeof window.app.ballGroup.emit === 'function') {
-                window.app.ballGroup.emit('click', {});
-            }
-
-            // Play click sound directly if available
-            if (window.app.audioContext) {
-                // Try global function first
-                if (typeof window.playClickSound === 'function') {
-                    window.playClickSound(window.app);
-                }
-                // Then try app method
-                else if (typeof window.app.playClickSound === 'function') {
-                    window.app.playClickSound(window.app);
-                }
-                // Then try synthesizer
-                else if (window.app.soundSynth && typeof window.app.soundSynth.playClickSound === 'function') {
-                    window.app.soundSynth.playClickSound();
-                }
-            }
-        }
-    }
-
-    function onPointerUp() {
-        window.app.isDragging = false;
-
-        // Reset target scale for smooth animation
-        window.app.targetScale = 1.0;
-
-        // Reset colors if not hovering
-        if (!window.app.isHovered) {
-            window.app.updateGradientTexture('#FF00FF', '#8800FF', '#00FFFF');
-        }
-    }
-
-    // Helper function for smooth color transitions using GSAP-like tweening
-    function gsapFade(colorObj, targetColor, duration) {
-        const startColor = { r: colorObj.r, g: colorObj.g, b: colorObj.b };
-        const startTime = Date.now();
-        const endTime = startTime + (duration * 1000);
-
-        function updateColor() {
-            const now = Date.now();
-            const elapsed = now - startTime;
-            const progress = Math.min(elapsed / (duration * 1000), 1);
-
-            // Simple easing function
-            const eased = progress * (2 - progress);
-
-            // Interpolate colors
-            colorObj.r = startColor.r + (targetColor.r - startColor.r) * eased;
-            colorObj.g = startColor.g + (targetColor.g - startColor.g) * eased;
-            colorObj.b = startColor.b + (targetColor.b - startColor.b) * eased;
-
-            if (progress < 1) {
-                requestAnimationFrame(updateColor);
-            }
-        }
-
-        updateColor();
-    }
-
-    // Function to apply deformation to the mesh at a specific point
-    function applyDeformation(point, intensity, radius) {
-        // Get position attribute for direct manipulation
-        const positions = window.app.ballGeometry.attributes.position;
-
-        // Apply deformation to each vertex based on distance from touch point
-        for (let i = 0; i < positions.count; i++) {
-            const vertexPosition = new THREE.Vector3(
-                positions.array[i * 3],
-                positions.array[i * 3 + 1],
-                positions.array[i * 3 + 2]
-            );
-
-            // Calculate world position of the vertex
-            const worldPosition = vertexPosition.clone()
-                .applyMatrix4(window.app.ballMesh.matrixWorld);
-
-            // Calculate distance from touch point
-            const distance = worldPosition.distanceTo(point);
-
-            // Only affect vertices within radius
-            if (distance < radius) {
-                // Calculate direction vector from touch point to vertex
-                const direction = worldPosition.clone().sub(point).normalize();
-
-                // Calculate deformation factor based on distance (closer = more deformation)
-                const factor = (1 - (distance / radius)) * intensity;
-
-                // Move vertex in the direction from touch point (inward deformation)
-                const deformation = direction.multiplyScalar(-factor);
-
-                // Apply deformation (in local space)
-                const localDeformation = deformation.clone()
-                    .applyMatrix4(window.app.ballMesh.matrixWorld.clone().invert());
-
-                // Get original position (pre-deformation)
-                const originalX = window.app.originalPositions[i * 3];
-                const originalY = window.app.originalPositions[i * 3 + 1];
-                const originalZ = window.app.originalPositions[i * 3 + 2];
-
-                // Apply deformation and blend with original position
-                positions.array[i * 3] = originalX + localDeformation.x;
-                positions.array[i * 3 + 1] = originalY + localDeformation.y;
-                positions.array[i * 3 + 2] = originalZ + localDeformation.z;
-            }
-        }
-
-        // Update wireframe to match the deformed shape
-        const wireGeo = new THREE.EdgesGeometry(window.app.ballGeometry);
-        window.app.wireMesh.geometry = wireGeo;
-
-        // Mark attributes as needing update
-        positions.needsUpdate = true;
-        window.app.ballGeometry.computeVertexNormals();
-    }
-
-    // Function to gradually reset deformation
-    function resetDeformation(speed) {
-        const positions = window.app.ballGeometry.attributes.position;
-        let needsUpdate = false;
-
-        for (let i = 0; i < positions.count; i++) {
-            const currentX = positions.array[i * 3];
-            const currentY = positions.array[i * 3 + 1];
-            const currentZ = positions.array[i * 3 + 2];
-
-            const originalX = window.app.originalPositions[i * 3];
-            const originalY = window.app.originalPositions[i * 3 + 1];
-            const originalZ = window.app.originalPositions[i * 3 + 2];
-
-            // Move vertices gradually back to their original positions
-            positions.array[i * 3] = currentX + (originalX - currentX) * speed;
-            positions.array[i * 3 + 1] = currentY + (originalY - currentY) * speed;
-            positions.array[i * 3 + 2] = currentZ + (originalZ - currentZ) * speed;
-
-            // Check if there's still significant deformation
-            if (Math.abs(positions.array[i * 3] - originalX) > 0.001 ||
-                Math.abs(positions.array[i * 3 + 1] - originalY) > 0.001 ||
-                Math.abs(positions.array[i * 3 + 2] - originalZ) > 0.001) {
-                needsUpdate = true;
-            }
-        }
-
-        if (needsUpdate) {
-            // Update wireframe to match the deformed shape
-            const wireGeo = new THREE.EdgesGeometry(window.app.ballGeometry);
-            window.app.wireMesh.geometry = wireGeo;
-
-            positions.needsUpdate = true;
-            window.app.ballGeometry.computeVertexNormals();
-        }
     }
 
-    // Add event listeners for mouse/touch
-    window.addEventListener('mousemove', onPointerMove);
-    window.addEventListener('mousedown', onPointerDown);
-    window.addEventListener('mouseup', onPointerUp);
-    window.addEventListener('touchmove', (e) => onPointerMove(e.touches[0]));
-    window.addEventListener('touchstart', (e) => onPointerDown(e.touches[0]));
-    window.addEventListener('touchend', onPointerUp);
-
-    // Make these functions available
-    window.app.onPointerMove = onPointerMove;
-    window.app.onPointerDown = onPointerDown;
-    window.app.onPointerUp = onPointerUp;
-    window.app.applyDeformation = applyDeformation;
-    window.app.resetDeformation = resetDeformation;
-};
+    await loadScript('./src/core/mouse-controls.js');
+    console.log("Mouse controls script loaded successfully");
 
-// Initialize orbit controls
-function initControls() {
-    try {
-        console.log('Initializing controls...');
-        window.app.controls = new OrbitControls(window.app.camera, window.app.renderer.domElement);
-        window.app.controls.enableDamping = true;
-        window.app.controls.dampingFactor = 0.05;
-
-        // Disable controls when interacting with ball
-        window.app.controls.enabled = false;
-    } catch (error) {
-        console.error('Error initializing controls:', error);
-    }
-};
-
-// Animation function to make the mesh scale pulse based on time
-function updateMeshScale() {
-    if (!window.app.ballGroup) return;
+    // Also load our emergency fix script
+    await loadScript('./src/core/mouse-controls-fix.js');
 
-    // Smoothly transition to target scale
-    window.app.currentScale += (window.app.targetScale - window.app.currentScale) * 0.1;
-
-    // Only apply automated scale changes if not being interacted with
-    if (!window.app.isDragging && !window.app.isHovered) {
-        // Add subtle breathing animation
-        const breathingScale = Math.sin(Date.now() * 0.001) * 0.05 + 1;
-        window.app.ballGroup.scale.set(
-            breathingScale * window.app.currentScale,
-            breathingScale * window.app.currentScale,
-            breathingScale * window.app.currentScale
-        );
-    } else {
-        // Just apply the target scale
-        window.app.ballGroup.scale.set(
-            window.app.currentScale,
-            window.app.currentScale,
-            window.app.currentScale
-        );
+    if (typeof window.setupMouseButtonEffects !== 'function') {
+        console.warn("setupMouseButtonEffects function not found after script load");
+        setupFallbackMouseControls();
     }
-};
 
-// Animation function to make the mesh continuously rotate when not interacted with
-function updateMeshRotation() {
-    if (!window.app.ballGroup) return;
+    // Load ui-connections.js with correct path
+    await loadScript('./src/core/ui-connections.js');
 
-    // Only auto-rotate if not being dragged
-    if (!window.app.isDragging) {
-        window.app.ballGroup.rotation.x += 0.003;
-        window.app.ballGroup.rotation.y += 0.004;
-    }
-};
+    console.log('Additional scripts loaded');
+}
 
-// Animation function to make the mesh move in a circular path
-function updateMeshPosition() {
-    if (!window.app.ballGroup) return;
+// Simplified mouse controls for when mouse-controls.js is unavailable
+function setupFallbackMouseControls() {
+    // Prevent context menu
+    addTrackedListener(window.app, window, 'contextmenu', e => {
+        // Only prevent default if in a special mode
+        if (window.app && window.app.mouseControls &&
+            (window.app.mouseControls.isBlackholeModeActive ||
+                window.app.mouseControls.isSpikinessModeActive)) {
+            e.preventDefault();
+        }
+    });
+
+    // Mouse button handling
+    addTrackedListener(window.app, window, 'mousedown', e => {
+        // Handle different mouse buttons
+        switch (e.button) {
+            case 1: // Middle click - toggle camera inside/outside
+                e.preventDefault();
+                if (window.app && window.app.uiBridge && window.app.uiBridge.toggleCameraPosition) {
+                    window.app.uiBridge.toggleCameraPosition();
+                }
+                break;
 
-    // Only apply automatic position changes if not being interacted with
-    if (!window.app.isDragging && !window.app.isHovered) {
-        // Calculate new position with smooth sine wave movement
-        const time = Date.now() * 0.0005;
-        const newX = Math.sin(time) * 0.3;
-        const newY = Math.cos(time * 1.3) * 0.2;
+            case 2: // Right click - handled by mouse-controls-fix.js
+                // Do nothing - let the long-press system handle this
+                break;
 
-        // Apply position with smoothing
-        window.app.ballGroup.position.x += (newX - window.app.ballGroup.position.x) * 0.05;
-        window.app.ballGroup.position.y += (newY - window.app.ballGroup.position.y) * 0.05;
-    }
-};
+            case 3: // First side button - explosion
+                if (window.app && window.app.uiBridge && window.app.uiBridge.createExplosion) {
+                    console.log("Side button - creating explosion via fallback");
+                    window.app.uiBridge.createExplosion();
+                }
+                break;
 
-// Main animation loop that runs continuously
-function animate() {
-    requestAnimationFrame(animate);
-
-    // Check if camera is inside the ball
-    const cameraIsInside = window.app.camera && window.app.camera.position.length() < 0.9;
-
-    // FIXED: Only do auto-movement when camera is outside AND no blackhole effects are active AND not paused
-    if (!cameraIsInside && 
-        !window.blackholeActivated && 
-        !window.app.isBlackholeActive && 
-        !window.app._autoMovementPaused) {  // Added this check
-        
-        updateMeshScale();
-        updateMeshRotation();
-        updateMeshPosition();
-
-        // Reset material properties when outside
-        if (window.app.ballMesh && window.app.ballMesh.material && window.app._originalOpacity) {
-            window.app.ballMesh.material.opacity = window.app._originalOpacity;
-            window.app.ballMesh.material.side = THREE.DoubleSide;
-        }
-    } else if (cameraIsInside) {
-        // Special handling for interior view
-        if (window.app.ballMesh && window.app.ballMesh.material) {
-            if (!window.app._originalOpacity) {
-                window.app._originalOpacity = window.app.ballMesh.material.opacity;
-            }
-            window.app.ballMesh.material.opacity = 0.4;
-            window.app.ballMesh.material.side = THREE.BackSide;
+            case 4: // Second side button - magnetic effect
+                if (window.app && window.app.uiBridge && window.app.uiBridge.createMagneticEffect) {
+                    console.log("Side button - toggling magnetic effect via fallback");
+                    window.app.uiBridge.createMagneticEffect();
+                }
+                break;
         }
+    });
 
-        // Add subtle camera motion for immersive feel
-        const time = Date.now() * 0.0005;
-        window.app.camera.position.x += Math.sin(time) * 0.0005;
-        window.app.camera.position.y += Math.cos(time) * 0.0003;
-    }
-
-    // Update rainbow mode if enabled
-    if (window.app.isRainbowMode) {
-        updateRainbowMode(window.app);
-    }
+    // Add wheel handler for zooming in/out
+    addTrackedListener(window.app, window, 'wheel', function (e) {
+        e.preventDefault();
 
-    // Add audio visualization update if available
-    if (window.app.analyser && window.app.analyserData) {
-        window.app.analyser.getByteFrequencyData(window.app.analyserData);
-
-        if (typeof window.updateAudioVisualization === 'function') {
-            window.updateAudioVisualization(window.app);
-        }
-    }
+        // Get current camera position
+        if (window.app && window.app.camera) {
+            const cameraPos = window.app.camera.position.clone();
+            const distance = cameraPos.length();
 
-    // Update position-based sound
-    if (window.app.audioContext && window.app.isHovered && typeof window.playToneForPosition === 'function') {
-        const position = new THREE.Vector3();
-        window.app.ballGroup.getWorldPosition(position);
-        position.project(window.app.camera);
+            // Determine zoom direction
+            const zoomDirection = Math.sign(e.deltaY);
 
-        if (Math.random() < 0.05) {
-            window.playToneForPosition(window.app, position.x, position.y);
-        }
-    }
+            // Calculate new distance
+            let newDistance = distance + zoomDirection * 0.1;
+            newDistance = Math.max(0.5, Math.min(4.0, newDistance));
 
-    if (window.app.controls) {
-        window.app.controls.update();
-    }
+            // Set new camera position
+            const newPos = cameraPos.normalize().multiplyScalar(newDistance);
+            window.app.camera.position.copy(newPos);
 
-    // BLACKHOLE EFFECT HANDLING
-    if (window.effectState &&
-        window.effectState.blackholeEffect &&
-        window.effectState.isBlackholeActive === true &&
-        window.app.isBlackholeActive === true &&
-        window.blackholeActivated === true) {
-        
-        if (window.updateBlackholeEffect) {
-            window.updateBlackholeEffect(window.app);
-        }
-    } else {
-        // FORCE ball to stay at origin when blackhole is not active
-        if (window.app.ballGroup && 
-            (window.app.isBlackholeActive === false || !window.blackholeActivated)) {
-            const pos = window.app.ballGroup.position;
-            if (pos.length() > 0.01) {
-                window.app.ballGroup.position.set(0, 0, 0);
-                window.app.ballGroup.rotation.set(0, 0, 0);
-            }
+            // Crossing into the ball switches interior mode on (interior.js), crossing back switches it off
         }
-    }
-
-    // Update effects
-    if (window.app && window.effectManager && window.effectManager.updateEffects) {
-        window.effectManager.updateEffects(window.app);
-    } else if (window.updateEffects) {
-        window.updateEffects(window.app);
-    }
-
-    if (window.app.renderer && window.app.scene && window.app.camera) {
-        window.app.renderer.render(window.app.scene, window.app.camera);
-    }
-};
-
-// Make sure to update the reference
-window.app.animate = animate;
-
-// Handle window resize
-function onWindowResize() {
-    if (!window.app.camera || !window.app.renderer) return;
-
-    window.app.camera.aspect = window.innerWidth / window.innerHeight;
-    window.app.camera.updateProjectionMatrix();
-
-    window.app.renderer.setSize(window.innerWidth, window.innerHeight);
-};
-
-// Show error message
-function showError(message) {
-    const errorElement = document.getElementById('error-message');
-    if (errorElement) {
-        errorElement.textContent = message;
-        errorElement.style.display = 'block';
-    } else {
-        console.error(message);
-    }
-};
-
-// Initialize audio when document is ready
-function initializeAudio() {
-    console.log('Initializing audio for ball...');
-
-    // Try multiple methods to ensure audio initialization happens
-    if (typeof window.initializeAudio === 'function') {
-        window.initializeAudio().then(audioContext => {
-            if (audioContext) {
-                window.app.audioContext = audioContext;
-                console.log('Audio system initialized via global initializeAudio');
-
-                // Ensure facet audio is initialized
-                if (typeof window.initFacetAudio === 'function') {
-                    window.initFacetAudio();
-                }
-            }
-        }).catch(error => {
-            console.error('Failed to initialize audio:', error);
-
-            // Try facet audio as fallback
-            if (typeof window.initFacetAudio === 'function') {
-                window.initFacetAudio();
-            }
-        });
-    } else {
-        // Fall back to creating audio context directly
-        try {
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            window.app.audioContext = new AudioContext();
+    }, { passive: false });
 
-            // Create master gain node
-            window.app.masterGain = window.app.audioContext.createGain();
-            window.app.masterGain.gain.value = 0.5;
-            window.app.masterGain.connect(window.app.audioContext.destination);
-
-            console.log('Audio context created directly');
-
-            // Ensure facet audio is initialized
-            if (typeof window.initFacetAudio === 'function') {
-                window.initFacetAudio();
-            }
-        } catch (e) {
-            console.error('Could not create audio context:', e);
-        }
-    }
-};
+    console.log("Fallback mouse controls set up");
+}
 
 // Add missing implementations for menu triggers
 window.app.setRainbowMode = function (enabled) {
@@ -1771,67 +1487,39 @@ window.app.createMagneticEffect = function () {
 };
 
 // Add event listeners
-window.addEventListener('resize', onWindowResize);
+addTrackedListener(window.app, window, 'resize', () => onWindowResize(window.app));
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM loaded, initializing application...');
-    init();
+    init().then(showBootFailures);
+});
 
-    // Let other components know the scene is ready
-    window.dispatchEvent(new Event('sceneReady'));
+// Surface failed subsystems on the page, not just in the console report
+function showBootFailures(report) {
+    if (!report.failed.length) return;
 
-    // Fallback: ensure menu system is connected to app/uiBridge
-    if (window.menuSystem && typeof window.menuSystem.setApp === 'function') {
-        window.menuSystem.setApp(window.app);
-    } else if (window.MenuSystem) {
-        window.menuSystem = new window.MenuSystem(window.app);
-    }
+    const errorElement = document.getElementById('error-message');
+    if (!errorElement) return;
 
-    // After app initialization is complete, load persisted settings
-    setTimeout(() => {
-        if (window.app && window.app.uiBridge) {
-            window.app.uiBridge.loadPersistedSettings();
-            window.app.uiBridge.syncToggleStates();
-        }
-    }, 1000);
-});
+    const reasons = report.modules
+        .filter(module => module.status === 'failed')
+        .map(module => `${module.name}: ${module.error}`);
+
+    errorElement.textContent = `Some features failed to start - ${reasons.join('; ')}`;
+    errorElement.style.display = 'block';
+}
 
 // Make functions available to other scripts
-window.app.createFancyBall = createFancyBall;
+window.app.createFancyBall = () => createFancyBall(window.app);
 window.app.init = init;
-window.app.animate = animate;
+window.app.animate = () => animate(window.app);
 
 // Emergency function to recreate the ball if it's missing
-window.recoverBall = function () {
-    console.log('Attempting to recover missing ball...');
-
-    // Clean up any lingering explosion particles
-    if (window.app.explosionParticles) {
-        window.app.scene.remove(window.app.explosionParticles);
-        window.app.explosionParticles.geometry.dispose();
-        window.app.explosionParticles.material.dispose();
-        window.app.explosionParticles = null;
-        window.app.isExploded = false;
-        console.log('Explosion particles cleaned up');
-    }
+window.recoverBall = () => recoverBall(window.app);
 
-    // Check if ball exists
-    if (!window.app.ballGroup || !window.app.ballMesh) {
-        console.log('Ball missing, recreating...');
-        window.app.createFancyBall();
-        return 'Ball recreated';
-    }
-
-    // Make ball visible if it exists but is hidden
-    if (window.app.ballGroup && !window.app.ballGroup.visible) {
-        window.app.ballGroup.visible = true;
-        console.log('Ball was invisible, now visible');
-        return 'Ball visibility restored';
-    }
-
-    return 'Ball seems to be OK';
-};
+// Factory for additional, independent balls (see README "Embedding more balls")
+window.createBallApp = createBallApp;
 
 // Update the setSpikiness function in window.app.uiBridge
 
@@ -1892,112 +1580,28 @@ window.app.uiBridge.toggleDeformationMode = function () {
 window.app.uiBridge.toggleCameraPosition = function () {
     if (!window.app.camera || !window.app.ballGroup) return false;
 
-    // Get current camera distance
-    const cameraDistance = window.app.camera.position.length();
-
-    // If we're already inside, move back outside
-    if (cameraDistance < 0.9) {
-        console.log('Moving camera outside the ball');
-
-        // Animate camera move outward
-        const targetPosition = window.app.camera.position.clone().normalize().multiplyScalar(2.5);
-
-        if (window.gsap) {
-            gsap.to(window.app.camera.position, {
-                x: targetPosition.x,
-                y: targetPosition.y,
-                z: targetPosition.z,
-                duration: 1.0,
-                ease: "power2.inOut",
-                onUpdate: function () {
-                    // Update camera during animation
-                    if (window.app.controls) {
-                        window.app.controls.update();
-                    }
-                },
-                onComplete: function () {
-                    // Restore original material properties
-                    if (window.app.ballMesh && window.app.ballMesh.material && window.app._originalOpacity) {
-                        window.app.ballMesh.material.opacity = window.app._originalOpacity;
-                        window.app.ballMesh.material.side = THREE.DoubleSide;
-                    }
-                }
-            });
-        } else {
-            // Simple fallback without gsap
-            window.app.camera.position.copy(targetPosition);
-
-            // Restore original material properties
-            if (window.app.ballMesh && window.app.ballMesh.material && window.app._originalOpacity) {
-                window.app.ballMesh.material.opacity = window.app._originalOpacity;
-                window.app.ballMesh.material.side = THREE.DoubleSide;
-            }
-        }
-
-        // Enable orbit controls when outside
-        if (window.app.controls) {
+    // From inside the ball the camera moves back out
+    const goingInside = !isCameraInside(window.app);
+    const position = window.app.camera.position.clone().normalize()
+        .multiplyScalar(goingInside ? 0.5 : 2.5)
+        .toArray();
+    console.log(goingInside ? 'Moving camera inside the ball' : 'Moving camera outside the ball');
+
+    // Interior mode (interior.js) switches itself on and off as the camera crosses the wall,
+    // along with the deformation mode; back outside, orbit controls take over
+    const arrive = () => {
+        if (window.app.controls && !goingInside) {
             window.app.controls.enabled = true;
         }
+    };
 
-        // Switch deformation mode
-        window.app.insidePullMode = false;
-
-        return false;
-    } else {
-        console.log('Moving camera inside the ball');
-
-        // Move camera inside
-        // Shrink to 10% of current distance - toward center
-        const targetPosition = window.app.camera.position.clone().normalize().multiplyScalar(0.5);
-
-        if (window.gsap) {
-            gsap.to(window.app.camera.position, {
-                x: targetPosition.x,
-                y: targetPosition.y,
-                z: targetPosition.z,
-                duration: 1.0,
-                ease: "power2.inOut",
-                onUpdate: function () {
-                    // Update camera during animation
-                    if (window.app.controls) {
-                        window.app.controls.update();
-                    }
-                },
-                onComplete: function () {
-                    // Make material translucent when viewing from inside
-                    if (window.app.ballMesh && window.app.ballMesh.material) {
-                        if (!window.app._originalOpacity) {
-                            window.app._originalOpacity = window.app.ballMesh.material.opacity;
-                        }
-                        window.app.ballMesh.material.opacity = 0.4;
-                        window.app.ballMesh.material.side = THREE.BackSide;
-                    }
-                }
-            });
-        } else {
-            // Simple fallback without gsap
-            window.app.camera.position.copy(targetPosition);
-
-            // Make material translucent when viewing from inside
-            if (window.app.ballMesh && window.app.ballMesh.material) {
-                if (!window.app._originalOpacity) {
-                    window.app._originalOpacity = window.app.ballMesh.material.opacity;
-                }
-                window.app.ballMesh.material.opacity = 0.4;
-                window.app.ballMesh.material.side = THREE.BackSide;
-            }
-        }
-
-        // Disable orbit controls when inside to prevent getting lost
-        if (window.app.controls) {
-            window.app.controls.enabled = false;
-        }
-
-        // Enable inside pull mode when going inside
-        window.app.insidePullMode = true;
-
-        return true;
+    const director = window.app.cameraDirector;
+    if (!director || !director.flyTo({ position }, { duration: 1, onComplete: arrive })) {
+        window.app.camera.position.fromArray(position);
+        arrive();
     }
+
+    return goingInside;
 };
 
 // Add this enhanced explosion effect with proper ball restoration
@@ -2020,7 +1624,7 @@ window.app.uiBridge.createExplosion = function () {
         window.app.ballGroup.visible = false;
 
         // Create explosion particles
-        const particleCount = 300;
+        const particleCount = getParticleBudget(window.app, 300);
         const particleGeometry = new THREE.BufferGeometry();
         const positions = new Float32Array(particleCount * 3);
         const velocities = [];
@@ -2073,7 +1677,7 @@ window.app.uiBridge.createExplosion = function () {
         window.app.explosionParticles = particleSystem;
         window.app.explosionParticles.userData = {
             velocities: velocities,
-            creationTime: Date.now()
+            creationTime: getFrameTime(window.app)
         };
 
         // Play explosion sound if available
@@ -2081,15 +1685,21 @@ window.app.uiBridge.createExplosion = function () {
             window.app.soundManager.play('explosion');
         }
 
-        // Animation function for explosion
+        // Bloom flash that fades as the particles fly out
+        pushPassOverride(window.app, 'bloom', { strength: 2.5, radius: 0.8, threshold: 0 }, { duration: 1.5 });
+
+        // Frame hook for the explosion; removes itself when the particles are gone
         const updateExplosion = function () {
-            if (!window.app.explosionParticles) return;
+            if (!window.app.explosionParticles) {
+                removeExplosionHook();
+                return;
+            }
 
             const positions = window.app.explosionParticles.geometry.attributes.position;
             const velocities = window.app.explosionParticles.userData.velocities;
 
-            // Calculate age of explosion
-            const age = Date.now() - window.app.explosionParticles.userData.creationTime;
+            // Calculate age of explosion in milliseconds
+            const age = (getFrameTime(window.app) - window.app.explosionParticles.userData.creationTime) * 1000;
 
             // Auto-cleanup after 2 seconds
             if (age > 2000) {
@@ -2103,39 +1713,49 @@ window.app.uiBridge.createExplosion = function () {
                 window.app.ballGroup.visible = originalBallVisible;
 
                 console.log("Explosion complete - ball restored");
+                removeExplosionHook();
                 return;
             }
 
+            // Motion constants are tuned per 60fps frame
+            const frames = getFrameDelta(window.app) * 60;
+            const drag = Math.pow(0.98, frames);
+
             // Update each particle position
             for (let i = 0; i < positions.count; i++) {
                 const velocity = velocities[i];
 
                 // Apply velocity
-                positions.array[i * 3] += velocity.x;
-                positions.array[i * 3 + 1] += velocity.y;
-                positions.array[i * 3 + 2] += velocity.z;
+                positions.array[i * 3] += velocity.x * frames;
+                positions.array[i * 3 + 1] += velocity.y * frames;
+                positions.array[i * 3 + 2] += velocity.z * frames;
 
                 // Add slight gravity
-                velocity.y -= 0.0002;
+                velocity.y -= 0.0002 * frames;
 
                 // Apply drag
-                velocity.multiplyScalar(0.98);
+                velocity.multiplyScalar(drag);
             }
 
             // Update opacity based on age
             window.app.explosionParticles.material.opacity = 1.0 - (age / 2000);
 
             positions.needsUpdate = true;
-
-            // Request next frame
-            requestAnimationFrame(updateExplosion);
         };
 
         // Start the explosion animation
-        updateExplosion();
+        const removeExplosionHook = getFrameScheduler(window.app).add(FramePhase.EFFECTS, 'pageExplosion', updateExplosion);
+
+        // Safety timeout to ensure ball gets restored; waits while the clock is paused or
+        // slowed, as long as the frame loop is still there to finish the explosion itself
+        const safetyCheck = () => {
+            const particles = window.app.explosionParticles;
+            if (particles && window.app.scheduler && window.app.scheduler.running &&
+                getFrameTime(window.app) - particles.userData.creationTime < 3) {
+                setTimeout(safetyCheck, 1000);
+                return;
+            }
 
-        // Safety timeout to ensure ball gets restored
-        setTimeout(() => {
             if (window.app.isExploded) {
                 console.log("Safety timeout - restoring ball");
 
@@ -2151,7 +1771,8 @@ window.app.uiBridge.createExplosion = function () {
                 window.app.ballGroup.visible = true;
                 window.app.isExploded = false;
             }
-        }, 3000);
+        };
+        setTimeout(safetyCheck, 3000);
 
         return true;
     } catch (e) {
@@ -2168,6 +1789,9 @@ window.app.uiBridge.createExplosion = function () {
 
 // Make resetDeformation available globally for cleanup
 window.app.resetDeformation = function (speed = 0.1) {
+    // The soft body springs back by itself and the deformer eases its dent out
+    if (releaseDent(window.app, speed)) return;
+
     if (!window.app.ballGeometry || !window.app.originalPositions) {
         console.warn("Cannot reset deformation: missing geometry or original positions");
         return;
@@ -2424,8 +2048,10 @@ window.app.resetToInitialState = function () {
         window.app.resetDeformation(1.0);
     }
 
-    // Reset colors
-    if (window.app.updateGradientTexture) {
+    // Back to the active preset's look (the original neon one unless another was picked)
+    if (window.app.presets) {
+        window.app.presets.apply(window.app.presets.current, { duration: 0, effects: false });
+    } else if (window.app.updateGradientTexture) {
         window.app.updateGradientTexture(...initial.colors.gradient);
     }
 
@@ -0,0 +1,117 @@
+// mesh-topology.js - Welded vertices, triangles and edges of the ball's mesh, for code that moves
+// the vertices as one surface (soft-body.js, sculpt.js)
+
+// Vertices closer than 1 / WELD_PRECISION are one particle (the polyhedra repeat corners per face)
+const WELD_PRECISION = 1e4;
+
+function weldKey(array, offset) {
+    return Math.round(array[offset] * WELD_PRECISION) + ',' +
+        Math.round(array[offset + 1] * WELD_PRECISION) + ',' +
+        Math.round(array[offset + 2] * WELD_PRECISION);
+}
+
+/**
+ * Weld vertices at the same place into particles
+ * @param {ArrayLike<number>} positions - xyz per vertex
+ * @returns {{count: number, vertexParticle: Int32Array, positions: Float32Array}} Particle count,
+ *   the particle of each vertex and xyz per particle
+ */
+export function weldVertices(positions) {
+    const vertexCount = positions.length / 3;
+    const particleOf = new Map();
+    const vertexParticle = new Int32Array(vertexCount);
+    const list = [];
+
+    for (let v = 0; v < vertexCount; v++) {
+        const key = weldKey(positions, v * 3);
+        let p = particleOf.get(key);
+        if (p === undefined) {
+            p = list.length / 3;
+            particleOf.set(key, p);
+            list.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+        }
+        vertexParticle[v] = p;
+    }
+    return { count: list.length / 3, vertexParticle, positions: Float32Array.from(list) };
+}
+
+/**
+ * Find the particle at each of a set of points, e.g. the vertices of an EdgesGeometry
+ * @param {ArrayLike<number>} points - xyz per point
+ * @param {ArrayLike<number>} positions - xyz per vertex the particles were welded from
+ * @param {Int32Array} vertexParticle - From weldVertices()
+ * @returns {Int32Array} Particle per point, -1 where no vertex sits
+ */
+export function mapToParticles(points, positions, vertexParticle) {
+    const particleOf = new Map();
+    for (let v = 0; v < vertexParticle.length; v++) {
+        particleOf.set(weldKey(positions, v * 3), vertexParticle[v]);
+    }
+
+    const result = new Int32Array(points.length / 3);
+    for (let i = 0; i < result.length; i++) {
+        const p = particleOf.get(weldKey(points, i * 3));
+        result[i] = p === undefined ? -1 : p;
+    }
+    return result;
+}
+
+/**
+ * @param {THREE.BufferGeometry} geometry - Indexed or not
+ * @returns {Int32Array} Three vertex indices per triangle
+ */
+export function getTriangleVertices(geometry) {
+    const index = geometry.index;
+    return index
+        ? Int32Array.from(index.array)
+        : Int32Array.from({ length: geometry.attributes.position.count }, (_, v) => v);
+}
+
+/**
+ * Every distinct edge between two particles
+ * @param {Int32Array} triangleParticles - Three particles per triangle
+ * @param {number} count - Number of particles
+ * @returns {Int32Array} Two particles per edge
+ */
+export function collectEdges(triangleParticles, count) {
+    const seen = new Set();
+    const list = [];
+    for (let t = 0; t < triangleParticles.length; t += 3) {
+        for (let k = 0; k < 3; k++) {
+            const a = triangleParticles[t + k];
+            const b = triangleParticles[t + (k + 1) % 3];
+            if (a === b) continue;
+            const key = Math.min(a, b) * count + Math.max(a, b);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            list.push(a, b);
+        }
+    }
+    return Int32Array.from(list);
+}
+
+/**
+ * Neighbours of every particle, packed: those of p are list[offsets[p]] to list[offsets[p + 1] - 1]
+ * @param {Int32Array} edges - From collectEdges()
+ * @param {number} count - Number of particles
+ * @returns {{offsets: Int32Array, list: Int32Array}}
+ */
+export function buildNeighbours(edges, count) {
+    const offsets = new Int32Array(count + 1);
+    for (let i = 0; i < edges.length; i++) {
+        offsets[edges[i] + 1]++;
+    }
+    for (let p = 0; p < count; p++) {
+        offsets[p + 1] += offsets[p];
+    }
+
+    const list = new Int32Array(edges.length);
+    const fill = offsets.slice(0, count);
+    for (let e = 0; e < edges.length; e += 2) {
+        const a = edges[e];
+        const b = edges[e + 1];
+        list[fill[a]++] = b;
+        list[fill[b]++] = a;
+    }
+    return { offsets, list };
+}
@@ -6,7 +6,6 @@ console.log("🎯 Enhanced mouse controls with long-press blackhole loading...")
 
 (function () {
   let isReady = false;
-  let checkInterval;
 
   // Blackhole long-press state
   let rightClickPressTime = 0;
@@ -18,6 +17,31 @@ console.log("🎯 Enhanced mouse controls with long-press blackhole loading...")
   // Make blackholeActivated globally accessible
   window.blackholeActivated = false;
 
+  // Add a listener that app.destroy() will remove again
+  function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    if (window.app && typeof window.app.addDisposer === 'function') {
+      window.app.addDisposer(() => target.removeEventListener(type, handler, options));
+    }
+  }
+
+  // Run a callback when the app's lifecycle marks a module ready
+  function onModuleReady(name, callback) {
+    const lifecycle = window.app && window.app.lifecycle;
+    if (lifecycle && lifecycle.getStatus(name)) {
+      lifecycle.whenReady(name).then(callback, function (error) {
+        console.error(`Long-press controls not applied, "${name}" failed:`, error.message);
+      });
+      return;
+    }
+
+    window.addEventListener('ball:module-ready', function handler(event) {
+      if (event.detail.name !== name || event.detail.app !== window.app) return;
+      window.removeEventListener('ball:module-ready', handler);
+      callback();
+    });
+  }
+
   function checkIfReady() {
     return window.app &&
       window.app.uiBridge &&
@@ -188,12 +212,11 @@ console.log("🎯 Enhanced mouse controls with long-press blackhole loading...")
     if (isReady) return;
 
     if (!checkIfReady()) {
-      console.log("App not ready yet, waiting...");
+      console.error("UI is ready but uiBridge has no createBlackholeEffect - long-press blackhole disabled");
       return;
     }
 
     isReady = true;
-    if (checkInterval) clearInterval(checkInterval);
     console.log("App is ready, applying long-press blackhole controls");
 
     // Remove existing event listeners
@@ -280,12 +303,12 @@ console.log("🎯 Enhanced mouse controls with long-press blackhole loading...")
     }
 
     // Apply event listeners with capture phase
-    document.addEventListener('contextmenu', handleContextMenu, true);
-    document.addEventListener('mousedown', handleMouseDown, true);
-    document.addEventListener('mouseup', handleMouseUp, true);
+    listen(document, 'contextmenu', handleContextMenu, true);
+    listen(document, 'mousedown', handleMouseDown, true);
+    listen(document, 'mouseup', handleMouseUp, true);
 
     // Handle other mouse buttons as before
-    document.addEventListener('mousedown', function (e) {
+    listen(document, 'mousedown', function (e) {
       if (e.button === 3) { // Side button (Back) - EXPLOSION
         console.log("SIDE BUTTON 3 - creating explosion");
         if (window.app.uiBridge && window.app.uiBridge.createExplosion) {
@@ -306,7 +329,7 @@ console.log("🎯 Enhanced mouse controls with long-press blackhole loading...")
     }, true);
 
     // Double-click for rainbow mode
-    document.addEventListener('dblclick', function (e) {
+    listen(document, 'dblclick', function (e) {
       console.log("DOUBLE CLICK - toggling rainbow mode");
       if (window.app.uiBridge && window.app.uiBridge.toggleRainbowMode) {
         const currentState = window.app.isRainbowMode || false;
@@ -314,23 +337,22 @@ console.log("🎯 Enhanced mouse controls with long-press blackhole loading...")
       }
     }, true);
 
+    // Cancel a pending long press when the app is destroyed
+    if (typeof window.app.addDisposer === 'function') {
+      window.app.addDisposer(() => {
+        if (longPressTimer) clearTimeout(longPressTimer);
+        longPressTimer = null;
+        isRightClickPressed = false;
+      });
+    }
+
     console.log("✅ Long-press blackhole controls applied!");
     console.log("RIGHT-CLICK LONG PRESS → Hold to activate blackhole");
     console.log("RIGHT-CLICK RELEASE → Immediately deactivate blackhole");
   }
 
-  // Initialize
-  if (document.readyState === 'complete') {
-    applyFixes();
-  }
-
-  window.addEventListener('load', applyFixes);
-  checkInterval = setInterval(applyFixes, 300);
-
-  setTimeout(function () {
-    applyFixes();
-    if (checkInterval) clearInterval(checkInterval);
-  }, 5000);
+  // Initialize once the UI module has wired up uiBridge
+  onModuleReady('ui', applyFixes);
 
   // Expose cleanup function globally for debugging
   window.forceBlackholeCleanup = forceBlackholeCleanup;
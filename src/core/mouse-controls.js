@@ -5,53 +5,50 @@
 
 // Use IIFE to avoid global namespace pollution
 (function() {
-  // Track initialization attempts with backoff
-  let initAttempts = 0;
-  const MAX_ATTEMPTS = 20;
-  const INITIAL_WAIT = 100;
-  
   // Keep global reference to mouse wheel handler for event binding
   let globalHandleMouseWheel = null;
+
+  // Add a listener that app.destroy() will remove again
+  function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    if (window.app && typeof window.app.addDisposer === 'function') {
+      window.app.addDisposer(() => target.removeEventListener(type, handler, options));
+    }
+  }
+
+  // Call back once the app's lifecycle reports a module as ready
+  function onModuleReady(name, callback) {
+    const lifecycle = window.app && window.app.lifecycle;
+    if (lifecycle && lifecycle.getStatus(name)) {
+      lifecycle.whenReady(name).then(callback, (error) => {
+        console.error(`Mouse controls not started, "${name}" failed:`, error.message);
+      });
+      return;
+    }
+
+    // The app has not booted yet - wait for its event
+    window.addEventListener('ball:module-ready', function handler(event) {
+      if (event.detail.name !== name || event.detail.app !== window.app) return;
+      window.removeEventListener('ball:module-ready', handler);
+      callback();
+    });
+  }
   
-  // Wait for THREE and app to be available before proceeding
-  function checkForInitialization() {
+  // Set up the controls once the ball exists
+  function initializeWhenReady() {
     try {
-      initAttempts++;
-      
-      // Check that not only THREE exists but also that the app is ready with the ball
-      if (typeof window.THREE === 'undefined' || !window.THREE.Vector3) {
-        console.log(`THREE not yet available (attempt ${initAttempts}/${MAX_ATTEMPTS}), waiting...`);
-        setTimeout(checkForInitialization, INITIAL_WAIT * Math.min(initAttempts, 10));
-        return;
-      }
-      
-      if (!window.app || !window.app.ballGroup) {
-        console.log(`App or ballGroup not available (attempt ${initAttempts}/${MAX_ATTEMPTS}), waiting...`);
-        setTimeout(checkForInitialization, INITIAL_WAIT * Math.min(initAttempts, 10));
-        return;
-      }
-      
-      console.log('THREE and app are fully available, initializing mouse controls');
+      console.log('Ball is ready, initializing mouse controls');
       
       // Initialize controls
       const THREE = window.THREE;
       initMouseControls(THREE);
       
       // Setup effect buttons only after controls are initialized
-      setTimeout(() => {
-        if (window.app.mouseControlsInitialized) {
-          setupMouseButtonEffects();
-        }
-      }, 500);
-      
-    } catch (e) {
-      console.error("Error checking for initialization:", e);
-      if (initAttempts < MAX_ATTEMPTS) {
-        // Wait longer before retrying with backoff
-        setTimeout(checkForInitialization, INITIAL_WAIT * Math.min(initAttempts, 10));
-      } else {
-        console.error("Maximum initialization attempts reached, giving up");
+      if (window.app.mouseControlsInitialized) {
+        setupMouseButtonEffects();
       }
+    } catch (e) {
+      console.error("Error initializing mouse controls:", e);
     }
   }
   
@@ -103,31 +100,7 @@
       const newPos = cameraPos.normalize().multiplyScalar(newDistance);
       window.app.camera.position.copy(newPos);
       
-      // Handle inside/outside transition
-      if (newDistance < 0.9 && (!window.app.insidePullMode)) {
-        // We've moved inside the ball
-        window.app.insidePullMode = true;
-        console.log("Camera inside ball - switching to inside pull mode");
-        
-        // Make material translucent when viewing from inside
-        if (window.app.ballMesh && window.app.ballMesh.material) {
-          if (!window.app._originalOpacity) {
-            window.app._originalOpacity = window.app.ballMesh.material.opacity;
-          }
-          window.app.ballMesh.material.opacity = 0.4;
-          window.app.ballMesh.material.side = THREE.BackSide;
-        }
-      } else if (newDistance >= 0.9 && window.app.insidePullMode) {
-        // We've moved outside the ball
-        window.app.insidePullMode = false;
-        console.log("Camera outside ball - switching to outside push mode");
-        
-        // Restore original material properties
-        if (window.app.ballMesh && window.app.ballMesh.material && window.app._originalOpacity) {
-          window.app.ballMesh.material.opacity = window.app._originalOpacity;
-          window.app.ballMesh.material.side = THREE.DoubleSide;
-        }
-      }
+      // Crossing into the ball switches interior mode on (interior.js), crossing back switches it off
       
       // Update controls if they exist
       if (window.app.controls) {
@@ -221,28 +194,28 @@
       window.handleMouseWheel = handleMouseWheel;
       
       // ========= SETUP MOUSE HANDLERS =========
-      window.addEventListener('mousemove', function(event) {
+      listen(window, 'mousemove', function(event) {
         // Basic fallback for onPointerMove
         if (window.app.onPointerMove) {
           window.app.onPointerMove(event);
         }
       });
       
-      window.addEventListener('mousedown', function(event) {
+      listen(window, 'mousedown', function(event) {
         // Call original handler if available
         if (window.app.onPointerDown) {
           window.app.onPointerDown(event);
         }
       });
       
-      window.addEventListener('mouseup', function(event) {
+      listen(window, 'mouseup', function(event) {
         if (window.app.onPointerUp) {
           window.app.onPointerUp(event);
         }
       });
       
       // Setup mouse wheel specifically for zooming in/out
-      window.addEventListener('wheel', handleMouseWheel, { passive: false });
+      listen(window, 'wheel', handleMouseWheel, { passive: false });
       
       // Mark as initialized
       window.app.mouseControlsInitialized = true;
@@ -260,14 +233,14 @@
     
     try {
       // Prevent context menu when using right-click for special effects
-      window.addEventListener('contextmenu', function(event) {
+      listen(window, 'contextmenu', function(event) {
         event.preventDefault();
         console.log("Context menu prevented by mouse-controls.js");
         return false;
       });
       
       // Add event listeners for mouse buttons
-      window.addEventListener('mousedown', (event) => {
+      listen(window, 'mousedown', (event) => {
         console.log(`Mouse button detected: ${event.button}`);
         
         // Map effects to specific mouse buttons
@@ -305,7 +278,7 @@
       }, true); // Note the 'true' parameter for capture phase
       
       // Add wheel event for zooming inside/outside the ball
-      window.addEventListener('wheel', handleMouseWheel, { passive: false });
+      listen(window, 'wheel', handleMouseWheel, { passive: false });
       
       console.log("Mouse button effects successfully set up");
     } catch (e) {
@@ -317,10 +290,6 @@
   window.setupMouseButtonEffects = setupMouseButtonEffects;
   window.handleMouseWheel = handleMouseWheel;
 
-  // Start checking for initialization
-  if (document.readyState === 'complete') {
-    checkForInitialization();
-  } else {
-    window.addEventListener('load', checkForInitialization);
-  }
+  // Start when the ball module is ready
+  onModuleReady('ball', initializeWhenReady);
 })();
@@ -0,0 +1,449 @@
+// physics.js - Optional rigid-body mode: grab and fling the ball, gravity, bounces off the floor
+// and the edges of the view, with an impact thud and squash
+import * as THREE from 'three';
+import { FramePhase, getFrameScheduler, frameDamping } from './frame-scheduler.js';
+import { BallEvents } from './event-bus.js';
+import { addDisposer, addTrackedListener } from './teardown.js';
+import { validateConfig } from './config-validation.js';
+import { DEFAULT_GROUND } from './ground.js';
+import { isCameraInside } from './interior.js';
+import { playCollisionSound } from '../audio/setup/enhanced-functions.js';
+
+// Longest step integrated at once; long frames are split so fast throws do not tunnel
+const MAX_STEP = 1 / 60;
+const MAX_STEPS = 4;
+
+// Fastest throw, in units per second
+const MAX_THROW_SPEED = 12;
+// Pointer samples older than this are ignored when working out the throw
+const THROW_WINDOW = 100; // ms
+
+// Slower impacts just stop the ball instead of bouncing it
+const REST_SPEED = 0.4;
+// Impact speed that gives the loudest thud and the deepest squash
+const HARD_IMPACT_SPEED = 8;
+const MAX_SQUASH = 0.3;
+const SQUASH_DECAY = 9; // per second
+const SQUASH_WOBBLE = 28; // radians per second
+const SQUASH_TIME = 0.6; // seconds
+
+// The ball stays within this distance of the controls' target along the view direction
+const DEPTH_LIMIT = 1.5;
+
+/**
+ * @typedef {Object} PhysicsConfig
+ * @property {boolean} enabled - Physics mode on
+ * @property {number} gravity - Downward acceleration in units per second squared, 0-30
+ * @property {number} damping - Air drag; the fraction of speed lost per second is about 1 - e^-damping, 0-5
+ * @property {number} restitution - Share of the speed kept after a bounce, 0-1
+ */
+
+/** @type {PhysicsConfig} */
+export const DEFAULT_PHYSICS = Object.freeze({
+    enabled: false,
+    gravity: 9.8,
+    damping: 0.2,
+    restitution: 0.7
+});
+
+const PHYSICS_RULES = Object.freeze({
+    enabled: 'boolean',
+    gravity: [0, 30],
+    damping: [0, 5],
+    restitution: [0, 1]
+});
+
+/**
+ * Check a (partial) physics config
+ * @param {Object} config - Fields of PhysicsConfig
+ * @returns {string[]} Problems found; empty when the config is valid
+ */
+export function validatePhysics(config) {
+    return validateConfig('physics', config, PHYSICS_RULES);
+}
+
+const UP = new THREE.Vector3(0, 1, 0);
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _ndc = new THREE.Vector2();
+const _hit = new THREE.Vector3();
+const _plane = new THREE.Plane();
+const _inverse = new THREE.Matrix4();
+
+/**
+ * Rigid-body motion for one app's ball
+ * While enabled the ball's position and spin belong to this class instead of
+ * the idle sway in updateBallMotion. A press on the ball grabs it; it follows
+ * the pointer on a plane facing the camera and is thrown with the pointer's
+ * speed when let go. It then falls, rolls and bounces off the floor (the
+ * ground height from ground.js, shown or not) and the edges of the view.
+ * Every bounce plays a thud (playCollisionSound) and squashes the ball along
+ * the contact normal, both scaled by the impact speed, and emits ball:impact.
+ * The step follows the app clock, so pausing freezes the ball mid-air.
+ */
+export class BallPhysics {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.settings = { ...DEFAULT_PHYSICS };
+        this.velocity = new THREE.Vector3();
+        this.spin = new THREE.Vector3();
+        this.grab = null;
+        this.returning = false;
+        this.squash = null;
+        this.raycaster = new THREE.Raycaster();
+    }
+
+    /** Start the physics step; call once the ball and the loop exist */
+    start() {
+        const app = this.app;
+        const removeHook = getFrameScheduler(app).add(FramePhase.SIMULATION, 'physics', (clock) => this.update(clock));
+
+        // Grabs start on the canvas only, so the menu stays usable
+        addTrackedListener(app, app.renderer.domElement, 'pointerdown', (event) => this.onPointerDown(event));
+        addTrackedListener(app, window, 'pointermove', (event) => this.onPointerMove(event));
+        addTrackedListener(app, window, 'pointerup', () => this.release());
+
+        addDisposer(app, () => {
+            removeHook();
+            this.dispose();
+        });
+    }
+
+    /** @returns {PhysicsConfig} Copy of the current settings */
+    get config() {
+        return { ...this.settings };
+    }
+
+    /** True while the physics step moves the ball (enabled, or gliding home after being switched off) */
+    get driving() {
+        return this.settings.enabled || this.returning;
+    }
+
+    /** True while the ball is held by the pointer */
+    get grabbed() {
+        return this.grab !== null;
+    }
+
+    /**
+     * Change some or all of the physics settings
+     * Switching off lets the ball glide back to the middle.
+     * @param {Object} changes - Fields of PhysicsConfig
+     * @returns {boolean} False if the changes are invalid
+     */
+    configure(changes) {
+        const errors = validatePhysics(changes);
+        if (errors.length > 0) {
+            console.error('Invalid physics settings: ' + errors.join('; '));
+            return false;
+        }
+
+        const wasEnabled = this.settings.enabled;
+        this.settings = { ...this.settings, ...changes };
+
+        if (wasEnabled !== this.settings.enabled) {
+            this.velocity.set(0, 0, 0);
+            this.spin.set(0, 0, 0);
+            this.grab = null;
+            this.returning = !this.settings.enabled;
+            console.log(`Ball physics ${this.settings.enabled ? 'enabled' : 'disabled'}`);
+        }
+        return true;
+    }
+
+    /**
+     * Throw the ball from where it is
+     * @param {THREE.Vector3|number[]} velocity - Units per second
+     * @returns {boolean} False while physics is off
+     */
+    throw(velocity) {
+        if (!this.settings.enabled) return false;
+        this.grab = null;
+        this.velocity.fromArray(Array.isArray(velocity) ? velocity : velocity.toArray());
+        this.velocity.clampLength(0, MAX_THROW_SPEED);
+        this.setSpinFromThrow();
+        return true;
+    }
+
+    update(clock) {
+        const app = this.app;
+        if (!app.ballGroup || !app.camera) return;
+
+        if (this.returning) {
+            this.glideHome(clock);
+        } else if (this.settings.enabled && !this.grab && !this.yielding()) {
+            // Split long frames so a fast ball cannot pass through a bound
+            const steps = Math.min(MAX_STEPS, Math.ceil(clock.delta / MAX_STEP));
+            for (let i = 0; i < steps; i++) {
+                this.step(clock.delta / steps);
+            }
+        }
+
+        if (this.squash) {
+            this.updateSquash(clock.delta);
+        }
+    }
+
+    // The blackhole pulls the ball itself, from inside the ball there is nothing to throw,
+    // and in sculpt mode (sculpt.js) a press on the ball is a brush stroke
+    yielding() {
+        const app = this.app;
+        return !!(app.blackholeActivated || app.isExploded || isCameraInside(app) || (app.sculpt && app.sculpt.active));
+    }
+
+    step(dt) {
+        if (dt <= 0) return;
+        const { gravity, damping } = this.settings;
+        const group = this.app.ballGroup;
+
+        this.velocity.y -= gravity * dt;
+        this.velocity.multiplyScalar(Math.exp(-damping * dt));
+        group.position.addScaledVector(this.velocity, dt);
+
+        this.collide();
+
+        // Spin slows with the air too
+        this.spin.multiplyScalar(Math.exp(-damping * dt));
+        const turn = this.spin.length();
+        if (turn > 1e-4) {
+            group.rotateOnWorldAxis(_axis.copy(this.spin).divideScalar(turn), turn * dt);
+        }
+    }
+
+    // Keep the ball above the floor and inside the view, bouncing off whatever it hit
+    collide() {
+        const app = this.app;
+        const camera = app.camera;
+        const position = app.ballGroup.position;
+        const radius = this.getRadius();
+
+        // Floor
+        const floor = (app.ground ? app.ground.config.height : DEFAULT_GROUND.height) + radius;
+        if (position.y < floor) {
+            position.y = floor;
+            this.bounce(UP, position.clone().addScaledVector(UP, -radius));
+            // Rolling: the spin matches the speed along the floor
+            this.spin.crossVectors(UP, this.velocity).divideScalar(radius);
+        }
+
+        // Edges of the view at the ball's depth
+        camera.updateMatrixWorld();
+        camera.matrixWorld.extractBasis(_right, _up, _forward);
+        _forward.negate();
+        _local.copy(position).applyMatrix4(_inverse.copy(camera.matrixWorld).invert());
+        const depth = -_local.z;
+        if (camera.isPerspectiveCamera && depth > camera.near) {
+            const halfHeight = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * depth;
+            const halfWidth = halfHeight * camera.aspect;
+            this.wall(_right, _local.x, halfWidth, radius);
+            this.wall(_up, _local.y, halfHeight, radius);
+        }
+
+        // Towards and away from the camera
+        const target = app.controls ? app.controls.target : new THREE.Vector3();
+        const along = _normal.copy(position).sub(target).dot(_forward);
+        this.wall(_forward, along, DEPTH_LIMIT, 0);
+    }
+
+    // Bound on both sides of `offset` along `axis`
+    wall(axis, offset, limit, radius) {
+        const room = Math.max(limit - radius, 0);
+        if (Math.abs(offset) <= room) return;
+
+        const side = Math.sign(offset);
+        const position = this.app.ballGroup.position;
+        position.addScaledVector(axis, (room - Math.abs(offset)) * side);
+
+        const normal = _normal.copy(axis).multiplyScalar(-side);
+        this.bounce(normal, position.clone().addScaledVector(normal, -radius));
+    }
+
+    // Reflect the velocity off a surface with the given outward normal
+    bounce(normal, point) {
+        const speed = -this.velocity.dot(normal);
+        if (speed <= 0) return;
+
+        if (speed < REST_SPEED) {
+            this.velocity.addScaledVector(normal, speed);
+            return;
+        }
+
+        this.velocity.addScaledVector(normal, speed * (1 + this.settings.restitution));
+        this.impact(speed, normal, point);
+    }
+
+    impact(speed, normal, point) {
+        const app = this.app;
+        const intensity = Math.min(speed / HARD_IMPACT_SPEED, 1);
+
+        playCollisionSound(app, intensity);
+        this.startSquash(normal, intensity * MAX_SQUASH);
+
+        if (app.events) {
+            app.events.emit(BallEvents.BALL_IMPACT, {
+                speed,
+                intensity,
+                normal: normal.clone(),
+                point
+            });
+        }
+    }
+
+    getRadius() {
+        // The ball geometries have a radius of about 1
+        return this.app.ballGroup.scale.x;
+    }
+
+    glideHome(clock) {
+        const group = this.app.ballGroup;
+        group.position.multiplyScalar(1 - frameDamping(0.1, clock.delta));
+        if (group.position.length() < 0.01) {
+            group.position.set(0, 0, 0);
+            this.returning = false;
+        }
+    }
+
+    onPointerDown(event) {
+        const app = this.app;
+        if (!this.settings.enabled || event.button !== 0 || this.yielding() || !app.ballMesh) return;
+
+        this.setRay(event);
+        if (this.raycaster.intersectObject(app.ballMesh, false).length === 0) return;
+
+        // Drag on a plane through the ball that faces the camera
+        app.camera.getWorldDirection(_forward);
+        _plane.setFromNormalAndCoplanarPoint(_forward, app.ballGroup.position);
+        if (!this.raycaster.ray.intersectPlane(_plane, _hit)) return;
+
+        this.grab = {
+            plane: _plane.clone(),
+            offset: app.ballGroup.position.clone().sub(_hit),
+            samples: [{ position: app.ballGroup.position.clone(), time: performance.now() }]
+        };
+        this.velocity.set(0, 0, 0);
+        this.spin.set(0, 0, 0);
+    }
+
+    onPointerMove(event) {
+        const grab = this.grab;
+        if (!grab) return;
+
+        this.setRay(event);
+        if (!this.raycaster.ray.intersectPlane(grab.plane, _hit)) return;
+
+        const position = this.app.ballGroup.position;
+        position.copy(_hit).add(grab.offset);
+
+        const now = performance.now();
+        grab.samples.push({ position: position.clone(), time: now });
+        while (grab.samples.length > 2 && now - grab.samples[0].time > THROW_WINDOW) {
+            grab.samples.shift();
+        }
+    }
+
+    // Let go: the ball leaves with the pointer's recent speed
+    release() {
+        const grab = this.grab;
+        if (!grab) return;
+        this.grab = null;
+
+        const first = grab.samples[0];
+        const last = grab.samples[grab.samples.length - 1];
+        const seconds = (last.time - first.time) / 1000;
+        const stale = performance.now() - last.time > THROW_WINDOW;
+        if (seconds > 0 && !stale) {
+            this.velocity.subVectors(last.position, first.position).divideScalar(seconds).clampLength(0, MAX_THROW_SPEED);
+        } else {
+            this.velocity.set(0, 0, 0);
+        }
+        this.setSpinFromThrow();
+    }
+
+    // Thrown balls spin about the axis across the throw, as if they rolled off the hand
+    setSpinFromThrow() {
+        this.app.camera.getWorldDirection(_forward);
+        this.spin.crossVectors(_forward, this.velocity).multiplyScalar(-0.5 / this.getRadius());
+    }
+
+    setRay(event) {
+        const rect = this.app.renderer.domElement.getBoundingClientRect();
+        _ndc.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(_ndc, this.app.camera);
+    }
+
+    startSquash(normal, amount) {
+        // With the soft body on, the impact knocks its surface and it wobbles by itself
+        if (amount > 0 && this.app.softBody && this.app.softBody.impact(normal, amount)) return;
+
+        // A hover dent or spikes own the vertices; leave them alone
+        const effectState = this.app.effectState;
+        if (amount <= 0 || this.app.isHovered || (effectState && effectState.spikiness > 0)) return;
+        this.squash = { normal: normal.clone(), amount, time: 0 };
+    }
+
+    // Damped wobble: flatten against the surface, overshoot, settle
+    updateSquash(dt) {
+        const squash = this.squash;
+        squash.time += dt;
+        if (squash.time >= SQUASH_TIME || this.app.isHovered) {
+            this.squash = null;
+            this.applySquash(null, 0);
+            return;
+        }
+        const k = squash.amount * Math.exp(-SQUASH_DECAY * squash.time) * Math.cos(SQUASH_WOBBLE * squash.time);
+        this.applySquash(squash.normal, k);
+    }
+
+    // Rewrite the ball's vertices from its rest shape, flattened by k along the world-space normal
+    applySquash(normal, k) {
+        const app = this.app;
+        const geometry = app.ballGeometry;
+        const rest = app.originalPositions;
+        if (!geometry || !rest) return;
+
+        const positions = geometry.attributes.position;
+        if (k === 0) {
+            positions.array.set(rest);
+        } else {
+            // The normal in the ball's own space, which turns as the ball spins
+            app.ballMesh.updateWorldMatrix(true, false);
+            const n = _axis.copy(normal).transformDirection(_inverse.copy(app.ballMesh.matrixWorld).invert());
+
+            for (let i = 0; i < positions.count; i++) {
+                _local.fromArray(rest, i * 3);
+                const d = _local.dot(n);
+                // Squeezed towards the contact side (d = -1), bulging around the middle
+                const lateral = 1 + k * 0.5;
+                _local.addScaledVector(n, -d).multiplyScalar(lateral).addScaledVector(n, d - (d + 1) * k);
+                _local.toArray(positions.array, i * 3);
+            }
+        }
+        positions.needsUpdate = true;
+        geometry.computeVertexNormals();
+
+        // Update wireframe to match the squashed shape
+        if (app.wireMesh) {
+            const previous = app.wireMesh.geometry;
+            app.wireMesh.geometry = new THREE.EdgesGeometry(geometry);
+            previous.dispose();
+        }
+    }
+
+    /** Drop any grab and put the ball back in its rest shape */
+    dispose() {
+        this.grab = null;
+        if (this.squash) {
+            this.squash = null;
+            this.applySquash(null, 0);
+        }
+    }
+}
@@ -0,0 +1,517 @@
+// post-processing.js - Ordered, toggleable full-screen passes (bloom, aberration, grading...)
+// with temporary overrides that effects can push for spikes and mood changes
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
+import { LUTPass } from 'three/addons/postprocessing/LUTPass.js';
+import { RGBShiftShader } from 'three/addons/shaders/RGBShiftShader.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+import { LUTCubeLoader } from 'three/addons/loaders/LUTCubeLoader.js';
+import { getFrameTime } from './frame-scheduler.js';
+
+// Edge length of the generated colour grading cubes
+const LUT_SIZE = 16;
+
+function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
+
+function luminance(r, g, b) {
+    return r * 0.2126 + g * 0.7152 + b * 0.0722;
+}
+
+// Gentle S-curve around mid grey; amount 0 leaves the value alone
+function contrast(value, amount) {
+    return value + (value - 0.5) * amount;
+}
+
+/**
+ * Built-in colour grades. Each maps an sRGB colour (0-1 per channel) to the graded one
+ * and is baked into a 3D LUT the first time a stack is created.
+ * @readonly
+ */
+export const COLOR_GRADES = Object.freeze({
+    neutral: { label: 'Neutral', transform: (r, g, b) => [r, g, b] },
+    warm: { label: 'Warm', transform: (r, g, b) => [r * 1.08 + 0.02, g * 1.01, b * 0.86] },
+    cool: { label: 'Cool', transform: (r, g, b) => [r * 0.88, g * 1.0, b * 1.1 + 0.02] },
+    noir: {
+        label: 'Noir',
+        transform: (r, g, b) => {
+            const y = contrast(luminance(r, g, b), 0.35);
+            return [y, y, y];
+        }
+    },
+    vivid: {
+        label: 'Vivid',
+        transform: (r, g, b) => {
+            const y = luminance(r, g, b);
+            return [r, g, b].map(c => contrast(y + (c - y) * 1.45, 0.12));
+        }
+    }
+});
+
+/**
+ * Bake a colour transform into a 3D texture LUTPass can sample
+ * Same layout LUTCubeLoader produces: red varies fastest, then green, then blue.
+ * @param {Function} transform - (r, g, b) => [r, g, b], all 0-1
+ * @param {number} [size] - Cube edge length
+ * @returns {THREE.Data3DTexture}
+ */
+export function createLUTTexture(transform, size = LUT_SIZE) {
+    const data = new Uint8Array(size * size * size * 4);
+    const max = size - 1;
+
+    for (let b = 0; b < size; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                const i = (r + g * size + b * size * size) * 4;
+                const out = transform(r / max, g / max, b / max);
+                data[i] = Math.round(clamp01(out[0]) * 255);
+                data[i + 1] = Math.round(clamp01(out[1]) * 255);
+                data[i + 2] = Math.round(clamp01(out[2]) * 255);
+                data[i + 3] = 255;
+            }
+        }
+    }
+
+    const texture = new THREE.Data3DTexture(data, size, size, size);
+    texture.type = THREE.UnsignedByteType;
+    texture.format = THREE.RGBAFormat;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.wrapS = THREE.ClampToEdgeWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.wrapR = THREE.ClampToEdgeWrapping;
+    texture.generateMipmaps = false;
+    texture.unpackAlignment = 1;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Passes in the order they run, after the scene render. Every pass has default
+ * parameters and "identity" values at which it has no visible effect; overrides
+ * pushed onto a disabled pass fade in from and out to those.
+ * @readonly
+ */
+export const POST_PASSES = Object.freeze({
+    bloom: {
+        label: 'Bloom',
+        enabled: true,
+        params: { strength: 0.6, radius: 0.4, threshold: 0.2 },
+        identity: { strength: 0 },
+        create: (width, height) => new UnrealBloomPass(new THREE.Vector2(width, height), 0.6, 0.4, 0.2),
+        apply: (pass, params) => {
+            pass.strength = params.strength;
+            pass.radius = params.radius;
+            pass.threshold = params.threshold;
+        }
+    },
+    chromaticAberration: {
+        label: 'Chromatic Aberration',
+        enabled: false,
+        params: { amount: 0.0025, angle: 0 },
+        identity: { amount: 0 },
+        create: () => new ShaderPass(RGBShiftShader),
+        apply: (pass, params) => {
+            pass.uniforms.amount.value = params.amount;
+            pass.uniforms.angle.value = params.angle;
+        }
+    },
+    colorGrading: {
+        label: 'Colour Grading',
+        enabled: false,
+        params: { lut: 'neutral', intensity: 1 },
+        identity: { intensity: 0 },
+        create: () => new LUTPass(),
+        apply: (pass, params, stack) => {
+            const lut = stack.luts.get(params.lut) || stack.luts.get('neutral');
+            if (pass.lut !== lut) {
+                pass.lut = lut;
+            }
+            pass.intensity = params.intensity;
+        }
+    },
+    vignette: {
+        label: 'Vignette',
+        enabled: false,
+        params: { offset: 1.0, darkness: 1.2 },
+        identity: { offset: 0 },
+        create: () => new ShaderPass(VignetteShader),
+        apply: (pass, params) => {
+            pass.uniforms.offset.value = params.offset;
+            pass.uniforms.darkness.value = params.darkness;
+        }
+    },
+    filmGrain: {
+        label: 'Film Grain',
+        enabled: false,
+        params: { intensity: 0.35, grayscale: false },
+        identity: { intensity: 0 },
+        create: () => new FilmPass(0.35, false),
+        apply: (pass, params) => {
+            pass.uniforms.intensity.value = params.intensity;
+            pass.uniforms.grayscale.value = params.grayscale;
+        }
+    },
+    fxaa: {
+        label: 'FXAA',
+        enabled: true,
+        params: {},
+        identity: {},
+        create: () => new ShaderPass(FXAAShader),
+        apply: () => {}
+    }
+});
+
+const PASS_ORDER = Object.keys(POST_PASSES);
+
+// Passes up to here work on linear HDR colour; OutputPass tone maps and converts to sRGB after it
+const LAST_LINEAR_PASS = 'bloom';
+
+// Blend one parameter set towards another; non-numbers switch as soon as the weight is positive
+function blendParams(into, from, weight) {
+    Object.keys(from).forEach(key => {
+        const value = from[key];
+        if (typeof value === 'number' && typeof into[key] === 'number') {
+            into[key] += (value - into[key]) * weight;
+        } else if (weight > 0) {
+            into[key] = value;
+        }
+    });
+}
+
+/**
+ * The app's post-processing stack
+ * Renders straight to the screen whenever no pass is enabled or the render
+ * quality tier rules post-processing out (app.postProcessingAllowed), so it
+ * costs nothing until it is used.
+ */
+export class PostProcessingStack {
+    /**
+     * @param {Object} app - Application context
+     * @param {Object} [config] - Per-pass settings, e.g. { bloom: { strength: 1 }, vignette: { enabled: true } }
+     */
+    constructor(app, config = {}) {
+        this.app = app;
+        /** Master switch; individual passes are toggled with setPassEnabled */
+        this.enabled = true;
+        this.passes = {};
+        this.composer = null;
+        this.overrides = [];
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 0;
+        this.size = new THREE.Vector2();
+
+        this.luts = new Map();
+        Object.keys(COLOR_GRADES).forEach(name => {
+            this.luts.set(name, createLUTTexture(COLOR_GRADES[name].transform));
+        });
+
+        this.settings = {};
+        PASS_ORDER.forEach(name => {
+            const definition = POST_PASSES[name];
+            this.settings[name] = { enabled: definition.enabled, params: { ...definition.params } };
+        });
+
+        this.setConfig(config);
+    }
+
+    /**
+     * Switch a pass on or off
+     * @param {string} name - Key of POST_PASSES
+     * @param {boolean} enabled
+     * @returns {boolean} True if the pass exists
+     */
+    setPassEnabled(name, enabled) {
+        const settings = this.settings[name];
+        if (!settings) {
+            console.error(`Unknown post-processing pass: ${name}`);
+            return false;
+        }
+
+        settings.enabled = !!enabled;
+        return true;
+    }
+
+    /**
+     * Change a pass's parameters; keys the pass doesn't have are ignored
+     * @param {string} name - Key of POST_PASSES
+     * @param {Object} params - e.g. { strength: 1.2 } for bloom, { lut: 'noir' } for colorGrading
+     * @returns {boolean} True if the pass exists and every value was valid
+     */
+    setParams(name, params) {
+        const settings = this.settings[name];
+        if (!settings) {
+            console.error(`Unknown post-processing pass: ${name}`);
+            return false;
+        }
+
+        let valid = true;
+        Object.keys(params || {}).forEach(key => {
+            const current = settings.params[key];
+            const value = params[key];
+
+            if (current === undefined) {
+                console.warn(`Post-processing pass "${name}" has no parameter "${key}"`);
+            } else if (typeof current === 'number' && !Number.isFinite(value)) {
+                console.error(`Invalid value for ${name}.${key}: ${value}`);
+                valid = false;
+            } else if (key === 'lut' && !this.luts.has(value)) {
+                console.error(`Unknown colour grade: ${value}`);
+                valid = false;
+            } else {
+                settings.params[key] = typeof current === 'boolean' ? !!value : value;
+            }
+        });
+        return valid;
+    }
+
+    /**
+     * Apply settings for several passes at once
+     * @param {Object} config - { passName: { enabled, ...params } }
+     */
+    setConfig(config) {
+        Object.keys(config || {}).forEach(name => {
+            const { enabled, ...params } = config[name] || {};
+            if (enabled !== undefined && !this.setPassEnabled(name, enabled)) return;
+            this.setParams(name, params);
+        });
+    }
+
+    /**
+     * @returns {Object} Current settings in the shape setConfig takes
+     */
+    getConfig() {
+        const config = {};
+        PASS_ORDER.forEach(name => {
+            config[name] = { enabled: this.settings[name].enabled, ...this.settings[name].params };
+        });
+        return config;
+    }
+
+    /**
+     * Register a colour grade for the colorGrading pass
+     * @param {string} name - Name to select it by
+     * @param {THREE.Data3DTexture} texture - LUT, e.g. from createLUTTexture
+     */
+    addLUT(name, texture) {
+        const previous = this.luts.get(name);
+        if (previous && previous !== texture) {
+            previous.dispose();
+        }
+        this.luts.set(name, texture);
+    }
+
+    /**
+     * Load a .cube LUT file as a colour grade
+     * @param {string} name - Name to select it by
+     * @param {string} url - Location of the .cube file
+     * @returns {Promise<boolean>} True once the grade is available
+     */
+    async loadLUT(name, url) {
+        try {
+            const result = await new LUTCubeLoader().loadAsync(url);
+            this.addLUT(name, result.texture3D);
+            return true;
+        } catch (error) {
+            console.error(`Error loading colour grade "${name}" from ${url}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Temporarily change a pass, e.g. a bloom spike while an explosion runs
+     * While any override is active its pass runs, even when switched off. With a
+     * duration the override starts at full strength and eases back to the pass's
+     * own settings over that many seconds of app clock time (so it holds while
+     * paused); without one it stays until released. Later overrides win.
+     * @param {string} name - Key of POST_PASSES
+     * @param {Object} params - Parameter values to push
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Seconds until the override has faded out
+     * @returns {{update: Function, release: Function}|null} Handle to change or end the override
+     */
+    pushOverride(name, params, { duration = 0 } = {}) {
+        if (!this.settings[name]) {
+            console.error(`Unknown post-processing pass: ${name}`);
+            return null;
+        }
+
+        const override = {
+            name,
+            params: { ...params },
+            start: getFrameTime(this.app),
+            duration: Number.isFinite(duration) && duration > 0 ? duration : 0
+        };
+        this.overrides.push(override);
+
+        return {
+            update: (changes) => Object.assign(override.params, changes),
+            release: () => {
+                const index = this.overrides.indexOf(override);
+                if (index >= 0) {
+                    this.overrides.splice(index, 1);
+                }
+            }
+        };
+    }
+
+    /** Drop every override, e.g. when the effects that pushed them are reset */
+    clearOverrides() {
+        this.overrides = [];
+    }
+
+    // Settings for this frame: each pass's own, with active overrides blended on top
+    resolve(time) {
+        const resolved = {};
+        PASS_ORDER.forEach(name => {
+            const settings = this.settings[name];
+            const params = { ...settings.params };
+            if (!settings.enabled) {
+                Object.assign(params, POST_PASSES[name].identity);
+            }
+            resolved[name] = { enabled: settings.enabled, params };
+        });
+
+        this.overrides = this.overrides.filter(override => {
+            let weight = 1;
+            if (override.duration) {
+                const progress = (time - override.start) / override.duration;
+                if (progress >= 1) return false;
+                weight = (1 - progress) * (1 - progress);
+            }
+
+            const target = resolved[override.name];
+            target.enabled = true;
+            blendParams(target.params, override.params, weight);
+            return true;
+        });
+
+        return resolved;
+    }
+
+    // Build the composer the first time a pass is needed
+    ensureComposer() {
+        if (this.composer) return this.composer;
+
+        const { renderer, scene, camera } = this.app;
+        renderer.getSize(this.size);
+
+        this.composer = new EffectComposer(renderer);
+        this.renderPass = new RenderPass(scene, camera);
+        this.composer.addPass(this.renderPass);
+
+        PASS_ORDER.forEach(name => {
+            this.passes[name] = POST_PASSES[name].create(this.size.x, this.size.y);
+            this.composer.addPass(this.passes[name]);
+
+            if (name === LAST_LINEAR_PASS) {
+                this.composer.addPass(new OutputPass());
+            }
+        });
+
+        this.pixelRatio = 0;
+        return this.composer;
+    }
+
+    // Follow renderer size and pixel ratio changes (window resizes, quality tiers)
+    syncSize() {
+        const renderer = this.app.renderer;
+        const pixelRatio = renderer.getPixelRatio();
+        renderer.getSize(this.size);
+
+        if (this.size.x === this.width && this.size.y === this.height && pixelRatio === this.pixelRatio) return;
+
+        this.width = this.size.x;
+        this.height = this.size.y;
+        this.pixelRatio = pixelRatio;
+        this.composer.setPixelRatio(pixelRatio);
+        this.composer.setSize(this.width, this.height);
+        this.passes.fxaa.uniforms.resolution.value.set(
+            1 / (this.width * pixelRatio),
+            1 / (this.height * pixelRatio)
+        );
+    }
+
+    /**
+     * Draw the frame through the enabled passes, or directly when none apply
+     * @param {number} delta - Animation seconds since the last frame (drives film grain)
+     * @returns {boolean} True if the frame went through the composer
+     */
+    render(delta) {
+        const app = this.app;
+        const resolved = this.resolve(getFrameTime(app));
+
+        const active = this.enabled && app.postProcessingAllowed !== false &&
+            PASS_ORDER.some(name => resolved[name].enabled);
+
+        if (!active) {
+            app.renderer.render(app.scene, app.camera);
+            return false;
+        }
+
+        this.ensureComposer();
+        this.syncSize();
+
+        // The camera or scene may have been swapped since the composer was built
+        this.renderPass.scene = app.scene;
+        this.renderPass.camera = app.camera;
+
+        PASS_ORDER.forEach(name => {
+            const pass = this.passes[name];
+            pass.enabled = resolved[name].enabled;
+            if (pass.enabled) {
+                POST_PASSES[name].apply(pass, resolved[name].params, this);
+            }
+        });
+
+        this.composer.render(delta);
+        return true;
+    }
+
+    /**
+     * Drop the composer, its render targets and pass materials; the next frame
+     * that needs a pass builds them again. Settings, overrides and LUTs are kept.
+     * Used after a lost WebGL context comes back (context-loss.js).
+     */
+    resetComposer() {
+        if (this.composer) {
+            this.composer.passes.forEach(pass => {
+                if (typeof pass.dispose === 'function') {
+                    pass.dispose();
+                }
+            });
+            this.composer.dispose();
+            this.composer = null;
+        }
+        this.passes = {};
+    }
+
+    /** Free render targets, pass materials and LUT textures */
+    dispose() {
+        this.resetComposer();
+        this.luts.forEach(texture => texture.dispose());
+        this.luts.clear();
+        this.overrides = [];
+    }
+}
+
+/**
+ * Push an override onto the app's stack if it has one
+ * Lets effects add flashes without caring whether post-processing is set up.
+ * @param {Object} app - Application context
+ * @param {string} name - Key of POST_PASSES
+ * @param {Object} params - Parameter values to push
+ * @param {Object} [options] - See PostProcessingStack#pushOverride
+ * @returns {{update: Function, release: Function}|null}
+ */
+export function pushPassOverride(app, name, params, options) {
+    return app && app.postProcessing ? app.postProcessing.pushOverride(name, params, options) : null;
+}
@@ -0,0 +1,367 @@
+// presets.js - Named looks (material, gradient, wireframe, lighting, effects) with cross-fading
+import * as THREE from 'three';
+import { importState, exportState, STATE_VERSION } from './state.js';
+import { DEFAULT_GROUND } from './ground.js';
+import { FramePhase, getFrameScheduler } from './frame-scheduler.js';
+
+export const DEFAULT_PRESET = 'neon';
+
+const CUSTOM_PRESETS_KEY = 'ballCustomPresets';
+const FADE_DURATION = 800; // ms
+
+const NO_EFFECTS = { rainbow: false, magnetic: false, blackhole: false, audioVisualization: false };
+
+// Material properties that are cross-faded
+const MATERIAL_PROPS = ['opacity', 'metalness', 'roughness', 'clearcoat', 'clearcoatRoughness'];
+
+/**
+ * @typedef {Object} Look
+ * @property {string} label - Name shown in the menu
+ * @property {Object} material - color (#RRGGBB), opacity, metalness, roughness, clearcoat, clearcoatRoughness
+ * @property {string[]} gradient - Gradient colors [center, middle, edge]; switches at the end of a fade
+ * @property {{color: string, opacity: number, visible: boolean}} wireframe - Wireframe look
+ * @property {Object} lighting - skyColor, groundColor, hemisphere, key, fill, top, pointColor, point
+ * @property {Object<string, boolean>} effects - Effects switched on with the look (see exportState)
+ * @property {string} [environment] - Background and reflections (see environments.js); switches at the end of a fade
+ * @property {Object} [ground] - Floor (see ground.js); switches at the end of a fade
+ */
+
+/** Looks that ship with the ball; 'neon' is the original one */
+export const BUILT_IN_PRESETS = Object.freeze({
+    neon: {
+        label: 'Neon',
+        material: { color: '#FFFFFF', opacity: 0.8, metalness: 0.2, roughness: 0.3, clearcoat: 0.5, clearcoatRoughness: 0.3 },
+        gradient: ['#FF00FF', '#8800FF', '#00FFFF'],
+        wireframe: { color: '#00FFFF', opacity: 0.5, visible: true },
+        lighting: { skyColor: '#FFFFFF', groundColor: '#000000', hemisphere: 1, key: 1, fill: 1, top: 0.5, pointColor: '#FFFFFF', point: 1 },
+        effects: NO_EFFECTS,
+        environment: 'none',
+        ground: DEFAULT_GROUND
+    },
+    glass: {
+        label: 'Glass',
+        material: { color: '#FFFFFF', opacity: 0.35, metalness: 0, roughness: 0.05, clearcoat: 1, clearcoatRoughness: 0.05 },
+        gradient: ['#E8F8FF', '#A8D8F0', '#78B8E0'],
+        wireframe: { color: '#FFFFFF', opacity: 0.25, visible: true },
+        lighting: { skyColor: '#FFFFFF', groundColor: '#102030', hemisphere: 1, key: 1.2, fill: 0.8, top: 0.6, pointColor: '#CCEEFF', point: 1.5 },
+        effects: NO_EFFECTS,
+        environment: 'skydome',
+        ground: { ...DEFAULT_GROUND, visible: true, style: 'shadow', mirror: true }
+    },
+    chrome: {
+        label: 'Chrome',
+        material: { color: '#FFFFFF', opacity: 1, metalness: 1, roughness: 0.15, clearcoat: 1, clearcoatRoughness: 0.1 },
+        gradient: ['#FFFFFF', '#B0B0B8', '#505058'],
+        wireframe: { color: '#DDDDDD', opacity: 0.2, visible: false },
+        lighting: { skyColor: '#FFFFFF', groundColor: '#202020', hemisphere: 1.5, key: 1.5, fill: 0.8, top: 0.8, pointColor: '#FFFFFF', point: 2 },
+        effects: NO_EFFECTS,
+        environment: 'grid',
+        ground: { ...DEFAULT_GROUND, visible: true, style: 'grid', mirror: true, color: '#00FFFF' }
+    },
+    pastel: {
+        label: 'Pastel',
+        material: { color: '#FFFFFF', opacity: 0.9, metalness: 0, roughness: 0.6, clearcoat: 0.2, clearcoatRoughness: 0.5 },
+        gradient: ['#FFD1DC', '#C9B6E4', '#B5EAD7'],
+        wireframe: { color: '#FFFFFF', opacity: 0.35, visible: true },
+        lighting: { skyColor: '#FFF4E6', groundColor: '#404060', hemisphere: 1.2, key: 0.8, fill: 0.8, top: 0.5, pointColor: '#FFE0F0', point: 0.8 },
+        effects: NO_EFFECTS,
+        environment: 'fog',
+        ground: { ...DEFAULT_GROUND, visible: true, style: 'shadow' }
+    },
+    monochrome: {
+        label: 'Monochrome',
+        material: { color: '#FFFFFF', opacity: 0.85, metalness: 0.3, roughness: 0.4, clearcoat: 0.4, clearcoatRoughness: 0.3 },
+        gradient: ['#FFFFFF', '#888888', '#222222'],
+        wireframe: { color: '#FFFFFF', opacity: 0.4, visible: true },
+        lighting: { skyColor: '#FFFFFF', groundColor: '#000000', hemisphere: 1, key: 1, fill: 0.6, top: 0.5, pointColor: '#FFFFFF', point: 1 },
+        effects: NO_EFFECTS,
+        environment: 'none',
+        ground: { ...DEFAULT_GROUND, visible: true, style: 'checker', height: -1.8, color: '#CCCCCC' }
+    }
+});
+
+const tmpColor = new THREE.Color();
+
+function hex(color) {
+    return '#' + color.getHexString().toUpperCase();
+}
+
+// Blend two looks; colors and numbers are interpolated, everything else switches at the end
+function mixLooks(from, to, t) {
+    if (typeof to === 'number' && typeof from === 'number') {
+        return from + (to - from) * t;
+    }
+    if (typeof to === 'string' && typeof from === 'string' && to.startsWith('#') && from.startsWith('#')) {
+        return hex(tmpColor.set(from).lerp(new THREE.Color(to), t));
+    }
+    if (Array.isArray(to)) {
+        return to.map((value, i) => mixLooks(from?.[i], value, t));
+    }
+    if (to && typeof to === 'object') {
+        const result = {};
+        Object.keys(to).forEach(key => { result[key] = mixLooks(from?.[key], to[key], t); });
+        return result;
+    }
+    return t < 1 && from !== undefined ? from : to;
+}
+
+// Hidden wireframes fade through zero opacity instead of popping
+function fadeableWireframe(wireframe) {
+    return wireframe.visible ? wireframe : { ...wireframe, opacity: 0, visible: true };
+}
+
+// Only rigs flagged followsLooks are faded; apps without a rig manager use app.lights as is
+function lightsFollowLooks(app) {
+    return !app.lighting || app.lighting.followsLooks;
+}
+
+function loadCustomPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_PRESETS_KEY)) || {};
+    } catch (e) {
+        console.warn('Could not read custom presets from localStorage');
+        return {};
+    }
+}
+
+/**
+ * Read the look an app currently shows
+ * @param {Object} app - Application context
+ * @returns {Look}
+ */
+export function captureLook(app) {
+    const mat = app.ballMesh.material;
+    const wireMat = app.wireMesh.material;
+    // Rigs that don't follow looks (see lights.js) are captured as the default lighting
+    const lights = lightsFollowLooks(app) ? app.lights || {} : {};
+
+    const material = { color: hex(mat.color) };
+    MATERIAL_PROPS.forEach(prop => { material[prop] = mat[prop]; });
+
+    return {
+        label: 'Current',
+        material,
+        gradient: (app.gradientColors || BUILT_IN_PRESETS.neon.gradient).slice(0, 3),
+        wireframe: {
+            color: hex(app.wireframeColor || wireMat.color),
+            opacity: wireMat.opacity,
+            visible: app.wireMesh.visible
+        },
+        lighting: {
+            skyColor: lights.hemisphere ? hex(lights.hemisphere.color) : '#FFFFFF',
+            groundColor: lights.hemisphere ? hex(lights.hemisphere.groundColor) : '#000000',
+            hemisphere: lights.hemisphere ? lights.hemisphere.intensity : 1,
+            key: lights.key ? lights.key.intensity : 1,
+            fill: lights.fill ? lights.fill.intensity : 1,
+            top: lights.top ? lights.top.intensity : 0.5,
+            pointColor: lights.point ? hex(lights.point.color) : '#FFFFFF',
+            point: lights.point ? lights.point.intensity : 1
+        },
+        effects: exportState(app).effects,
+        environment: app.environment ? app.environment.current : 'none',
+        ground: app.ground ? app.ground.config : { ...DEFAULT_GROUND }
+    };
+}
+
+// Push a whole look onto the ball, the scene lights, the background and the floor
+function applyLook(app, look) {
+    applyFadedParts(app, look);
+
+    app.gradientColors = look.gradient.slice();
+    if (typeof app.updateGradientTexture === 'function') {
+        app.updateGradientTexture(...look.gradient);
+    }
+
+    if (look.environment && app.environment && look.environment !== app.environment.current) {
+        app.environment.set(look.environment);
+    }
+
+    if (look.ground && app.ground) {
+        app.ground.configure(look.ground);
+    }
+}
+
+// Push the parts of a look that cross-fade: material values, wireframe and lights.
+// These only set colors and numbers, so they are cheap enough to run every fade frame
+function applyFadedParts(app, look) {
+    const mat = app.ballMesh.material;
+    mat.color.set(look.material.color);
+    MATERIAL_PROPS.forEach(prop => { mat[prop] = look.material[prop]; });
+
+    if (!app.wireframeColor) {
+        app.wireframeColor = new THREE.Color();
+    }
+    app.wireframeColor.set(look.wireframe.color);
+    app.wireMesh.material.color.copy(app.wireframeColor);
+    app.wireMesh.material.opacity = look.wireframe.opacity;
+    app.wireMesh.visible = look.wireframe.visible;
+
+    const lights = lightsFollowLooks(app) ? app.lights : null;
+    if (lights) {
+        if (lights.hemisphere) {
+            lights.hemisphere.color.set(look.lighting.skyColor);
+            lights.hemisphere.groundColor.set(look.lighting.groundColor);
+            lights.hemisphere.intensity = look.lighting.hemisphere;
+        }
+        if (lights.key) lights.key.intensity = look.lighting.key;
+        if (lights.fill) lights.fill.intensity = look.lighting.fill;
+        if (lights.top) lights.top.intensity = look.lighting.top;
+        if (lights.point) {
+            lights.point.color.set(look.lighting.pointColor);
+            lights.point.intensity = look.lighting.point;
+        }
+    }
+}
+
+/**
+ * Lists, applies and stores looks for one app
+ * Custom looks are shared by every ball on the page through localStorage.
+ */
+export class PresetManager {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.current = DEFAULT_PRESET;
+        this.stopFade = null;
+        this.custom = loadCustomPresets();
+    }
+
+    /**
+     * All available presets, built-in first
+     * @returns {{name: string, label: string, builtIn: boolean}[]}
+     */
+    list() {
+        const builtIn = Object.keys(BUILT_IN_PRESETS).map(name => ({
+            name,
+            label: BUILT_IN_PRESETS[name].label,
+            builtIn: true
+        }));
+        const custom = Object.keys(this.custom).map(name => ({
+            name,
+            label: this.custom[name].label,
+            builtIn: false
+        }));
+        return builtIn.concat(custom);
+    }
+
+    /**
+     * Get a preset's look
+     * @param {string} name - Preset name
+     * @returns {Look|null}
+     */
+    get(name) {
+        return BUILT_IN_PRESETS[name] || this.custom[name] || null;
+    }
+
+    /**
+     * Switch to a preset, cross-fading from the current look
+     * @param {string} name - Preset name
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Fade length in ms; 0 switches instantly
+     * @param {boolean} [options.effects] - Also switch the preset's effects on/off (default true)
+     * @returns {boolean} True if the preset exists and is being applied
+     */
+    apply(name, { duration = FADE_DURATION, effects = true } = {}) {
+        const look = this.get(name);
+        if (!look) {
+            console.warn(`Unknown preset "${name}"`);
+            return false;
+        }
+        if (!this.app.ballMesh || !this.app.wireMesh) {
+            console.error('Cannot apply preset before the ball is created');
+            return false;
+        }
+
+        this.cancelFade();
+        this.current = name;
+
+        // Effects switch first: turning rainbow off resets the gradient, which the fade then overrides
+        if (effects && look.effects) {
+            importState(this.app, { version: STATE_VERSION, effects: look.effects });
+        }
+
+        if (duration <= 0) {
+            applyLook(this.app, look);
+            return true;
+        }
+
+        const current = captureLook(this.app);
+        const from = { material: current.material, wireframe: fadeableWireframe(current.wireframe), lighting: current.lighting };
+        const to = { material: look.material, wireframe: fadeableWireframe(look.wireframe), lighting: look.lighting };
+        let elapsed = 0;
+
+        // The fade follows the app clock, so it holds while paused and slows with the time scale
+        this.stopFade = getFrameScheduler(this.app).add(FramePhase.EFFECTS, 'presetFade', (clock) => {
+            elapsed += clock.delta * 1000;
+            const progress = Math.min(elapsed / duration, 1);
+            const eased = progress * progress * (3 - 2 * progress);
+
+            // Gradient texture, environment and floor are rebuilt once, when the fade ends
+            if (progress < 1) {
+                applyFadedParts(this.app, mixLooks(from, to, eased));
+            } else {
+                this.cancelFade();
+                applyLook(this.app, look);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Stop a running cross-fade where it is
+     */
+    cancelFade() {
+        if (this.stopFade) {
+            this.stopFade();
+            this.stopFade = null;
+        }
+    }
+
+    /**
+     * Save the current look as a custom preset
+     * @param {string} label - Name for the preset
+     * @returns {string|null} Preset name, or null if it could not be saved
+     */
+    saveCustom(label) {
+        const trimmed = String(label || '').trim();
+        if (!trimmed) {
+            console.warn('Preset name is required');
+            return null;
+        }
+
+        const name = 'custom-' + trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        this.custom[name] = { ...captureLook(this.app), label: trimmed };
+        this.current = name;
+
+        return this.persist() ? name : null;
+    }
+
+    /**
+     * Delete a custom preset (built-in presets cannot be deleted)
+     * @param {string} name - Preset name
+     * @returns {boolean} True if it was deleted
+     */
+    deleteCustom(name) {
+        if (!this.custom[name]) return false;
+
+        delete this.custom[name];
+        if (this.current === name) {
+            this.current = DEFAULT_PRESET;
+        }
+        return this.persist();
+    }
+
+    // Write custom presets to localStorage
+    persist() {
+        try {
+            localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(this.custom));
+            return true;
+        } catch (e) {
+            console.error('Could not save custom presets:', e);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,387 @@
+// recorder.js - Record the ball's canvas together with everything the app plays into a WebM clip
+import { FramePhase, getFrameScheduler } from './frame-scheduler.js';
+import { BallEvents } from './event-bus.js';
+import { addDisposer } from './teardown.js';
+import { getAudioOutputs, onAudioOutput } from '../audio/utils/output-taps.js';
+import { downloadBlob, timestampedName } from '../utils/download.js';
+
+// Preferred containers/codecs, best first; the first one the browser supports is used
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+/**
+ * Output sizes offered in the menu. 'screen' records the canvas as it is;
+ * the others scale and crop the canvas to fill the frame.
+ * @readonly
+ */
+export const RECORDING_RESOLUTIONS = Object.freeze({
+    screen: { label: 'Screen size' },
+    '720p': { label: '720p', width: 1280, height: 720 },
+    '1080p': { label: '1080p', width: 1920, height: 1080 },
+    square: { label: 'Square 1080', width: 1080, height: 1080 }
+});
+
+function pickMimeType() {
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+/**
+ * Records an app's canvas and audio with MediaRecorder
+ * Audio is taken from app.masterGain and every other output registered in
+ * output-taps.js, so synthesizers with their own gain chain or AudioContext
+ * end up in the clip too.
+ */
+export class BallRecorder {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.mediaRecorder = null;
+        this.mimeType = '';
+        this.chunks = [];
+        this.options = null;
+        this.videoStream = null;
+        this.audioContext = null;
+        this.audioDestination = null;
+        this.taps = [];
+        this.bridges = new Map();
+        this.cleanups = [];
+        this.elapsedBefore = 0;
+        this.segmentStart = null;
+        this.stopTimer = null;
+        this.stopping = null;
+        this.resolveStop = null;
+        this.discard = false;
+    }
+
+    /**
+     * @returns {boolean} True if this browser can record a canvas
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    /** @returns {string} 'inactive', 'recording' or 'paused' */
+    get state() {
+        return this.mediaRecorder ? this.mediaRecorder.state : 'inactive';
+    }
+
+    /** @returns {number} Seconds recorded so far, not counting pauses */
+    get elapsed() {
+        const running = this.segmentStart === null ? 0 : (performance.now() - this.segmentStart) / 1000;
+        return this.elapsedBefore + running;
+    }
+
+    /**
+     * Start recording
+     * @param {Object} [options]
+     * @param {number} [options.width] - Output width in pixels; omit both sizes to record the canvas as is
+     * @param {number} [options.height] - Output height in pixels
+     * @param {number} [options.fps] - Frames per second to capture, default 30
+     * @param {number} [options.duration] - Stop by itself after this many seconds; 0 records until stop()
+     * @param {boolean} [options.audio] - Set to false for a silent clip
+     * @param {number} [options.videoBitsPerSecond] - Video bitrate, default 8 Mbit/s
+     * @returns {boolean} True if recording started
+     */
+    start({ width, height, fps = 30, duration = 0, audio = true, videoBitsPerSecond = 8000000 } = {}) {
+        if (!BallRecorder.isSupported()) {
+            console.error('Recording needs MediaRecorder and canvas.captureStream, which this browser lacks');
+            return false;
+        }
+        if (this.state !== 'inactive' || this.stopping) {
+            console.warn('Already recording');
+            return false;
+        }
+        if (!this.app.renderer) {
+            console.error('Cannot record before the renderer exists');
+            return false;
+        }
+
+        try {
+            this.options = { width, height, fps, duration: duration > 0 ? duration : 0 };
+            this.videoStream = this.createVideoStream(width, height, fps);
+
+            const tracks = this.videoStream.getVideoTracks();
+            if (audio) {
+                const audioStream = this.connectAudio();
+                if (audioStream) {
+                    tracks.push(...audioStream.getAudioTracks());
+                }
+            }
+
+            this.mimeType = pickMimeType();
+            const recorder = new MediaRecorder(new MediaStream(tracks), {
+                mimeType: this.mimeType || undefined,
+                videoBitsPerSecond
+            });
+
+            this.chunks = [];
+            this.discard = false;
+            recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    this.chunks.push(event.data);
+                }
+            };
+            recorder.onstop = () => this.finish();
+            recorder.onerror = (event) => {
+                console.error('Recording failed:', event.error || event);
+                this.stop();
+            };
+
+            this.mediaRecorder = recorder;
+            recorder.start(1000);
+
+            this.elapsedBefore = 0;
+            this.segmentStart = performance.now();
+            this.scheduleStop();
+
+            console.log(`Recording started (${this.mimeType || 'browser default format'}${audio && this.audioDestination ? ', with audio' : ''})`);
+            this.emit();
+            return true;
+        } catch (error) {
+            console.error('Error starting recording:', error);
+            this.mediaRecorder = null;
+            this.cleanup();
+            return false;
+        }
+    }
+
+    /** Pause recording; the clip continues seamlessly on resume() */
+    pause() {
+        if (this.state !== 'recording') return;
+
+        this.mediaRecorder.pause();
+        this.elapsedBefore = this.elapsed;
+        this.segmentStart = null;
+        clearTimeout(this.stopTimer);
+        this.emit();
+    }
+
+    /** Continue a paused recording */
+    resume() {
+        if (this.state !== 'paused') return;
+
+        this.mediaRecorder.resume();
+        this.segmentStart = performance.now();
+        this.scheduleStop();
+        this.emit();
+    }
+
+    /**
+     * Pause or resume
+     * @returns {boolean} True if the recording is now paused
+     */
+    togglePause() {
+        if (this.state === 'paused') {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.state === 'paused';
+    }
+
+    /**
+     * Finish the recording
+     * @returns {Promise<Blob|null>} The WebM clip, or null if nothing was recording
+     */
+    stop() {
+        if (this.stopping) return this.stopping;
+        if (this.state === 'inactive') return Promise.resolve(null);
+
+        this.elapsedBefore = this.elapsed;
+        this.segmentStart = null;
+        clearTimeout(this.stopTimer);
+
+        this.stopping = new Promise(resolve => { this.resolveStop = resolve; });
+        this.mediaRecorder.stop();
+        return this.stopping;
+    }
+
+    /** Stop and throw the clip away */
+    cancel() {
+        this.discard = true;
+        return this.stop();
+    }
+
+    // Called once MediaRecorder has flushed its last chunk
+    finish() {
+        const blob = this.discard || !this.chunks.length
+            ? null
+            : new Blob(this.chunks, { type: this.mimeType || 'video/webm' });
+        const duration = this.elapsedBefore;
+
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.cleanup();
+
+        if (blob) {
+            console.log(`Recording finished: ${duration.toFixed(1)}s, ${(blob.size / 1048576).toFixed(1)} MB`);
+        }
+        this.emit({ blob, duration });
+
+        const resolve = this.resolveStop;
+        this.stopping = null;
+        this.resolveStop = null;
+        if (resolve) resolve(blob);
+    }
+
+    // Stop by itself when the requested duration is reached
+    scheduleStop() {
+        clearTimeout(this.stopTimer);
+        if (!this.options.duration) return;
+
+        const remaining = Math.max(0, this.options.duration - this.elapsed);
+        this.stopTimer = setTimeout(() => this.stop(), remaining * 1000);
+    }
+
+    // Capture the canvas directly, or through a scaled copy when a size was asked for
+    createVideoStream(width, height, fps) {
+        const source = this.app.renderer.domElement;
+        if (!width || !height) {
+            return source.captureStream(fps);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width);
+        canvas.height = Math.round(height);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#000';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Runs after the 'render' hook, while the frame is still in the WebGL drawing buffer
+        const removeHook = getFrameScheduler(this.app).add(FramePhase.RENDER, 'recorder', () => {
+            // Scale to cover the output and crop the overflow, keeping the picture centered
+            const scale = Math.max(canvas.width / source.width, canvas.height / source.height);
+            const cropWidth = canvas.width / scale;
+            const cropHeight = canvas.height / scale;
+            context.drawImage(
+                source,
+                (source.width - cropWidth) / 2, (source.height - cropHeight) / 2, cropWidth, cropHeight,
+                0, 0, canvas.width, canvas.height
+            );
+        });
+        this.cleanups.push(removeHook);
+
+        return canvas.captureStream(fps);
+    }
+
+    // Mix every audio output into one MediaStream destination
+    connectAudio() {
+        const outputs = getAudioOutputs(this.app);
+        const context = this.app.audioContext || (outputs[0] && outputs[0].context);
+        if (!context) {
+            console.warn('No audio has been set up yet; recording video only');
+            return null;
+        }
+
+        this.audioContext = context;
+        this.audioDestination = context.createMediaStreamDestination();
+        outputs.forEach(node => this.tapOutput(node));
+
+        // Synthesizers are created lazily; pick up any that appear mid-recording
+        this.cleanups.push(onAudioOutput(this.app, node => this.tapOutput(node)));
+
+        return this.audioDestination.stream;
+    }
+
+    tapOutput(node) {
+        try {
+            const target = node.context === this.audioContext
+                ? this.audioDestination
+                : this.getBridge(node.context);
+            node.connect(target);
+            this.taps.push({ node, target });
+        } catch (error) {
+            console.warn('Could not record an audio output:', error);
+        }
+    }
+
+    // Sound made on another AudioContext reaches the recording through a MediaStream
+    getBridge(context) {
+        let bridge = this.bridges.get(context);
+        if (!bridge) {
+            const destination = context.createMediaStreamDestination();
+            const source = this.audioContext.createMediaStreamSource(destination.stream);
+            source.connect(this.audioDestination);
+            bridge = { destination, source };
+            this.bridges.set(context, bridge);
+        }
+        return bridge.destination;
+    }
+
+    // Undo everything start() set up
+    cleanup() {
+        clearTimeout(this.stopTimer);
+        this.stopTimer = null;
+
+        this.cleanups.forEach(fn => fn());
+        this.cleanups = [];
+
+        this.taps.forEach(({ node, target }) => {
+            try {
+                node.disconnect(target);
+            } catch (e) {
+                // Already disconnected
+            }
+        });
+        this.taps = [];
+
+        this.bridges.forEach(({ destination, source }) => {
+            source.disconnect();
+            destination.stream.getTracks().forEach(track => track.stop());
+        });
+        this.bridges.clear();
+
+        if (this.audioDestination) {
+            this.audioDestination.stream.getTracks().forEach(track => track.stop());
+            this.audioDestination = null;
+        }
+        this.audioContext = null;
+
+        if (this.videoStream) {
+            this.videoStream.getTracks().forEach(track => track.stop());
+            this.videoStream = null;
+        }
+
+        this.segmentStart = null;
+    }
+
+    emit(extra = {}) {
+        if (this.app.events) {
+            this.app.events.emit(BallEvents.RECORDING_CHANGE, {
+                state: this.state,
+                elapsed: this.elapsed,
+                ...extra
+            });
+        }
+    }
+}
+
+/**
+ * Get the app's recorder, creating it on first use
+ * @param {Object} app - Application context
+ * @returns {BallRecorder}
+ */
+export function getRecorder(app) {
+    if (!app.recorder) {
+        const recorder = new BallRecorder(app);
+        app.recorder = recorder;
+        addDisposer(app, () => recorder.cancel());
+    }
+    return app.recorder;
+}
+
+/**
+ * Save a recorded clip through the browser's download prompt
+ * @param {Blob} blob - Clip from BallRecorder#stop
+ * @param {string} [filename] - Defaults to ball-<date>-<time>.webm
+ */
+export function downloadRecording(blob, filename) {
+    downloadBlob(blob, filename || timestampedName('ball', 'webm'));
+}
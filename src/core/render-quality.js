@@ -0,0 +1,314 @@
+// render-quality.js - Adaptive rendering quality: steps resolution, shadows, detail and
+// particle budgets up or down through fixed tiers based on measured frame times
+import { FramePhase, getFrameScheduler } from './frame-scheduler.js';
+import { BallEvents } from './event-bus.js';
+import { getRenderedDetail, setBallShape } from './ball-shapes.js';
+
+/**
+ * Quality tiers from cheapest to best. The governor only ever moves one tier at a time.
+ * @readonly
+ */
+export const QUALITY_TIERS = Object.freeze([
+    Object.freeze({
+        name: 'minimal',
+        label: 'Minimal',
+        maxPixelRatio: 0.75,
+        shadowMapSize: 0,
+        detailOffset: -2,
+        particleScale: 0.2,
+        postProcessing: false
+    }),
+    Object.freeze({
+        name: 'low',
+        label: 'Low',
+        maxPixelRatio: 1,
+        shadowMapSize: 512,
+        detailOffset: -1,
+        particleScale: 0.4,
+        postProcessing: false
+    }),
+    Object.freeze({
+        name: 'medium',
+        label: 'Medium',
+        maxPixelRatio: 1.5,
+        shadowMapSize: 1024,
+        detailOffset: 0,
+        particleScale: 0.7,
+        postProcessing: true
+    }),
+    Object.freeze({
+        name: 'high',
+        label: 'High',
+        maxPixelRatio: 2,
+        shadowMapSize: 2048,
+        detailOffset: 0,
+        particleScale: 1,
+        postProcessing: true
+    })
+]);
+
+export const DEFAULT_QUALITY = 'high';
+
+// Find a tier index by name
+function tierIndex(name) {
+    return QUALITY_TIERS.findIndex(tier => tier.name === name);
+}
+
+/**
+ * Scale a particle count to the app's current tier
+ * @param {Object} app - Application context
+ * @param {number} count - Particle count at full quality
+ * @returns {number} Count to actually spawn (at least 1)
+ */
+export function getParticleBudget(app, count) {
+    const scale = app && app.quality ? app.quality.tier.particleScale : 1;
+    return Math.max(1, Math.round(count * scale));
+}
+
+/**
+ * Watches frame times and moves the app between QUALITY_TIERS
+ * Drops a tier when the average frame time over a sample window is too slow,
+ * and only climbs back after a longer stretch of fast frames. Every time a
+ * climb has to be undone, the next climb waits twice as long, so a machine
+ * sitting on a tier boundary settles instead of flickering between tiers.
+ */
+export class RenderQualityGovernor {
+    /**
+     * @param {Object} app - Application context
+     * @param {Object} [options]
+     * @param {string} [options.tier] - Tier to start on, default 'high'
+     * @param {boolean} [options.auto] - Adapt to frame times, default true
+     * @param {number} [options.minFps] - Drop a tier below this average
+     * @param {number} [options.upgradeFps] - Frames must average at least this to climb
+     * @param {number} [options.sampleWindow] - Seconds of frames averaged per decision
+     * @param {number} [options.upgradeDelay] - Seconds of fast frames before climbing
+     */
+    constructor(app, {
+        tier = DEFAULT_QUALITY,
+        auto = true,
+        minFps = 45,
+        upgradeFps = 57,
+        sampleWindow = 2,
+        upgradeDelay = 6
+    } = {}) {
+        this.app = app;
+        this.auto = auto;
+        this.minFps = minFps;
+        this.upgradeFps = upgradeFps;
+        this.sampleWindow = sampleWindow;
+        this.baseUpgradeDelay = upgradeDelay;
+        this.upgradeDelay = upgradeDelay;
+
+        const index = tierIndex(tier);
+        if (index < 0) {
+            console.warn(`Unknown quality tier "${tier}", using ${DEFAULT_QUALITY}`);
+        }
+        this.index = index < 0 ? tierIndex(DEFAULT_QUALITY) : index;
+
+        this.fps = 0;
+        this.frameTime = 0;
+        this.resetSamples();
+        this.goodTime = 0;
+        this.lastUpgradeTime = -Infinity;
+        this.elapsed = 0;
+        this.removeHook = null;
+
+        // Set while a tier without shadows has switched the renderer's shadows off
+        this.shadowsSuspended = false;
+    }
+
+    /** @returns {Object} Current entry of QUALITY_TIERS */
+    get tier() {
+        return QUALITY_TIERS[this.index];
+    }
+
+    /** Apply the current tier and start sampling frame times */
+    start() {
+        this.apply();
+        this.removeHook = getFrameScheduler(this.app).add(
+            FramePhase.RENDER,
+            'qualityGovernor',
+            (clock) => this.sample(clock.realDelta)
+        );
+    }
+
+    /** Stop sampling; the current tier stays applied */
+    stop() {
+        if (this.removeHook) {
+            this.removeHook();
+            this.removeHook = null;
+        }
+    }
+
+    resetSamples() {
+        this.sampleTime = 0;
+        this.sampleFrames = 0;
+    }
+
+    /**
+     * Record one frame and decide whether to change tier
+     * @param {number} delta - Real seconds the frame took
+     */
+    sample(delta) {
+        // Frames around hidden tabs and zero-length first frames say nothing about load
+        if (!delta || (typeof document !== 'undefined' && document.hidden)) return;
+
+        this.elapsed += delta;
+        this.sampleTime += delta;
+        this.sampleFrames++;
+        if (this.sampleTime < this.sampleWindow) return;
+
+        this.frameTime = (this.sampleTime / this.sampleFrames) * 1000;
+        this.fps = Math.round(1000 / this.frameTime);
+        const windowTime = this.sampleTime;
+        this.resetSamples();
+
+        if (!this.auto) return;
+
+        if (this.fps < this.minFps) {
+            this.goodTime = 0;
+
+            // Dropping right after a climb means that tier was too much; wait longer next time
+            if (this.elapsed - this.lastUpgradeTime < this.upgradeDelay + this.sampleWindow * 2) {
+                this.upgradeDelay = Math.min(this.upgradeDelay * 2, 120);
+            }
+            this.setTier(this.index - 1, 'auto');
+        } else if (this.fps >= this.upgradeFps) {
+            this.goodTime += windowTime;
+            if (this.goodTime >= this.upgradeDelay && this.index < QUALITY_TIERS.length - 1) {
+                this.goodTime = 0;
+                this.lastUpgradeTime = this.elapsed;
+                this.setTier(this.index + 1, 'auto');
+            }
+        } else {
+            // Between the thresholds: hold the tier
+            this.goodTime = 0;
+        }
+    }
+
+    /**
+     * Switch to a tier
+     * @param {string|number} tier - Tier name or index into QUALITY_TIERS
+     * @param {string} [reason] - 'auto' when the governor decided, otherwise 'manual'
+     * @returns {boolean} True if the tier exists
+     */
+    setTier(tier, reason = 'manual') {
+        const index = typeof tier === 'number' ? tier : tierIndex(tier);
+        if (index < 0 || index >= QUALITY_TIERS.length) {
+            if (reason === 'manual') {
+                console.error(`Unknown quality tier: ${tier}`);
+            }
+            return false;
+        }
+        if (index === this.index) return true;
+
+        const previous = this.tier.name;
+        this.index = index;
+        this.apply();
+
+        // The first frames after a switch pay for rebuilt geometry and shaders; don't judge them
+        this.resetSamples();
+
+        if (reason === 'manual') {
+            this.upgradeDelay = this.baseUpgradeDelay;
+            this.goodTime = 0;
+        }
+
+        console.log(`Render quality: ${previous} -> ${this.tier.name} (${reason}${this.fps ? `, ${this.fps} fps` : ''})`);
+
+        if (this.app.events) {
+            this.app.events.emit(BallEvents.QUALITY_CHANGE, {
+                tier: this.tier.name,
+                previous,
+                reason,
+                fps: this.fps
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Turn frame-time adaptation on or off
+     * @param {boolean} enabled
+     */
+    setAuto(enabled) {
+        this.auto = !!enabled;
+        this.upgradeDelay = this.baseUpgradeDelay;
+        this.goodTime = 0;
+        this.resetSamples();
+    }
+
+    /**
+     * @returns {{tier: string, label: string, auto: boolean, fps: number, frameTime: number, pixelRatio: number}}
+     */
+    getStatus() {
+        return {
+            tier: this.tier.name,
+            label: this.tier.label,
+            auto: this.auto,
+            fps: this.fps,
+            frameTime: Math.round(this.frameTime * 10) / 10,
+            pixelRatio: this.app.renderer ? this.app.renderer.getPixelRatio() : 1
+        };
+    }
+
+    // Push the current tier's settings into the renderer, lights and ball
+    apply() {
+        const app = this.app;
+        const tier = this.tier;
+
+        try {
+            if (app.renderer) {
+                app.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, tier.maxPixelRatio));
+                this.applyShadows(tier.shadowMapSize);
+            }
+
+            // Detail offsets are read back by setBallShape through getRenderedDetail;
+            // a sculpted ball keeps its mesh, as a new one would throw the sculpting away
+            if (app.ballShape && app.ballMesh && !(app.sculpt && app.sculpt.edited)) {
+                const { shape, detail } = app.ballShape;
+                if (getRenderedDetail(app, shape, detail) !== app.renderedDetail) {
+                    setBallShape(app, shape, detail);
+                }
+            }
+
+            // The post-processing stack checks this before rendering through its passes
+            app.postProcessingAllowed = tier.postProcessing;
+        } catch (error) {
+            console.error('Error applying render quality tier:', error);
+        }
+    }
+
+    // Resize shadow maps of every shadow-casting light; size 0 suspends shadows altogether
+    applyShadows(size) {
+        const app = this.app;
+        const shadowMap = app.renderer.shadowMap;
+        const wasEnabled = shadowMap.enabled;
+
+        if (size <= 0 && shadowMap.enabled) {
+            shadowMap.enabled = false;
+            this.shadowsSuspended = true;
+        } else if (size > 0 && this.shadowsSuspended) {
+            shadowMap.enabled = true;
+            this.shadowsSuspended = false;
+        }
+
+        if (!app.scene) return;
+
+        app.scene.traverse(object => {
+            // Materials compile shadow support in; make them recompile
+            if (shadowMap.enabled !== wasEnabled && object.material) {
+                [].concat(object.material).forEach(material => { material.needsUpdate = true; });
+            }
+
+            if (size <= 0 || !object.isLight || !object.castShadow || !object.shadow) return;
+            if (object.shadow.mapSize.x === size) return;
+
+            object.shadow.mapSize.set(size, size);
+            if (object.shadow.map) {
+                object.shadow.map.dispose();
+                object.shadow.map = null;
+            }
+        });
+    }
+}
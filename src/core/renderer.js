@@ -1,8 +1,10 @@
 import * as THREE from 'three';
+import { CanvasRenderer } from './canvas-renderer.js';
 
 /**
  * Create the renderer for the application
- * This function ensures that a renderer is correctly created and configured
+ * This function ensures that a renderer is correctly created and configured,
+ * falling back to the 2D canvas renderer when WebGL is unavailable
  */
 export function createRenderer(options = {}) {
     console.log('Creating renderer...');
@@ -31,22 +33,29 @@ export function createRenderer(options = {}) {
     } catch (error) {
         console.error('Error creating WebGL renderer:', error);
         
-        // Fallback to canvas renderer (for very old browsers)
+        // Fall back to the 2D canvas renderer (locked-down machines, headless browsers)
         try {
             console.warn('Attempting to create fallback renderer');
             
+            const renderer = new CanvasRenderer({ alpha: options.alpha !== false });
+            renderer.setSize(window.innerWidth, window.innerHeight);
+            renderer.setPixelRatio(window.devicePixelRatio);
+            renderer.setClearColor(options.backgroundColor || 0x000000, options.backgroundAlpha || 1);
+            
+            console.log('2D canvas renderer created');
+            return renderer;
+        } catch (fallbackError) {
+            console.error('Error creating fallback renderer:', fallbackError);
+            
             // Create a simple DIV with error message as last resort
             const container = document.getElementById('container') || document.body;
             const errorElement = document.createElement('div');
             errorElement.style.color = 'white';
             errorElement.style.padding = '20px';
             errorElement.style.textAlign = 'center';
-            errorElement.innerHTML = 'Unable to create 3D renderer. Your browser might not support WebGL.<br>Please try using a modern browser.';
+            errorElement.innerHTML = 'Unable to create a renderer. Your browser supports neither WebGL nor the canvas API.<br>Please try using a modern browser.';
             container.appendChild(errorElement);
             
-            return null;
-        } catch (fallbackError) {
-            console.error('Error creating fallback renderer:', fallbackError);
             return null;
         }
     }
@@ -0,0 +1,778 @@
+// sculpt.js - Sculpt mode: brushes that reshape the ball under the pointer, with mirror symmetry,
+// a brush cursor on the surface and undo/redo
+import * as THREE from 'three';
+import { FramePhase, getFrameScheduler } from './frame-scheduler.js';
+import { BallEvents } from './event-bus.js';
+import { addDisposer, addTrackedListener } from './teardown.js';
+import { validateConfig, oneOf } from './config-validation.js';
+import { isCameraInside } from './interior.js';
+import { releaseDent } from './deformer.js';
+import { weldVertices, mapToParticles, getTriangleVertices, collectEdges, buildNeighbours } from './mesh-topology.js';
+
+/** Brushes in the order the menu lists them */
+export const SCULPT_BRUSHES = Object.freeze(['inflate', 'pinch', 'smooth', 'flatten', 'twist', 'noise']);
+
+/** Mirror planes: 'x' mirrors across the ball's YZ plane, and so on */
+export const SCULPT_SYMMETRY = Object.freeze(['none', 'x', 'y', 'z']);
+
+/**
+ * Falloff curves: brush weight for t = 1 at the centre of the brush down to t = 0 at its rim
+ * @readonly
+ */
+export const FALLOFF_CURVES = Object.freeze({
+    smooth: (t) => t * t * (3 - 2 * t),
+    linear: (t) => t,
+    sharp: (t) => t * t * t,
+    sphere: (t) => Math.sqrt(t * (2 - t)),
+    constant: () => 1
+});
+
+// Brush speeds at strength 1, per second of holding the pointer down
+const INFLATE_SPEED = 0.6; // units
+const PINCH_RATE = 4; // share of the way to the centre
+const SMOOTH_RATE = 10; // share of the way to the neighbours' average
+const FLATTEN_RATE = 5; // share of the way to the brush plane
+const TWIST_SPEED = 3; // radians
+const NOISE_SPEED = 0.6; // units
+const NOISE_FREQUENCY = 9;
+
+// A long frame sculpts no more than this much time at once
+const MAX_DAB_STEP = 1 / 20;
+// Sculpted points stay this far from the middle of the ball, so a stroke cannot turn it inside out or fling it away
+const MIN_EXTENT = 0.05;
+const MAX_EXTENT = 2.5;
+
+// Undo steps kept; each is one copy of the surface
+const MAX_HISTORY = 30;
+
+const CURSOR_COLOR = 0xffffff;
+const CURSOR_INVERTED_COLOR = 0xff6644;
+
+/**
+ * @typedef {Object} SculptBrush
+ * @property {number} radius - Reach of the brush in the ball's own units (the ball is about 1 across), 0.05-1
+ * @property {number} strength - How fast the brush works, 0-1
+ * @property {string} falloff - Key of FALLOFF_CURVES
+ */
+
+/**
+ * @typedef {Object} SculptConfig
+ * @property {boolean} enabled - Sculpt mode on; pressing the ball sculpts instead of rotating it
+ * @property {string} brush - Brush in use, one of SCULPT_BRUSHES
+ * @property {string} symmetry - Mirror plane, one of SCULPT_SYMMETRY
+ * @property {Object<string, SculptBrush>} brushes - Settings of every brush, kept while another is in use
+ */
+
+/** @type {SculptConfig} */
+export const DEFAULT_SCULPT = Object.freeze({
+    enabled: false,
+    brush: 'inflate',
+    symmetry: 'none',
+    brushes: Object.freeze({
+        inflate: Object.freeze({ radius: 0.3, strength: 0.5, falloff: 'smooth' }),
+        pinch: Object.freeze({ radius: 0.25, strength: 0.5, falloff: 'sharp' }),
+        smooth: Object.freeze({ radius: 0.3, strength: 0.5, falloff: 'smooth' }),
+        flatten: Object.freeze({ radius: 0.3, strength: 0.5, falloff: 'linear' }),
+        twist: Object.freeze({ radius: 0.35, strength: 0.5, falloff: 'smooth' }),
+        noise: Object.freeze({ radius: 0.3, strength: 0.3, falloff: 'smooth' })
+    })
+});
+
+const BRUSH_RULES = Object.freeze({
+    radius: [0.05, 1],
+    strength: [0, 1],
+    falloff: oneOf(Object.keys(FALLOFF_CURVES))
+});
+
+// One rule per brush, so brushes may list only the brushes and fields that change
+const BRUSHES_RULES = Object.freeze(Object.fromEntries(
+    SCULPT_BRUSHES.map(name => [name, (brush, path) => validateConfig(path, brush, BRUSH_RULES)])
+));
+
+const SCULPT_RULES = Object.freeze({
+    enabled: 'boolean',
+    brush: oneOf(SCULPT_BRUSHES),
+    symmetry: oneOf(SCULPT_SYMMETRY),
+    brushes: (brushes, path) => validateConfig(path, brushes, BRUSHES_RULES)
+});
+
+/**
+ * Check a (partial) sculpt config; brushes may list only the brushes and fields that change
+ * @param {Object} config - Fields of SculptConfig
+ * @returns {string[]} Problems found; empty when the config is valid
+ */
+export function validateSculpt(config) {
+    return validateConfig('sculpt', config, SCULPT_RULES);
+}
+
+// Smooth value noise in -1..1 from a point; cheap and the same on every run
+function noise3(x, y, z) {
+    return Math.sin(x) * Math.sin(y * 1.3 + 1.7) * Math.sin(z * 0.9 + 2.3) +
+        0.5 * Math.sin(x * 2.1 + 0.5) * Math.sin(y * 1.9 + 2.9) * Math.sin(z * 2.3 + 1.1);
+}
+
+const _ndc = new THREE.Vector2();
+const _inverse = new THREE.Matrix4();
+const _center = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _mirrorCenter = new THREE.Vector3();
+const _mirrorNormal = new THREE.Vector3();
+const _areaNormal = new THREE.Vector3();
+const _centroid = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _world = new THREE.Vector3();
+const _worldNormal = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Sculpt mode for one app's ball
+ * While enabled, holding the pointer on the ball works the surface with the
+ * chosen brush (Shift reverses it) and the hover dent stays off. Brushes work
+ * on the welded vertices in the ball's own space and write the result into
+ * the rest shape (app.originalPositions), so the soft body, the deformer and
+ * the effects all build on the sculpted ball. Each stroke and each reset is
+ * one step of a bounded undo history; Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z
+ * or Ctrl+Y redoes. Replacing the geometry (shape or detail change) starts over.
+ */
+export class SculptMode {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.settings = {
+            ...DEFAULT_SCULPT,
+            brushes: Object.fromEntries(SCULPT_BRUSHES.map(name => [name, { ...DEFAULT_SCULPT.brushes[name] }]))
+        };
+        this.geometry = null;
+        this.restSource = null;
+        this.wireGeometry = null;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Pointer in normalized device coordinates, and the stroke it is drawing
+        this.pointer = new THREE.Vector2();
+        this.hasPointer = false;
+        this.inverted = false;
+        this.stroke = null;
+        this.raycaster = new THREE.Raycaster();
+        this.cursors = null;
+    }
+
+    /** Start listening for strokes; call once the ball and the loop exist */
+    start() {
+        const app = this.app;
+        const removeHook = getFrameScheduler(app).add(FramePhase.INPUT, 'sculpt', (clock) => this.update(clock));
+
+        // Strokes start on the canvas only, so the menu stays usable
+        addTrackedListener(app, app.renderer.domElement, 'pointerdown', (event) => this.onPointerDown(event));
+        addTrackedListener(app, window, 'pointermove', (event) => this.onPointerMove(event));
+        addTrackedListener(app, window, 'pointerup', () => this.endStroke());
+        addTrackedListener(app, window, 'keydown', (event) => this.onKeyDown(event));
+
+        addDisposer(app, () => {
+            removeHook();
+            this.dispose();
+        });
+    }
+
+    /** @returns {SculptConfig} Copy of the current settings */
+    get config() {
+        return {
+            ...this.settings,
+            brushes: Object.fromEntries(SCULPT_BRUSHES.map(name => [name, { ...this.settings.brushes[name] }]))
+        };
+    }
+
+    /** True while pressing the ball sculpts it (enabled and nothing else owns the ball) */
+    get active() {
+        return this.settings.enabled && !this.yielding();
+    }
+
+    /** True while a stroke is being drawn */
+    get stroking() {
+        return this.stroke !== null;
+    }
+
+    /** True while there is sculpting that a new geometry would throw away */
+    get edited() {
+        return this.undoStack.length > 0 || this.redoStack.length > 0;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Change some or all of the sculpt settings
+     * Switching on lets go of the hover dent; the sculpted shape stays when switching off.
+     * @param {Object} changes - Fields of SculptConfig; brushes may be partial
+     * @returns {boolean} False if the changes are invalid
+     */
+    configure(changes) {
+        const errors = validateSculpt(changes);
+        if (errors.length > 0) {
+            console.error('Invalid sculpt settings: ' + errors.join('; '));
+            return false;
+        }
+
+        const wasEnabled = this.settings.enabled;
+        const brushes = { ...this.settings.brushes };
+        Object.keys(changes.brushes || {}).forEach(name => {
+            brushes[name] = { ...brushes[name], ...changes.brushes[name] };
+        });
+
+        if (changes.enabled === true && !wasEnabled) {
+            // While the soft body still owns the surface, so it springs straight back to rest
+            releaseDent(this.app, 1);
+        }
+        this.settings = { ...this.settings, ...changes, brushes };
+
+        if (wasEnabled !== this.settings.enabled) {
+            if (!this.settings.enabled) {
+                this.endStroke();
+                this.hideCursors();
+            }
+            console.log(`Sculpt mode ${this.settings.enabled ? 'enabled' : 'disabled'}`);
+        }
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Take back the last stroke (or reset)
+     * @returns {boolean} False when there is nothing to undo or the ball is busy
+     */
+    undo() {
+        return this.travel(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Apply the last undone step again
+     * @returns {boolean} False when there is nothing to redo or the ball is busy
+     */
+    redo() {
+        return this.travel(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * Put the ball back in the shape it had before any sculpting; undoable
+     * @returns {boolean} False when the ball is busy
+     */
+    reset() {
+        this.endStroke();
+        if (this.yielding() || !this.ensureBuilt()) return false;
+
+        this.pushHistory(this.undoStack, this.positions);
+        this.redoStack.length = 0;
+        this.positions.set(this.pristine);
+        this.writeGeometry();
+        this.finishEdit();
+        return true;
+    }
+
+    // Move one step between the stacks, keeping the current shape on the other one
+    travel(from, to, label) {
+        this.endStroke();
+        if (from.length === 0 || this.yielding() || !this.ensureBuilt()) return false;
+
+        this.pushHistory(to, this.positions);
+        this.positions.set(from.pop());
+        this.writeGeometry();
+        this.finishEdit();
+        console.log(`Sculpt ${label}: ${this.undoStack.length} to undo, ${this.redoStack.length} to redo`);
+        return true;
+    }
+
+    pushHistory(stack, positions) {
+        stack.push(new Float32Array(positions));
+        if (stack.length > MAX_HISTORY) stack.shift();
+    }
+
+    // After the shape changed: the soft body rebuilds its rest shape from the sculpted one
+    finishEdit() {
+        if (this.app.softBody) this.app.softBody.invalidate();
+        this.emitChange();
+    }
+
+    emitChange() {
+        if (!this.app.events) return;
+        this.app.events.emit(BallEvents.SCULPT_CHANGE, {
+            enabled: this.settings.enabled,
+            brush: this.settings.brush,
+            canUndo: this.canUndo,
+            canRedo: this.canRedo
+        });
+    }
+
+    update(clock) {
+        const app = this.app;
+        if (!this.settings.enabled || !app.ballMesh || !app.camera) return;
+
+        if (this.yielding() || !this.ensureBuilt()) {
+            this.endStroke();
+            this.hideCursors();
+            return;
+        }
+
+        // The brush cursor takes the place of the hover marker
+        if (app.touchSphere) app.touchSphere.visible = false;
+
+        const hit = this.hasPointer ? this.pick() : null;
+        if (!hit) {
+            this.hideCursors();
+            return;
+        }
+
+        const brush = this.settings.brushes[this.settings.brush];
+        const axis = 'xyz'.indexOf(this.settings.symmetry);
+        _center.copy(hit.point).applyMatrix4(_inverse.copy(app.ballMesh.matrixWorld).invert());
+        _normal.copy(hit.face.normal);
+
+        let changed = false;
+        if (this.stroke) {
+            const dt = Math.min(clock.realDelta, MAX_DAB_STEP);
+            if (dt > 0) {
+                this.updateNormals();
+                changed = this.dab(_center, _normal, brush, dt, 1);
+                if (axis >= 0) {
+                    _mirrorCenter.copy(_center).setComponent(axis, -_center.getComponent(axis));
+                    _mirrorNormal.copy(_normal).setComponent(axis, -_normal.getComponent(axis));
+                    changed = this.dab(_mirrorCenter, _mirrorNormal, brush, dt, -1) || changed;
+                }
+            }
+            if (changed) {
+                this.stroke.changed = true;
+                this.writeGeometry();
+            }
+        }
+
+        this.placeCursors(brush, axis);
+    }
+
+    // The explosion and the blackhole move the ball themselves, and from inside it there is no surface to work
+    yielding() {
+        const app = this.app;
+        return !!(app.isExploded || app.blackholeActivated || isCameraInside(app));
+    }
+
+    onPointerDown(event) {
+        this.setPointer(event);
+        if (!this.active || event.button !== 0 || !this.ensureBuilt() || !this.pick()) return;
+
+        this.stroke = { before: new Float32Array(this.positions), changed: false, seed: Math.random() * 100 };
+    }
+
+    onPointerMove(event) {
+        this.setPointer(event);
+    }
+
+    setPointer(event) {
+        const app = this.app;
+        if (!app.renderer) return;
+        const rect = app.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.hasPointer = true;
+        this.inverted = !!event.shiftKey;
+    }
+
+    onKeyDown(event) {
+        if (!this.settings.enabled || !(event.ctrlKey || event.metaKey)) return;
+        const target = event.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) this.redo(); else this.undo();
+        } else if (key === 'y') {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    // Finish the stroke in progress as one undo step
+    endStroke() {
+        const stroke = this.stroke;
+        if (!stroke) return;
+        this.stroke = null;
+        if (!stroke.changed) return;
+
+        this.pushHistory(this.undoStack, stroke.before);
+        this.redoStack.length = 0;
+        this.finishEdit();
+    }
+
+    // Where the pointer meets the ball, or null
+    pick() {
+        const app = this.app;
+        _ndc.copy(this.pointer);
+        this.raycaster.setFromCamera(_ndc, app.camera);
+        const hits = this.raycaster.intersectObject(app.ballMesh, false);
+        return hits.length > 0 && hits[0].face ? hits[0] : null;
+    }
+
+    // Build the particles again whenever the ball's geometry has been replaced; the history goes with it
+    ensureBuilt() {
+        const app = this.app;
+        if (!app.ballGeometry || !app.originalPositions) return false;
+        if (app.ballGeometry === this.geometry && app.originalPositions === this.restSource) return true;
+
+        try {
+            const hadHistory = this.edited;
+            this.build(app.ballGeometry, app.originalPositions);
+            this.stroke = null;
+            this.undoStack.length = 0;
+            this.redoStack.length = 0;
+            if (hadHistory) this.emitChange();
+            return true;
+        } catch (error) {
+            console.error('Error preparing the ball for sculpting:', error);
+            this.geometry = null;
+            return false;
+        }
+    }
+
+    build(geometry, restSource) {
+        const welded = weldVertices(restSource);
+        const count = welded.count;
+        const triangleParticles = getTriangleVertices(geometry).map(v => welded.vertexParticle[v]);
+        const edges = collectEdges(triangleParticles, count);
+
+        this.geometry = geometry;
+        this.restSource = restSource;
+        this.count = count;
+        this.vertexParticle = welded.vertexParticle;
+        this.triangleParticles = triangleParticles;
+        this.neighbours = buildNeighbours(edges, count);
+        this.positions = welded.positions;
+        this.pristine = new Float32Array(welded.positions);
+        this.normals = new Float32Array(count * 3);
+        this.affected = new Int32Array(count);
+        this.weights = new Float32Array(count);
+        this.targets = new Float32Array(count * 3);
+        this.wireGeometry = null;
+        this.wireParticle = null;
+
+        // Faces of a mesh wound inside out point in; the normals are flipped to match
+        this.normalSign = 1;
+        this.updateNormals();
+        let volume = 0;
+        for (let p = 0, i = 0; p < count; p++, i += 3) {
+            volume += this.positions[i] * this.normals[i] + this.positions[i + 1] * this.normals[i + 1] + this.positions[i + 2] * this.normals[i + 2];
+        }
+        this.normalSign = volume < 0 ? -1 : 1;
+        console.log(`Sculpt ready: ${count} points`);
+    }
+
+    // Area-weighted outward normal of every particle
+    updateNormals() {
+        const positions = this.positions;
+        const normals = this.normals;
+        const triangles = this.triangleParticles;
+        normals.fill(0);
+
+        for (let t = 0; t < triangles.length; t += 3) {
+            const a = triangles[t] * 3;
+            const b = triangles[t + 1] * 3;
+            const c = triangles[t + 2] * 3;
+            const abx = positions[b] - positions[a], aby = positions[b + 1] - positions[a + 1], abz = positions[b + 2] - positions[a + 2];
+            const acx = positions[c] - positions[a], acy = positions[c + 1] - positions[a + 1], acz = positions[c + 2] - positions[a + 2];
+            const nx = aby * acz - abz * acy;
+            const ny = abz * acx - abx * acz;
+            const nz = abx * acy - aby * acx;
+            normals[a] += nx; normals[a + 1] += ny; normals[a + 2] += nz;
+            normals[b] += nx; normals[b + 1] += ny; normals[b + 2] += nz;
+            normals[c] += nx; normals[c + 1] += ny; normals[c + 2] += nz;
+        }
+
+        for (let i = 0; i < normals.length; i += 3) {
+            const scale = this.normalSign / (Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1);
+            normals[i] *= scale;
+            normals[i + 1] *= scale;
+            normals[i + 2] *= scale;
+        }
+    }
+
+    /**
+     * Work the surface around one point for dt seconds
+     * @param {THREE.Vector3} center - Brush centre in the ball's space
+     * @param {THREE.Vector3} hitNormal - Normal of the hit face, used when the area normal cancels out
+     * @param {SculptBrush} brush - Settings of the brush in use
+     * @param {number} dt - Seconds
+     * @param {number} handedness - -1 for the mirrored dab, so a twist turns the mirror way
+     * @returns {boolean} True if any point moved
+     */
+    dab(center, hitNormal, brush, dt, handedness) {
+        const positions = this.positions;
+        const normals = this.normals;
+        const affected = this.affected;
+        const weights = this.weights;
+        const targets = this.targets;
+        const falloff = FALLOFF_CURVES[brush.falloff];
+        const radius = brush.radius;
+        const type = this.settings.brush;
+        const sign = this.inverted ? -1 : 1;
+
+        // Points under the brush, with their weights, the average normal and the weighted middle
+        let n = 0;
+        let total = 0;
+        _areaNormal.set(0, 0, 0);
+        _centroid.set(0, 0, 0);
+        for (let p = 0, i = 0; p < this.count; p++, i += 3) {
+            const dx = positions[i] - center.x;
+            const dy = positions[i + 1] - center.y;
+            const dz = positions[i + 2] - center.z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance >= radius) continue;
+
+            const weight = falloff(1 - distance / radius);
+            if (weight <= 0) continue;
+            affected[n] = p;
+            weights[n] = weight;
+            n++;
+            total += weight;
+            _areaNormal.x += normals[i] * weight;
+            _areaNormal.y += normals[i + 1] * weight;
+            _areaNormal.z += normals[i + 2] * weight;
+            _centroid.x += positions[i] * weight;
+            _centroid.y += positions[i + 1] * weight;
+            _centroid.z += positions[i + 2] * weight;
+        }
+        if (n === 0 || brush.strength <= 0) return false;
+
+        const axis = _areaNormal.lengthSq() > 1e-12 ? _areaNormal.normalize() : _areaNormal.copy(hitNormal).normalize();
+        _centroid.divideScalar(total);
+        const amount = brush.strength * dt;
+        const seed = this.stroke ? this.stroke.seed : 0;
+        const mirrorAxis = 'xyz'.indexOf(this.settings.symmetry);
+
+        // Targets are worked out from the old positions first, so smoothing does not chase its own changes
+        for (let k = 0; k < n; k++) {
+            const p = affected[k];
+            const i = p * 3;
+            const w = weights[k] * amount;
+            let x = positions[i];
+            let y = positions[i + 1];
+            let z = positions[i + 2];
+
+            if (type === 'inflate' || type === 'noise') {
+                // Along the normal; noise picks in or out per point from where it sat before sculpting,
+                // folded across the mirror plane so both sides get the same bumps
+                let push = w * INFLATE_SPEED * sign;
+                if (type === 'noise') {
+                    const source = this.pristine;
+                    _offset.fromArray(source, i);
+                    if (mirrorAxis >= 0) _offset.setComponent(mirrorAxis, Math.abs(_offset.getComponent(mirrorAxis)));
+                    push = w * NOISE_SPEED * sign * noise3(
+                        _offset.x * NOISE_FREQUENCY + seed,
+                        _offset.y * NOISE_FREQUENCY + seed,
+                        _offset.z * NOISE_FREQUENCY + seed
+                    );
+                }
+                x += normals[i] * push;
+                y += normals[i + 1] * push;
+                z += normals[i + 2] * push;
+            } else if (type === 'pinch') {
+                // Towards the centre along the surface; reversed, away from it
+                _offset.set(center.x - x, center.y - y, center.z - z);
+                _offset.addScaledVector(axis, -_offset.dot(axis));
+                const share = Math.min(1, w * PINCH_RATE) * sign;
+                x += _offset.x * share;
+                y += _offset.y * share;
+                z += _offset.z * share;
+            } else if (type === 'smooth') {
+                const { offsets, list } = this.neighbours;
+                const start = offsets[p];
+                const end = offsets[p + 1];
+                if (end > start) {
+                    let ax = 0, ay = 0, az = 0;
+                    for (let j = start; j < end; j++) {
+                        const q = list[j] * 3;
+                        ax += positions[q];
+                        ay += positions[q + 1];
+                        az += positions[q + 2];
+                    }
+                    const share = Math.min(1, w * SMOOTH_RATE);
+                    const inverse = 1 / (end - start);
+                    x += (ax * inverse - x) * share;
+                    y += (ay * inverse - y) * share;
+                    z += (az * inverse - z) * share;
+                }
+            } else if (type === 'flatten') {
+                // Onto the plane through the middle of the brushed area; reversed, away from it
+                const height = (x - _centroid.x) * axis.x + (y - _centroid.y) * axis.y + (z - _centroid.z) * axis.z;
+                const share = Math.min(1, w * FLATTEN_RATE) * sign;
+                x -= axis.x * height * share;
+                y -= axis.y * height * share;
+                z -= axis.z * height * share;
+            } else if (type === 'twist') {
+                _offset.set(x - center.x, y - center.y, z - center.z);
+                _offset.applyAxisAngle(axis, w * TWIST_SPEED * sign * handedness);
+                x = center.x + _offset.x;
+                y = center.y + _offset.y;
+                z = center.z + _offset.z;
+            }
+
+            // Keep the point within reach of the middle
+            const length = Math.sqrt(x * x + y * y + z * z);
+            const clamped = Math.min(Math.max(length, MIN_EXTENT), MAX_EXTENT);
+            if (length > 0 && clamped !== length) {
+                const scale = clamped / length;
+                x *= scale;
+                y *= scale;
+                z *= scale;
+            }
+            targets[k * 3] = x;
+            targets[k * 3 + 1] = y;
+            targets[k * 3 + 2] = z;
+        }
+
+        let moved = false;
+        for (let k = 0; k < n; k++) {
+            const i = affected[k] * 3;
+            const t = k * 3;
+            if (positions[i] !== targets[t] || positions[i + 1] !== targets[t + 1] || positions[i + 2] !== targets[t + 2]) {
+                moved = true;
+                positions[i] = targets[t];
+                positions[i + 1] = targets[t + 1];
+                positions[i + 2] = targets[t + 2];
+            }
+        }
+        return moved;
+    }
+
+    // Copy the particles into the rest shape, the geometry and the wireframe
+    writeGeometry() {
+        const app = this.app;
+        const positions = this.positions;
+        const vertexParticle = this.vertexParticle;
+        const rest = this.restSource;
+        const position = this.geometry.attributes.position;
+        const array = position.array;
+
+        for (let v = 0, i = 0; v < vertexParticle.length; v++, i += 3) {
+            const p = vertexParticle[v] * 3;
+            rest[i] = array[i] = positions[p];
+            rest[i + 1] = array[i + 1] = positions[p + 1];
+            rest[i + 2] = array[i + 2] = positions[p + 2];
+        }
+        position.needsUpdate = true;
+        this.geometry.computeVertexNormals();
+        this.geometry.computeBoundingSphere();
+
+        if (!app.wireMesh) return;
+        if (app.wireMesh.geometry !== this.wireGeometry) {
+            this.adoptWire();
+        }
+        const wirePosition = this.wireGeometry.attributes.position;
+        const wireArray = wirePosition.array;
+        const wireParticle = this.wireParticle;
+        for (let w = 0, i = 0; w < wireParticle.length; w++, i += 3) {
+            const p = wireParticle[w];
+            if (p < 0) continue;
+            wireArray[i] = positions[p * 3];
+            wireArray[i + 1] = positions[p * 3 + 1];
+            wireArray[i + 2] = positions[p * 3 + 2];
+        }
+        wirePosition.needsUpdate = true;
+        this.wireGeometry.computeBoundingSphere();
+    }
+
+    // Give the wireframe an edge geometry whose vertices map onto the particles
+    // Edges are picked from the current rest shape, whatever others have left in the buffers
+    adoptWire() {
+        const app = this.app;
+        const base = new THREE.BufferGeometry();
+        base.setAttribute('position', new THREE.BufferAttribute(this.restSource, 3));
+        if (this.geometry.index) base.setIndex(this.geometry.index);
+        const wire = new THREE.EdgesGeometry(base);
+        this.wireParticle = mapToParticles(wire.attributes.position.array, this.restSource, this.vertexParticle);
+
+        const previous = app.wireMesh.geometry;
+        app.wireMesh.geometry = wire;
+        if (previous && previous !== wire) previous.dispose();
+        this.wireGeometry = wire;
+        if (app.ballGroup) {
+            app.ballGroup.userData.wireGeo = wire;
+        }
+    }
+
+    // Rings on the surface showing the brush and its mirror image
+    placeCursors(brush, axis) {
+        const app = this.app;
+        const cursors = this.ensureCursors();
+        const matrix = app.ballMesh.matrixWorld;
+        const color = this.inverted && this.settings.brush !== 'smooth' ? CURSOR_INVERTED_COLOR : CURSOR_COLOR;
+        _scale.setFromMatrixScale(matrix);
+        const size = brush.radius * _scale.x;
+
+        const place = (ring, center, normal) => {
+            _world.copy(center).applyMatrix4(matrix);
+            _worldNormal.copy(normal).transformDirection(matrix);
+            ring.position.copy(_world).addScaledVector(_worldNormal, 0.005);
+            ring.quaternion.setFromUnitVectors(_up, _worldNormal);
+            ring.scale.setScalar(size);
+            ring.material.color.setHex(color);
+            ring.visible = true;
+        };
+
+        place(cursors[0], _center, _normal);
+        if (axis >= 0) {
+            _mirrorCenter.copy(_center).setComponent(axis, -_center.getComponent(axis));
+            _mirrorNormal.copy(_normal).setComponent(axis, -_normal.getComponent(axis));
+            place(cursors[1], _mirrorCenter, _mirrorNormal);
+        } else {
+            cursors[1].visible = false;
+        }
+    }
+
+    ensureCursors() {
+        if (this.cursors) return this.cursors;
+
+        const geometry = new THREE.RingGeometry(0.92, 1, 48);
+        this.cursors = [0.9, 0.45].map(opacity => {
+            const ring = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                color: CURSOR_COLOR,
+                transparent: true,
+                opacity,
+                side: THREE.DoubleSide,
+                depthTest: false,
+                depthWrite: false
+            }));
+            ring.renderOrder = 999;
+            ring.visible = false;
+            ring.raycast = () => {};
+            this.app.scene.add(ring);
+            return ring;
+        });
+        return this.cursors;
+    }
+
+    hideCursors() {
+        if (!this.cursors) return;
+        this.cursors[0].visible = false;
+        this.cursors[1].visible = false;
+    }
+
+    /** Drop the stroke in progress and take the cursors out of the scene; the sculpted shape stays */
+    dispose() {
+        this.stroke = null;
+        if (this.cursors) {
+            this.cursors.forEach(ring => {
+                ring.removeFromParent();
+                ring.material.dispose();
+            });
+            this.cursors[0].geometry.dispose();
+            this.cursors = null;
+        }
+    }
+}
@@ -0,0 +1,126 @@
+// share-link.js - Encode ball state into the URL hash so a configuration can be shared as a link
+import { exportState, importState } from './state.js';
+
+const HASH_KEY = 'state';
+
+// Payload prefixes: deflate-compressed JSON, or plain JSON where CompressionStream is missing
+const COMPRESSED = 'z';
+const PLAIN = 'j';
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function pipeBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Encode a state object for the URL hash
+ * @param {Object} state - State from exportState
+ * @returns {Promise<string>} URL-safe payload
+ */
+export async function encodeState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+
+    if (typeof CompressionStream === 'function') {
+        return COMPRESSED + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+    }
+    return PLAIN + toBase64Url(bytes);
+}
+
+/**
+ * Decode a payload produced by encodeState
+ * @param {string} payload - URL-safe payload
+ * @returns {Promise<Object>} Parsed state; rejects if the payload is corrupt
+ */
+export async function decodeState(payload) {
+    const kind = payload.charAt(0);
+    let bytes = fromBase64Url(payload.slice(1));
+
+    if (kind === COMPRESSED) {
+        if (typeof DecompressionStream !== 'function') {
+            throw new Error('this browser cannot decompress share links');
+        }
+        bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (kind !== PLAIN) {
+        throw new Error(`unknown share link format "${kind}"`);
+    }
+
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Get the encoded state from a location hash, if it has one
+ * @param {string} [hash] - Hash to read, defaults to the current one
+ * @returns {string|null} Payload or null
+ */
+export function getHashPayload(hash = window.location.hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    return params.get(HASH_KEY);
+}
+
+/**
+ * Build a link to this page that reproduces the app's current state
+ * @param {Object} app - Application context
+ * @returns {Promise<string>} Absolute URL
+ */
+export async function createShareLink(app) {
+    const url = new URL(window.location.href);
+    url.hash = `${HASH_KEY}=${await encodeState(exportState(app))}`;
+    return url.toString();
+}
+
+/**
+ * Restore the state encoded in the location hash
+ * @param {Object} app - Application context
+ * @param {string} [hash] - Hash to read, defaults to the current one
+ * @returns {Promise<boolean>} True if a state was found and applied
+ */
+export async function applyStateFromHash(app, hash = window.location.hash) {
+    const payload = getHashPayload(hash);
+    if (!payload) return false;
+
+    try {
+        return importState(app, await decodeState(payload));
+    } catch (error) {
+        console.error('Could not read share link:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Copy a share link for the app to the clipboard
+ * Falls back to a prompt the user can copy from when clipboard access is denied.
+ * @param {Object} app - Application context
+ * @returns {Promise<string|null>} The link, or null if it could not be created
+ */
+export async function copyShareLink(app) {
+    let link;
+    try {
+        link = await createShareLink(app);
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        return null;
+    }
+
+    try {
+        await navigator.clipboard.writeText(link);
+        console.log('Share link copied to clipboard');
+    } catch (error) {
+        console.warn('Clipboard unavailable, showing share link instead:', error.message);
+        window.prompt('Copy this link to share the ball:', link);
+    }
+
+    return link;
+}
@@ -0,0 +1,720 @@
+// soft-body.js - Spring-mass soft body over the ball's vertices: pokes wobble and spread,
+// and the surface jiggles when the ball is spun or shaken
+import * as THREE from 'three';
+import { FramePhase, getFrameScheduler } from './frame-scheduler.js';
+import { BallEvents } from './event-bus.js';
+import { addDisposer } from './teardown.js';
+import { validateConfig } from './config-validation.js';
+import { isCameraInside } from './interior.js';
+import { weldVertices, mapToParticles, getTriangleVertices, collectEdges } from './mesh-topology.js';
+
+// Longest step integrated at once; stiff springs need short steps to stay stable.
+// A frame simulates at most MAX_STEPS of them, enough for timeScale 4 at 60 fps; the rest
+// of a longer frame is dropped, so the surface falls behind instead of blowing up
+const MAX_STEP = 1 / 120;
+const MAX_STEPS = 8;
+
+// Every particle is also tied to its rest position by a spring this share of the stiffness,
+// so the shape comes back and the ball does not drift or turn inside its own mesh
+const ANCHOR_SHARE = 0.2;
+// A held dent pulls towards its target this many times harder than the edge springs
+const PRESS_SHARE = 2;
+
+// Speed given to the middle of a poke of intensity 1, in units per second
+const POKE_SPEED = 4;
+// Speed given to the contact side by a physics impact of amount 1
+const IMPACT_SPEED = 10;
+
+// How strongly the ball's own acceleration and spin shake the surface
+const LINEAR_INERTIA = 0.01;
+const SPIN_INERTIA = 0.01;
+// Limits on the measured motion, so teleports and first frames do not tear the mesh
+const MAX_SPIN = 20; // radians per second
+const MAX_ANGULAR_ACCEL = 300; // radians per second squared
+const MAX_ACCEL = 100; // units per second squared
+
+// Below these the body snaps to rest and stops stepping until something wakes it
+const SLEEP_SPEED = 0.002;
+const SLEEP_OFFSET = 0.001;
+const WAKE_MOTION = 0.05;
+
+/**
+ * @typedef {Object} SoftBodyConfig
+ * @property {boolean} enabled - Soft body on; off gives the classic dent that eases back
+ * @property {number} stiffness - Spring strength between neighbouring vertices, 10-400
+ * @property {number} damping - Wobble decay; the fraction of speed lost per second is about 1 - e^-damping, 0-20
+ * @property {number} pressure - How hard the inside pushes back when the ball is squeezed, 0-5
+ */
+
+/** @type {SoftBodyConfig} */
+export const DEFAULT_SOFT_BODY = Object.freeze({
+    enabled: true,
+    stiffness: 120,
+    damping: 4,
+    pressure: 1
+});
+
+const SOFT_BODY_RULES = Object.freeze({
+    enabled: 'boolean',
+    stiffness: [10, 400],
+    damping: [0, 20],
+    pressure: [0, 5]
+});
+
+/**
+ * Check a (partial) soft body config
+ * @param {Object} config - Fields of SoftBodyConfig
+ * @returns {string[]} Problems found; empty when the config is valid
+ */
+export function validateSoftBody(config) {
+    return validateConfig('softBody', config, SOFT_BODY_RULES);
+}
+
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _delta = new THREE.Quaternion();
+const _omega = new THREE.Vector3();
+const _alpha = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _accel = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _inverse = new THREE.Matrix4();
+
+/**
+ * Soft body for one app's ball
+ * Vertices at the same place are welded into particles, joined by springs
+ * along the mesh edges and tied to their rest positions. A pressure term
+ * pushes along the surface normals whenever the enclosed volume shrinks, so a
+ * dent makes the rest of the ball bulge. Hovering holds a dent under the
+ * pointer (app.applyDeformation), a press pokes the surface and physics
+ * impacts hit it from the contact side; the ball's own acceleration and spin
+ * act as inertial forces, so fast drags and throws make it jiggle.
+ * All buffers are built when the geometry changes; a frame allocates nothing.
+ * While spikes, the explosion, the blackhole or sculpt mode own the vertices it stands aside.
+ */
+export class SoftBody {
+    /**
+     * @param {Object} app - Application context
+     */
+    constructor(app) {
+        this.app = app;
+        this.settings = { ...DEFAULT_SOFT_BODY };
+        this.geometry = null;
+        this.restSource = null;
+        this.wireGeometry = null;
+        this.awake = false;
+        this.yielded = false;
+        this.tracking = false;
+        this.motion = 0;
+
+        // Held dent, in world space as given and in the ball's space for the step
+        this.pressing = false;
+        this.pressPoint = new THREE.Vector3();
+        this.pressLocal = new THREE.Vector3();
+        this.pressIntensity = 0;
+        this.pressRadius = 0;
+        this.pressLocalRadius = 0;
+
+        // Ball motion from the last frame, in world space, and the inertial terms in the ball's space
+        this.previousQuaternion = new THREE.Quaternion();
+        this.previousPosition = new THREE.Vector3();
+        this.previousOmega = new THREE.Vector3();
+        this.previousVelocity = new THREE.Vector3();
+        this.localAccel = new THREE.Vector3();
+        this.localOmega = new THREE.Vector3();
+        this.localAlpha = new THREE.Vector3();
+    }
+
+    /** Start stepping; call once the ball and the loop exist */
+    start() {
+        const app = this.app;
+        const removeHook = getFrameScheduler(app).add(FramePhase.SIMULATION, 'softBody', (clock) => this.update(clock));
+        const offPress = app.events
+            ? app.events.on(BallEvents.BALL_PRESS, ({ point }) => this.poke(point, 0.3, 0.5))
+            : () => {};
+
+        addDisposer(app, () => {
+            removeHook();
+            offPress();
+            this.dispose();
+        });
+    }
+
+    /** @returns {SoftBodyConfig} Copy of the current settings */
+    get config() {
+        return { ...this.settings };
+    }
+
+    /** True while the soft body owns the vertices (enabled and nothing else is shaping the ball) */
+    get active() {
+        return this.settings.enabled && !this.yielding();
+    }
+
+    /**
+     * Change some or all of the soft body settings
+     * Switching off puts the ball back in its rest shape.
+     * @param {Object} changes - Fields of SoftBodyConfig
+     * @returns {boolean} False if the changes are invalid
+     */
+    configure(changes) {
+        const errors = validateSoftBody(changes);
+        if (errors.length > 0) {
+            console.error('Invalid soft body settings: ' + errors.join('; '));
+            return false;
+        }
+
+        const wasEnabled = this.settings.enabled;
+        this.settings = { ...this.settings, ...changes };
+
+        if (wasEnabled !== this.settings.enabled) {
+            if (!this.settings.enabled && this.geometry) {
+                this.settle(true);
+            }
+            this.pressing = false;
+            this.tracking = false;
+            // Whatever shaped the vertices while off is replaced on the next step
+            this.awake = this.settings.enabled;
+            console.log(`Soft body ${this.settings.enabled ? 'enabled' : 'disabled'}`);
+        } else if (this.settings.enabled) {
+            this.awake = true;
+        }
+        return true;
+    }
+
+    /**
+     * Hold a dent under a point on the surface until release() (hover)
+     * @param {THREE.Vector3} point - World-space point on the ball
+     * @param {number} intensity - Depth of the dent in the middle
+     * @param {number} radius - World-space radius of the dent
+     */
+    press(point, intensity, radius) {
+        this.pressPoint.copy(point);
+        this.pressIntensity = intensity;
+        this.pressRadius = radius;
+        if (!this.pressing) {
+            // The first touch also knocks the surface, so the dent lands with a wobble
+            this.poke(point, intensity, radius);
+        }
+        this.pressing = true;
+        this.awake = true;
+    }
+
+    /** Let go of the held dent; the surface springs back on its own */
+    release() {
+        this.pressing = false;
+    }
+
+    /**
+     * Knock the surface inwards around a point
+     * @param {THREE.Vector3} point - World-space point on the ball
+     * @param {number} [intensity=0.3] - Strength; 1 is a hard poke
+     * @param {number} [radius=0.5] - World-space radius of the poke
+     * @returns {boolean} False while the soft body is not active
+     */
+    poke(point, intensity = 0.3, radius = 0.5) {
+        if (!this.active || !this.ensureBuilt() || isCameraInside(this.app)) return false;
+
+        this.toLocal(point, _local);
+        const localRadius = radius / (_scale.x || 1);
+        const rest = this.rest;
+        const normals = this.restNormals;
+        const velocities = this.velocities;
+
+        for (let p = 0, i = 0; p < this.count; p++, i += 3) {
+            const dx = rest[i] - _local.x;
+            const dy = rest[i + 1] - _local.y;
+            const dz = rest[i + 2] - _local.z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance >= localRadius) continue;
+
+            const speed = (1 - distance / localRadius) * intensity * POKE_SPEED;
+            velocities[i] -= normals[i] * speed;
+            velocities[i + 1] -= normals[i + 1] * speed;
+            velocities[i + 2] -= normals[i + 2] * speed;
+        }
+        this.awake = true;
+        return true;
+    }
+
+    /**
+     * Hit the surface from a contact (physics.js bounces)
+     * @param {THREE.Vector3} normal - World-space normal of the surface the ball hit
+     * @param {number} amount - Strength, 0-1
+     * @returns {boolean} False while the soft body is not active
+     */
+    impact(normal, amount) {
+        if (!this.active || !this.ensureBuilt()) return false;
+
+        this.app.ballMesh.updateWorldMatrix(true, false);
+        const n = _local.copy(normal).transformDirection(_inverse.copy(this.app.ballMesh.matrixWorld).invert());
+        const normals = this.restNormals;
+        const velocities = this.velocities;
+
+        // The side facing the surface is pushed in along the normal, the more squarely it faces it the harder
+        for (let p = 0, i = 0; p < this.count; p++, i += 3) {
+            const facing = -(normals[i] * n.x + normals[i + 1] * n.y + normals[i + 2] * n.z);
+            if (facing <= 0) continue;
+
+            const speed = amount * IMPACT_SPEED * facing * facing;
+            velocities[i] += n.x * speed;
+            velocities[i + 1] += n.y * speed;
+            velocities[i + 2] += n.z * speed;
+        }
+        this.awake = true;
+        return true;
+    }
+
+    /** Put the ball straight back in its rest shape, dropping any wobble and held dent */
+    reset() {
+        this.pressing = false;
+        if (this.geometry) {
+            this.settle(true);
+        }
+    }
+
+    /** Build again from app.originalPositions on the next step; call after changing the rest shape in place */
+    invalidate() {
+        this.geometry = null;
+    }
+
+    update(clock) {
+        const app = this.app;
+        if (!this.settings.enabled || !app.ballGeometry || !app.originalPositions || !app.ballMesh) return;
+
+        if (this.yielding()) {
+            // Spikes and friends shape the vertices now; start from rest when they are done
+            if (this.geometry && (this.awake || this.pressing)) this.settle(false);
+            this.pressing = false;
+            this.yielded = true;
+            this.tracking = false;
+            return;
+        }
+
+        if (!this.ensureBuilt()) return;
+        if (this.yielded) {
+            // Spiky mode copies its own edges into the wireframe; take it back and redraw
+            this.yielded = false;
+            this.adoptWire();
+            this.awake = true;
+        }
+
+        const dt = clock.delta;
+        if (dt <= 0) return;
+
+        this.measureMotion(dt);
+        if (!this.awake && !this.pressing && this.motion < WAKE_MOTION) return;
+        this.awake = true;
+
+        if (this.pressing) {
+            this.toLocal(this.pressPoint, this.pressLocal);
+            this.pressLocalRadius = this.pressRadius / (_scale.x || 1);
+        }
+
+        const simulated = Math.min(dt, MAX_STEPS * MAX_STEP);
+        const steps = Math.ceil(simulated / MAX_STEP);
+        for (let i = 0; i < steps; i++) {
+            this.step(simulated / steps);
+        }
+
+        if (!this.pressing && this.isSettled()) {
+            this.settle(true);
+        } else {
+            this.writeGeometry();
+        }
+    }
+
+    // Spikes, the explosion, the blackhole and sculpt brushes (sculpt.js) write the vertices themselves
+    yielding() {
+        const app = this.app;
+        const effectState = app.effectState;
+        return !!(app.isExploded || app.blackholeActivated || (effectState && effectState.spikiness > 0) ||
+            (app.sculpt && app.sculpt.active));
+    }
+
+    // Build the particles again whenever the ball's geometry has been replaced (shape or quality change)
+    ensureBuilt() {
+        const app = this.app;
+        if (!app.ballGeometry || !app.originalPositions) return false;
+        if (app.ballGeometry === this.geometry && app.originalPositions === this.restSource) return true;
+
+        try {
+            this.build(app.ballGeometry, app.originalPositions);
+            return true;
+        } catch (error) {
+            console.error('Error building soft body:', error);
+            this.geometry = null;
+            return false;
+        }
+    }
+
+    build(geometry, restSource) {
+        // Particles, triangles as vertices (for normals) and as particles (for volume), one spring per edge
+        const welded = weldVertices(restSource);
+        const count = welded.count;
+        const vertexParticle = welded.vertexParticle;
+        const restList = welded.positions;
+        const triangleVertices = getTriangleVertices(geometry);
+        const triangleParticles = triangleVertices.map(v => vertexParticle[v]);
+
+        const springs = collectEdges(triangleParticles, count);
+        const restLengths = new Float32Array(springs.length / 2);
+        for (let s = 0; s < restLengths.length; s++) {
+            const a = springs[s * 2] * 3;
+            const b = springs[s * 2 + 1] * 3;
+            restLengths[s] = Math.hypot(restList[b] - restList[a], restList[b + 1] - restList[a + 1], restList[b + 2] - restList[a + 2]);
+        }
+
+        this.geometry = geometry;
+        this.restSource = restSource;
+        this.count = count;
+        this.vertexParticle = vertexParticle;
+        this.triangleVertices = triangleVertices;
+        this.triangleParticles = triangleParticles;
+        this.springs = springs;
+        this.restLengths = restLengths;
+        this.rest = restList;
+        this.positions = Float32Array.from(restList);
+        this.velocities = new Float32Array(count * 3);
+        this.forces = new Float32Array(count * 3);
+        this.normals = new Float32Array(count * 3);
+        this.faceNormals = new Float32Array(triangleVertices.length);
+
+        // Rest volume and outward normals; a mesh wound inside out just flips the sign
+        const volume = this.accumulateNormals();
+        this.volumeSign = volume < 0 ? -1 : 1;
+        this.restVolume = Math.abs(volume);
+        this.restNormals = new Float32Array(this.normals);
+        for (let i = 0; i < this.restNormals.length; i += 3) {
+            const length = Math.hypot(this.restNormals[i], this.restNormals[i + 1], this.restNormals[i + 2]) || 1;
+            const scale = this.volumeSign / length;
+            this.restNormals[i] *= scale;
+            this.restNormals[i + 1] *= scale;
+            this.restNormals[i + 2] *= scale;
+        }
+
+        this.adoptWire();
+        this.awake = false;
+        this.tracking = false;
+        console.log(`Soft body built: ${count} particles, ${restLengths.length} springs`);
+    }
+
+    // Give the wireframe an edge geometry whose vertices map onto the particles
+    adoptWire() {
+        const app = this.app;
+        const geometry = this.geometry;
+        const position = geometry.attributes.position;
+        position.array.set(this.restSource);
+        position.needsUpdate = true;
+        geometry.computeVertexNormals();
+        if (!app.wireMesh) return;
+
+        const wire = new THREE.EdgesGeometry(geometry);
+        this.wireParticle = mapToParticles(wire.attributes.position.array, this.restSource, this.vertexParticle);
+
+        const previous = app.wireMesh.geometry;
+        app.wireMesh.geometry = wire;
+        if (previous && previous !== wire) previous.dispose();
+        this.wireGeometry = wire;
+        if (app.ballGroup) {
+            app.ballGroup.userData.wireGeo = wire;
+        }
+    }
+
+    // Watch the ball's world transform for the acceleration and spin that shake the surface
+    measureMotion(dt) {
+        const mesh = this.app.ballMesh;
+        mesh.updateWorldMatrix(true, false);
+        mesh.matrixWorld.decompose(_position, _quaternion, _scale);
+
+        if (!this.tracking) {
+            this.tracking = true;
+            this.previousQuaternion.copy(_quaternion);
+            this.previousPosition.copy(_position);
+            this.previousOmega.set(0, 0, 0);
+            this.previousVelocity.set(0, 0, 0);
+            this.localAccel.set(0, 0, 0);
+            this.localOmega.set(0, 0, 0);
+            this.localAlpha.set(0, 0, 0);
+            this.motion = 0;
+            return;
+        }
+
+        // Rotation since the last frame, as an angular velocity
+        _delta.copy(this.previousQuaternion).invert().premultiply(_quaternion);
+        if (_delta.w < 0) _delta.set(-_delta.x, -_delta.y, -_delta.z, -_delta.w);
+        const sine = Math.sqrt(Math.max(0, 1 - _delta.w * _delta.w));
+        if (sine > 1e-6) {
+            const angle = 2 * Math.acos(Math.min(_delta.w, 1));
+            _omega.set(_delta.x, _delta.y, _delta.z).multiplyScalar(angle / (sine * dt)).clampLength(0, MAX_SPIN);
+        } else {
+            _omega.set(0, 0, 0);
+        }
+        _alpha.subVectors(_omega, this.previousOmega).divideScalar(dt).clampLength(0, MAX_ANGULAR_ACCEL);
+        _velocity.subVectors(_position, this.previousPosition).divideScalar(dt);
+        _accel.subVectors(_velocity, this.previousVelocity).divideScalar(dt).clampLength(0, MAX_ACCEL);
+
+        this.previousQuaternion.copy(_quaternion);
+        this.previousPosition.copy(_position);
+        this.previousOmega.copy(_omega);
+        this.previousVelocity.copy(_velocity);
+
+        // Into the ball's own space, where the particles live
+        _quaternion.invert();
+        this.localOmega.copy(_omega).applyQuaternion(_quaternion);
+        this.localAlpha.copy(_alpha).applyQuaternion(_quaternion);
+        this.localAccel.copy(_accel).applyQuaternion(_quaternion).divideScalar(_scale.x || 1);
+
+        const spin = this.localOmega.lengthSq() + this.localAlpha.length();
+        this.motion = this.localAccel.length() * LINEAR_INERTIA + spin * SPIN_INERTIA;
+    }
+
+    step(dt) {
+        const { stiffness, damping, pressure } = this.settings;
+        const count = this.count;
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const forces = this.forces;
+        const rest = this.rest;
+        const anchor = stiffness * ANCHOR_SHARE;
+
+        // Inertial forces in the ball's frame: -a - alpha x r - omega x (omega x r)
+        const ax = this.localAccel.x * LINEAR_INERTIA;
+        const ay = this.localAccel.y * LINEAR_INERTIA;
+        const az = this.localAccel.z * LINEAR_INERTIA;
+        const wx = this.localOmega.x, wy = this.localOmega.y, wz = this.localOmega.z;
+        const bx = this.localAlpha.x, by = this.localAlpha.y, bz = this.localAlpha.z;
+
+        for (let p = 0, i = 0; p < count; p++, i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            const wr = wx * x + wy * y + wz * z;
+            const ww = wx * wx + wy * wy + wz * wz;
+            // omega x (omega x r) = omega (omega . r) - r |omega|^2
+            const cx = wx * wr - x * ww;
+            const cy = wy * wr - y * ww;
+            const cz = wz * wr - z * ww;
+
+            forces[i] = anchor * (rest[i] - x) - ax - (by * z - bz * y + cx) * SPIN_INERTIA;
+            forces[i + 1] = anchor * (rest[i + 1] - y) - ay - (bz * x - bx * z + cy) * SPIN_INERTIA;
+            forces[i + 2] = anchor * (rest[i + 2] - z) - az - (bx * y - by * x + cz) * SPIN_INERTIA;
+        }
+
+        if (this.pressing) {
+            this.applyPress(stiffness * PRESS_SHARE);
+        }
+
+        // Edge springs
+        const springs = this.springs;
+        const restLengths = this.restLengths;
+        for (let s = 0; s < restLengths.length; s++) {
+            const a = springs[s * 2] * 3;
+            const b = springs[s * 2 + 1] * 3;
+            const dx = positions[b] - positions[a];
+            const dy = positions[b + 1] - positions[a + 1];
+            const dz = positions[b + 2] - positions[a + 2];
+            const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (length < 1e-9) continue;
+
+            const f = stiffness * (length - restLengths[s]) / length;
+            forces[a] += dx * f;
+            forces[a + 1] += dy * f;
+            forces[a + 2] += dz * f;
+            forces[b] -= dx * f;
+            forces[b + 1] -= dy * f;
+            forces[b + 2] -= dz * f;
+        }
+
+        // Pressure: a squeezed ball pushes out along its normals
+        if (pressure > 0 && this.restVolume > 1e-9) {
+            const volume = this.accumulateNormals() * this.volumeSign;
+            const push = pressure * stiffness * (this.restVolume - volume) / this.restVolume;
+            if (push !== 0) {
+                const normals = this.normals;
+                for (let i = 0; i < normals.length; i += 3) {
+                    const length = Math.sqrt(normals[i] * normals[i] + normals[i + 1] * normals[i + 1] + normals[i + 2] * normals[i + 2]);
+                    if (length < 1e-12) continue;
+                    const f = push * this.volumeSign / length;
+                    forces[i] += normals[i] * f;
+                    forces[i + 1] += normals[i + 1] * f;
+                    forces[i + 2] += normals[i + 2] * f;
+                }
+            }
+        }
+
+        // Semi-implicit Euler with exponential damping
+        const decay = Math.exp(-damping * dt);
+        for (let i = 0; i < positions.length; i++) {
+            velocities[i] = (velocities[i] + forces[i] * dt) * decay;
+            positions[i] += velocities[i] * dt;
+        }
+    }
+
+    // Pull particles under the pointer towards a dent below their rest position
+    applyPress(strength) {
+        const rest = this.rest;
+        const normals = this.restNormals;
+        const positions = this.positions;
+        const forces = this.forces;
+        const point = this.pressLocal;
+        const radius = this.pressLocalRadius;
+
+        for (let p = 0, i = 0; p < this.count; p++, i += 3) {
+            const dx = rest[i] - point.x;
+            const dy = rest[i + 1] - point.y;
+            const dz = rest[i + 2] - point.z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance >= radius) continue;
+
+            const depth = (1 - distance / radius) * this.pressIntensity;
+            forces[i] += strength * (rest[i] - normals[i] * depth - positions[i]);
+            forces[i + 1] += strength * (rest[i + 1] - normals[i + 1] * depth - positions[i + 1]);
+            forces[i + 2] += strength * (rest[i + 2] - normals[i + 2] * depth - positions[i + 2]);
+        }
+    }
+
+    // Sum each triangle's area normal onto its particles and into faceNormals; returns the signed volume
+    accumulateNormals() {
+        const positions = this.positions;
+        const normals = this.normals;
+        const faceNormals = this.faceNormals;
+        const triangles = this.triangleParticles;
+        let volume = 0;
+
+        normals.fill(0);
+        for (let t = 0; t < triangles.length; t += 3) {
+            const a = triangles[t] * 3;
+            const b = triangles[t + 1] * 3;
+            const c = triangles[t + 2] * 3;
+            const ax = positions[a], ay = positions[a + 1], az = positions[a + 2];
+            const bx = positions[b], by = positions[b + 1], bz = positions[b + 2];
+            const cx = positions[c], cy = positions[c + 1], cz = positions[c + 2];
+
+            // (b - a) x (c - a), twice the area along the face normal
+            const ux = bx - ax, uy = by - ay, uz = bz - az;
+            const vx = cx - ax, vy = cy - ay, vz = cz - az;
+            const nx = uy * vz - uz * vy;
+            const ny = uz * vx - ux * vz;
+            const nz = ux * vy - uy * vx;
+
+            faceNormals[t] = nx;
+            faceNormals[t + 1] = ny;
+            faceNormals[t + 2] = nz;
+            for (let k = 0; k < 3; k++) {
+                const p = triangles[t + k] * 3;
+                normals[p] += nx;
+                normals[p + 1] += ny;
+                normals[p + 2] += nz;
+            }
+
+            // Signed tetrahedron volume against the origin: a . (b x c) / 6
+            volume += (ax * (by * cz - bz * cy) + ay * (bz * cx - bx * cz) + az * (bx * cy - by * cx)) / 6;
+        }
+        return volume;
+    }
+
+    // Copy the particles into the ball's vertices, normals and wireframe
+    writeGeometry() {
+        const geometry = this.geometry;
+        const position = geometry.attributes.position;
+        const normal = geometry.attributes.normal;
+        const out = position.array;
+        const positions = this.positions;
+        const vertexParticle = this.vertexParticle;
+
+        for (let v = 0, o = 0; v < vertexParticle.length; v++, o += 3) {
+            const p = vertexParticle[v] * 3;
+            out[o] = positions[p];
+            out[o + 1] = positions[p + 1];
+            out[o + 2] = positions[p + 2];
+        }
+        position.needsUpdate = true;
+
+        if (normal) {
+            this.accumulateNormals();
+            this.writeNormals(normal.array);
+            normal.needsUpdate = true;
+        }
+
+        const wire = this.wireGeometry;
+        if (wire && this.app.wireMesh && this.app.wireMesh.geometry === wire) {
+            const wireOut = wire.attributes.position.array;
+            const wireParticle = this.wireParticle;
+            for (let w = 0, o = 0; w < wireParticle.length; w++, o += 3) {
+                const p = wireParticle[w] * 3;
+                if (p < 0) continue;
+                wireOut[o] = positions[p];
+                wireOut[o + 1] = positions[p + 1];
+                wireOut[o + 2] = positions[p + 2];
+            }
+            wire.attributes.position.needsUpdate = true;
+        }
+    }
+
+    // Same normals computeVertexNormals would give: smooth on indexed meshes, per face on the polyhedra
+    writeNormals(out) {
+        const triangles = this.triangleVertices;
+        if (this.geometry.index) {
+            const normals = this.normals;
+            const vertexParticle = this.vertexParticle;
+            for (let v = 0, o = 0; v < vertexParticle.length; v++, o += 3) {
+                const p = vertexParticle[v] * 3;
+                const length = Math.sqrt(normals[p] * normals[p] + normals[p + 1] * normals[p + 1] + normals[p + 2] * normals[p + 2]) || 1;
+                out[o] = normals[p] / length;
+                out[o + 1] = normals[p + 1] / length;
+                out[o + 2] = normals[p + 2] / length;
+            }
+            return;
+        }
+
+        const faceNormals = this.faceNormals;
+        for (let t = 0; t < triangles.length; t += 3) {
+            const nx = faceNormals[t], ny = faceNormals[t + 1], nz = faceNormals[t + 2];
+            const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+            for (let k = 0; k < 3; k++) {
+                const o = triangles[t + k] * 3;
+                out[o] = nx / length;
+                out[o + 1] = ny / length;
+                out[o + 2] = nz / length;
+            }
+        }
+    }
+
+    isSettled() {
+        if (this.motion >= WAKE_MOTION) return false;
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const rest = this.rest;
+        for (let i = 0; i < positions.length; i++) {
+            if (Math.abs(velocities[i]) > SLEEP_SPEED || Math.abs(positions[i] - rest[i]) > SLEEP_OFFSET) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Snap to rest and stop stepping; write says whether the vertices are ours to put back
+    settle(write) {
+        this.positions.set(this.rest);
+        this.velocities.fill(0);
+        this.awake = false;
+        if (write) {
+            this.writeGeometry();
+        }
+    }
+
+    // World point into the ball's space; leaves the ball's world scale in _scale
+    toLocal(point, target) {
+        const mesh = this.app.ballMesh;
+        mesh.updateWorldMatrix(true, false);
+        mesh.matrixWorld.decompose(_position, _quaternion, _scale);
+        return target.copy(point).applyMatrix4(_inverse.copy(mesh.matrixWorld).invert());
+    }
+
+    /** Put the ball back in its rest shape and stop */
+    dispose() {
+        this.pressing = false;
+        if (this.geometry && this.settings.enabled && !this.yielding()) {
+            this.settle(true);
+        }
+    }
+}
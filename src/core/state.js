@@ -0,0 +1,450 @@
+// state.js - Export and import the complete user-facing state of a ball as JSON
+import {
+    callEffect,
+    getEffectState,
+    applySpikyEffect,
+    resetDeformation,
+    removeBlackholeEffect
+} from '../effects/effectManager.js';
+import { BALL_SHAPES, setBallShape } from './ball-shapes.js';
+import { ENVIRONMENTS } from './environments.js';
+import { LIGHTING_RIGS, LIGHT_BEHAVIOURS } from './lights.js';
+import { validateGround } from './ground.js';
+import { validateInterior } from './interior.js';
+import { validatePhysics } from './physics.js';
+import { validateSoftBody } from './soft-body.js';
+import { validateDeformer } from './deformer.js';
+import { validateSculpt } from './sculpt.js';
+import { HEX_COLOR } from './config-validation.js';
+
+/** Version of the exported schema; bump when the shape changes and add a migration */
+export const STATE_VERSION = 2;
+
+/**
+ * Upgrades from each older version to the next one
+ * 1 → 2: preset, geometry, environment, lighting, ground, interior, physics, softBody,
+ * deformer and sculpt were added; they are all optional, so a version 1 state only needs
+ * the new version number
+ */
+const MIGRATIONS = {
+    1: (state) => ({ ...state, version: 2 })
+};
+
+const EFFECT_NAMES = ['rainbow', 'magnetic', 'blackhole', 'audioVisualization'];
+
+/**
+ * @typedef {Object} BallState
+ * @property {number} version - Schema version (STATE_VERSION)
+ * @property {string} [preset] - Look preset the state builds on (see presets.js)
+ * @property {{shape: string, detail: number}} [geometry] - Ball solid and detail level (see ball-shapes.js)
+ * @property {string[]} [gradient] - Gradient colors [center, middle, edge] as #RRGGBB
+ * @property {number} [spikiness] - Spike intensity (0-2)
+ * @property {string} [deformationMode] - 'push' (outside) or 'pull' (inside)
+ * @property {boolean} [wireframe] - Wireframe visibility
+ * @property {string} [environment] - Background and reflections (see environments.js)
+ * @property {{rig: string, pointBehaviour: string}} [lighting] - Lighting rig and how its point light moves (see lights.js)
+ * @property {Object} [ground] - Floor settings (see ground.js); partial settings change only those fields
+ * @property {Object} [interior] - Inside-the-ball glow, pulse and reverb (see interior.js)
+ * @property {Object} [physics] - Physics mode settings (see physics.js)
+ * @property {Object} [softBody] - Soft body settings (see soft-body.js)
+ * @property {Object} [deformer] - GPU deformation and noise settings (see deformer.js)
+ * @property {Object} [sculpt] - Sculpt mode, brush and symmetry settings (see sculpt.js); not the sculpted shape
+ * @property {{enabled: boolean, volume: number}} [audio] - Sound on/off and master volume (0-1)
+ * @property {{position: number[], target: number[]}} [camera] - Camera position and orbit target
+ * @property {{auto: boolean, ball: number[]}} [rotation] - Auto-rotation toggle and ball rotation (radians)
+ * @property {Object<string, boolean>} [effects] - rainbow, magnetic, blackhole, audioVisualization
+ */
+
+// Round so exported JSON stays readable
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function toArray(vector) {
+    return [round(vector.x), round(vector.y), round(vector.z)];
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// Which effects are currently running
+function getActiveEffects(app) {
+    const effectState = getEffectState(app);
+
+    return {
+        rainbow: !!app.isRainbowMode,
+        magnetic: !!effectState.isMagneticMode,
+        blackhole: !!effectState.blackholeEffect,
+        audioVisualization: !!(effectState.audioVisualization && effectState.audioVisualization.visible)
+    };
+}
+
+/**
+ * Capture the current state of an app
+ * @param {Object} app - Application context
+ * @returns {BallState} Plain object, safe to JSON.stringify
+ */
+export function exportState(app) {
+    const effectState = getEffectState(app);
+    const state = {
+        version: STATE_VERSION,
+        preset: app.presets ? app.presets.current : undefined,
+        geometry: app.ballShape ? { ...app.ballShape } : undefined,
+        gradient: (app.gradientColors || []).slice(0, 3),
+        spikiness: round(typeof app.spikiness === 'number' ? app.spikiness : effectState.spikiness),
+        deformationMode: app.insidePullMode ? 'pull' : 'push',
+        wireframe: app.wireMesh ? app.wireMesh.visible : true,
+        environment: app.environment ? app.environment.current : undefined,
+        lighting: app.lighting && app.lighting.current
+            ? { rig: app.lighting.current, pointBehaviour: app.lighting.getBehaviour('point') }
+            : undefined,
+        ground: app.ground ? app.ground.config : undefined,
+        interior: app.interior ? app.interior.config : undefined,
+        physics: app.physics ? app.physics.config : undefined,
+        softBody: app.softBody ? app.softBody.config : undefined,
+        deformer: app.deformer ? app.deformer.config : undefined,
+        sculpt: app.sculpt ? app.sculpt.config : undefined,
+        effects: getActiveEffects(app)
+    };
+
+    if (app.masterGain) {
+        state.audio = {
+            enabled: !app.soundMuted,
+            volume: round(app.soundMuted ? (app.volume ?? 0.5) : app.masterGain.gain.value)
+        };
+    }
+
+    if (app.camera) {
+        state.camera = {
+            position: toArray(app.camera.position),
+            target: app.controls ? toArray(app.controls.target) : [0, 0, 0]
+        };
+    }
+
+    if (app.ballGroup) {
+        state.rotation = {
+            auto: app.autoRotate !== false,
+            ball: toArray(app.ballGroup.rotation)
+        };
+    }
+
+    return state;
+}
+
+/**
+ * Bring a state from an older schema version up to STATE_VERSION
+ * States that are already current, or that cannot be migrated, are returned as they are
+ * for validateState to report.
+ * @param {Object} state - Parsed state
+ * @returns {Object} The migrated state
+ */
+export function migrateState(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        return state;
+    }
+
+    let migrated = state;
+    while (migrated.version !== STATE_VERSION && MIGRATIONS[migrated.version]) {
+        migrated = MIGRATIONS[migrated.version](migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Check a state object against the schema
+ * Every section except version is optional, so partial states can be applied.
+ * @param {Object} state - Parsed state
+ * @returns {string[]} Problems found; empty when the state is valid
+ */
+export function validateState(state) {
+    const errors = [];
+
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        return ['state must be an object'];
+    }
+
+    if (state.version !== STATE_VERSION) {
+        errors.push(`unsupported version ${JSON.stringify(state.version)} (expected ${STATE_VERSION})`);
+    }
+
+    if (state.preset !== undefined && typeof state.preset !== 'string') {
+        errors.push('preset must be a string');
+    }
+
+    if (state.geometry !== undefined) {
+        const geometry = state.geometry;
+        if (!geometry || !BALL_SHAPES[geometry.shape] || !Number.isInteger(geometry.detail)) {
+            errors.push(`geometry must be { shape: ${Object.keys(BALL_SHAPES).join('|')}, detail: integer }`);
+        }
+    }
+
+    if (state.gradient !== undefined &&
+        !(Array.isArray(state.gradient) && state.gradient.length === 3 && state.gradient.every(c => HEX_COLOR.test(c)))) {
+        errors.push('gradient must be three #RRGGBB colors');
+    }
+
+    if (state.spikiness !== undefined &&
+        !(Number.isFinite(state.spikiness) && state.spikiness >= 0 && state.spikiness <= 2)) {
+        errors.push('spikiness must be a number between 0 and 2');
+    }
+
+    if (state.deformationMode !== undefined && !['push', 'pull'].includes(state.deformationMode)) {
+        errors.push('deformationMode must be "push" or "pull"');
+    }
+
+    if (state.wireframe !== undefined && typeof state.wireframe !== 'boolean') {
+        errors.push('wireframe must be a boolean');
+    }
+
+    if (state.environment !== undefined && !ENVIRONMENTS[state.environment]) {
+        errors.push(`unknown environment "${state.environment}"`);
+    }
+
+    if (state.lighting !== undefined) {
+        const lighting = state.lighting;
+        if (!lighting || !LIGHTING_RIGS[lighting.rig] || !LIGHT_BEHAVIOURS[lighting.pointBehaviour]) {
+            errors.push('lighting must be { rig: a lighting rig, pointBehaviour: a light behaviour }');
+        }
+    }
+
+    if (state.ground !== undefined) {
+        errors.push(...validateGround(state.ground));
+    }
+
+    if (state.interior !== undefined) {
+        errors.push(...validateInterior(state.interior));
+    }
+
+    if (state.physics !== undefined) {
+        errors.push(...validatePhysics(state.physics));
+    }
+
+    if (state.softBody !== undefined) {
+        errors.push(...validateSoftBody(state.softBody));
+    }
+
+    if (state.deformer !== undefined) {
+        errors.push(...validateDeformer(state.deformer));
+    }
+
+    if (state.sculpt !== undefined) {
+        errors.push(...validateSculpt(state.sculpt));
+    }
+
+    if (state.audio !== undefined) {
+        const audio = state.audio;
+        if (!audio || typeof audio.enabled !== 'boolean' ||
+            !(Number.isFinite(audio.volume) && audio.volume >= 0 && audio.volume <= 1)) {
+            errors.push('audio must be { enabled: boolean, volume: 0-1 }');
+        }
+    }
+
+    if (state.camera !== undefined) {
+        const camera = state.camera;
+        if (!camera || !isVector(camera.position) || !isVector(camera.target)) {
+            errors.push('camera must be { position: [x, y, z], target: [x, y, z] }');
+        }
+    }
+
+    if (state.rotation !== undefined) {
+        const rotation = state.rotation;
+        if (!rotation || typeof rotation.auto !== 'boolean' || !isVector(rotation.ball)) {
+            errors.push('rotation must be { auto: boolean, ball: [x, y, z] }');
+        }
+    }
+
+    if (state.effects !== undefined) {
+        if (!state.effects || typeof state.effects !== 'object') {
+            errors.push('effects must be an object');
+        } else {
+            Object.keys(state.effects).forEach(name => {
+                if (!EFFECT_NAMES.includes(name)) {
+                    errors.push(`unknown effect "${name}"`);
+                } else if (typeof state.effects[name] !== 'boolean') {
+                    errors.push(`effects.${name} must be a boolean`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+// Switch effects on or off so they match the wanted state
+function applyEffects(app, wanted) {
+    const effectState = getEffectState(app);
+    const active = getActiveEffects(app);
+
+    EFFECT_NAMES.forEach(name => {
+        if (wanted[name] === undefined || wanted[name] === active[name]) return;
+
+        if (name === 'rainbow') {
+            // Rainbow is flipped on the app by the UI; line the effect state up before toggling
+            effectState.isRainbowMode = !!app.isRainbowMode;
+        }
+
+        if (name === 'blackhole' && !wanted.blackhole) {
+            // callEffect('blackhole') always (re)creates, so remove directly
+            removeBlackholeEffect(app);
+            return;
+        }
+
+        callEffect(name, app);
+    });
+}
+
+function applySpikiness(app, spikiness) {
+    const effectState = getEffectState(app);
+    app.spikiness = spikiness;
+
+    if (spikiness > 0) {
+        applySpikyEffect(app, spikiness);
+    } else if (effectState.spikiness > 0) {
+        effectState.spikiness = 0;
+        resetDeformation(app, 1.0);
+    }
+}
+
+function applyAudio(app, audio) {
+    app.volume = audio.volume;
+    app.soundMuted = !audio.enabled;
+
+    if (app.masterGain) {
+        app.masterGain.gain.value = audio.enabled ? audio.volume : 0;
+    }
+}
+
+/**
+ * Restore a state captured with exportState
+ * Older versions are migrated first. Effects are switched through callEffect
+ * so they start exactly as if the user had triggered them.
+ * @param {Object} app - Application context
+ * @param {BallState|string} json - State object or its JSON string
+ * @returns {boolean} True if the state was valid and applied
+ */
+export function importState(app, json) {
+    let state;
+    try {
+        state = migrateState(typeof json === 'string' ? JSON.parse(json) : json);
+    } catch (error) {
+        console.error('importState: invalid JSON:', error.message);
+        return false;
+    }
+
+    const errors = validateState(state);
+    if (errors.length) {
+        console.error('importState: invalid state:', errors.join('; '));
+        return false;
+    }
+
+    if (!app.ballGroup) {
+        console.error('importState: ball not created yet');
+        return false;
+    }
+
+    try {
+        // Preset first so the fields below override its look. Custom presets live in one
+        // browser's localStorage, so a shared state may name one this page does not have;
+        // the rest of the state still applies
+        if (state.preset && app.presets) {
+            if (app.presets.get(state.preset)) {
+                app.presets.apply(state.preset, { duration: 0, effects: false });
+            } else {
+                console.warn(`importState: unknown preset "${state.preset}", keeping the current look`);
+            }
+        }
+
+        // Effects next: turning rainbow off resets the gradient
+        if (state.effects) {
+            applyEffects(app, state.effects);
+        }
+
+        if (state.gradient) {
+            app.gradientColors = state.gradient.slice();
+            if (typeof app.updateGradientTexture === 'function') {
+                app.updateGradientTexture(...app.gradientColors);
+            }
+        }
+
+        if (state.geometry) {
+            const current = app.ballShape || {};
+            if (current.shape !== state.geometry.shape || current.detail !== state.geometry.detail) {
+                setBallShape(app, state.geometry.shape, state.geometry.detail);
+            }
+        }
+
+        if (state.spikiness !== undefined) {
+            applySpikiness(app, state.spikiness);
+        }
+
+        if (state.deformationMode) {
+            app.insidePullMode = state.deformationMode === 'pull';
+        }
+
+        if (state.wireframe !== undefined && app.wireMesh) {
+            app.wireMesh.visible = state.wireframe;
+        }
+
+        if (state.environment && app.environment) {
+            app.environment.set(state.environment);
+        }
+
+        if (state.lighting && app.lighting) {
+            if (app.lighting.current !== state.lighting.rig) {
+                app.lighting.set(state.lighting.rig);
+            }
+            app.lighting.setBehaviour('point', state.lighting.pointBehaviour);
+        }
+
+        if (state.ground && app.ground) {
+            app.ground.configure(state.ground);
+        }
+
+        if (state.interior && app.interior) {
+            app.interior.configure(state.interior);
+        }
+
+        if (state.physics && app.physics) {
+            app.physics.configure(state.physics);
+        }
+
+        // Soft body and deformer before sculpt: switching sculpt on hands the surface over from them
+        if (state.softBody && app.softBody) {
+            app.softBody.configure(state.softBody);
+        }
+
+        if (state.deformer && app.deformer) {
+            app.deformer.configure(state.deformer);
+        }
+
+        if (state.sculpt && app.sculpt) {
+            app.sculpt.configure(state.sculpt);
+        }
+
+        if (state.audio) {
+            applyAudio(app, state.audio);
+        }
+
+        if (state.camera && app.camera) {
+            app.camera.position.fromArray(state.camera.position);
+            if (app.controls) {
+                app.controls.target.fromArray(state.camera.target);
+                app.controls.update();
+            } else {
+                app.camera.lookAt(...state.camera.target);
+            }
+        }
+
+        if (state.rotation) {
+            app.autoRotate = state.rotation.auto;
+            app.ballGroup.rotation.fromArray(state.rotation.ball);
+        }
+
+        console.log('Ball state imported');
+        return true;
+    } catch (error) {
+        console.error('importState: error applying state:', error);
+        return false;
+    }
+}
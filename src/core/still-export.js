@@ -0,0 +1,183 @@
+// still-export.js - Render the current frame at any size (tiled past the GPU's limits) and save it as PNG
+import * as THREE from 'three';
+import { downloadBlob, timestampedName } from '../utils/download.js';
+
+// Largest tile rendered in one pass; bigger images are stitched from several
+const DEFAULT_TILE_SIZE = 2048;
+
+// Browsers refuse 2D canvases much larger than this on a side
+const MAX_STILL_SIZE = 16384;
+
+/**
+ * Sizes offered in the menu. 'screen' is the canvas's own drawing buffer.
+ * @readonly
+ */
+export const STILL_SIZES = Object.freeze({
+    screen: { label: 'Screen size' },
+    '4k': { label: '4K (3840×2160)', width: 3840, height: 2160 },
+    '8k': { label: '8K (7680×4320)', width: 7680, height: 4320 },
+    poster: { label: 'Poster (4096×4096)', width: 4096, height: 4096 }
+});
+
+// Swap in the export background, helper visibility and aspect; returns a function that undoes it all
+function prepareScene(app, { background, hideHelpers, aspect }) {
+    const { renderer, scene, camera } = app;
+    const saved = {
+        size: renderer.getSize(new THREE.Vector2()),
+        pixelRatio: renderer.getPixelRatio(),
+        clearColor: renderer.getClearColor(new THREE.Color()),
+        clearAlpha: renderer.getClearAlpha(),
+        background: scene.background,
+        aspect: camera.aspect,
+        hidden: []
+    };
+
+    if (background === 'transparent') {
+        scene.background = null;
+        renderer.setClearColor(saved.clearColor, 0);
+    } else if (background !== 'scene') {
+        scene.background = null;
+        renderer.setClearColor(new THREE.Color(background), 1);
+    }
+
+    // Grids, axes and other helpers tagged by debugUtils.addDebugHelpers / initScene,
+    // and the environment's backdrop (environments.js) when another background was asked for
+    const hideBackdrop = background !== 'scene';
+    if (hideHelpers || hideBackdrop) {
+        scene.traverse(object => {
+            const hide = (hideHelpers && object.userData.debugHelper) || (hideBackdrop && object.userData.backdrop);
+            if (hide && object.visible) {
+                object.visible = false;
+                saved.hidden.push(object);
+            }
+        });
+    }
+
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+
+    return () => {
+        saved.hidden.forEach(object => { object.visible = true; });
+        scene.background = saved.background;
+        renderer.setClearColor(saved.clearColor, saved.clearAlpha);
+        renderer.setPixelRatio(saved.pixelRatio);
+        renderer.setSize(saved.size.x, saved.size.y, false);
+
+        camera.clearViewOffset();
+        camera.aspect = saved.aspect;
+        camera.updateProjectionMatrix();
+
+        // The export held up the frame loop; don't let that long frame count as lag
+        if (app.clock) {
+            app.clock.resetTimestamp();
+        }
+    };
+}
+
+function canvasToBlob(canvas) {
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Render the current frame into a PNG
+ * Images larger than one tile are rendered tile by tile through a camera view
+ * offset and stitched together, so the size is not limited by the screen or
+ * the GPU's maximum drawing buffer. Post-processing is applied only when the
+ * image fits in a single tile, because screen-space passes would show seams.
+ * @param {Object} app - Application context
+ * @param {Object} [options]
+ * @param {number} [options.width] - Width in pixels, default the canvas's drawing buffer width
+ * @param {number} [options.height] - Height in pixels, default the canvas's drawing buffer height
+ * @param {string|number} [options.background] - 'scene' (as on screen), 'transparent', or a color
+ * @param {boolean} [options.hideHelpers] - Leave out debug grids and axes, default true
+ * @param {boolean} [options.postProcessing] - Use the post-processing stack when possible, default true
+ * @param {number} [options.tileSize] - Largest tile edge in pixels
+ * @returns {Promise<Blob|null>} The PNG, or null if it could not be rendered
+ */
+export async function captureStill(app, {
+    width,
+    height,
+    background = 'scene',
+    hideHelpers = true,
+    postProcessing = true,
+    tileSize = DEFAULT_TILE_SIZE
+} = {}) {
+    const { renderer, scene, camera } = app;
+    if (!renderer || !scene || !camera) {
+        console.error('Cannot export a still before the scene is set up');
+        return null;
+    }
+
+    const buffer = renderer.getDrawingBufferSize(new THREE.Vector2());
+    const outWidth = Math.round(width || buffer.x);
+    const outHeight = Math.round(height || buffer.y);
+    if (!(outWidth > 0 && outHeight > 0 && outWidth <= MAX_STILL_SIZE && outHeight <= MAX_STILL_SIZE)) {
+        console.error(`Still size must be between 1 and ${MAX_STILL_SIZE} pixels per side, got ${outWidth}x${outHeight}`);
+        return null;
+    }
+
+    // The 2D canvas renderer (canvas-renderer.js) has no viewport limit of its own
+    const gl = renderer.isCanvasRenderer ? null : renderer.getContext();
+    const maxViewport = gl ? gl.getParameter(gl.MAX_VIEWPORT_DIMS) : [MAX_STILL_SIZE, MAX_STILL_SIZE];
+    const tile = Math.max(1, Math.min(tileSize, renderer.capabilities.maxTextureSize, maxViewport[0], maxViewport[1]));
+    const tilesX = Math.ceil(outWidth / tile);
+    const tilesY = Math.ceil(outHeight / tile);
+    const single = tilesX === 1 && tilesY === 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = outWidth;
+    canvas.height = outHeight;
+    const context = canvas.getContext('2d');
+
+    const restore = prepareScene(app, { background, hideHelpers, aspect: outWidth / outHeight });
+    try {
+        renderer.setPixelRatio(1);
+
+        for (let ty = 0; ty < tilesY; ty++) {
+            for (let tx = 0; tx < tilesX; tx++) {
+                const x = tx * tile;
+                const y = ty * tile;
+                const w = Math.min(tile, outWidth - x);
+                const h = Math.min(tile, outHeight - y);
+
+                // Render the tile to the canvas itself so tone mapping and color space match the screen
+                renderer.setSize(w, h, false);
+                if (!single) {
+                    camera.setViewOffset(outWidth, outHeight, x, y, w, h);
+                }
+
+                if (single && postProcessing && app.postProcessing) {
+                    app.postProcessing.render(0);
+                } else {
+                    renderer.render(scene, camera);
+                }
+
+                // Copy before the browser presents (and clears) the drawing buffer
+                context.drawImage(renderer.domElement, 0, 0, w, h, x, y, w, h);
+            }
+        }
+    } catch (error) {
+        console.error('Error rendering still:', error);
+        return null;
+    } finally {
+        restore();
+    }
+
+    console.log(`Still rendered at ${outWidth}x${outHeight} (${tilesX * tilesY} tile${single ? '' : 's'})`);
+    return canvasToBlob(canvas);
+}
+
+/**
+ * Render a still and download it
+ * @param {Object} app - Application context
+ * @param {Object} [options] - See captureStill
+ * @param {string} [filename] - Defaults to ball-<date>-<time>.png
+ * @returns {Promise<boolean>} True if a file was produced
+ */
+export async function exportStill(app, options, filename) {
+    const blob = await captureStill(app, options);
+    if (!blob) return false;
+
+    downloadBlob(blob, filename || timestampedName('ball', 'png'));
+    return true;
+}
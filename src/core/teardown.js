@@ -0,0 +1,195 @@
+// teardown.js - Tracks per-app resources and disposes them on destroy
+
+/**
+ * Register a cleanup callback to run when the app is destroyed
+ * @param {Object} app - Application context
+ * @param {Function} fn - Cleanup callback
+ * @returns {Function} The callback, so callers can keep a handle to it
+ */
+export function addDisposer(app, fn) {
+    if (!app || typeof fn !== 'function') return fn;
+
+    // Anything registered after destroy is cleaned up right away
+    if (app.destroyed) {
+        runDisposer(fn);
+        return fn;
+    }
+
+    if (!app.disposers) {
+        app.disposers = [];
+    }
+    app.disposers.push(fn);
+    return fn;
+}
+
+/**
+ * Add an event listener that is removed automatically on destroy
+ * @param {Object} app - Application context
+ * @param {EventTarget} target - Element, document or window
+ * @param {string} type - Event type
+ * @param {Function} handler - Event handler
+ * @param {boolean|Object} [options] - addEventListener options
+ * @returns {Function} Function that removes the listener early
+ */
+export function addTrackedListener(app, target, type, handler, options) {
+    if (!target || typeof target.addEventListener !== 'function') return () => {};
+
+    target.addEventListener(type, handler, options);
+
+    const remove = () => target.removeEventListener(type, handler, options);
+    addDisposer(app, remove);
+    return remove;
+}
+
+// Run one disposer without letting it break the rest of the teardown
+function runDisposer(fn) {
+    try {
+        fn();
+    } catch (error) {
+        console.warn('Error during app teardown:', error);
+    }
+}
+
+// Dispose a material and every texture it references
+function disposeMaterial(material) {
+    if (!material) return;
+
+    Object.keys(material).forEach(key => {
+        const value = material[key];
+        if (value && value.isTexture) {
+            value.dispose();
+        }
+    });
+
+    material.dispose();
+}
+
+/**
+ * Dispose geometries, materials and textures of an object and its children
+ * @param {THREE.Object3D} object - Root object
+ */
+export function disposeObject3D(object) {
+    if (!object) return;
+
+    object.traverse(child => {
+        if (child.geometry) {
+            child.geometry.dispose();
+        }
+
+        if (Array.isArray(child.material)) {
+            child.material.forEach(disposeMaterial);
+        } else if (child.material) {
+            disposeMaterial(child.material);
+        }
+    });
+}
+
+// Stop GSAP tweens still targeting the ball
+function killBallTweens(app) {
+    if (!window.gsap || !app.ballGroup) return;
+
+    const group = app.ballGroup;
+    window.gsap.killTweensOf([group, group.scale, group.rotation, group.position]);
+}
+
+// Close the app's audio graph
+function closeAudio(app) {
+    if (app.soundScheduler && typeof app.soundScheduler.dispose === 'function') {
+        app.soundScheduler.dispose();
+    }
+
+    if (app.nodePool && typeof app.nodePool.releaseAll === 'function') {
+        app.nodePool.releaseAll();
+    }
+
+    if (app.masterGain) {
+        try {
+            app.masterGain.disconnect();
+        } catch (e) {
+            // Already disconnected
+        }
+    }
+
+    if (app.audioContext && app.audioContext.state !== 'closed') {
+        app.audioContext.close().catch(error => {
+            console.warn('Error closing AudioContext:', error);
+        });
+    }
+
+    app.audioContext = null;
+    app.masterGain = null;
+    app.audioInitialized = false;
+}
+
+/**
+ * Tear down an app: stop the frame loop, remove listeners, close audio
+ * and dispose every Three.js resource. Safe to call more than once.
+ * @param {Object} app - Application context
+ * @returns {boolean} True if the app was destroyed by this call
+ */
+export function destroyApp(app) {
+    if (!app || app.destroyed) return false;
+
+    console.log('Destroying ball app...');
+
+    // Flag first so a frame already queued bails out
+    app.destroyed = true;
+
+    if (app.scheduler) {
+        app.scheduler.stop();
+    }
+
+    // Listeners, timers and module-level resources, newest first
+    const disposers = app.disposers || [];
+    app.disposers = [];
+    for (let i = disposers.length - 1; i >= 0; i--) {
+        runDisposer(disposers[i]);
+    }
+
+    killBallTweens(app);
+
+    if (app.events) {
+        app.events.clear();
+    }
+
+    if (app.controls) {
+        app.controls.dispose();
+    }
+
+    if (app.scene) {
+        disposeObject3D(app.scene);
+
+        if (app.scene.background && app.scene.background.isTexture) {
+            app.scene.background.dispose();
+        }
+        if (app.scene.environment && app.scene.environment.isTexture) {
+            app.scene.environment.dispose();
+        }
+        app.scene.clear();
+    }
+
+    if (app.renderer) {
+        const canvas = app.renderer.domElement;
+        app.renderer.dispose();
+        app.renderer.forceContextLoss();
+        if (canvas && canvas.parentNode) {
+            canvas.parentNode.removeChild(canvas);
+        }
+    }
+
+    closeAudio(app);
+
+    // Drop references so the GPU and audio objects can be collected
+    app.scene = null;
+    app.camera = null;
+    app.renderer = null;
+    app.controls = null;
+    app.ballGroup = null;
+    app.ballMesh = null;
+    app.wireMesh = null;
+    app.ballGeometry = null;
+    app.effectState = null;
+
+    console.log('Ball app destroyed');
+    return true;
+}
@@ -4,20 +4,26 @@
  */
 
 (function() {
-  // Track initialization attempts
-  let initAttempts = 0;
-  const MAX_ATTEMPTS = 10;
+  // Call back once the app's lifecycle marks a module ready
+  function onModuleReady(name, callback) {
+    const lifecycle = window.app && window.app.lifecycle;
+    if (lifecycle && lifecycle.getStatus(name)) {
+      lifecycle.whenReady(name).then(callback, function(error) {
+        console.error(`UI elements not connected, "${name}" failed:`, error.message);
+      });
+      return;
+    }
+
+    window.addEventListener('ball:module-ready', function handler(event) {
+      if (event.detail.name !== name || event.detail.app !== window.app) return;
+      window.removeEventListener('ball:module-ready', handler);
+      callback();
+    });
+  }
   
   function connectUIElements() {
     if (!window.app || !window.app.uiBridge) {
-      initAttempts++;
-      if (initAttempts > MAX_ATTEMPTS) {
-        console.error('Failed to connect UI elements after maximum attempts');
-        return;
-      }
-      
-      console.log(`App or uiBridge not available (attempt ${initAttempts}/${MAX_ATTEMPTS})`);
-      setTimeout(connectUIElements, 500);
+      console.error('Failed to connect UI elements: app or uiBridge missing');
       return;
     }
 
@@ -300,7 +306,7 @@
     console.log('UI connections initialized successfully');
   }
 
-  // Wait for app to be ready, then try to initialize
+  // Wait for the UI module, then connect
   console.log('UI connections script loaded, will initialize when app is ready');
-  setTimeout(connectUIElements, 1000);
+  onModuleReady('ui', connectUIElements);
 })();
\ No newline at end of file
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { CanvasRenderer } from '../core/canvas-renderer.js';
 
 /**
  * Debug utilities for Three.js Ball project
@@ -14,20 +15,19 @@ export function addDebugHelpers(app) {
         return;
     }
     
-    // Add axes helper
-    const axesHelper = new THREE.AxesHelper(5);
-    app.scene.add(axesHelper);
-    
-    // Add grid helper
-    const gridHelper = new THREE.GridHelper(10, 10);
-    app.scene.add(gridHelper);
+    // Helpers are tagged so still exports can leave them out
+    const helpers = [new THREE.AxesHelper(5), new THREE.GridHelper(10, 10)];
     
     // Add camera helper if perspective camera
     if (app.camera && app.camera.isPerspectiveCamera) {
-        const cameraHelper = new THREE.CameraHelper(app.camera);
-        app.scene.add(cameraHelper);
+        helpers.push(new THREE.CameraHelper(app.camera));
     }
     
+    helpers.forEach(helper => {
+        helper.userData.debugHelper = true;
+        app.scene.add(helper);
+    });
+    
     console.log('Debug helpers added to scene');
     return true;
 }
@@ -127,9 +127,19 @@ export function showRendererInfo(app) {
         panel.style.fontSize = '12px';
         panel.style.zIndex = '1000';
         
+        let html = '<h3>Renderer Info</h3>';
+        
+        // The 2D canvas fallback has no GL parameters to report
+        if (renderer.isCanvasRenderer) {
+            html += '<p>Renderer: 2D canvas (software)</p>';
+            html += `<p>Canvas: ${renderer.domElement.width} x ${renderer.domElement.height}</p>`;
+            panel.innerHTML = html;
+            document.body.appendChild(panel);
+            return panel;
+        }
+        
         // Get renderer info
         const webglInfo = renderer.getContext().getExtension('WEBGL_debug_renderer_info');
-        let html = '<h3>Renderer Info</h3>';
         
         if (webglInfo) {
             const gl = renderer.getContext();
@@ -155,7 +165,10 @@ export function showRendererInfo(app) {
 
 /**
  * Emergency renderer that uses 2D canvas as a fallback
+ * Draws the real scene through the software renderer in canvas-renderer.js,
+ * so the ball stays visible and interactive without WebGL.
  * @param {string} containerId - ID of container element
+ * @returns {CanvasRenderer|null} Renderer attached to the container
  */
 export function createEmergencyRenderer(containerId = 'container') {
     console.warn('Creating emergency 2D canvas renderer');
@@ -164,56 +177,13 @@ export function createEmergencyRenderer(containerId = 'container') {
         // Find container
         const container = document.getElementById(containerId) || document.body;
         
-        // Create canvas
-        const canvas = document.createElement('canvas');
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight;
-        container.appendChild(canvas);
-        
-        // Get 2D context
-        const ctx = canvas.getContext('2d');
-        
-        // Draw something visible
-        ctx.fillStyle = 'black';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        ctx.fillStyle = 'red';
-        ctx.beginPath();
-        ctx.arc(canvas.width / 2, canvas.height / 2, 100, 0, Math.PI * 2);
-        ctx.fill();
-        
-        ctx.fillStyle = 'white';
-        ctx.font = '20px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('Emergency Renderer Active', canvas.width / 2, canvas.height / 2);
+        const renderer = new CanvasRenderer();
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        container.appendChild(renderer.domElement);
         
         console.log('Emergency renderer created');
-        return {
-            domElement: canvas,
-            render: () => {
-                // Simple animation
-                const time = Date.now() * 0.001;
-                
-                ctx.fillStyle = 'black';
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
-                
-                ctx.fillStyle = 'red';
-                ctx.beginPath();
-                ctx.arc(
-                    canvas.width / 2 + Math.sin(time) * 50,
-                    canvas.height / 2 + Math.cos(time) * 50,
-                    100,
-                    0,
-                    Math.PI * 2
-                );
-                ctx.fill();
-                
-                ctx.fillStyle = 'white';
-                ctx.font = '20px Arial';
-                ctx.textAlign = 'center';
-                ctx.fillText('Emergency Renderer Active', canvas.width / 2, canvas.height / 2);
-            }
-        };
+        return renderer;
     } catch (error) {
         console.error('Failed to create emergency renderer:', error);
         return null;
@@ -1,4 +1,6 @@
 // diagnostic.js - For troubleshooting problems with the app
+import { whenModuleReady } from '../core/lifecycle.js';
+
 console.log("Loading diagnostic tools...");
 
 // Add this to your HTML for debugging
@@ -100,6 +102,11 @@ function updatePanel(timestamp) {
         
         // Performance
         html += `<li>FPS: ${fps}</li>`;
+        if (app.quality) {
+            const quality = app.quality.getStatus();
+            html += `<li>Render Quality: ${quality.label} (${quality.auto ? 'auto' : 'fixed'})</li>`;
+            html += `<li>Frame Time: ${quality.frameTime || 'N/A'} ms, Pixel Ratio: ${quality.pixelRatio}</li>`;
+        }
         
         // Core components
         html += `<li>Scene: ${scene ? '✓' : '✗'}</li>`;
@@ -160,12 +167,6 @@ function vectorToString(vector) {
     return 'Invalid vector';
 }
 
-// Initialize when document is ready
-document.addEventListener('DOMContentLoaded', () => {
-    // Slight delay to ensure app initialization
-    setTimeout(createDiagnosticPanel, 1000);
-});
-
 // Make functions available globally
 if (window.app) {
     window.app.createDiagnosticPanel = createDiagnosticPanel;
@@ -482,30 +483,13 @@ function addLogMessage(type, args) {
     }
 }
 
-// Listen for app initialization
-document.addEventListener('DOMContentLoaded', function() {
-    // Wait for app to be created
-    const checkForApp = setInterval(function() {
-        if (window.app) {
-            clearInterval(checkForApp);
-            console.log("App detected, initializing diagnostics");
-            initDiagnostics();
-        }
-    }, 500);
-    
-    // Fallback in case app isn't created
-    setTimeout(function() {
-        if (!window.app) {
-            console.error("App not detected after timeout");
-            window.app = {
-                scene: null,
-                camera: null,
-                renderer: null,
-                audioInitialized: false
-            };
-            initDiagnostics();
-        }
-    }, 5000);
+// Start once the scene is up - or as soon as it fails, since that is when diagnostics matter most
+whenModuleReady('scene').then(() => {
+    console.log("Scene ready, initializing diagnostics");
+    initDiagnostics();
+}, (error) => {
+    console.error("Scene failed to start, diagnostics running on a partial app:", error.message);
+    initDiagnostics();
 });
 
 console.log("Diagnostic tools loaded");
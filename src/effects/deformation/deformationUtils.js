@@ -1,5 +1,6 @@
 // effects/deformation.js - Deformation utilities for the ball
 import * as THREE from 'three';
+import { pressDent, releaseDent } from '../../core/deformer.js';
 
 /**
  * Apply deformation to the mesh at a specific point
@@ -13,6 +14,9 @@ function applyDeformation(app, point, intensity, radius) {
         console.error("Cannot apply deformation: ball or ball data missing");
         return;
     }
+
+    // The soft body or the deformer holds the dent itself
+    if (pressDent(app, point, intensity, radius)) return;
     
     // Get position attribute for direct manipulation
     const mesh = app.ballGroup.userData.mesh;
@@ -97,6 +101,9 @@ function resetDeformation(app, speed) {
         console.error("Cannot reset deformation: ball or ball data missing");
         return;
     }
+
+    // The soft body springs back by itself and the deformer eases its dent out
+    if (releaseDent(app, speed)) return;
     
     const mesh = app.ballGroup.userData.mesh;
     if (!mesh || !mesh.geometry || !mesh.geometry.attributes || !mesh.geometry.attributes.position) {
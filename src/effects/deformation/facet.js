@@ -1,10 +1,24 @@
 // effects/facet.js - Facet highlighting and interaction
 import * as THREE from 'three';
+import { FramePhase, getFrameScheduler, getFrameTime } from '../../core/frame-scheduler.js';
 
-// Track which facets are highlighted
-let highlightedFacets = new Map();
-let facetHighlightObjects = new Map();
-let highlightGroup = null;
+// A highlight stays lit this long after its facet was last touched, then fades at FADE_RATE
+// (opacity per second); both follow the app clock, so pausing freezes them
+const HOLD_SECONDS = 0.3;
+const FADE_RATE = 1.6;
+
+/**
+ * Get (or lazily create) the highlight state owned by an app instance
+ * @param {Object} app - Application context
+ * @returns {{touched: Map<number, number>, objects: Map<number, THREE.Mesh>, group: THREE.Group|null}}
+ *   When each facet was last highlighted, its overlay mesh, and the group holding the overlays
+ */
+function getHighlightState(app) {
+    if (!app.facetHighlightState) {
+        app.facetHighlightState = { touched: new Map(), objects: new Map(), group: null };
+    }
+    return app.facetHighlightState;
+}
 
 /**
  * Get normalized position within a facet
@@ -35,10 +49,12 @@ function highlightFacet(app, faceIndex, intensity = 0.7) {
     }
     
     try {
+        const state = getHighlightState(app);
+        
         // Create highlight group if it doesn't exist
-        if (!highlightGroup) {
-            highlightGroup = new THREE.Group();
-            app.ballGroup.add(highlightGroup);
+        if (!state.group) {
+            state.group = new THREE.Group();
+            app.ballGroup.add(state.group);
         }
         
         // Get geometry and mesh reference
@@ -50,12 +66,13 @@ function highlightFacet(app, faceIndex, intensity = 0.7) {
         
         const geometry = mesh.geometry;
         
-        // Track highlighted state
-        highlightedFacets.set(faceIndex, Date.now());
+        // Track highlighted state; the fade runs as a frame hook on the app clock
+        state.touched.set(faceIndex, getFrameTime(app));
+        getFrameScheduler(app).add(FramePhase.EFFECTS, 'facetHighlights', (clock) => updateFacetHighlights(app, clock));
         
         // If we already have a highlight object for this facet, just update it
-        if (facetHighlightObjects.has(faceIndex)) {
-            const highlight = facetHighlightObjects.get(faceIndex);
+        if (state.objects.has(faceIndex)) {
+            const highlight = state.objects.get(faceIndex);
             highlight.material.opacity = intensity; // Make fully visible again
             return;
         }
@@ -64,15 +81,16 @@ function highlightFacet(app, faceIndex, intensity = 0.7) {
         const positionAttr = geometry.attributes.position;
         const index = geometry.index;
         
-        if (!positionAttr || !index) {
+        if (!positionAttr) {
             console.error("Cannot highlight facet: geometry attributes missing");
             return;
         }
         
-        // Get face vertices for triangular face from index buffer
-        const a = index.array[faceIndex * 3];
-        const b = index.array[faceIndex * 3 + 1];
-        const c = index.array[faceIndex * 3 + 2];
+        // Get face vertices from the index buffer, or directly for non-indexed
+        // geometries (polyhedra), where every face has its own three vertices
+        const a = index ? index.array[faceIndex * 3] : faceIndex * 3;
+        const b = index ? index.array[faceIndex * 3 + 1] : faceIndex * 3 + 1;
+        const c = index ? index.array[faceIndex * 3 + 2] : faceIndex * 3 + 2;
         
         // Get vertex positions
         const vA = new THREE.Vector3(
@@ -135,61 +153,50 @@ function highlightFacet(app, faceIndex, intensity = 0.7) {
         highlight.position.z += normal.z * 0.01;
         
         // Add to highlight group
-        highlightGroup.add(highlight);
-        
-        // Store reference for future updates
-        facetHighlightObjects.set(faceIndex, highlight);
+        state.group.add(highlight);
         
-        // Schedule automatic fade-out
-        setTimeout(() => fadeOutHighlight(app, faceIndex), 300);
+        // Store reference for future updates; updateFacetHighlights fades it out
+        state.objects.set(faceIndex, highlight);
     } catch (error) {
         console.error("Error highlighting facet:", error);
     }
 }
 
 /**
- * Gradually fade out a facet highlight
+ * Update all facet highlights: fade out those not touched for a while
+ * Runs as the 'facetHighlights' effects hook once a facet has been highlighted
+ * @param {Object} app - Application context
+ * @param {FrameClock} [clock] - The app clock; defaults to app.clock
  */
-function fadeOutHighlight(app, faceIndex) {
-    const highlight = facetHighlightObjects.get(faceIndex);
-    if (!highlight) return;
+function updateFacetHighlights(app, clock = app.clock) {
+    const state = getHighlightState(app);
+    if (!state.group) return;
     
-    // If this facet was recently highlighted again, don't fade it
-    const lastUpdate = highlightedFacets.get(faceIndex);
-    if (Date.now() - lastUpdate < 300) return;
+    // Make highlight group always face camera
+    if (app.camera) {
+        state.group.quaternion.copy(app.camera.quaternion);
+    }
     
-    // Fade out over time
-    const fadeInterval = setInterval(() => {
-        highlight.material.opacity -= 0.05;
+    const now = getFrameTime(app);
+    const delta = clock ? clock.delta : 0;
+    state.objects.forEach((highlight, faceIndex) => {
+        // Recently highlighted again, so it stays lit
+        if (now - state.touched.get(faceIndex) < HOLD_SECONDS) return;
         
+        highlight.material.opacity -= FADE_RATE * delta;
         if (highlight.material.opacity <= 0) {
-            clearInterval(fadeInterval);
-            // Remove if fully transparent
-            if (highlightGroup && highlightGroup.children.includes(highlight)) {
-                highlightGroup.remove(highlight);
-            }
-            facetHighlightObjects.delete(faceIndex);
-            highlightedFacets.delete(faceIndex);
+            state.group.remove(highlight);
+            highlight.geometry.dispose();
+            highlight.material.dispose();
+            state.objects.delete(faceIndex);
+            state.touched.delete(faceIndex);
         }
-    }, 30);
-}
-
-/**
- * Update all facet highlights
- * Call this in the animation loop
- */
-function updateFacetHighlights(app) {
-    if (!highlightGroup) return;
-    
-    // Make highlight group always face camera
-    if (app.camera) {
-        highlightGroup.quaternion.copy(app.camera.quaternion);
-    }
+    });
     
     // Also update any facet highlights that were created via the Map approach
+    // (startTime in app clock seconds, see getFrameTime)
     if (app.facetHighlights) {
-        const now = Date.now();
-        const duration = 1000; // 1 second highlight duration
+        const duration = 1; // 1 second highlight duration
         
         app.facetHighlights.forEach((highlight, facetIndex) => {
             const elapsed = now - highlight.startTime;
@@ -200,9 +207,29 @@ function updateFacetHighlights(app) {
     }
 }
 
+/**
+ * Remove every facet highlight of an app, e.g. after the ball geometry was replaced
+ * and the old face indices no longer match
+ * @param {Object} app - Application context
+ */
+function clearFacetHighlights(app) {
+    const state = getHighlightState(app);
+    if (state.group) {
+        state.group.children.slice().forEach(highlight => {
+            state.group.remove(highlight);
+            highlight.geometry.dispose();
+            highlight.material.dispose();
+        });
+    }
+    
+    state.touched.clear();
+    state.objects.clear();
+}
+
 // Export the functions for use in other modules
 export { 
     highlightFacet, 
     updateFacetHighlights,
-    getPositionInFacet
+    getPositionInFacet,
+    clearFacetHighlights
 };
\ No newline at end of file
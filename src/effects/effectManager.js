@@ -3,28 +3,60 @@ import * as THREE from 'three';
 //import { createParticleExplosion as originalCreateParticleExplosion, updateParticleExplosion as originalUpdateParticleExplosion } from './visual/explosion.js';
 import { createTrailEffect, updateTrailEffect } from './visual/trail.js';
 import { highlightFacet, updateFacetHighlights } from './deformation/facet.js';
+import { BallEvents } from '../core/event-bus.js';
+import { FramePhase, getFrameScheduler, getFrameTime, getFrameDelta, frameDamping } from '../core/frame-scheduler.js';
+import { getParticleBudget } from '../core/render-quality.js';
+import { pushPassOverride } from '../core/post-processing.js';
+import { pressDent, releaseDent } from '../core/deformer.js';
 //import { createGradientTexture as originalCreateGradientTexture, updateGradientColors as originalUpdateGradientColors } from './visual/gradients.js';
 
-// Global state for effects
-const effectState = {
-    isRainbowMode: false,
-    isMagneticMode: false,
-    magneticParticles: [],
-    blackholeEffect: null,
-    blackholeRingParticles: [],
-    gravitationalPull: 0,
-    spikiness: 0,
-    spikes: [],
-    audioVisualization: null,
-    isExploded: false,
-    particleSystem: null,
-    touchPoint: null,
-    isHovered: false,
-    targetScale: 1.0,
-    currentScale: 1.0,
-    isDragging: false,
-    previousMousePosition: null
-};
+// Effect state is kept per app so several balls can run side by side
+const effectStates = new WeakMap();
+
+function createEffectState() {
+    return {
+        isRainbowMode: false,
+        isMagneticMode: false,
+        magneticParticles: [],
+        blackholeEffect: null,
+        blackholeRingParticles: [],
+        blackholeVignette: null,
+        blackholeAberration: null,
+        gravitationalPull: 0,
+        spikiness: 0,
+        spikes: [],
+        audioVisualization: null,
+        isExploded: false,
+        particleSystem: null,
+        touchPoint: null,
+        isHovered: false,
+        targetScale: 1.0,
+        currentScale: 1.0,
+        isDragging: false,
+        previousMousePosition: null
+    };
+}
+
+/**
+ * Get (or lazily create) the effect state owned by an app instance
+ * @param {Object} app - Application context
+ * @returns {Object} Effect state for that app
+ */
+function getEffectState(app) {
+    let state = effectStates.get(app);
+    if (!state) {
+        state = createEffectState();
+        effectStates.set(app, state);
+    }
+    return state;
+}
+
+// Announce an effect switching on or off on the app's event bus
+function emitEffect(app, type, effect) {
+    if (app && app.events) {
+        app.events.emit(type, { effect });
+    }
+}
 
 // Default gradient colors
 const defaultColors = {
@@ -79,35 +111,10 @@ function updateGradientColors(app, newColorStart, newColorMid, newColorEnd) {
     app.ballGroup.userData.gradientTexture = gradientTexture;
 }
 
-// Helper function for smooth color transitions
-function gsapFade(colorObj, targetColor, duration) {
-    const startColor = { r: colorObj.r, g: colorObj.g, b: colorObj.b };
-    const startTime = Date.now();
-    const endTime = startTime + (duration * 1000);
-
-    function updateColor() {
-        const now = Date.now();
-        const elapsed = now - startTime;
-        const progress = Math.min(elapsed / (duration * 1000), 1);
-
-        // Simple easing function
-        const eased = progress * (2 - progress);
-
-        // Interpolate colors
-        colorObj.r = startColor.r + (targetColor.r - startColor.r) * eased;
-        colorObj.g = startColor.g + (targetColor.g - startColor.g) * eased;
-        colorObj.b = startColor.b + (targetColor.b - startColor.b) * eased;
-
-        if (progress < 1) {
-            requestAnimationFrame(updateColor);
-        }
-    }
-
-    updateColor();
-}
-
 // Create explosion effect
 function createParticleExplosion(app) {
+    const effectState = getEffectState(app);
+
     // Clean up any existing particle system
     if (effectState.particleSystem) {
         app.scene.remove(effectState.particleSystem);
@@ -115,8 +122,8 @@ function createParticleExplosion(app) {
         effectState.particleSystem.material.dispose();
     }
 
-    // Number of particles
-    const particleCount = 1000;
+    // Number of particles, scaled down on slower machines
+    const particleCount = getParticleBudget(app, 1000);
 
     // Create geometry for particles
     const particleGeometry = new THREE.BufferGeometry();
@@ -173,7 +180,7 @@ function createParticleExplosion(app) {
     // Store velocities for animation
     effectState.particleSystem.userData.velocities = velocities;
     effectState.particleSystem.userData.age = 0;
-    effectState.particleSystem.userData.startTime = Date.now();
+    effectState.particleSystem.userData.startTime = getFrameTime(app);
 
     // Hide the original ball if explosion effect
     if (effectState.isExploded) {
@@ -185,32 +192,53 @@ function createParticleExplosion(app) {
         app.soundManager.play('explosion', false);
     }
 
-    // Trigger removal after 3 seconds
-    setTimeout(() => {
-        if (effectState.particleSystem) {
-            app.scene.remove(effectState.particleSystem);
-            effectState.particleSystem.geometry.dispose();
-            effectState.particleSystem.material.dispose();
-            effectState.particleSystem = null;
+    // Bloom flash that fades as the particles fly out
+    pushPassOverride(app, 'bloom', { strength: 2.5, radius: 0.8, threshold: 0 }, { duration: 1.5 });
 
-            // Show the ball again if it was an explosion effect
-            if (effectState.isExploded) {
-                app.ballGroup.visible = true;
-                effectState.isExploded = false;
+    emitEffect(app, BallEvents.EFFECT_START, 'explosion');
+}
 
-                // Reset colors
-                updateGradientColors(app, defaultColors.start, defaultColors.mid, defaultColors.end);
-            }
-        }
-    }, 3000);
+// Remove the particles once the explosion has run its course (see updateParticleExplosion)
+function removeParticleExplosion(app) {
+    const effectState = getEffectState(app);
+
+    if (!effectState.particleSystem) return;
+
+    app.scene.remove(effectState.particleSystem);
+    effectState.particleSystem.geometry.dispose();
+    effectState.particleSystem.material.dispose();
+    effectState.particleSystem = null;
+    emitEffect(app, BallEvents.EFFECT_END, 'explosion');
+
+    // Show the ball again if it was an explosion effect
+    if (effectState.isExploded) {
+        app.ballGroup.visible = true;
+        effectState.isExploded = false;
+
+        // Reset colors
+        updateGradientColors(app, defaultColors.start, defaultColors.mid, defaultColors.end);
+    }
 }
 
 // Update particle explosion animation
 function updateParticleExplosion(app) {
+    const effectState = getEffectState(app);
+
     if (!effectState.particleSystem) return;
 
-    // Increase particle age
-    effectState.particleSystem.userData.age += 0.016; // Approx 60fps
+    // Ends after 3 seconds of app time, so pausing or slowing the clock stretches it
+    const elapsed = getFrameTime(app) - effectState.particleSystem.userData.startTime;
+    const life = 3.0;
+    if (elapsed >= life) {
+        removeParticleExplosion(app);
+        return;
+    }
+
+    // Increase particle age; motion constants below are tuned per 60fps frame
+    const delta = getFrameDelta(app);
+    const frames = delta * 60;
+    const drag = Math.pow(0.99, frames);
+    effectState.particleSystem.userData.age += delta;
 
     // Get positions attribute for update
     const positions = effectState.particleSystem.geometry.attributes.position.array;
@@ -219,22 +247,20 @@ function updateParticleExplosion(app) {
     // Update each particle
     for (let i = 0; i < positions.length / 3; i++) {
         // Apply velocity
-        positions[i * 3] += velocities[i].x;
-        positions[i * 3 + 1] += velocities[i].y;
-        positions[i * 3 + 2] += velocities[i].z;
+        positions[i * 3] += velocities[i].x * frames;
+        positions[i * 3 + 1] += velocities[i].y * frames;
+        positions[i * 3 + 2] += velocities[i].z * frames;
 
         // Add gravity effect
-        velocities[i].y -= 0.0005;
+        velocities[i].y -= 0.0005 * frames;
 
         // Add drag/friction
-        velocities[i].x *= 0.99;
-        velocities[i].y *= 0.99;
-        velocities[i].z *= 0.99;
+        velocities[i].x *= drag;
+        velocities[i].y *= drag;
+        velocities[i].z *= drag;
     }
 
     // Fade out as particles age
-    const elapsed = (Date.now() - effectState.particleSystem.userData.startTime) / 1000;
-    const life = 3.0; // 3 seconds
     const normalizedTime = Math.min(elapsed / life, 1.0);
     effectState.particleSystem.material.opacity = Math.max(0, 1 - normalizedTime);
 
@@ -244,6 +270,8 @@ function updateParticleExplosion(app) {
 
 // Function to handle explosion effect
 function explodeEffect(app) {
+    const effectState = getEffectState(app);
+
     if (effectState.isExploded) return;
 
     effectState.isExploded = true;
@@ -263,6 +291,17 @@ function explodeEffect(app) {
 
 // Apply spiky effect on the ball
 function applySpikyEffect(app, intensity) {
+    const effectState = getEffectState(app);
+
+    // The deformer (core/deformer.js) draws spikes from effectState.spikiness every frame
+    if (app.deformer) {
+        if (app.soundManager) {
+            app.soundManager.play('spike', false);
+        }
+        effectState.spikiness = intensity;
+        return;
+    }
+
     const ballGroup = app.ballGroup;
     const geo = ballGroup.userData.geo;
     const wireGeo = ballGroup.userData.wireGeo;
@@ -296,7 +335,7 @@ function applySpikyEffect(app, intensity) {
     // Apply spiky effect
     for (const spike of effectState.spikes) {
         const i = spike.index;
-        const time = Date.now() * 0.002;
+        const time = getFrameTime(app) * 2;
 
         // Calculate spike extension with some wobble
         const wobble = Math.sin(time + spike.phase) * 0.1;
@@ -322,6 +361,8 @@ function applySpikyEffect(app, intensity) {
 
 // Toggle spiky mode
 function toggleSpikyMode(app) {
+    const effectState = getEffectState(app);
+
     if (effectState.spikiness > 0) {
         // Turn off spiky mode
         effectState.spikiness = 0;
@@ -336,6 +377,8 @@ function toggleSpikyMode(app) {
         app.showStatus(`Spiky Mode ${effectState.spikiness > 0 ? 'Enabled' : 'Disabled'}`);
     }
 
+    emitEffect(app, effectState.spikiness > 0 ? BallEvents.EFFECT_START : BallEvents.EFFECT_END, 'spiky');
+
     return effectState.spikiness > 0;
 }
 
@@ -345,6 +388,9 @@ function resetDeformation(app, speed) {
         return;
     }
 
+    // Spikes and the blackhole's pull live in the deformer's uniforms; only the dent is left to let go
+    if (releaseDent(app, speed)) return;
+
     const geo = app.ballGroup.userData.geo;
     const wireGeo = app.ballGroup.userData.wireGeo;
     const wireMesh = app.ballGroup.userData.wireMesh;
@@ -393,6 +439,8 @@ function applyDeformation(app, point, intensity, radius) {
         return;
     }
 
+    if (pressDent(app, point, intensity, radius)) return;
+
     const geo = app.ballGroup.userData.geo;
     const mesh = app.ballGroup.userData.mesh;
     const wireGeo = app.ballGroup.userData.wireGeo;
@@ -462,11 +510,14 @@ function applyDeformation(app, point, intensity, radius) {
 
 // Create floating particles that follow the ball in magnetic mode
 function createMagneticTrail(app) {
+    const effectState = getEffectState(app);
+
     // Clean up any existing particles
     removeMagneticTrail(app);
 
     // Create a batch of particles
-    for (let i = 0; i < 50; i++) {
+    const particleCount = getParticleBudget(app, 50);
+    for (let i = 0; i < particleCount; i++) {
         const size = Math.random() * 0.05 + 0.02;
         const color = new THREE.Color(0x0066FF);
 
@@ -509,18 +560,28 @@ function createMagneticTrail(app) {
         app.scene.add(particle);
         effectState.magneticParticles.push(particle);
     }
+
+    emitEffect(app, BallEvents.EFFECT_START, 'magnetic');
 }
 
 // Remove magnetic particles
 function removeMagneticTrail(app) {
+    const effectState = getEffectState(app);
+
+    if (effectState.magneticParticles.length === 0) return;
+
     for (const particle of effectState.magneticParticles) {
         app.scene.remove(particle);
     }
     effectState.magneticParticles = [];
+
+    emitEffect(app, BallEvents.EFFECT_END, 'magnetic');
 }
 
 // Toggle magnetic mode
 function toggleMagneticMode(app) {
+    const effectState = getEffectState(app);
+
     effectState.isMagneticMode = !effectState.isMagneticMode;
 
     if (effectState.isMagneticMode) {
@@ -566,10 +627,13 @@ function toggleMagneticMode(app) {
 
 // Update magnetic particles
 function updateMagneticParticles(app) {
+    const effectState = getEffectState(app);
+
     if (!app.isMagneticMode && !effectState.isMagneticMode) return;
     if (effectState.magneticParticles.length === 0) return;
 
-    const time = Date.now() * 0.001;
+    const time = getFrameTime(app);
+    const follow = frameDamping(0.03, getFrameDelta(app));
 
     for (const particle of effectState.magneticParticles) {
         // Calculate a position that follows the ball with some delay and orbit
@@ -585,9 +649,9 @@ function updateMagneticParticles(app) {
         const orbitZ = Math.cos(phase * 0.7) * orbitRadius + particle.userData.offset.z * 0.2;
 
         // Smoothly move toward target
-        particle.position.x += (targetX + orbitX - particle.position.x) * 0.03;
-        particle.position.y += (targetY + orbitY - particle.position.y) * 0.03;
-        particle.position.z += (targetZ + orbitZ - particle.position.z) * 0.03;
+        particle.position.x += (targetX + orbitX - particle.position.x) * follow;
+        particle.position.y += (targetY + orbitY - particle.position.y) * follow;
+        particle.position.z += (targetZ + orbitZ - particle.position.z) * follow;
 
         // Pulsate size
         const scale = 0.8 + Math.sin(time * 2 + particle.userData.phase) * 0.2;
@@ -600,6 +664,8 @@ function updateMagneticParticles(app) {
 
 // Create blackhole effect
 function createBlackholeEffect(app) {
+    const effectState = getEffectState(app);
+
     console.log("[🌀 EFFECT] createBlackholeEffect called");
 
     // CRITICAL FIX: Force removal of any existing blackhole effects first
@@ -609,7 +675,7 @@ function createBlackholeEffect(app) {
 
         // Allow time for cleanup to complete
         setTimeout(() => {
-            actuallyCreateBlackholeEffect(app);
+            if (!app.destroyed) actuallyCreateBlackholeEffect(app);
         }, 100);
         return;
     }
@@ -619,6 +685,8 @@ function createBlackholeEffect(app) {
 
 // Move the actual creation logic to a separate function
 function actuallyCreateBlackholeEffect(app) {
+    const effectState = getEffectState(app);
+
     // Make sure we don't have an existing effect
     if (effectState.blackholeEffect) {
         app.scene.remove(effectState.blackholeEffect);
@@ -654,6 +722,11 @@ function actuallyCreateBlackholeEffect(app) {
     // Create ring particles around the blackhole
     createBlackholeRing(app);
 
+    // Darken the screen edges and split colours while it lasts; updateBlackholeEffect scales the split
+    releaseBlackholePasses(effectState);
+    effectState.blackholeVignette = pushPassOverride(app, 'vignette', { offset: 1.4, darkness: 1.6 });
+    effectState.blackholeAberration = pushPassOverride(app, 'chromaticAberration', { amount: 0 });
+
     // IMPROVED SOUND HANDLING: Create direct sound if other methods fail
     let soundPlayed = false;
 
@@ -744,19 +817,36 @@ function actuallyCreateBlackholeEffect(app) {
         app.showStatus('Blackhole Effect Activated - Hold Right-Click');
     }
 
+    emitEffect(app, BallEvents.EFFECT_START, 'blackhole');
+
     // REMOVED: Automatic timeout - now controlled by mouse release
     // setTimeout(() => {
     //     removeBlackholeEffect(app);
     // }, 5000);
 }
 
+// End the post-processing overrides the blackhole pushed
+function releaseBlackholePasses(effectState) {
+    if (effectState.blackholeVignette) {
+        effectState.blackholeVignette.release();
+        effectState.blackholeVignette = null;
+    }
+    if (effectState.blackholeAberration) {
+        effectState.blackholeAberration.release();
+        effectState.blackholeAberration = null;
+    }
+}
+
 // Remove blackhole effect - improved with reliable cleanup
 function removeBlackholeEffect(app) {
+    const effectState = getEffectState(app);
+
     console.log("[🌀 EFFECT] Removing blackhole effect and cleaning up");
 
     if (effectState.blackholeEffect) {
         app.scene.remove(effectState.blackholeEffect);
         effectState.blackholeEffect = null;
+        emitEffect(app, BallEvents.EFFECT_END, 'blackhole');
     }
 
     // Remove ring particles
@@ -783,10 +873,7 @@ function removeBlackholeEffect(app) {
     }
 
     // Reset post-processing distortion effects
-    if (app.blackholeDistortionPass) {
-        console.log("[🌀 EFFECT] Resetting post-processing distortion effects");
-        app.blackholeDistortionPass.uniforms.intensity.value = 0;
-    }
+    releaseBlackholePasses(effectState);
 
     // THOROUGH WEB AUDIO CLEANUP
     // IMPROVED AUDIO CLEANUP - with immediate stoppage
@@ -860,8 +947,8 @@ function removeBlackholeEffect(app) {
         targetPosition = new THREE.Vector3(0, 0, 0);
     }
 
-    // Smoothly animate return with easing
-    const startTime = Date.now();
+    // Smoothly animate return with easing, on the app clock so it holds while paused
+    let elapsed = 0;
     const duration = 1200; // milliseconds
 
     // Also reset rotation to make it look more natural
@@ -878,8 +965,8 @@ function removeBlackholeEffect(app) {
         z: 0
     };
 
-    function returnBall() {
-        const elapsed = Date.now() - startTime;
+    const stopReturn = getFrameScheduler(app).add(FramePhase.EFFECTS, 'blackholeReturn', () => {
+        elapsed += getFrameDelta(app) * 1000;
         const progress = Math.min(elapsed / duration, 1);
 
         // Ease out cubic for smooth deceleration
@@ -892,10 +979,9 @@ function removeBlackholeEffect(app) {
         app.ballGroup.rotation.y = startRotation.y + (targetRotation.y - startRotation.y) * t;
         app.ballGroup.rotation.z = startRotation.z + (targetRotation.z - startRotation.z) * t;
 
-        // Continue animation if not done
-        if (progress < 1) {
-            requestAnimationFrame(returnBall);
-        } else {
+        // Stop once the ball is back
+        if (progress >= 1) {
+            stopReturn();
             console.log("[🌀 EFFECT] Ball position fully reset");
 
             // Apply one final reset to ensure the mesh is perfectly clean
@@ -909,13 +995,13 @@ function removeBlackholeEffect(app) {
                 }
             }
         }
-    }
-
-    returnBall();
+    });
 }
 
 // Create particles forming a ring around the blackhole
 function createBlackholeRing(app) {
+    const effectState = getEffectState(app);
+
     // Clean up any existing particles
     for (const particle of effectState.blackholeRingParticles) {
         if (particle.parent) {
@@ -927,7 +1013,7 @@ function createBlackholeRing(app) {
     if (!effectState.blackholeEffect) return;
 
     // Create ring of particles
-    const ringCount = 100;
+    const ringCount = getParticleBudget(app, 100);
     for (let i = 0; i < ringCount; i++) {
         const angle = (i / ringCount) * Math.PI * 2;
 
@@ -972,6 +1058,9 @@ function applyGravitationalDeformation(app, attractorPosition, strength) {
         return;
     }
 
+    // The deformer reads the pull from effectState.gravitationalPull itself
+    if (app.deformer) return;
+
     const ball = app.ballGroup;
     const geo = ball.userData.geo;
     const wireGeo = ball.userData.wireGeo;
@@ -1043,13 +1132,16 @@ function applyGravitationalDeformation(app, attractorPosition, strength) {
 
 // Update blackhole effect
 function updateBlackholeEffect(app) {
+    const effectState = getEffectState(app);
+
     if (!effectState.blackholeEffect) return;
 
-    const time = Date.now() * 0.001;
+    const time = getFrameTime(app);
+    const delta = getFrameDelta(app);
 
     // Animate the blackhole
-    effectState.blackholeEffect.rotation.y += 0.02;
-    effectState.blackholeEffect.rotation.z += 0.01;
+    effectState.blackholeEffect.rotation.y += 1.2 * delta;
+    effectState.blackholeEffect.rotation.z += 0.6 * delta;
 
     // Calculate pull effect on the ball
     if (effectState.gravitationalPull > 0 && app.ballGroup) {
@@ -1065,14 +1157,14 @@ function updateBlackholeEffect(app) {
 
         // Move ball slightly towards blackhole
         app.ballGroup.position.add(
-            pullDirection.clone().multiplyScalar(1.00 * effectState.gravitationalPull)
+            pullDirection.clone().multiplyScalar(60 * effectState.gravitationalPull * delta)
         );
 
         // Apply deformation to the ball (stretched towards blackhole)
         applyGravitationalDeformation(app, effectState.blackholeEffect.position, effectState.gravitationalPull);
 
         // Gradually increase pull
-        effectState.gravitationalPull = Math.min(6.0, effectState.gravitationalPull + 0.03);
+        effectState.gravitationalPull = Math.min(6.0, effectState.gravitationalPull + 1.8 * delta);
         app.gravitationalPull = effectState.gravitationalPull;
     }
 
@@ -1096,25 +1188,20 @@ function updateBlackholeEffect(app) {
         particle.material.opacity = 0.5 + Math.cos(newAngle * 5) * 0.5;
     }
 
-    // Add this to updateBlackholeEffect function
-    // Create a subtle screen-space distortion for immersive effect
-    if (app.composer && app.renderPass) {
-        // Adjust post-processing intensity based on distance
+    // Screen-space colour split, stronger with the pull and as the blackhole nears the camera
+    if (effectState.blackholeAberration) {
         const distanceToCam = app.camera.position.distanceTo(effectState.blackholeEffect.position);
-        const distortionIntensity = Math.min(1.0, 3.0 / distanceToCam) * effectState.gravitationalPull * 0.1;
-
-        // If using a custom shader, update its uniforms
-        if (app.blackholeDistortionPass) {
-            app.blackholeDistortionPass.uniforms.intensity.value = distortionIntensity;
-            app.blackholeDistortionPass.uniforms.blackholePosition.value.copy(
-                effectState.blackholeEffect.position.clone().project(app.camera)
-            );
-        }
+        effectState.blackholeAberration.update({
+            amount: Math.min(1.0, 3.0 / distanceToCam) * effectState.gravitationalPull * 0.0015,
+            angle: time * 0.5
+        });
     }
 }
 
 // Function to toggle blackhole effect on/off
 function toggleBlackholeEffect(app) {
+    const effectState = getEffectState(app);
+
     // Check if blackhole effect is already active
     if (effectState.blackholeEffect) {
         // If active, remove it
@@ -1129,6 +1216,8 @@ function toggleBlackholeEffect(app) {
 
 // Function to toggle rainbow mode
 function toggleRainbowMode(app) {
+    const effectState = getEffectState(app);
+
     effectState.isRainbowMode = !effectState.isRainbowMode;
     app.isRainbowMode = effectState.isRainbowMode;
 
@@ -1154,14 +1243,18 @@ function toggleRainbowMode(app) {
         app.showStatus(`Rainbow Mode ${effectState.isRainbowMode ? 'Enabled' : 'Disabled'}`);
     }
 
+    emitEffect(app, effectState.isRainbowMode ? BallEvents.EFFECT_START : BallEvents.EFFECT_END, 'rainbow');
+
     return effectState.isRainbowMode;
 }
 
 // Update rainbow colors with cycling hue
 function updateRainbowMode(app) {
+    const effectState = getEffectState(app);
+
     if (!app.isRainbowMode && !effectState.isRainbowMode) return;
 
-    const time = Date.now() * 0.001;
+    const time = getFrameTime(app);
 
     // Cycle the hue for each color stop, offset by phase
     const hue1 = (time * 0.1) % 1;
@@ -1212,6 +1305,8 @@ function updateRainbowMode(app) {
 
 // Create audio visualization around the ball
 function createAudioVisualization(app) {
+    const effectState = getEffectState(app);
+
     if (!app.audioContext || effectState.audioVisualization) return;
 
     // Create a circle of small cubes around the ball
@@ -1251,6 +1346,8 @@ function createAudioVisualization(app) {
 
 // Update audio visualization
 function updateAudioVisualization(app) {
+    const effectState = getEffectState(app);
+
     if (!effectState.audioVisualization || !app.analyser) return;
 
     // Get frequency data
@@ -1282,6 +1379,8 @@ function updateAudioVisualization(app) {
 
 // Function to toggle audio visualization on/off
 function toggleAudioVisualization(app) {
+    const effectState = getEffectState(app);
+
     // Create the visualization if it doesn't exist
     if (!effectState.audioVisualization) {
         createAudioVisualization(app);
@@ -1304,6 +1403,12 @@ function toggleAudioVisualization(app) {
             app.showStatus(`Audio Visualization ${effectState.audioVisualization.visible ? 'Enabled' : 'Disabled'}`);
         }
 
+        emitEffect(
+            app,
+            effectState.audioVisualization.visible ? BallEvents.EFFECT_START : BallEvents.EFFECT_END,
+            'audioVisualization'
+        );
+
         return effectState.audioVisualization.visible;
     }
 
@@ -1312,6 +1417,8 @@ function toggleAudioVisualization(app) {
 
 // Initialize effects system if needed
 async function initializeEffects(app) {
+    const effectState = getEffectState(app);
+
     // Set up event listeners for 3D interaction
     if (app.renderer && app.camera && !app._effectsInitialized) {
         // Create raycaster if it doesn't exist
@@ -1320,7 +1427,7 @@ async function initializeEffects(app) {
         // Initialize sound manager if needed
         if (!app.soundManager) {
             const { soundManager } = await import('../audio/audioSystem.js');
-            await soundManager.init();
+            await soundManager.init(app);
             app.soundManager = soundManager;
         }
 
@@ -1421,8 +1528,9 @@ registerEffect('audioVisualization', {
     toggle: toggleAudioVisualization,
     update: updateAudioVisualization
 });
+// The floor (see core/ground.js)
 registerEffect('plane', {
-    toggle: (app, visible) => { if (app.plane) app.plane.visible = !!visible; }
+    toggle: (app, visible) => (app.ground ? app.ground.configure({ visible: !!visible }) : false)
 });
 
 export {
@@ -1457,7 +1565,8 @@ export {
     registerEffect,
     callEffect,
     updateEffects,
-    effectRegistry
+    effectRegistry,
+    getEffectState
 };
 
 export function logOrphanedEffects() {
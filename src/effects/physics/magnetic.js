@@ -1,5 +1,6 @@
 // effects/magnetic.js - Magnetic particles effect
 import * as THREE from 'three';
+import { getFrameTime, getFrameDelta, frameDamping } from '../../core/frame-scheduler.js';
 
 // Global variables for storing effect elements
 let magneticParticles = [];
@@ -77,7 +78,9 @@ function removeMagneticTrail(app) {
 function updateMagneticParticles(app) {
     if (!app.isMagneticMode || magneticParticles.length === 0) return;
 
-    const time = Date.now() * 0.001;
+    const time = getFrameTime(app);
+    const delta = getFrameDelta(app);
+    const follow = frameDamping(0.03, delta);
 
     for (const particle of magneticParticles) {
         // Calculate a position that follows the ball with some delay and orbit
@@ -93,12 +96,12 @@ function updateMagneticParticles(app) {
         const orbitZ = Math.cos(phase * 0.7) * orbitRadius + particle.userData.offset.z * 0.2;
 
         // Smoothly move toward target
-        particle.position.x += (targetX + orbitX - particle.position.x) * 0.03;
-        particle.position.y += (targetY + orbitY - particle.position.y) * 0.03;
-        particle.position.z += (targetZ + orbitZ - particle.position.z) * 0.03;
-        particle.rotation.x += 0.01;
-        particle.rotation.y += 0.01;
-        particle.rotation.z += 0.01;
+        particle.position.x += (targetX + orbitX - particle.position.x) * follow;
+        particle.position.y += (targetY + orbitY - particle.position.y) * follow;
+        particle.position.z += (targetZ + orbitZ - particle.position.z) * follow;
+        particle.rotation.x += 0.6 * delta;
+        particle.rotation.y += 0.6 * delta;
+        particle.rotation.z += 0.6 * delta;
         particle.scale.setScalar(1 + Math.sin(time * 2) * 0.1);
     }
     // Play magnetic sound if available
@@ -1,5 +1,8 @@
 // effects/explosion.js - Particle explosion effects
 import * as THREE from 'three';
+import { getFrameTime, getFrameDelta } from '../../core/frame-scheduler.js';
+import { getParticleBudget } from '../../core/render-quality.js';
+import { pushPassOverride } from '../../core/post-processing.js';
 
 // Global variables for storing effect elements
 let particleSystem = null;
@@ -13,8 +16,8 @@ function createParticleExplosion(app) {
         particleSystem.material.dispose();
     }
 
-    // Number of particles
-    const particleCount = 1000;
+    // Number of particles, scaled down on slower machines
+    const particleCount = getParticleBudget(app, 1000);
 
     // Create geometry for particles
     const particleGeometry = new THREE.BufferGeometry();
@@ -67,7 +70,7 @@ function createParticleExplosion(app) {
     // Create particle system
     particleSystem = new THREE.Points(particleGeometry, particleMaterial);
     particleSystem.userData.velocities = velocities;
-    particleSystem.userData.creationTime = Date.now();
+    particleSystem.userData.creationTime = getFrameTime(app);
     app.scene.add(particleSystem);
 
     // Try to play explosion sound if synthesizer exists
@@ -79,6 +82,9 @@ function createParticleExplosion(app) {
         }
     }
 
+    // Bloom flash that fades as the particles fly out
+    pushPassOverride(app, 'bloom', { strength: 2.5, radius: 0.8, threshold: 0 }, { duration: 1.5 });
+
     return particleSystem;
 }
 
@@ -87,8 +93,8 @@ function updateParticleExplosion(app) {
     if (!particleSystem) return;
 
     // Get time since creation to auto-remove after duration
-    const age = Date.now() - particleSystem.userData.creationTime;
-    if (age > 3000) { // Remove after 3 seconds
+    const age = getFrameTime(app) - particleSystem.userData.creationTime;
+    if (age > 3) { // Remove after 3 seconds
         app.scene.remove(particleSystem);
         particleSystem.geometry.dispose();
         particleSystem.material.dispose();
@@ -99,6 +105,10 @@ function updateParticleExplosion(app) {
     const positions = particleSystem.geometry.attributes.position;
     const velocities = particleSystem.userData.velocities;
 
+    // Physics constants are tuned per 60fps frame
+    const frames = getFrameDelta(app) * 60;
+    const drag = Math.pow(0.99, frames);
+
     // Apply physics to all particles
     for (let i = 0; i < positions.count; i++) {
         // Get current position
@@ -108,13 +118,13 @@ function updateParticleExplosion(app) {
 
         // Apply velocity with gravity and drag
         const velocity = velocities[i];
-        velocity.y -= 0.001; // Gravity
-        velocity.multiplyScalar(0.99); // Drag
+        velocity.y -= 0.001 * frames; // Gravity
+        velocity.multiplyScalar(drag); // Drag
 
         // Update position
-        positions.array[i * 3] += velocity.x;
-        positions.array[i * 3 + 1] += velocity.y;
-        positions.array[i * 3 + 2] += velocity.z;
+        positions.array[i * 3] += velocity.x * frames;
+        positions.array[i * 3 + 1] += velocity.y * frames;
+        positions.array[i * 3 + 2] += velocity.z * frames;
     }
 
     // Tell THREE.js to update the positions
@@ -1,12 +1,14 @@
 // effects/rainbow.js - Rainbow color cycling effect
 import * as THREE from 'three';
 import { createGradientTexture } from './gradients.js';
+import { BallEvents } from '../../core/event-bus.js';
+import { getFrameTime } from '../../core/frame-scheduler.js';
 
 // Rainbow color cycling effect (called in animation loop)
 function updateRainbowMode(app) {
     if (!app.isRainbowMode) return;
 
-    const time = Date.now() * 0.001;
+    const time = getFrameTime(app);
 
     // Create smooth cycling colors
     const r = Math.sin(time * 0.5) * 0.5 + 0.5;
@@ -77,6 +79,10 @@ function toggleRainbowMode(app) {
         }
     }
     
+    if (app.events) {
+        app.events.emit(app.isRainbowMode ? BallEvents.EFFECT_START : BallEvents.EFFECT_END, { effect: 'rainbow' });
+    }
+    
     return app.isRainbowMode;
 }
 
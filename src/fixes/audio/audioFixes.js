@@ -6,6 +6,7 @@ import { toggleAudioVisualization, updateAudioVisualization as externalUpdateAud
 import { AudioNodePool } from '../fixes/utils/node-pool.js';
 import { SoundScheduler } from '../scheduler.js';
 import { AudioCircuitBreaker } from './audio-circuit-breaker.js';
+import { BallEvents } from '../../core/event-bus.js';
 
 // Callbacks system for enhanced integration
 const callbacks = {
@@ -434,67 +435,47 @@ function connectAudioToBall(app, ball) {
         app.soundManager.init();
     }
 
-    // Make sure the ball has event handling capabilities
-    if (!ball.addEventListener) {
-        // Simple event system if not present
-        ball.events = {};
-        ball.addEventListener = function (event, callback) {
-            if (!this.events[event]) this.events[event] = [];
-            this.events[event].push(callback);
-        };
-        ball.emit = function (event, data) {
-            if (this.events[event]) {
-                this.events[event].forEach(callback => callback(data));
-            }
-        };
+    // Subscribe through the app's event bus instead of patching the ball
+    if (!app.events) {
+        console.warn('App has no event bus, ball audio not connected');
+        return ball;
     }
 
-    // Add audio event listeners to the ball
-    ball.addEventListener('facetHover', (data) => {
-        // Check if soundSynth exists and has the continuousModeEnabled property
-        if (app.soundManager?.soundSynth?.continuousModeEnabled) {
-            // Ensure playFacetSound method exists before calling
-            if (typeof app.soundManager.soundSynth.playFacetSound === 'function') {
-                app.soundManager.soundSynth.playFacetSound(data.facet, data.position);
-            } else {
-                // Fallback or error if method is missing
-                playFacetSound(app, data.facet, data.position); // Use the exported function as fallback
-            }
-        }
-    });
-
-    ball.addEventListener('click', () => {
-        // Ensure soundManager and play method exist
-        if (app.soundManager && typeof app.soundManager.play === 'function') {
-            app.soundManager.play('click');
-        } else {
-            playClickSound(app); // Use the exported function as fallback
-        }
-    });
-
     // --- Add throttling for hover sound ---
     let lastHoverSoundTime = 0;
     const hoverSoundThrottle = 100; // Minimum ms between hover sounds
 
-    ball.addEventListener('hover', () => {
-        const now = performance.now();
-        if (now - lastHoverSoundTime > hoverSoundThrottle) {
+    app.events.bind('audioFixes', {
+        [BallEvents.FACET_ENTER]: (data) => {
+            // Hover sound only when the pointer moves onto the ball
+            if (data.previousFacet === null) {
+                const now = performance.now();
+                if (now - lastHoverSoundTime > hoverSoundThrottle &&
+                    app.soundManager && typeof app.soundManager.play === 'function') {
+                    app.soundManager.play('hover');
+                    lastHoverSoundTime = now;
+                }
+            }
+
+            // Check if soundSynth exists and has the continuousModeEnabled property
+            if (app.soundManager?.soundSynth?.continuousModeEnabled) {
+                // Ensure playFacetSound method exists before calling
+                if (typeof app.soundManager.soundSynth.playFacetSound === 'function') {
+                    app.soundManager.soundSynth.playFacetSound(data.facet, data.uv);
+                } else {
+                    // Fallback or error if method is missing
+                    playFacetSound(app, data.facet, data.uv); // Use the exported function as fallback
+                }
+            }
+        },
+        [BallEvents.BALL_PRESS]: () => {
             // Ensure soundManager and play method exist
             if (app.soundManager && typeof app.soundManager.play === 'function') {
-                app.soundManager.play('hover');
-                lastHoverSoundTime = now;
+                app.soundManager.play('click');
+            } else {
+                playClickSound(app); // Use the exported function as fallback
             }
-            // No explicit fallback needed here unless 'hover' sound is critical
-        }
-    });
-    // --- End of throttling logic ---
-
-    ball.addEventListener('modeChange', () => {
-        // Ensure soundManager and play method exist
-        if (app.soundManager && typeof app.soundManager.play === 'function') {
-            app.soundManager.play('explosion');
         }
-        // No explicit fallback needed here unless 'explosion' sound is critical
     });
 
     console.log('Audio system connected to ball');
@@ -18,6 +18,8 @@ import {
     toggleRainbowMode
 } from '../effects/index.js';  // Updated from '../../js/effects/index.js'
 import { highlightFacet, getPositionInFacet, updateFacetHighlights } from '../effects/deformation/facet.js';
+import { addTrackedListener } from '../core/teardown.js';
+import { updatePointerVelocity, updateHoveredFacet } from './pointer-tracking.js';
 
 // Simplified throttle function without time-based throttling
 function throttle(fn, delay, options = {}) {
@@ -38,31 +40,31 @@ function setupEventListeners(app) {
     // Add event listeners for mouse/touch WITHOUT throttling
     const pointerMove = onPointerMove;
     
-    window.addEventListener('mousemove', e => pointerMove(e, app));
-    window.addEventListener('mousedown', e => onPointerDown(e, app));
-    window.addEventListener('mouseup', () => onPointerUp(app));
-    window.addEventListener('wheel', e => onMouseWheel(e, app), { passive: false });
+    addTrackedListener(app, window, 'mousemove', e => pointerMove(e, app));
+    addTrackedListener(app, window, 'mousedown', e => onPointerDown(e, app));
+    addTrackedListener(app, window, 'mouseup', () => onPointerUp(app));
+    addTrackedListener(app, window, 'wheel', e => onMouseWheel(e, app), { passive: false });
     
-    window.addEventListener('touchmove', e => {
+    addTrackedListener(app, window, 'touchmove', e => {
         e.preventDefault();
         pointerMove(e.touches[0], app);
     }, { passive: false });
     
-    window.addEventListener('touchstart', e => {
+    addTrackedListener(app, window, 'touchstart', e => {
         e.preventDefault();
         onPointerDown(e.touches[0], app);
     }, { passive: false });
     
-    window.addEventListener('touchend', () => onPointerUp(app));
+    addTrackedListener(app, window, 'touchend', () => onPointerUp(app));
     
-    window.addEventListener('contextmenu', e => {
+    addTrackedListener(app, window, 'contextmenu', e => {
         e.preventDefault();
         // Context menu disabled - effects handled elsewhere
         return false;
     });
     
     // Double click to toggle rainbow mode
-    window.addEventListener('dblclick', () => {
+    addTrackedListener(app, window, 'dblclick', () => {
         // Toggle rainbow mode
         const isActive = toggleRainbowMode(app);
         
@@ -73,7 +75,7 @@ function setupEventListeners(app) {
     });
     
     // Forward/back mouse buttons
-    window.addEventListener('mousedown', e => {
+    addTrackedListener(app, window, 'mousedown', e => {
         if (e.button === 3) { // Forward button (may vary by mouse)
             if (app.isMagneticMode) {
                 removeMagneticTrail(app);
@@ -103,6 +105,8 @@ function getFacetIndex(intersectPoint) {
 function onPointerMove(event, app) {
     if (!app || !app.mouse) return;
     
+    updatePointerVelocity(app, event);
+    
     // Calculate mouse position in normalized device coordinates
     // (-1 to +1) for both components
     const mouseX = (event.clientX / window.innerWidth) * 2 - 1;
@@ -186,9 +190,6 @@ function onPointerMove(event, app) {
             
         // Play a facet-specific sound
         playFacetSound(app, facetIndex, positionInFacet);
-        
-        // Update last facet index
-        app.lastFacetIndex = facetIndex;
 
         // Add facet detection
         detectFacetChange(app, intersects);
@@ -212,6 +213,7 @@ function onPointerMove(event, app) {
         }
         
         app.touchPoint = null;
+        updateHoveredFacet(app, null);
         
         // Gradually restore the original shape
         resetDeformation(app, 0.1);
@@ -373,46 +375,31 @@ function detectFacetChange(app, intersects) {
         return false;
     }
     
-    // Only proceed if facet highlighting is enabled
-    if (app.enableFacetHighlighting) {
-        const intersect = intersects[0];
-        if (intersect && intersect.face) {
-            const faceIndex = intersect.faceIndex;
+    const intersect = intersects[0];
+    
+    // Emits facet:leave / facet:enter on the app's event bus
+    if (!updateHoveredFacet(app, intersect)) {
+        return false; // No facet change
+    }
+    
+    // Only highlight if facet highlighting is enabled
+    if (app.enableFacetHighlighting && intersect.face) {
+        try {
+            // Get position within the facet for better audio mapping
+            const positionInFacet = getPositionInFacet(intersect);
             
-            // Only trigger when crossing to a new facet
-            if (app.lastFacetIndex !== faceIndex) {
-                const oldFacetIndex = app.lastFacetIndex;
-                app.lastFacetIndex = faceIndex;
-                
-                try {
-                    // Get position within the facet for better audio mapping
-                    const positionInFacet = getPositionInFacet(intersect);
-                    
-                    // Emit facet-change event for audio and visual feedback
-                    if (app.ballGroup && app.ballGroup.emit) {
-                        app.ballGroup.emit('facetChange', { 
-                            oldFacet: oldFacetIndex,
-                            newFacet: faceIndex,
-                            point: intersect.point,
-                            position: positionInFacet
-                        });
-                    }
-                    
-                    // Highlight the facet visually
-                    highlightFacet(app, faceIndex);
-                    
-                    // Generate facet-specific sound with louder volume
-                    playFacetSound(app, faceIndex, positionInFacet);
-                    
-                } catch (error) {
-                    console.error("Error in facet change detection:", error);
-                }
-                
-                return true; // Facet changed
-            }
+            // Highlight the facet visually
+            highlightFacet(app, intersect.faceIndex);
+            
+            // Generate facet-specific sound with louder volume
+            playFacetSound(app, intersect.faceIndex, positionInFacet);
+            
+        } catch (error) {
+            console.error("Error in facet change detection:", error);
         }
     }
-    return false; // No facet change
+    
+    return true; // Facet changed
 }
 
 function handleIntersection(app, intersects) {
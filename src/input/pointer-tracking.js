@@ -0,0 +1,80 @@
+// pointer-tracking.js - Pointer velocity and hovered-facet tracking shared by the input handlers
+import { BallEvents } from '../core/event-bus.js';
+
+const STILL = Object.freeze({ x: 0, y: 0, speed: 0 });
+
+/**
+ * Update the app's pointer velocity from a mouse/touch event
+ * @param {Object} app - Application context
+ * @param {MouseEvent|Touch} event - Event with clientX/clientY
+ * @returns {{x: number, y: number, speed: number}} Velocity in pixels per second
+ */
+export function updatePointerVelocity(app, event) {
+    const now = performance.now();
+    const last = app.lastPointerSample;
+
+    app.lastPointerSample = { x: event.clientX, y: event.clientY, time: now };
+
+    if (!last || now <= last.time) {
+        app.pointerVelocity = STILL;
+        return app.pointerVelocity;
+    }
+
+    const seconds = (now - last.time) / 1000;
+    const x = (event.clientX - last.x) / seconds;
+    const y = (event.clientY - last.y) / seconds;
+
+    app.pointerVelocity = { x, y, speed: Math.hypot(x, y) };
+    return app.pointerVelocity;
+}
+
+/**
+ * Get the u/v position of a raycast hit, defaulting to the facet center
+ * @param {Object} intersection - Raycaster intersection
+ * @returns {{u: number, v: number}}
+ */
+export function getHitUV(intersection) {
+    if (intersection && intersection.uv) {
+        return { u: intersection.uv.x, v: intersection.uv.y };
+    }
+    return { u: 0.5, v: 0.5 };
+}
+
+/**
+ * Track which facet is under the pointer and emit facet:leave / facet:enter on change
+ * @param {Object} app - Application context
+ * @param {Object|null} intersection - Nearest hit on the ball, or null when off the ball
+ * @returns {boolean} True if the hovered facet changed
+ */
+export function updateHoveredFacet(app, intersection) {
+    const facet = intersection ? intersection.faceIndex : null;
+    const previous = app.hoveredFacet ?? null;
+
+    if (facet === previous) return false;
+
+    app.hoveredFacet = facet;
+
+    if (!app.events) return true;
+
+    const velocity = app.pointerVelocity || STILL;
+
+    if (previous !== null) {
+        app.events.emit(BallEvents.FACET_LEAVE, {
+            facet: previous,
+            nextFacet: facet,
+            velocity
+        });
+    }
+
+    if (facet !== null) {
+        app.events.emit(BallEvents.FACET_ENTER, {
+            facet,
+            previousFacet: previous,
+            uv: getHitUV(intersection),
+            point: intersection.point.clone(),
+            velocity
+        });
+    }
+
+    return true;
+}
@@ -0,0 +1,53 @@
+// Run from the page console once the ball has booted:
+//   import('./src/tests/menu-attach-test.js').then(m => m.testMenuAttachOnce(window.menuSystem));
+
+/**
+ * Attach the menu to its app again (as the ui module and sceneReady both do) and check
+ * that one click on Record, Pause and Step still runs its action exactly once
+ * @param {Object} menu - The page's MenuSystem
+ * @returns {boolean} True if every button fired once
+ */
+export function testMenuAttachOnce(menu) {
+    console.log('Testing menu attachment...');
+
+    const bridge = menu && menu.app && menu.app.uiBridge;
+    if (!bridge) {
+        console.error('Menu attach test: FAILED, no menu or uiBridge');
+        return false;
+    }
+
+    // Count calls instead of recording, pausing or stepping for real
+    const buttons = { 'toggle-recording': 'toggleRecording', 'toggle-pause': 'togglePause', 'step-frame': 'stepFrame' };
+    const originals = {};
+    const calls = {};
+    Object.values(buttons).forEach(method => {
+        originals[method] = bridge[method];
+        calls[method] = 0;
+        bridge[method] = () => { calls[method]++; return false; };
+    });
+
+    let passed = true;
+    try {
+        menu.setApp(menu.app);
+        menu.setApp(menu.app);
+
+        Object.keys(buttons).forEach(id => {
+            const button = document.getElementById(id);
+            if (!button) {
+                console.warn(`Menu attach test: #${id} not found, skipped`);
+                return;
+            }
+            button.click();
+            const count = calls[buttons[id]];
+            if (count === 1) {
+                console.log(`Menu attach test #${id}: SUCCESS`);
+            } else {
+                console.error(`Menu attach test #${id}: FAILED, one click ran ${buttons[id]} ${count} times`);
+                passed = false;
+            }
+        });
+    } finally {
+        Object.keys(originals).forEach(method => { bridge[method] = originals[method]; });
+    }
+    return passed;
+}
@@ -0,0 +1,52 @@
+// Run from the page console once the ball has booted:
+//   import('./src/tests/soft-body-stability-test.js').then(m => m.testSoftBodyStability(window.app));
+import * as THREE from 'three';
+import { MAX_TIME_SCALE } from '../core/frame-scheduler.js';
+
+// No particle of a sound surface gets this far from the middle of the ball
+const MAX_EXTENT = 3;
+
+/**
+ * Poke the soft body at maximum stiffness and pressure with no damping, then feed it the
+ * longest frames the app clock can produce (maxDelta at the top time scale) and check the
+ * surface stays finite after every frame. A surface that blew up can snap back to rest once its values
+ * turn NaN, so checking only at the end would miss it.
+ * @param {Object} app - Application context with a soft body
+ * @returns {boolean} True if every particle stayed finite and near the ball
+ */
+export function testSoftBodyStability(app) {
+    console.log('Testing soft body stability...');
+
+    const softBody = app && app.softBody;
+    if (!softBody || !app.clock) {
+        console.error('Soft body stability test: FAILED, no soft body or clock');
+        return false;
+    }
+
+    const saved = softBody.config;
+    const frame = { delta: app.clock.maxDelta * MAX_TIME_SCALE };
+    let passed = true;
+    try {
+        softBody.configure({ enabled: true, stiffness: 400, damping: 0, pressure: 5 });
+        const center = app.ballGroup.getWorldPosition(new THREE.Vector3());
+        if (!softBody.poke(center.add(new THREE.Vector3(0, 0, 1)), 1, 0.8)) {
+            console.warn('Soft body stability test: soft body inactive (inside the ball, spikes or sculpt?), skipped');
+            return false;
+        }
+
+        for (let i = 0; i < 120 && passed; i++) {
+            softBody.update(frame);
+            passed = softBody.positions.every(value => Number.isFinite(value) && Math.abs(value) < MAX_EXTENT);
+            if (!passed) {
+                console.error(`Soft body stability test (${frame.delta}s frames): FAILED, the surface blew up on frame ${i + 1}`);
+            }
+        }
+        if (passed) {
+            console.log(`Soft body stability test (${frame.delta}s frames): SUCCESS`);
+        }
+    } finally {
+        softBody.configure(saved);
+        softBody.reset();
+    }
+    return passed;
+}
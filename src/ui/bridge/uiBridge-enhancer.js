@@ -7,6 +7,7 @@ import { callEffect } from '../../effects/effectManager.js';
 import { createTrailEffect, updateTrailEffect } from '../../effects/visual/trail.js';
 import { updateRainbowMode, toggleRainbowMode } from '../../effects/visual/rainbow.js';
 import { createGradientTexture, updateGradientColors } from '../../effects/visual/gradients.js';
+import { FramePhase, getFrameScheduler } from '../../core/frame-scheduler.js';
 
 // Enhance the existing uiBridge
 export function enhanceUIBridge(app) {
@@ -32,47 +33,19 @@ export function enhanceUIBridge(app) {
     window.createGradientTexture = createGradientTexture;
     window.updateGradientColors = updateGradientColors;
 
-    // Create animation loop hook
-    if (!app.effectsHooked) {
-        const originalAnimate = app.animate;
-        app.animate = function() {
-            // Call original animate function
-            if (typeof originalAnimate === 'function') {
-                originalAnimate();
-            }
-            
-            // Update explosion effect if active
-            if (app.explosionActive && typeof updateParticleExplosion === 'function') {
-                updateParticleExplosion(app);
-            }
-            
-            // Update blackhole effect if active
-            if (app.isBlackholeActive && typeof updateBlackholeEffect === 'function') {
-                updateBlackholeEffect(app);
-            }
-            
-            // Update magnetic trail effect if active
-            if (app.isMagneticActive && typeof updateTrailEffect === 'function') {
-                updateTrailEffect(app);
-            }
-            
-            // Update audio visualization if active
-            if (app.audioVisualization?.enabled && typeof app.updateAudioVisualization === 'function') {
-                app.updateAudioVisualization();
-            }
-            
-            // Update rainbow mode if active
-            if (app.isRainbowMode && typeof updateRainbowMode === 'function') {
-                updateRainbowMode(app);
-            }
-
-            // Unified update for all effects
-            import('../../effects/effectManager.js').then(({ updateEffects }) => {
-                updateEffects(app);
-            });
-        };
-        app.effectsHooked = true;
-    }
+    // Per-frame updates the effect registry does not cover; blackhole, rainbow and
+    // visualization already run once per frame from the core hooks (see ball-app.js animate)
+    const scheduler = getFrameScheduler(app);
+    scheduler.add(FramePhase.EFFECTS, 'explosionParticles', () => {
+        if (app.explosionActive) {
+            updateParticleExplosion(app);
+        }
+    });
+    scheduler.add(FramePhase.EFFECTS, 'magneticTrail', () => {
+        if (app.isMagneticActive) {
+            updateTrailEffect(app);
+        }
+    });
 
     // Enhanced uiBridge implementation
     Object.assign(app.uiBridge, {
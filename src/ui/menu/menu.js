@@ -11,6 +11,8 @@ class MenuSystem {
         this.statusTimeout = null;
         this.initElements();
         this.attachEventListeners();
+        this.populatePickers();
+        this.subscribeToApp();
     }
 
     initElements() {
@@ -26,7 +28,12 @@ class MenuSystem {
         if (!this.volumeSlider) console.warn('Volume slider not found (volume-slider)');
     }
 
+    // DOM listeners read this.app when they fire, so they are attached once and survive setApp();
+    // attaching again would make one click run its action once per attachment
     attachEventListeners() {
+        if (this.listenersAttached) return;
+        this.listenersAttached = true;
+
         // Leave hamburger menu logic untouched - it works fine
         
         // Audio controls - updated to match HTML IDs
@@ -64,6 +71,27 @@ class MenuSystem {
             });
         }
 
+        const rotationButton = document.getElementById('toggle-rotation');
+        if (rotationButton) {
+            rotationButton.addEventListener('click', () => {
+                const enabled = this.app.uiBridge?.toggleRotation?.();
+                rotationButton.classList.toggle('active', enabled === false);
+            });
+        }
+
+        const shareButton = document.getElementById('copy-share-link');
+        if (shareButton) {
+            shareButton.addEventListener('click', async () => {
+                const link = await this.app.uiBridge?.copyShareLink?.();
+                shareButton.textContent = link ? 'Link copied!' : 'Could not create link';
+
+                clearTimeout(this.statusTimeout);
+                this.statusTimeout = setTimeout(() => {
+                    shareButton.textContent = 'Copy share link';
+                }, 2000);
+            });
+        }
+
         const wireframeToggle = document.getElementById('toggle-wireframe');
         if (wireframeToggle) {
             wireframeToggle.addEventListener('change', (e) => {
@@ -104,6 +132,108 @@ class MenuSystem {
             });
         }
 
+        // Floor style, height, mirror and contact shadow
+        const groundStyleSelect = document.getElementById('ground-style-select');
+        if (groundStyleSelect) {
+            groundStyleSelect.addEventListener('change', (e) => {
+                this.app.uiBridge?.setGround?.({ style: e.target.value });
+            });
+        }
+
+        const groundHeightSlider = document.getElementById('ground-height-slider');
+        if (groundHeightSlider) {
+            groundHeightSlider.addEventListener('input', (e) => {
+                this.app.uiBridge?.setGround?.({ height: parseFloat(e.target.value) });
+            });
+        }
+
+        const groundMirrorToggle = document.getElementById('toggle-ground-mirror');
+        if (groundMirrorToggle) {
+            groundMirrorToggle.addEventListener('change', (e) => {
+                this.app.uiBridge?.setGround?.({ mirror: e.target.checked });
+            });
+        }
+
+        const contactShadowToggle = document.getElementById('toggle-contact-shadow');
+        if (contactShadowToggle) {
+            contactShadowToggle.addEventListener('change', (e) => {
+                this.app.uiBridge?.setGround?.({ contactShadow: e.target.checked });
+            });
+        }
+
+        // Physics: throw and bounce the ball
+        const physicsToggle = document.getElementById('toggle-physics');
+        if (physicsToggle) {
+            physicsToggle.addEventListener('change', (e) => {
+                this.app.uiBridge?.togglePhysics?.(e.target.checked);
+            });
+        }
+
+        [['physics-gravity-slider', 'gravity'], ['physics-damping-slider', 'damping'], ['physics-restitution-slider', 'restitution']].forEach(([id, key]) => {
+            const slider = document.getElementById(id);
+            if (slider) {
+                slider.addEventListener('input', (e) => {
+                    this.app.uiBridge?.setPhysics?.({ [key]: parseFloat(e.target.value) });
+                });
+            }
+        });
+
+        // Soft body: springy surface
+        const softBodyToggle = document.getElementById('toggle-soft-body');
+        if (softBodyToggle) {
+            softBodyToggle.addEventListener('change', (e) => {
+                this.app.uiBridge?.toggleSoftBody?.(e.target.checked);
+            });
+        }
+
+        [['soft-body-stiffness-slider', 'stiffness'], ['soft-body-damping-slider', 'damping'], ['soft-body-pressure-slider', 'pressure']].forEach(([id, key]) => {
+            const slider = document.getElementById(id);
+            if (slider) {
+                slider.addEventListener('input', (e) => {
+                    this.app.uiBridge?.setSoftBody?.({ [key]: parseFloat(e.target.value) });
+                });
+            }
+        });
+
+        // Sculpt mode: brush, its radius, strength and falloff, symmetry and history
+        const sculptToggle = document.getElementById('toggle-sculpt');
+        if (sculptToggle) {
+            sculptToggle.addEventListener('change', (e) => {
+                this.app.uiBridge?.setSculpt?.({ enabled: e.target.checked });
+            });
+        }
+
+        [['sculpt-brush', 'brush'], ['sculpt-symmetry', 'symmetry']].forEach(([id, key]) => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', (e) => {
+                    this.app.uiBridge?.setSculpt?.({ [key]: e.target.value });
+                });
+            }
+        });
+
+        // Radius, strength and falloff belong to the brush in use
+        [['sculpt-radius-slider', 'radius', 'input'], ['sculpt-strength-slider', 'strength', 'input'], ['sculpt-falloff', 'falloff', 'change']].forEach(([id, key, type]) => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener(type, (e) => {
+                    const brush = this.app.uiBridge?.getSculpt?.()?.brush;
+                    if (!brush) return;
+                    const value = key === 'falloff' ? e.target.value : parseFloat(e.target.value);
+                    this.app.uiBridge.setSculpt({ brushes: { [brush]: { [key]: value } } });
+                });
+            }
+        });
+
+        [['sculpt-undo', 'undoSculpt'], ['sculpt-redo', 'redoSculpt'], ['sculpt-reset', 'resetSculpt']].forEach(([id, method]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.app.uiBridge?.[method]?.();
+                });
+            }
+        });
+
         // Special effects buttons
         const explosionBtn = document.getElementById('trigger-explosion');
         if (explosionBtn) {
@@ -126,6 +256,156 @@ class MenuSystem {
             });
         }
 
+        // App clock: pause, single-frame step and speed
+        const pauseBtn = document.getElementById('toggle-pause');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                this.app.uiBridge?.togglePause?.();
+                this.syncTimeControls();
+            });
+        }
+
+        const stepBtn = document.getElementById('step-frame');
+        if (stepBtn) {
+            stepBtn.addEventListener('click', () => {
+                this.app.uiBridge?.stepFrame?.();
+                this.syncTimeControls();
+            });
+        }
+
+        const timeScaleSlider = document.getElementById('time-scale-slider');
+        if (timeScaleSlider) {
+            timeScaleSlider.addEventListener('input', (e) => {
+                // Logarithmic slider so 0.1x-1x gets as much travel as 1x-4x
+                this.app.uiBridge?.setTimeScale?.(Math.pow(10, parseFloat(e.target.value)));
+                this.syncTimeControls();
+            });
+        }
+
+        // Recording: start/stop, pause, and a timer while it runs
+        const recordBtn = document.getElementById('toggle-recording');
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => {
+                this.app.uiBridge?.toggleRecording?.({
+                    resolution: document.getElementById('recording-resolution')?.value,
+                    duration: parseFloat(document.getElementById('recording-duration')?.value) || 0
+                });
+                this.syncRecordingControls();
+            });
+        }
+
+        const pauseRecordingBtn = document.getElementById('pause-recording');
+        if (pauseRecordingBtn) {
+            pauseRecordingBtn.addEventListener('click', () => {
+                this.app.uiBridge?.pauseRecording?.();
+                this.syncRecordingControls();
+            });
+        }
+
+        // Camera tours: play/pause, stop, record a path from the live camera
+        const cameraPlayBtn = document.getElementById('camera-play');
+        if (cameraPlayBtn) {
+            cameraPlayBtn.addEventListener('click', () => {
+                const status = this.app.uiBridge?.getCameraStatus?.();
+                if (status && (status.state === 'playing' || status.state === 'paused')) {
+                    this.app.uiBridge.pauseCameraPath();
+                } else {
+                    this.app.uiBridge?.playCameraPath?.(document.getElementById('camera-path-select')?.value);
+                }
+            });
+        }
+
+        const cameraStopBtn = document.getElementById('camera-stop');
+        if (cameraStopBtn) {
+            cameraStopBtn.addEventListener('click', () => {
+                this.app.uiBridge?.stopCameraPath?.();
+            });
+        }
+
+        const cameraRecordBtn = document.getElementById('camera-record');
+        if (cameraRecordBtn) {
+            cameraRecordBtn.addEventListener('click', () => {
+                const result = this.app.uiBridge?.toggleCameraRecording?.();
+                if (result && result.keyframes) {
+                    const label = window.prompt('Name for this camera path:');
+                    if (label && this.app.uiBridge.saveCameraPath(label, result)) {
+                        this.populateCameraPaths();
+                    }
+                }
+            });
+        }
+
+        const cameraDeleteBtn = document.getElementById('camera-delete-path');
+        if (cameraDeleteBtn) {
+            cameraDeleteBtn.addEventListener('click', () => {
+                const cameraPathSelect = document.getElementById('camera-path-select');
+                if (cameraPathSelect && this.app.uiBridge?.deleteCameraPath?.(cameraPathSelect.value)) {
+                    this.populateCameraPaths();
+                }
+            });
+        }
+
+        const cameraPathSelect = document.getElementById('camera-path-select');
+        if (cameraPathSelect) {
+            cameraPathSelect.addEventListener('change', () => this.syncCameraControls());
+        }
+
+        // Interior mode: how the inside of the ball looks and sounds
+        [['interior-glow-slider', 'glow'], ['interior-pulse-slider', 'pulse'], ['interior-reverb-slider', 'reverb']].forEach(([id, key]) => {
+            const slider = document.getElementById(id);
+            if (slider) {
+                slider.addEventListener('input', (e) => {
+                    this.app.uiBridge?.setInterior?.({ [key]: parseFloat(e.target.value) });
+                });
+            }
+        });
+
+        // Snapshot: render a still at the chosen size and download it
+        const exportStillBtn = document.getElementById('export-still');
+        if (exportStillBtn) {
+            exportStillBtn.addEventListener('click', () => {
+                const options = {
+                    size: document.getElementById('still-size')?.value,
+                    background: document.getElementById('still-background')?.value,
+                    hideHelpers: document.getElementById('still-hide-helpers')?.checked !== false
+                };
+
+                // Large stills block for a moment; show that first and keep the button from queueing more
+                exportStillBtn.disabled = true;
+                exportStillBtn.textContent = 'Rendering...';
+                setTimeout(() => {
+                    Promise.resolve(this.app.uiBridge?.exportStill?.(options)).finally(() => {
+                        exportStillBtn.disabled = false;
+                        exportStillBtn.textContent = 'Save PNG';
+                    });
+                }, 50);
+            });
+        }
+
+        // Render quality
+        const qualitySelect = document.getElementById('quality-select');
+        if (qualitySelect) {
+            qualitySelect.addEventListener('change', (e) => {
+                this.app.uiBridge?.setQuality?.(e.target.value);
+                this.syncQualityControls();
+                this.syncPostProcessingControls();
+            });
+        }
+
+        // Post-processing pass toggles
+        document.querySelectorAll('[data-post-pass]').forEach(toggle => {
+            toggle.addEventListener('change', (e) => {
+                this.app.uiBridge?.setPostPass?.(e.target.dataset.postPass, e.target.checked);
+            });
+        });
+
+        const colorGradeSelect = document.getElementById('color-grade-select');
+        if (colorGradeSelect) {
+            colorGradeSelect.addEventListener('change', (e) => {
+                this.app.uiBridge?.setColorGrade?.(e.target.value);
+            });
+        }
+
         // Audio visualization toggle
         const visualizationToggle = document.getElementById('toggle-visualization');
         if (visualizationToggle) {
@@ -145,13 +425,98 @@ class MenuSystem {
             });
         }
 
+        // Ball shape and detail
+        const shapeSelect = document.getElementById('shape-select');
+        const detailSlider = document.getElementById('detail-slider');
+        if (shapeSelect && detailSlider) {
+            shapeSelect.addEventListener('change', (e) => {
+                this.app.uiBridge?.setBallShape?.(e.target.value);
+                this.syncShapeControls();
+            });
+            detailSlider.addEventListener('input', (e) => {
+                this.app.uiBridge?.setBallShape?.(shapeSelect.value, parseInt(e.target.value, 10));
+                this.syncShapeControls();
+            });
+        }
+
+        // Deformation path and surface noise
+        const gpuDeformToggle = document.getElementById('toggle-gpu-deform');
+        if (gpuDeformToggle) {
+            gpuDeformToggle.addEventListener('change', (e) => {
+                this.app.uiBridge?.setDeformer?.({ gpu: e.target.checked });
+                this.syncDeformerControls();
+            });
+        }
+
+        const deformNoiseSlider = document.getElementById('deform-noise-slider');
+        if (deformNoiseSlider) {
+            deformNoiseSlider.addEventListener('input', (e) => {
+                this.app.uiBridge?.setDeformer?.({ noise: parseFloat(e.target.value) });
+            });
+        }
+
+        // Look presets
+        const presetSelect = document.getElementById('preset-select');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', (e) => {
+                this.app.uiBridge?.applyPreset?.(e.target.value);
+                this.syncToggleStates();
+            });
+        }
+
+        // Environment (background and reflections)
+        const environmentSelect = document.getElementById('environment-select');
+        if (environmentSelect) {
+            environmentSelect.addEventListener('change', (e) => {
+                this.app.uiBridge?.setEnvironment?.(e.target.value);
+            });
+        }
+
+        // Lighting rig and point light motion
+        const lightingSelect = document.getElementById('lighting-select');
+        const lightMotionSelect = document.getElementById('light-motion-select');
+        if (lightingSelect && lightMotionSelect) {
+            lightingSelect.addEventListener('change', (e) => {
+                this.app.uiBridge?.setLightingRig?.(e.target.value);
+                this.syncLightingControls();
+            });
+            lightMotionSelect.addEventListener('change', (e) => {
+                this.app.uiBridge?.setLightMotion?.(e.target.value);
+            });
+        }
+
+        const savePresetBtn = document.getElementById('save-preset');
+        if (savePresetBtn) {
+            savePresetBtn.addEventListener('click', () => {
+                const label = window.prompt('Name for this look:');
+                if (label && this.app.uiBridge?.saveCustomPreset?.(label)) {
+                    this.populatePresets();
+                }
+            });
+        }
+
+        const deletePresetBtn = document.getElementById('delete-preset');
+        if (deletePresetBtn) {
+            deletePresetBtn.addEventListener('click', () => {
+                if (presetSelect && this.app.uiBridge?.deleteCustomPreset?.(presetSelect.value)) {
+                    this.populatePresets();
+                }
+            });
+        }
+
         // Color inputs
         const innerColorInput = document.getElementById('inner-color');
         const middleColorInput = document.getElementById('middle-color');
         const outerColorInput = document.getElementById('outer-color');
 
         const updateColors = () => {
-            if (this.app.updateGradientTexture) {
+            if (this.app.uiBridge?.setGradientColors) {
+                this.app.uiBridge.setGradientColors(
+                    innerColorInput.value,
+                    middleColorInput.value,
+                    outerColorInput.value
+                );
+            } else if (this.app.updateGradientTexture) {
                 this.app.updateGradientTexture(
                     innerColorInput.value,
                     middleColorInput.value,
@@ -175,16 +540,507 @@ class MenuSystem {
         }
     }
 
+    // Fill the pickers whose options come from the app or from main.js; runs again for every setApp()
+    populatePickers() {
+        this.populatePresets();
+        this.populateShapes();
+        this.populateEnvironments();
+        this.populateLighting();
+        this.populateGroundStyles();
+        this.populateQuality();
+        this.populateColorGrades();
+        this.populateRecordingResolutions();
+        this.populateStillSizes();
+        this.populateCameraPaths();
+    }
+
+    // Follow the app's event bus; runs again for every setApp() so a new app replaces the old subscriptions
+    subscribeToApp() {
+        ['offRecordingChange', 'offCameraPathChange', 'offInteriorChange', 'offSculptChange', 'offClockChange'].forEach(key => {
+            if (this[key]) this[key]();
+            this[key] = null;
+        });
+        if (!this.app?.events || !window.BallEvents) return;
+
+        const events = this.app.events;
+        // Recordings and camera paths also end by themselves when a length was picked
+        this.offRecordingChange = events.on(window.BallEvents.RECORDING_CHANGE, () => this.syncRecordingControls());
+        this.offCameraPathChange = events.on(window.BallEvents.CAMERA_PATH_CHANGE, () => this.syncCameraControls());
+        // The status line says when the camera is inside
+        this.offInteriorChange = events.on(window.BallEvents.INTERIOR_CHANGE, () => this.syncCameraControls());
+        // Strokes and keyboard undo change the sculpt history outside the menu
+        this.offSculptChange = events.on(window.BallEvents.SCULPT_CHANGE, () => this.syncSculptControls());
+        // The console API and restored state also pause and rescale the clock
+        this.offClockChange = events.on(window.BallEvents.CLOCK_CHANGE, () => this.syncTimeControls());
+    }
+
+    // Reflect the app clock in the Time section
+    syncTimeControls() {
+        const clock = this.app.clock;
+        if (!clock) return;
+
+        const pauseBtn = document.getElementById('toggle-pause');
+        if (pauseBtn) {
+            pauseBtn.textContent = clock.paused ? 'Resume' : 'Pause';
+            pauseBtn.classList.toggle('active', clock.paused);
+        }
+
+        const timeScaleSlider = document.getElementById('time-scale-slider');
+        if (timeScaleSlider) {
+            timeScaleSlider.value = Math.log10(clock.timeScale);
+        }
+
+        const timeScaleValue = document.getElementById('time-scale-value');
+        if (timeScaleValue) {
+            timeScaleValue.textContent = `${clock.timeScale.toFixed(clock.timeScale < 1 ? 2 : 1)}x`;
+        }
+    }
+
+    // Fill the recording size picker from the sizes main.js exposes
+    populateRecordingResolutions() {
+        const resolutionSelect = document.getElementById('recording-resolution');
+        if (!resolutionSelect || !window.RecordingResolutions) return;
+
+        resolutionSelect.innerHTML = '';
+        Object.keys(window.RecordingResolutions).forEach(name => {
+            resolutionSelect.add(new Option(window.RecordingResolutions[name].label, name));
+        });
+    }
+
+    // Fill the snapshot size picker from the sizes main.js exposes
+    populateStillSizes() {
+        const sizeSelect = document.getElementById('still-size');
+        if (!sizeSelect || !window.StillSizes) return;
+
+        sizeSelect.innerHTML = '';
+        Object.keys(window.StillSizes).forEach(name => {
+            sizeSelect.add(new Option(window.StillSizes[name].label, name));
+        });
+    }
+
+    // Record/Stop and Pause/Resume labels, plus a running timer while recording
+    syncRecordingControls() {
+        const status = this.app.uiBridge?.getRecordingStatus?.();
+        if (!status) return;
+
+        const active = status.state !== 'inactive';
+        const recordBtn = document.getElementById('toggle-recording');
+        if (recordBtn) {
+            recordBtn.textContent = active ? 'Stop' : 'Record';
+            recordBtn.classList.toggle('active', active);
+            recordBtn.disabled = !status.supported;
+        }
+
+        const pauseRecordingBtn = document.getElementById('pause-recording');
+        if (pauseRecordingBtn) {
+            pauseRecordingBtn.textContent = status.state === 'paused' ? 'Resume' : 'Pause';
+            pauseRecordingBtn.disabled = !active;
+        }
+
+        const recordingTime = document.getElementById('recording-time');
+        if (recordingTime) {
+            const seconds = Math.floor(status.elapsed);
+            const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            recordingTime.textContent = active ? `(${status.state === 'paused' ? 'paused ' : ''}${time})` : '';
+        }
+
+        // Tick the timer only while a recording is running
+        if (active && !this.recordingTimer) {
+            this.recordingTimer = setInterval(() => this.syncRecordingControls(), 500);
+        } else if (!active && this.recordingTimer) {
+            clearInterval(this.recordingTimer);
+            this.recordingTimer = null;
+        }
+    }
+
+    // Fill the camera path picker, tours first
+    populateCameraPaths() {
+        const cameraPathSelect = document.getElementById('camera-path-select');
+        const paths = this.app.uiBridge?.getCameraPaths?.();
+        if (!cameraPathSelect || !paths) return;
+
+        const selected = cameraPathSelect.value;
+        cameraPathSelect.innerHTML = '';
+        [['Tours', true], ['Saved', false]].forEach(([label, builtIn]) => {
+            const entries = paths.filter(path => path.builtIn === builtIn);
+            if (entries.length === 0) return;
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+            entries.forEach(path => group.appendChild(new Option(path.label, path.name)));
+            cameraPathSelect.appendChild(group);
+        });
+        if (paths.some(path => path.name === selected)) {
+            cameraPathSelect.value = selected;
+        }
+        this.syncCameraControls();
+    }
+
+    // Play/Pause/Resume and Record/Stop labels, plus the path's progress
+    syncCameraControls() {
+        const status = this.app.uiBridge?.getCameraStatus?.();
+        if (!status) return;
+
+        const moving = status.state === 'playing' || status.state === 'paused';
+        const recording = status.state === 'recording';
+
+        const cameraPlayBtn = document.getElementById('camera-play');
+        if (cameraPlayBtn) {
+            cameraPlayBtn.textContent = status.state === 'playing' ? 'Pause' : (status.state === 'paused' ? 'Resume' : 'Play');
+            cameraPlayBtn.classList.toggle('active', moving);
+        }
+
+        const cameraStopBtn = document.getElementById('camera-stop');
+        if (cameraStopBtn) cameraStopBtn.disabled = !moving;
+
+        const cameraRecordBtn = document.getElementById('camera-record');
+        if (cameraRecordBtn) {
+            cameraRecordBtn.textContent = recording ? 'Stop recording' : 'Record path';
+            cameraRecordBtn.classList.toggle('active', recording);
+        }
+
+        const cameraPathSelect = document.getElementById('camera-path-select');
+        const cameraDeleteBtn = document.getElementById('camera-delete-path');
+        if (cameraDeleteBtn && cameraPathSelect) {
+            const selected = (this.app.uiBridge.getCameraPaths() || []).find(path => path.name === cameraPathSelect.value);
+            cameraDeleteBtn.disabled = !selected || selected.builtIn;
+        }
+
+        const cameraStatus = document.getElementById('camera-status');
+        if (cameraStatus) {
+            const inside = this.app.uiBridge.isCameraInside?.();
+            cameraStatus.textContent = recording ? '(recording)' : (status.state === 'paused' ? '(paused)' : (inside ? '(inside)' : ''));
+        }
+    }
+
+    // Interior sliders from the saved or default settings
+    syncInteriorControls() {
+        const interior = this.app.uiBridge?.getInterior?.();
+        if (!interior) return;
+
+        const sliders = { glow: 'interior-glow-slider', pulse: 'interior-pulse-slider', reverb: 'interior-reverb-slider' };
+        Object.keys(sliders).forEach(key => {
+            const slider = document.getElementById(sliders[key]);
+            if (slider) slider.value = interior[key];
+        });
+    }
+
+    // Fill the quality picker: Auto, then the tiers best first
+    populateQuality() {
+        const qualitySelect = document.getElementById('quality-select');
+        const tiers = window.QualityTiers;
+        if (!qualitySelect || !tiers) return;
+
+        qualitySelect.innerHTML = '';
+        qualitySelect.add(new Option('Auto', 'auto'));
+        tiers.slice().reverse().forEach(tier => {
+            qualitySelect.add(new Option(tier.label, tier.name));
+        });
+        this.syncQualityControls();
+    }
+
+    // Show the picked setting and the tier actually in use
+    syncQualityControls() {
+        const status = this.app.uiBridge?.getQualityStatus?.();
+        if (!status) return;
+
+        const qualitySelect = document.getElementById('quality-select');
+        if (qualitySelect) {
+            qualitySelect.value = status.auto ? 'auto' : status.tier;
+        }
+
+        const qualityStatus = document.getElementById('quality-status');
+        if (qualityStatus) {
+            qualityStatus.textContent = status.fps ? `(${status.label}, ${status.fps} fps)` : `(${status.label})`;
+        }
+    }
+
+    // Fill the colour grade picker from the grades main.js exposes
+    populateColorGrades() {
+        const colorGradeSelect = document.getElementById('color-grade-select');
+        if (!colorGradeSelect || !window.ColorGrades) return;
+
+        colorGradeSelect.innerHTML = '';
+        colorGradeSelect.add(new Option('None', 'none'));
+        Object.keys(window.ColorGrades).forEach(name => {
+            colorGradeSelect.add(new Option(window.ColorGrades[name].label, name));
+        });
+        this.syncPostProcessingControls();
+    }
+
+    // Match the pass toggles and grade picker to the stack
+    syncPostProcessingControls() {
+        const postStatus = document.getElementById('post-status');
+        if (postStatus) {
+            if (this.app.rendererType === 'canvas') {
+                postStatus.textContent = '(needs WebGL)';
+            } else {
+                postStatus.textContent = this.app.postProcessingAllowed === false ? '(off at this quality)' : '';
+            }
+        }
+
+        const config = this.app.uiBridge?.getPostProcessingConfig?.();
+        if (!config) return;
+
+        document.querySelectorAll('[data-post-pass]').forEach(toggle => {
+            const pass = config[toggle.dataset.postPass];
+            if (pass) toggle.checked = pass.enabled;
+        });
+
+        const colorGradeSelect = document.getElementById('color-grade-select');
+        if (colorGradeSelect) {
+            colorGradeSelect.value = config.colorGrading.enabled ? config.colorGrading.lut : 'none';
+        }
+    }
+
+    // Fill the shape picker from the shapes main.js exposes
+    populateShapes() {
+        const shapeSelect = document.getElementById('shape-select');
+        if (!shapeSelect || !window.BallShapes) return;
+
+        shapeSelect.innerHTML = '';
+        Object.keys(window.BallShapes).forEach(name => {
+            shapeSelect.appendChild(new Option(window.BallShapes[name].label, name));
+        });
+        this.syncShapeControls();
+    }
+
+    // Match the shape picker, detail slider and facet count to the ball
+    syncShapeControls() {
+        const shapeSelect = document.getElementById('shape-select');
+        const detailSlider = document.getElementById('detail-slider');
+        const facetCount = document.getElementById('facet-count');
+        const current = this.app.ballShape;
+        const definition = current && window.BallShapes?.[current.shape];
+        if (!definition) return;
+
+        if (shapeSelect) shapeSelect.value = current.shape;
+        if (detailSlider) {
+            detailSlider.min = definition.minDetail;
+            detailSlider.max = definition.maxDetail;
+            detailSlider.value = current.detail;
+        }
+        if (facetCount && this.app.uiBridge?.getFacetCount) {
+            facetCount.textContent = `(${this.app.uiBridge.getFacetCount()} facets)`;
+        }
+    }
+
+    // GPU toggle, noise slider and which path actually runs (the canvas renderer always uses the CPU)
+    syncDeformerControls() {
+        const deformer = this.app.uiBridge?.getDeformer?.();
+        if (!deformer) return;
+
+        const gpuDeformToggle = document.getElementById('toggle-gpu-deform');
+        if (gpuDeformToggle) gpuDeformToggle.checked = deformer.gpu;
+
+        const deformNoiseSlider = document.getElementById('deform-noise-slider');
+        if (deformNoiseSlider) deformNoiseSlider.value = deformer.noise;
+
+        const deformStatus = document.getElementById('deform-status');
+        if (deformStatus) deformStatus.textContent = deformer.gpu && deformer.mode === 'cpu' ? '(CPU fallback)' : '';
+    }
+
+    // Fill the environment picker from the environments main.js exposes
+    populateEnvironments() {
+        const environmentSelect = document.getElementById('environment-select');
+        if (!environmentSelect || !window.Environments) return;
+
+        environmentSelect.innerHTML = '';
+        Object.keys(window.Environments).forEach(name => {
+            environmentSelect.add(new Option(window.Environments[name].label, name));
+        });
+        this.syncEnvironmentControls();
+    }
+
+    // Presets and share links switch environments too
+    syncEnvironmentControls() {
+        const environmentSelect = document.getElementById('environment-select');
+        const current = this.app.uiBridge?.getEnvironment?.();
+        if (environmentSelect && current) {
+            environmentSelect.value = current;
+        }
+    }
+
+    // Fill the rig and light motion pickers from what main.js exposes
+    populateLighting() {
+        const lightingSelect = document.getElementById('lighting-select');
+        const lightMotionSelect = document.getElementById('light-motion-select');
+        if (!lightingSelect || !lightMotionSelect || !window.LightingRigs || !window.LightBehaviours) return;
+
+        lightingSelect.innerHTML = '';
+        Object.keys(window.LightingRigs).forEach(name => {
+            lightingSelect.add(new Option(window.LightingRigs[name].label, name));
+        });
+        lightMotionSelect.innerHTML = '';
+        Object.keys(window.LightBehaviours).forEach(name => {
+            lightMotionSelect.add(new Option(window.LightBehaviours[name].label, name));
+        });
+        this.syncLightingControls();
+    }
+
+    // Switching rigs resets the motion to the rig's own
+    syncLightingControls() {
+        const lightingSelect = document.getElementById('lighting-select');
+        const lightMotionSelect = document.getElementById('light-motion-select');
+        const rig = this.app.uiBridge?.getLightingRig?.();
+        const motion = this.app.uiBridge?.getLightMotion?.();
+        if (lightingSelect && rig) {
+            lightingSelect.value = rig;
+        }
+        if (lightMotionSelect && motion) {
+            lightMotionSelect.value = motion;
+        }
+    }
+
+    // Fill the floor style picker from the styles main.js exposes
+    populateGroundStyles() {
+        const groundStyleSelect = document.getElementById('ground-style-select');
+        if (!groundStyleSelect || !window.GroundStyles) return;
+
+        groundStyleSelect.innerHTML = '';
+        Object.keys(window.GroundStyles).forEach(name => {
+            groundStyleSelect.add(new Option(window.GroundStyles[name].label, name));
+        });
+        this.syncGroundControls();
+    }
+
+    // Presets and share links change the floor too
+    syncGroundControls() {
+        const ground = this.app.uiBridge?.getGround?.();
+        if (!ground) return;
+
+        const planeToggle = document.getElementById('toggle-plane');
+        const groundStyleSelect = document.getElementById('ground-style-select');
+        const groundHeightSlider = document.getElementById('ground-height-slider');
+        const groundMirrorToggle = document.getElementById('toggle-ground-mirror');
+        const contactShadowToggle = document.getElementById('toggle-contact-shadow');
+
+        if (planeToggle) planeToggle.checked = ground.visible;
+        if (groundStyleSelect) groundStyleSelect.value = ground.style;
+        if (groundHeightSlider) groundHeightSlider.value = ground.height;
+        if (groundMirrorToggle) {
+            groundMirrorToggle.checked = ground.mirror;
+            // Reflections are rendered by WebGL
+            groundMirrorToggle.disabled = this.app.rendererType === 'canvas';
+        }
+        if (contactShadowToggle) contactShadowToggle.checked = ground.contactShadow;
+    }
+
+    // Physics toggle and sliders from the saved or default settings
+    syncPhysicsControls() {
+        const physics = this.app.uiBridge?.getPhysics?.();
+        if (!physics) return;
+
+        const physicsToggle = document.getElementById('toggle-physics');
+        if (physicsToggle) physicsToggle.checked = physics.enabled;
+
+        const sliders = { gravity: 'physics-gravity-slider', damping: 'physics-damping-slider', restitution: 'physics-restitution-slider' };
+        Object.keys(sliders).forEach(key => {
+            const slider = document.getElementById(sliders[key]);
+            if (slider) slider.value = physics[key];
+        });
+    }
+
+    // Soft body toggle and sliders from the saved or default settings
+    syncSoftBodyControls() {
+        const softBody = this.app.uiBridge?.getSoftBody?.();
+        if (!softBody) return;
+
+        const softBodyToggle = document.getElementById('toggle-soft-body');
+        if (softBodyToggle) softBodyToggle.checked = softBody.enabled;
+
+        const sliders = { stiffness: 'soft-body-stiffness-slider', damping: 'soft-body-damping-slider', pressure: 'soft-body-pressure-slider' };
+        Object.keys(sliders).forEach(key => {
+            const slider = document.getElementById(sliders[key]);
+            if (slider) slider.value = softBody[key];
+        });
+    }
+
+    // Sculpt toggle, the brush in use with its settings, symmetry and the undo/redo buttons
+    syncSculptControls() {
+        const sculpt = this.app.uiBridge?.getSculpt?.();
+        if (!sculpt) return;
+
+        const sculptToggle = document.getElementById('toggle-sculpt');
+        if (sculptToggle) sculptToggle.checked = sculpt.enabled;
+
+        const brush = sculpt.brushes[sculpt.brush];
+        const values = {
+            'sculpt-brush': sculpt.brush,
+            'sculpt-symmetry': sculpt.symmetry,
+            'sculpt-radius-slider': brush.radius,
+            'sculpt-strength-slider': brush.strength,
+            'sculpt-falloff': brush.falloff
+        };
+        Object.keys(values).forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.value = values[id];
+        });
+
+        const undoBtn = document.getElementById('sculpt-undo');
+        if (undoBtn) undoBtn.disabled = !sculpt.canUndo;
+        const redoBtn = document.getElementById('sculpt-redo');
+        if (redoBtn) redoBtn.disabled = !sculpt.canRedo;
+    }
+
+    // Fill the preset picker, built-in looks first
+    populatePresets() {
+        const presetSelect = document.getElementById('preset-select');
+        const presets = this.app.presets;
+        if (!presetSelect || !presets) return;
+
+        presetSelect.innerHTML = '';
+        [['Built-in', true], ['Custom', false]].forEach(([label, builtIn]) => {
+            const entries = presets.list().filter(preset => preset.builtIn === builtIn);
+            if (!entries.length) return;
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+            entries.forEach(preset => group.appendChild(new Option(preset.label, preset.name)));
+            presetSelect.appendChild(group);
+        });
+
+        presetSelect.value = presets.current;
+
+        const deletePresetBtn = document.getElementById('delete-preset');
+        if (deletePresetBtn) {
+            deletePresetBtn.disabled = !presets.custom[presets.current];
+        }
+    }
+
     // Enhanced syncToggleStates method for better two-way sync
     syncToggleStates() {
         if (!this.app.uiBridge) return;
         
+        this.populatePresets();
+        this.syncEnvironmentControls();
+        this.syncLightingControls();
+        this.syncGroundControls();
+        this.syncPhysicsControls();
+        this.syncSoftBodyControls();
+        this.syncSculptControls();
+        this.syncDeformerControls();
+        this.syncShapeControls();
+        this.syncTimeControls();
+        this.syncQualityControls();
+        this.syncPostProcessingControls();
+        this.syncRecordingControls();
+        // The director starts with the loop, usually after the menu is built
+        this.populateCameraPaths();
+        this.syncInteriorControls();
+        
         // Wireframe toggle
         const wireframeToggle = document.getElementById('toggle-wireframe');
         if (wireframeToggle && this.app.ballGroup?.userData?.wireMesh) {
             wireframeToggle.checked = this.app.ballGroup.userData.wireMesh.visible;
         }
         
+        // Rotation button shows active while rotation is stopped
+        const rotationButton = document.getElementById('toggle-rotation');
+        if (rotationButton) {
+            rotationButton.classList.toggle('active', this.app.autoRotate === false);
+        }
+        
         // Rainbow toggle
         const rainbowToggle = document.getElementById('toggle-rainbow');
         if (rainbowToggle) {
@@ -221,10 +1077,12 @@ class MenuSystem {
         const outerColorInput = document.getElementById('outer-color');
         
         try {
-            // Try to fetch stored values from localStorage
-            const innerColor = localStorage.getItem('ballInnerColor');
-            const middleColor = localStorage.getItem('ballMiddleColor');
-            const outerColor = localStorage.getItem('ballOuterColor');
+            // Prefer the colors in use (they may come from a share link), then localStorage
+            const [innerColor, middleColor, outerColor] = this.app.gradientColors || [
+                localStorage.getItem('ballInnerColor'),
+                localStorage.getItem('ballMiddleColor'),
+                localStorage.getItem('ballOuterColor')
+            ];
             
             if (innerColor && innerColorInput) innerColorInput.value = innerColor;
             if (middleColor && middleColorInput) middleColorInput.value = middleColor;
@@ -288,21 +1146,23 @@ class MenuSystem {
 // Expose MenuSystem globally for fallback in main.js
 window.MenuSystem = MenuSystem;
 
-// Initialize when DOM is loaded, but only if window.app is ready
-document.addEventListener('DOMContentLoaded', () => {
-    if (window.app) {
-        window.menuSystem = new MenuSystem(window.app);
-        console.log('Menu system initialized');
+// One menu per page: later calls hand the existing menu the app instead of building another
+// whose listeners would fire alongside the first one's
+function initMenuSystem(source) {
+    if (!window.app) return;
+    if (window.menuSystem instanceof MenuSystem) {
+        window.menuSystem.setApp(window.app);
+        return;
     }
-});
+    window.menuSystem = new MenuSystem(window.app);
+    console.log(`Menu system initialized${source ? ' via ' + source : ''}`);
+}
+
+// Initialize when DOM is loaded, but only if window.app is ready
+document.addEventListener('DOMContentLoaded', () => initMenuSystem());
 
 // Listen for 'sceneReady' event as a backup to DOMContentLoaded
-window.addEventListener('sceneReady', () => {
-    if (window.app) {
-        window.menuSystem = new MenuSystem(window.app);
-        console.log('Menu system initialized via sceneReady');
-    }
-});
+window.addEventListener('sceneReady', () => initMenuSystem('sceneReady'));
 
 function init() {
     // ...existing code...
@@ -2,6 +2,7 @@
 import * as THREE from 'three';
 import { animateDeformations } from '../effects/deformation/core.js';
 import { updateAudioVisualization } from '../audio/visualization/core.js';
+import { FramePhase, getFrameScheduler } from '../core/frame-scheduler.js';
 
 // Create a full screen pass for post-processing effects
 function createFullScreenPass() {
@@ -38,29 +39,31 @@ function createFullScreenPass() {
     return new THREE.Mesh(geometry, material);
 }
 
-// Main animation loop
+// Run a custom per-frame update on the app's frame scheduler (see core/frame-scheduler.js)
 function animate(app, customUpdate) {
-    function loop() {
-        requestAnimationFrame(loop);
-        
-        if (customUpdate) {
-            customUpdate();
-        }
-        
-        // Update any ongoing deformations
-        animateDeformations(app);
-        
-        // Update audio visualization if available
+    const scheduler = getFrameScheduler(app);
+
+    if (customUpdate) {
+        scheduler.add(FramePhase.SIMULATION, 'customUpdate', () => customUpdate());
+    }
+
+    // Update any ongoing deformations
+    scheduler.add(FramePhase.EFFECTS, 'deformations', () => animateDeformations(app));
+
+    // Update audio visualization if available
+    scheduler.add(FramePhase.AUDIO_SYNC, 'sceneAudioVisualization', () => {
         if (app.analyzer && app.scene.userData.audioVisualization) {
             updateAudioVisualization(app);
         }
-        
-        // Render the scene
-        app.renderer.render(app.scene, app.camera);
+    });
+
+    // Render the scene unless the app already renders itself
+    if (!scheduler.has(FramePhase.RENDER, 'render')) {
+        scheduler.add(FramePhase.RENDER, 'render', () => app.renderer.render(app.scene, app.camera));
     }
-    
-    // Start the animation loop
-    loop();
+
+    scheduler.start();
+    return scheduler;
 }
 
 // Helper function for smooth interpolation
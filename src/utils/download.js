@@ -0,0 +1,31 @@
+// download.js - Hand a generated file (clip, still) to the browser's download prompt
+
+/**
+ * Save a Blob as a file
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    if (!blob) return;
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+/**
+ * File name with the current date and time, e.g. ball-2024-05-01-12-30-00.webm
+ * @param {string} prefix - Start of the name
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+export function timestampedName(prefix, extension) {
+    return `${prefix}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${extension}`;
+}